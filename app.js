@@ -1,37 +1,861 @@
 // StableCoin DApp JavaScript
+
+// Wallet connectors
+// Every wallet interaction in the DApp goes through one of these instead of window.ethereum.
+
+class WalletConnector {
+    constructor(id, name) {
+        this.id = id;
+        this.name = name;
+        this.listeners = [];
+    }
+    
+    get readOnly() {
+        return false;
+    }
+    
+    // Ask the wallet for accounts (may open a popup)
+    async connect() {
+        throw new Error('connect()가 구현되지 않았습니다.');
+    }
+    
+    // Accounts already authorized, without prompting
+    async getAccounts() {
+        return [];
+    }
+    
+    async getChainId() {
+        return this.request({ method: 'eth_chainId' });
+    }
+    
+    async request(args) {
+        throw new Error(`${args.method}: 지원되지 않는 요청입니다.`);
+    }
+    
+    // ethers provider backed by this connector
+    getProvider() {
+        throw new Error('getProvider()가 구현되지 않았습니다.');
+    }
+    
+    getSigner(account) {
+        return this.getProvider().getSigner(account);
+    }
+    
+    on(event, handler) {}
+    
+    disconnect() {}
+}
+
+// Any EIP-1193 provider (window.ethereum or one announced through EIP-6963)
+class InjectedConnector extends WalletConnector {
+    constructor(provider = window.ethereum, id = 'injected', name = null) {
+        super(id, name || InjectedConnector.detectName(provider));
+        this.provider = provider;
+        this.ethersProvider = null;
+    }
+    
+    static detectName(provider) {
+        if (!provider) return '브라우저 지갑';
+        if (provider.isMetaMask) return 'MetaMask';
+        if (provider.isCoinbaseWallet) return 'Coinbase Wallet';
+        if (provider.isRabby) return 'Rabby';
+        if (provider.isBraveWallet) return 'Brave Wallet';
+        return '브라우저 지갑';
+    }
+    
+    async connect() {
+        return this.request({ method: 'eth_requestAccounts' });
+    }
+    
+    async getAccounts() {
+        return this.request({ method: 'eth_accounts' });
+    }
+    
+    async request(args) {
+        return this.provider.request(args);
+    }
+    
+    getProvider() {
+        if (!this.ethersProvider) {
+            this.ethersProvider = new ethers.providers.Web3Provider(this.provider, 'any');
+        }
+        return this.ethersProvider;
+    }
+    
+    on(event, handler) {
+        if (typeof this.provider.on !== 'function') return;
+        this.provider.on(event, handler);
+        this.listeners.push([event, handler]);
+    }
+    
+    disconnect() {
+        if (typeof this.provider.removeListener === 'function') {
+            this.listeners.forEach(([event, handler]) => this.provider.removeListener(event, handler));
+        }
+        this.listeners = [];
+    }
+}
+
+// Wallet announced through EIP-6963 multi-wallet discovery
+class EIP6963Connector extends InjectedConnector {
+    constructor({ info, provider }) {
+        super(provider, `eip6963:${info.rdns || info.uuid}`, info.name);
+        this.info = info;
+    }
+    
+    // Collect wallets that answer eip6963:requestProvider within `timeout` ms
+    static discover(timeout = 300) {
+        return new Promise((resolve) => {
+            const announced = new Map();
+            const onAnnounce = (event) => {
+                const { info, provider } = event.detail || {};
+                if (info && provider) {
+                    announced.set(info.uuid, new EIP6963Connector({ info, provider }));
+                }
+            };
+            
+            window.addEventListener('eip6963:announceProvider', onAnnounce);
+            window.dispatchEvent(new Event('eip6963:requestProvider'));
+            
+            setTimeout(() => {
+                window.removeEventListener('eip6963:announceProvider', onAnnounce);
+                resolve(Array.from(announced.values()));
+            }, timeout);
+        });
+    }
+}
+
+// Signer that can read as an address but refuses to sign
+class ReadOnlySigner extends ethers.VoidSigner {
+    signMessage() {
+        return Promise.reject(new Error('읽기 전용 모드에서는 서명할 수 없습니다. 지갑을 연결해주세요.'));
+    }
+    
+    signTransaction() {
+        return Promise.reject(new Error('읽기 전용 모드에서는 트랜잭션을 보낼 수 없습니다. 지갑을 연결해주세요.'));
+    }
+    
+    sendTransaction() {
+        return this.signTransaction();
+    }
+    
+    connect(provider) {
+        return new ReadOnlySigner(this.address, provider);
+    }
+}
+
+// Plain JSON-RPC access with no wallet, for lookups only
+class ReadOnlyConnector extends WalletConnector {
+    constructor(network, watchAddress = null) {
+        super('readonly', '읽기 전용');
+        this.network = network;
+        this.watchAddress = watchAddress;
+        this.ethersProvider = new ethers.providers.JsonRpcProvider(network.rpcUrl);
+    }
+    
+    get readOnly() {
+        return true;
+    }
+    
+    async connect() {
+        return this.getAccounts();
+    }
+    
+    async getAccounts() {
+        return this.watchAddress ? [this.watchAddress] : [];
+    }
+    
+    async request({ method, params = [] }) {
+        if (method === 'eth_requestAccounts' || method === 'eth_accounts') {
+            return this.getAccounts();
+        }
+        if (method === 'eth_sendTransaction' || method.startsWith('eth_sign') || method.startsWith('wallet_')) {
+            throw new Error('읽기 전용 모드에서는 지갑 요청을 보낼 수 없습니다. 지갑을 연결해주세요.');
+        }
+        return this.ethersProvider.send(method, params);
+    }
+    
+    getProvider() {
+        return this.ethersProvider;
+    }
+    
+    getSigner(account) {
+        return new ReadOnlySigner(account || this.watchAddress || ethers.constants.AddressZero, this.ethersProvider);
+    }
+}
+
+// Transaction tracking
+// Follows every transaction the DApp sends through pending → mined → confirmed (or failed / replaced)
+// and keeps the history in localStorage per chain and account.
+
+class TransactionTracker {
+    constructor(storage = window.localStorage, maxEntries = 50) {
+        this.storage = storage;
+        this.maxEntries = maxEntries;
+        this.provider = null;
+        this.confirmations = 1;
+        this.storageKey = null;
+        this.history = [];
+        this.watching = new Set();
+        this.listeners = [];
+    }
+    
+    static get statusLabels() {
+        return {
+            pending: '⏳ 대기 중',
+            mined: '⛏️ 블록 포함',
+            confirmed: '✅ 확정',
+            failed: '❌ 실패',
+            replaced: '🔁 대체됨'
+        };
+    }
+    
+    // Switch to the history of another chain/account and resume watching unfinished transactions
+    setContext(provider, chainId, account, confirmations = 1) {
+        this.provider = provider;
+        this.confirmations = confirmations;
+        this.watching.clear();
+        
+        if (!provider || !chainId || !account) {
+            this.storageKey = null;
+            this.history = [];
+        } else {
+            this.storageKey = `txHistory:${parseInt(chainId, 16)}:${account.toLowerCase()}`;
+            this.history = this.load();
+            this.history
+                .filter(record => record.status === 'pending' || record.status === 'mined')
+                .forEach(record => this.watch(record).catch(error => console.error('트랜잭션 추적 실패:', error)));
+        }
+        this.emit(null);
+    }
+    
+    load() {
+        try {
+            return JSON.parse(this.storage.getItem(this.storageKey)) || [];
+        } catch (error) {
+            console.error('트랜잭션 기록 로드 실패:', error);
+            return [];
+        }
+    }
+    
+    save() {
+        if (!this.storageKey) return;
+        this.history = this.history.slice(0, this.maxEntries);
+        this.storage.setItem(this.storageKey, JSON.stringify(this.history));
+    }
+    
+    clear() {
+        this.history = this.history.filter(record => record.status === 'pending' || record.status === 'mined');
+        this.save();
+        this.emit(null);
+    }
+    
+    onChange(handler) {
+        this.listeners.push(handler);
+    }
+    
+    emit(record) {
+        this.listeners.forEach(handler => handler(record));
+    }
+    
+    update(record, changes) {
+        Object.assign(record, changes, { updatedAt: Date.now() });
+        
+        // Watchers from a previous chain/account keep running but must not touch the current history
+        if (!this.history.includes(record)) return;
+        this.save();
+        this.emit(record);
+    }
+    
+    // Record a sent transaction (ethers TransactionResponse or raw hash) and
+    // resolve with its receipt once mined; rejects if it reverts or is replaced
+    async track(tx, label) {
+        const response = typeof tx === 'string' ? { hash: tx, from: null, to: null, nonce: null, data: null } : tx;
+        const record = {
+            hash: response.hash,
+            label,
+            from: response.from,
+            to: response.to,
+            nonce: response.nonce,
+            data: response.data,
+            status: 'pending',
+            submittedAt: Date.now(),
+            startBlock: await this.provider.getBlockNumber()
+        };
+        
+        this.history.unshift(record);
+        this.update(record, {});
+        
+        return this.watch(record);
+    }
+    
+    async watch(record) {
+        if (this.watching.has(record.hash)) return null;
+        this.watching.add(record.hash);
+        const provider = this.provider;
+        
+        try {
+            if (record.nonce === null) {
+                // Sent as a raw hash: look up sender and nonce so replacements can be detected
+                const tx = await this.fetchTransaction(provider, record.hash);
+                if (tx) this.update(record, { from: tx.from, to: tx.to, nonce: tx.nonce, data: tx.data });
+            }
+            
+            const receipt = await this.waitForReceipt(provider, record);
+            
+            if (!receipt) {
+                const replacement = await this.findReplacement(provider, record);
+                this.update(record, { status: 'replaced', replacedBy: replacement ? replacement.hash : null });
+                
+                // A sped-up copy of the same call counts as the same action; a cancellation does not
+                if (!replacement || replacement.to !== record.to || replacement.data !== record.data) {
+                    throw new Error('트랜잭션이 다른 트랜잭션으로 대체되었습니다.');
+                }
+                return this.track(replacement, record.label);
+            }
+            
+            if (receipt.status === 0) {
+                this.update(record, { status: 'failed', blockNumber: receipt.blockNumber });
+                throw new Error(`트랜잭션이 실패했습니다 (revert). 트랜잭션: ${record.hash}`);
+            }
+            
+            if (record.status !== 'mined') {
+                this.update(record, { status: 'mined', blockNumber: receipt.blockNumber, gasUsed: receipt.gasUsed.toString() });
+            }
+            
+            // Confirmations happen in the background; callers only wait for inclusion
+            this.waitForConfirmations(provider, record).catch(error => console.error('확정 대기 실패:', error));
+            return receipt;
+        } finally {
+            if (record.status !== 'mined') this.watching.delete(record.hash);
+        }
+    }
+    
+    async fetchTransaction(provider, hash, attempts = 5) {
+        for (let i = 0; i < attempts; i++) {
+            const tx = await provider.getTransaction(hash);
+            if (tx) return tx;
+            await this.nextBlock(provider);
+        }
+        return null;
+    }
+    
+    // Resolves with the receipt, or null once the nonce was used by another transaction
+    async waitForReceipt(provider, record) {
+        for (;;) {
+            const receipt = await provider.getTransactionReceipt(record.hash);
+            if (receipt && receipt.blockNumber != null) return receipt;
+            
+            if (record.from && record.nonce !== null) {
+                const minedNonce = await provider.getTransactionCount(record.from, 'latest');
+                if (minedNonce > record.nonce) {
+                    // Re-check in case our own transaction landed in between
+                    return provider.getTransactionReceipt(record.hash);
+                }
+            }
+            
+            await this.nextBlock(provider);
+        }
+    }
+    
+    async waitForConfirmations(provider, record) {
+        for (;;) {
+            const receipt = await provider.getTransactionReceipt(record.hash);
+            if (!receipt) {
+                // Dropped by a reorg: go back to pending and start over
+                this.watching.delete(record.hash);
+                this.update(record, { status: 'pending', blockNumber: null });
+                await this.watch(record);
+                return;
+            }
+            
+            const currentBlock = await provider.getBlockNumber();
+            if (currentBlock - receipt.blockNumber + 1 >= this.confirmations) {
+                this.watching.delete(record.hash);
+                this.update(record, { status: 'confirmed', blockNumber: receipt.blockNumber });
+                return;
+            }
+            
+            await this.nextBlock(provider);
+        }
+    }
+    
+    // Scan blocks since submission for another transaction with the same sender and nonce
+    async findReplacement(provider, record) {
+        if (!record.from || record.nonce === null) return null;
+        
+        const latest = await provider.getBlockNumber();
+        for (let blockNumber = record.startBlock; blockNumber <= latest; blockNumber++) {
+            const block = await provider.getBlockWithTransactions(blockNumber);
+            const replacement = block.transactions.find(tx =>
+                tx.from.toLowerCase() === record.from.toLowerCase() && tx.nonce === record.nonce);
+            if (replacement) return replacement;
+        }
+        return null;
+    }
+    
+    nextBlock(provider) {
+        return new Promise(resolve => provider.once('block', resolve));
+    }
+}
+
+// Revert decoding
+// Turns wallet/RPC errors, require strings and the custom errors of every contract in
+// contracts/ (plus the OpenZeppelin errors they inherit) into readable Korean messages.
+
+class RevertDecoder {
+    constructor(roleNames = {}) {
+        // role hash → role name, for AccessControlUnauthorizedAccount
+        this.roleNames = roleNames;
+        
+        this.errorInterface = new ethers.utils.Interface([
+            // OptimizedStableCoin
+            "error AccountBlacklistedError()",
+            "error AccountAlreadyBlacklisted()",
+            "error AccountNotBlacklisted()",
+            "error ContractPaused()",
+            "error TransferToBlacklistedAccount()",
+            "error TransferFromBlacklistedAccount()",
+            "error InsufficientBalance()",
+            "error InsufficientAllowance()",
+            // OptimizedMultiSig
+            "error NotOwner()",
+            "error TransactionDoesNotExist()",
+            "error TransactionAlreadyExecuted()",
+            "error TransactionAlreadyConfirmed()",
+            "error InsufficientConfirmations()",
+            "error TransactionFailed()",
+            "error InvalidOwner()",
+            "error OwnerAlreadyExists()",
+            "error OwnerNotFound()",
+            "error InvalidRequirement()",
+            // OpenZeppelin
+            "error OwnableUnauthorizedAccount(address account)",
+            "error OwnableInvalidOwner(address owner)",
+            "error AccessControlUnauthorizedAccount(address account, bytes32 neededRole)",
+            "error AccessControlBadConfirmation()",
+            "error EnforcedPause()",
+            "error ExpectedPause()",
+            "error ERC20InsufficientBalance(address sender, uint256 balance, uint256 needed)",
+            "error ERC20InvalidSender(address sender)",
+            "error ERC20InvalidReceiver(address receiver)",
+            "error ERC20InsufficientAllowance(address spender, uint256 allowance, uint256 needed)",
+            "error ERC20InvalidApprover(address approver)",
+            "error ERC20InvalidSpender(address spender)",
+            "error ReentrancyGuardReentrantCall()"
+        ]);
+        
+        this.customErrors = {
+            AccountBlacklistedError: () => '블랙리스트에 등록된 계정은 이 작업을 할 수 없습니다.',
+            AccountAlreadyBlacklisted: () => '이미 블랙리스트에 등록된 계정입니다.',
+            AccountNotBlacklisted: () => '블랙리스트에 등록되지 않은 계정입니다.',
+            ContractPaused: () => '컨트랙트가 일시정지 상태입니다.',
+            TransferToBlacklistedAccount: () => '받는 주소가 블랙리스트에 등록되어 있습니다.',
+            TransferFromBlacklistedAccount: () => '보내는 주소가 블랙리스트에 등록되어 있습니다.',
+            InsufficientBalance: () => '잔액이 부족합니다.',
+            InsufficientAllowance: () => '승인된 한도(allowance)가 부족합니다.',
+            NotOwner: () => '멀티시그 소유자(또는 지갑 자신)만 호출할 수 있습니다.',
+            TransactionDoesNotExist: () => '존재하지 않는 멀티시그 트랜잭션입니다.',
+            TransactionAlreadyExecuted: () => '이미 실행된 멀티시그 트랜잭션입니다.',
+            TransactionAlreadyConfirmed: () => '이미 승인한 멀티시그 트랜잭션입니다.',
+            InsufficientConfirmations: () => '승인 수가 부족하여 실행할 수 없습니다.',
+            TransactionFailed: () => '멀티시그 트랜잭션의 대상 호출이 실패했습니다.',
+            InvalidOwner: () => '유효하지 않은 소유자 주소입니다.',
+            OwnerAlreadyExists: () => '이미 등록된 소유자입니다.',
+            OwnerNotFound: () => '등록되지 않은 소유자입니다.',
+            InvalidRequirement: () => '필요 승인 수가 올바르지 않습니다.',
+            OwnableUnauthorizedAccount: ({ account }) => `${account}은(는) 컨트랙트 소유자가 아닙니다.`,
+            OwnableInvalidOwner: ({ owner }) => `유효하지 않은 소유자 주소입니다: ${owner}`,
+            AccessControlUnauthorizedAccount: ({ account, neededRole }) =>
+                `${account}에 ${this.roleNames[neededRole] || neededRole} 권한이 없습니다.`,
+            AccessControlBadConfirmation: () => '권한 포기는 본인 계정으로만 할 수 있습니다.',
+            EnforcedPause: () => '컨트랙트가 일시정지 상태입니다.',
+            ExpectedPause: () => '컨트랙트가 일시정지 상태가 아닙니다.',
+            ERC20InsufficientBalance: ({ balance, needed }) =>
+                `잔액이 부족합니다 (보유: ${ethers.utils.formatEther(balance)}, 필요: ${ethers.utils.formatEther(needed)}).`,
+            ERC20InvalidSender: () => '보내는 주소가 올바르지 않습니다 (0 주소).',
+            ERC20InvalidReceiver: () => '받는 주소가 올바르지 않습니다 (0 주소).',
+            ERC20InsufficientAllowance: ({ allowance, needed }) =>
+                `승인된 한도(allowance)가 부족합니다 (승인: ${ethers.utils.formatEther(allowance)}, 필요: ${ethers.utils.formatEther(needed)}).`,
+            ERC20InvalidApprover: () => '승인하는 주소가 올바르지 않습니다 (0 주소).',
+            ERC20InvalidSpender: () => '승인받는 주소가 올바르지 않습니다 (0 주소).',
+            ReentrancyGuardReentrantCall: () => '재진입 호출은 허용되지 않습니다.'
+        };
+        
+        // require(...) strings from StableCoin, GovernedStableCoin, MultiSigWallet and TimeLock
+        this.requireMessages = {
+            'Account is blacklisted': '블랙리스트에 등록된 계정입니다.',
+            'Account is already blacklisted': '이미 블랙리스트에 등록된 계정입니다.',
+            'Account is not blacklisted': '블랙리스트에 등록되지 않은 계정입니다.',
+            'Arrays length mismatch': '주소 목록과 수량 목록의 길이가 다릅니다.',
+            'ERC20: burn amount exceeds allowance': '소각 수량이 승인된 한도(allowance)를 초과합니다.',
+            'MultiSig: not owner': '멀티시그 소유자만 호출할 수 있습니다.',
+            'MultiSig: tx does not exist': '존재하지 않는 멀티시그 트랜잭션입니다.',
+            'MultiSig: tx already executed': '이미 실행된 멀티시그 트랜잭션입니다.',
+            'MultiSig: tx already confirmed': '이미 승인한 멀티시그 트랜잭션입니다.',
+            'MultiSig: tx not confirmed': '승인하지 않은 트랜잭션은 철회할 수 없습니다.',
+            'MultiSig: cannot execute tx': '승인 수가 부족하여 실행할 수 없습니다.',
+            'MultiSig: tx failed': '멀티시그 트랜잭션의 대상 호출이 실패했습니다.',
+            'MultiSig: owners required': '소유자가 한 명 이상 필요합니다.',
+            'MultiSig: invalid number of required confirmations': '필요 승인 수가 올바르지 않습니다.',
+            'MultiSig: invalid owner': '유효하지 않은 소유자 주소입니다.',
+            'MultiSig: owner not unique': '소유자 주소가 중복되었습니다.',
+            'MultiSig: only wallet can add owner': '소유자 추가는 멀티시그 트랜잭션으로만 할 수 있습니다.',
+            'MultiSig: invalid owner address': '유효하지 않은 소유자 주소입니다.',
+            'MultiSig: owner already exists': '이미 등록된 소유자입니다.',
+            'MultiSig: only wallet can remove owner': '소유자 제거는 멀티시그 트랜잭션으로만 할 수 있습니다.',
+            'MultiSig: not an owner': '등록되지 않은 소유자입니다.',
+            'MultiSig: cannot remove owner': '필요 승인 수보다 소유자를 줄일 수 없습니다.',
+            'MultiSig: only wallet can change requirement': '필요 승인 수 변경은 멀티시그 트랜잭션으로만 할 수 있습니다.',
+            'MultiSig: invalid requirement': '필요 승인 수가 올바르지 않습니다.',
+            'TimeLock: delay must be greater than minimum delay': '지연 시간이 최소 지연 시간보다 짧습니다.',
+            'TimeLock: delay must be less than maximum delay': '지연 시간이 최대 지연 시간보다 깁니다.',
+            'TimeLock: execute time must satisfy delay': '실행 시각이 지연 시간을 충족하지 않습니다.',
+            "TimeLock: transaction hasn't been queued": '큐에 등록되지 않은 TimeLock 작업입니다.',
+            "TimeLock: transaction hasn't surpassed time lock": '아직 TimeLock 대기 시간이 지나지 않았습니다.',
+            'TimeLock: transaction is stale': '유예 기간(7일)이 지나 만료된 TimeLock 작업입니다.',
+            'TimeLock: transaction execution reverted': 'TimeLock 작업의 대상 호출이 실패했습니다.',
+            'TimeLock: caller must be TimeLock': 'TimeLock 자신만 호출할 수 있습니다 (큐를 통해 실행해주세요).'
+        };
+        
+        this.panicMessages = {
+            0x01: 'assert 조건이 실패했습니다.',
+            0x11: '산술 오버플로/언더플로가 발생했습니다.',
+            0x12: '0으로 나누었습니다.',
+            0x32: '배열 범위를 벗어났습니다.'
+        };
+    }
+    
+    // Readable message for anything thrown by ethers, the wallet or our own validation
+    decode(error) {
+        const nested = this.collect(error);
+        
+        if (nested.some(item => item.code === 4001 || item.code === 'ACTION_REJECTED')) {
+            return '사용자가 트랜잭션을 거부했습니다.';
+        }
+        
+        for (const item of nested) {
+            const data = typeof item.data === 'string' ? item.data : null;
+            const decoded = data && this.decodeData(data);
+            if (decoded) return decoded;
+        }
+        
+        for (const item of nested) {
+            const decoded = this.decodeText(item.reason) || this.decodeText(item.message);
+            if (decoded) return decoded;
+        }
+        
+        if (nested.some(item => item.code === 'INSUFFICIENT_FUNDS')) {
+            return '가스비를 지불할 ETH가 부족합니다.';
+        }
+        if (nested.some(item => item.code === 'NETWORK_ERROR')) {
+            return '네트워크에 연결할 수 없거나 네트워크가 변경되었습니다.';
+        }
+        if (error.code === 'CALL_EXCEPTION' || /execution reverted/.test(error.message || '')) {
+            return '컨트랙트에서 트랜잭션을 거부했습니다. 권한이나 컨트랙트 상태를 확인해주세요.';
+        }
+        if (error.code === -32603) {
+            return '트랜잭션 실행 중 오류가 발생했습니다. 가스비나 권한을 확인해주세요.';
+        }
+        
+        return error.reason || error.message || String(error);
+    }
+    
+    // The error plus every wrapped error/payload ethers and wallets nest inside it
+    collect(error) {
+        const found = [];
+        const queue = [error];
+        
+        while (queue.length > 0 && found.length < 20) {
+            const item = queue.shift();
+            if (!item || typeof item !== 'object' || found.includes(item)) continue;
+            found.push(item);
+            
+            queue.push(item.error, item.data, item.originalError, item.info, item.cause);
+            if (typeof item.body === 'string') {
+                try {
+                    queue.push(JSON.parse(item.body));
+                } catch (parseError) {
+                    // not JSON
+                }
+            }
+        }
+        return found;
+    }
+    
+    decodeData(data) {
+        if (!/^0x[0-9a-fA-F]{8}/.test(data)) return null;
+        const selector = data.slice(0, 10).toLowerCase();
+        
+        try {
+            if (selector === '0x08c379a0') {
+                const [reason] = ethers.utils.defaultAbiCoder.decode(['string'], '0x' + data.slice(10));
+                return this.requireMessages[reason] || reason;
+            }
+            if (selector === '0x4e487b71') {
+                const [code] = ethers.utils.defaultAbiCoder.decode(['uint256'], '0x' + data.slice(10));
+                return this.panicMessages[code.toNumber()] || `컨트랙트 패닉 (코드 0x${code.toHexString().slice(2)})`;
+            }
+            
+            const parsed = this.errorInterface.parseError(data);
+            return this.customErrors[parsed.name](parsed.args);
+        } catch (error) {
+            return null;
+        }
+    }
+    
+    // Node/wallet messages that only carry the revert as text
+    decodeText(text) {
+        if (typeof text !== 'string') return null;
+        
+        // Hardhat: reverted with custom error 'Name("0x…", 1)'
+        const customError = text.match(/custom error '([A-Za-z0-9_]+)\(([^)]*)\)'/);
+        if (customError && this.customErrors[customError[1]]) {
+            try {
+                const fragment = this.errorInterface.getError(customError[1]);
+                const values = customError[2] ? customError[2].split(',').map(value => value.trim().replace(/^"|"$/g, '')) : [];
+                if (values.length !== fragment.inputs.length) return null;
+                
+                const args = {};
+                fragment.inputs.forEach((input, i) => {
+                    args[input.name] = input.type === 'uint256' ? ethers.BigNumber.from(values[i]) : values[i];
+                });
+                return this.customErrors[customError[1]](args);
+            } catch (error) {
+                return null;
+            }
+        }
+        
+        const reason = text.match(/reason string '([^']*)'/) || text.match(/execution reverted: (.+?)(?:"|$)/);
+        if (reason) {
+            return this.requireMessages[reason[1]] || reason[1];
+        }
+        
+        return this.requireMessages[text] || null;
+    }
+}
+
+// Live contract events
+// Streams a contract's logs over WebSocket when the network has a wsUrl, otherwise (or while the
+// socket is down) polls new blocks with eth_getLogs. Reconnects with backoff and never skips blocks.
+
+class LiveEventFeed {
+    constructor({ address, provider, wsUrl = null, onLog, onStatus = () => {}, pollInterval = 4000, connectTimeout = 10000 }) {
+        this.address = address;
+        this.provider = provider;
+        this.wsUrl = wsUrl;
+        this.onLog = onLog;
+        this.onStatus = onStatus;
+        this.pollInterval = pollInterval;
+        this.connectTimeout = connectTimeout;
+        
+        this.wsProvider = null;
+        this.wsConnected = false;
+        this.pollTimer = null;
+        this.reconnectTimer = null;
+        this.reconnectDelay = 1000;
+        this.lastBlock = null;
+        this.useWebSocket = false;
+        this.pollStatus = 'polling';
+        this.seen = new Set();
+        this.stopped = false;
+    }
+    
+    async start() {
+        this.stopped = false;
+        this.lastBlock = await this.provider.getBlockNumber();
+        if (this.stopped) return;
+        this.useWebSocket = !!this.wsUrl && typeof WebSocket !== 'undefined';
+        
+        // Poll from the start; the socket takes over once it is connected
+        this.startPolling();
+        if (this.useWebSocket) {
+            this.pollStatus = 'connecting';
+            this.onStatus(this.pollStatus);
+            this.connectWebSocket();
+        }
+    }
+    
+    stop() {
+        this.stopped = true;
+        this.stopPolling();
+        clearTimeout(this.reconnectTimer);
+        this.closeWebSocket();
+    }
+    
+    async connectWebSocket() {
+        let wsProvider = null;
+        let closed = false;
+        const onClose = () => {
+            if (closed) return;
+            closed = true;
+            this.onWebSocketClosed(wsProvider);
+        };
+        
+        try {
+            wsProvider = new ethers.providers.WebSocketProvider(this.wsUrl);
+            this.wsProvider = wsProvider;
+            // ethers v5 does not surface socket failures, and its ready never settles when the socket
+            // cannot open; listen on the underlying WebSocket before waiting and bound the wait
+            wsProvider._websocket.addEventListener('close', onClose);
+            wsProvider._websocket.addEventListener('error', onClose);
+            
+            let timer;
+            const timeout = new Promise((resolve, reject) => {
+                timer = setTimeout(() => reject(new Error('WebSocket 연결 시간 초과')), this.connectTimeout);
+            });
+            try {
+                await Promise.race([wsProvider.ready, timeout]);
+            } finally {
+                clearTimeout(timer);
+            }
+            if (closed || this.stopped || wsProvider !== this.wsProvider) return;
+            
+            // Subscribe before catching up so logs mined in between are not missed; seen drops duplicates
+            wsProvider.on({ address: this.address }, log => this.dispatch(log));
+            await this.catchUp(wsProvider);
+            if (closed || this.stopped || wsProvider !== this.wsProvider) return;
+            
+            this.wsConnected = true;
+            this.reconnectDelay = 1000;
+            this.stopPolling();
+            this.onStatus('websocket');
+        } catch (error) {
+            console.error('WebSocket 연결 실패:', error);
+            onClose();
+        }
+    }
+    
+    onWebSocketClosed(wsProvider) {
+        if (this.stopped || (wsProvider && wsProvider !== this.wsProvider)) return;
+        
+        this.closeWebSocket();
+        this.pollStatus = 'reconnecting';
+        this.onStatus(this.pollStatus);
+        
+        // Keep events flowing by polling until the socket is back
+        this.startPolling();
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = setTimeout(() => this.connectWebSocket(), this.reconnectDelay);
+        this.reconnectDelay = Math.min(this.reconnectDelay * 2, 30000);
+    }
+    
+    closeWebSocket() {
+        if (!this.wsProvider) return;
+        
+        const wsProvider = this.wsProvider;
+        this.wsProvider = null;
+        this.wsConnected = false;
+        wsProvider.removeAllListeners();
+        wsProvider.destroy().catch(() => {});
+    }
+    
+    startPolling() {
+        if (this.pollTimer) return;
+        this.pollTimer = setInterval(() => this.poll(), this.pollInterval);
+        if (!this.useWebSocket) this.onStatus('polling');
+    }
+    
+    stopPolling() {
+        clearInterval(this.pollTimer);
+        this.pollTimer = null;
+    }
+    
+    async poll() {
+        try {
+            await this.catchUp(this.provider);
+            if (!this.wsConnected) this.onStatus(this.pollStatus);
+        } catch (error) {
+            // The interval keeps running, so the next tick is the retry
+            console.error('이벤트 폴링 실패:', error);
+            this.onStatus('offline');
+        }
+    }
+    
+    async catchUp(provider) {
+        const latest = await provider.getBlockNumber();
+        if (this.lastBlock !== null && latest <= this.lastBlock) return;
+        
+        const fromBlock = this.lastBlock === null ? latest : this.lastBlock + 1;
+        const logs = await provider.getLogs({ address: this.address, fromBlock, toBlock: latest });
+        logs.forEach(log => this.dispatch(log));
+        this.lastBlock = latest;
+    }
+    
+    dispatch(log) {
+        const id = `${log.transactionHash}:${log.logIndex}`;
+        if (this.seen.has(id)) return;
+        
+        this.seen.add(id);
+        if (this.seen.size > 1000) {
+            this.seen.delete(this.seen.values().next().value);
+        }
+        if (log.blockNumber > this.lastBlock) {
+            this.lastBlock = log.blockNumber;
+        }
+        this.onLog(log);
+    }
+}
+
 class StableCoinDApp {
     constructor() {
         this.web3 = null;
+        this.connector = null;
+        this.connectors = [];
         this.contract = null;
         this.account = null;
         this.chainId = null;
         
-        // Network configurations
-        this.networks = {
+        // Transaction history for the connected chain/account
+        this.txTracker = new TransactionTracker();
+        this.txTracker.onChange(record => this.onTransactionUpdate(record));
+        
+        // Built-in network configurations; more can be added from the UI (see loadNetworkRegistry)
+        this.builtInNetworks = {
             localhost: {
                 chainId: '0x7A69', // 31337
                 rpcUrl: 'http://127.0.0.1:8546',
+                wsUrl: 'ws://127.0.0.1:8546',
                 name: 'Hardhat Local',
+                label: '로컬 (Hardhat)',
                 nativeCurrency: {
                     name: 'Ether',
                     symbol: 'ETH',
                     decimals: 18
                 },
-                blockExplorerUrls: null
+                blockExplorerUrls: null,
+                confirmations: 1,
+                // Local addresses change with every deployment; they come from deployments/localhost.json
+                defaults: {}
             },
             sepolia: {
                 chainId: '0xAA36A7', // 11155111
                 rpcUrl: 'https://eth-sepolia.g.alchemy.com/v2/demo',
+                wsUrl: null,
                 name: 'Sepolia Testnet',
+                label: 'Sepolia 테스트넷',
                 nativeCurrency: {
                     name: 'Ether',
                     symbol: 'ETH',
                     decimals: 18
                 },
-                blockExplorerUrls: ['https://sepolia.etherscan.io']
+                blockExplorerUrls: ['https://sepolia.etherscan.io'],
+                confirmations: 2,
+                defaults: {
+                    // Deployed HectoCoin contract address
+                    token: '0x88c4b95ad669C02607345C10eef3569894C6D0Be',
+                    multiSig: '',
+                    timeLock: ''
+                }
             }
         };
         
+        // Built-in plus user-added networks, keyed by the #networkSelect value
+        this.networks = {};
+        this.networkRegistry = { custom: {}, defaults: {} };
+        this.deploymentManifests = {};
+        this.loadNetworkRegistry();
+        
         // ERC20 Token ABI with admin functions
         this.tokenABI = [
             "function name() view returns (string)",
@@ -49,42 +873,222 @@ class StableCoinDApp {
             "function blacklist(address account) returns (bool)",
             "function unBlacklist(address account) returns (bool)",
             "function isBlacklisted(address account) view returns (bool)",
+            "function allowance(address owner, address spender) view returns (uint256)",
+            "function approve(address spender, uint256 amount) returns (bool)",
+            "function transferFrom(address from, address to, uint256 amount) returns (bool)",
+            "function burnFrom(address account, uint256 amount)",
+            "function batchTransfer(address[] recipients, uint256[] amounts) returns (bool)",
+            "function batchGetBalance(address[] accounts) view returns (uint256[])",
             "function transferOwnership(address newOwner) returns (bool)",
+            "function supportsInterface(bytes4 interfaceId) view returns (bool)",
+            "function hasRole(bytes32 role, address account) view returns (bool)",
+            "function getRoleAdmin(bytes32 role) view returns (bytes32)",
             "event Transfer(address indexed from, address indexed to, uint256 value)",
+            "event Approval(address indexed owner, address indexed spender, uint256 value)",
             "event Paused(address account)",
-            "event Unpaused(address account)"
+            "event Unpaused(address account)",
+            "event Blacklisted(address indexed account)",
+            "event UnBlacklisted(address indexed account)",
+            "event AccountBlacklisted(address indexed account)",
+            "event AccountUnBlacklisted(address indexed account)",
+            "event RoleGranted(bytes32 indexed role, address indexed account, address indexed sender)",
+            "event RoleRevoked(bytes32 indexed role, address indexed account, address indexed sender)"
         ];
         
-        this.init();
-    }
-    
+        // MultiSig ABI covering both MultiSigWallet and OptimizedMultiSig
+        this.multiSigABI = [
+            "function getOwners() view returns (address[])",
+            "function isOwner(address owner) view returns (bool)",
+            "function numConfirmationsRequired() view returns (uint256)",
+            "function required() view returns (uint256)",
+            "function getTransactionCount() view returns (uint256)",
+            "function getTransaction(uint256 txIndex) view returns (address to, uint256 value, bytes data, bool executed, uint256 confirmations)",
+            "function isConfirmed(uint256 txIndex, address owner) view returns (bool)",
+            "function submitTransaction(address to, uint256 value, bytes data)",
+            "function submitAndConfirmTransaction(address to, uint256 value, bytes data) returns (uint256)",
+            "function confirmTransaction(uint256 txIndex)",
+            "function revokeConfirmation(uint256 txIndex)",
+            "function executeTransaction(uint256 txIndex)",
+            "function batchConfirm(uint256[] txIndexes)"
+        ];
+        
+        // TimeLock ABI
+        this.timeLockABI = [
+            "function delay() view returns (uint256)",
+            "function queuedTransactions(bytes32 txHash) view returns (bool)",
+            "function getBlockTimestamp() view returns (uint256)",
+            "function hasRole(bytes32 role, address account) view returns (bool)",
+            "function executeTransaction(address target, uint256 value, string signature, bytes data, uint256 executeTime) payable returns (bytes)",
+            "function cancelTransaction(address target, uint256 value, string signature, bytes data, uint256 executeTime)",
+            "event QueueTransaction(bytes32 indexed txHash, address indexed target, uint256 value, string signature, bytes data, uint256 executeTime)",
+            "event ExecuteTransaction(bytes32 indexed txHash, address indexed target, uint256 value, string signature, bytes data, uint256 executeTime)",
+            "event CancelTransaction(bytes32 indexed txHash, address indexed target, uint256 value, string signature, bytes data, uint256 executeTime)"
+        ];
+        
+        // TimeLock.executeTransaction rejects operations older than executeTime + 7 days
+        this.timeLockGracePeriod = 7 * 24 * 60 * 60;
+        
+        this.timeLock = null;
+        this.timeLockQueue = [];
+        this.timeLockTimer = null;
+        this.timeLockClockOffset = 0;
+        
+        // Token functions that can be proposed through the multisig
+        this.proposalFunctions = {
+            mint: { label: '토큰 발행 (mint)', inputs: ['address', 'amount'] },
+            transfer: { label: '토큰 전송 (transfer)', inputs: ['address', 'amount'] },
+            pause: { label: '일시정지 (pause)', inputs: [] },
+            unpause: { label: '재개 (unpause)', inputs: [] },
+            blacklist: { label: '블랙리스트 추가 (blacklist)', inputs: ['address'] },
+            unBlacklist: { label: '블랙리스트 제거 (unBlacklist)', inputs: ['address'] }
+        };
+        
+        this.multiSig = null;
+        this.multiSigType = null;
+        this.multiSigRequired = null;
+        
+        // AccessControl roles (GovernedStableCoin)
+        this.roles = {
+            DEFAULT_ADMIN_ROLE: ethers.constants.HashZero,
+            MINTER_ROLE: ethers.utils.id('MINTER_ROLE'),
+            PAUSER_ROLE: ethers.utils.id('PAUSER_ROLE'),
+            BLACKLIST_ROLE: ethers.utils.id('BLACKLIST_ROLE')
+        };
+        
+        // AccessControl roles (TimeLock)
+        this.timeLockRoles = {
+            EXECUTOR_ROLE: ethers.utils.id('EXECUTOR_ROLE'),
+            CANCELLER_ROLE: ethers.utils.id('CANCELLER_ROLE')
+        };
+        
+        // Admin controls and the role each one requires on AccessControl tokens
+        this.adminControls = {
+            mint: { role: 'MINTER_ROLE', elementId: 'mintControls' },
+            pause: { role: 'PAUSER_ROLE', elementId: 'pauseControls' },
+            blacklist: { role: 'BLACKLIST_ROLE', elementId: 'blacklistControls' }
+        };
+        
+        // ERC-165 interface id of IAccessControl
+        this.accessControlInterfaceId = '0x7965db0b';
+        
+        // Access model of the loaded token: 'ownable' | 'accessControl' | null
+        this.accessModel = null;
+        this.permissions = { mint: false, pause: false, blacklist: false };
+        
+        // Live event subscription for the loaded token
+        this.eventFeed = null;
+        this.tokenRefreshTimer = null;
+        
+        // Token address → balance of the connected account, for the portfolio list
+        this.portfolioBalances = {};
+        
+        // Airdrop plan for the loaded token (persisted so a failed run can resume)
+        this.airdrop = null;
+        this.airdropRunning = false;
+        
+        // Decodes reverts into readable messages; role hashes are shown by name
+        const roleNames = {};
+        Object.entries({ ...this.roles, ...this.timeLockRoles, PROPOSER_ROLE: ethers.utils.id('PROPOSER_ROLE') })
+            .forEach(([name, hash]) => { roleNames[hash] = name; });
+        this.revertDecoder = new RevertDecoder(roleNames);
+        
+
+        this.init();
+    }
+    
     async init() {
         console.log('DApp 초기화 중...');
         
-        // Check if MetaMask is installed
-        if (typeof window.ethereum !== 'undefined') {
-            console.log('MetaMask 감지됨');
-            this.web3 = new ethers.providers.Web3Provider(window.ethereum);
-            this.setupEventListeners();
-            this.updateConnectionStatus();
-            
-            // Auto-connect if previously connected
+        this.setupEventListeners();
+        
+        // Discover available wallets (EIP-6963 first, then the legacy injected provider)
+        await this.discoverConnectors();
+        this.updateConnectionStatus();
+        
+        // Auto-connect if previously connected
+        const savedConnectorId = localStorage.getItem('walletConnector');
+        const saved = this.connectors.find(connector => connector.id === savedConnectorId);
+        
+        if (saved && !saved.readOnly) {
             try {
-                const accounts = await window.ethereum.request({ method: 'eth_accounts' });
+                const accounts = await saved.getAccounts();
                 if (accounts.length > 0) {
                     console.log('기존 연결된 계정 발견:', accounts[0]);
+                    document.getElementById('walletConnector').value = saved.id;
                     await this.connectWallet();
                 }
             } catch (error) {
                 console.error('자동 연결 실패:', error);
             }
-        } else {
-            console.error('MetaMask가 설치되지 않음');
-            this.showError('MetaMask가 설치되지 않았습니다. MetaMask를 설치해주세요.');
+        } else if (!this.connectors.some(connector => !connector.readOnly)) {
+            console.error('브라우저 지갑이 감지되지 않음');
+            this.showError('브라우저 지갑이 감지되지 않았습니다. 지갑을 설치하거나 읽기 전용 모드로 연결해주세요.');
         }
         
         // Set default contract addresses
-        this.setDefaultContractAddresses();
+        this.renderNetworkOptions();
+        this.updateNetworkRegistryControls();
+        this.renderPortfolio();
+        await this.applyNetworkDefaults();
+    }
+    
+    async discoverConnectors() {
+        const discovered = await EIP6963Connector.discover();
+        console.log('EIP-6963 지갑:', discovered.map(connector => connector.name));
+        
+        this.connectors = [...discovered];
+        
+        // Legacy injected provider, unless it was already announced through EIP-6963
+        if (typeof window.ethereum !== 'undefined' &&
+            !discovered.some(connector => connector.provider === window.ethereum)) {
+            this.connectors.push(new InjectedConnector(window.ethereum));
+        }
+        
+        // Read-only connector is created on connect for the selected network
+        this.connectors.push({ id: 'readonly', name: '읽기 전용 (지갑 없음)', readOnly: true });
+        
+        const select = document.getElementById('walletConnector');
+        select.innerHTML = '';
+        for (const connector of this.connectors) {
+            const option = document.createElement('option');
+            option.value = connector.id;
+            option.textContent = connector.name;
+            select.appendChild(option);
+        }
+        select.value = this.connectors[0].id;
+        this.onConnectorChange();
+    }
+    
+    onConnectorChange() {
+        const isReadOnly = document.getElementById('walletConnector').value === 'readonly';
+        document.getElementById('watchAddressGroup').style.display = isReadOnly ? 'block' : 'none';
+    }
+    
+    createConnector(connectorId) {
+        if (connectorId === 'readonly') {
+            const selectedNetwork = document.getElementById('networkSelect').value;
+            const watchAddress = document.getElementById('watchAddress').value.trim();
+            
+            if (watchAddress && !ethers.utils.isAddress(watchAddress)) {
+                throw new Error('올바른 조회 주소를 입력해주세요.');
+            }
+            
+            return new ReadOnlyConnector(this.networks[selectedNetwork], watchAddress || null);
+        }
+        
+        const connector = this.connectors.find(item => item.id === connectorId);
+        if (!connector) {
+            throw new Error('선택한 지갑을 찾을 수 없습니다.');
+        }
+        return connector;
+    }
+    
+    // Signer for transactions; a read-only signer in read-only mode
+    getSigner() {
+        if (!this.connector) {
+            throw new Error('먼저 지갑을 연결해주세요.');
+        }
+        return this.connector.getSigner(this.account || undefined);
     }
     
     setupEventListeners() {
@@ -93,747 +1097,2300 @@ class StableCoinDApp {
             console.log('연결 버튼 클릭됨');
             this.connectWallet();
         });
+        document.getElementById('walletConnector').addEventListener('change', () => this.onConnectorChange());
         
         // Debug test button
         document.getElementById('testButton').addEventListener('click', () => {
             console.log('디버그 테스트 시작');
-            console.log('window.ethereum 존재:', !!window.ethereum);
+            console.log('감지된 지갑:', this.connectors.map(connector => connector.name));
+            console.log('현재 커넥터:', this.connector ? this.connector.name : null);
+            console.log('읽기 전용:', this.connector ? this.connector.readOnly : null);
             console.log('ethers 존재:', !!window.ethers);
             console.log('DApp 인스턴스:', this);
             
-            if (window.ethereum) {
-                console.log('MetaMask 버전:', window.ethereum.version);
-                console.log('isMetaMask:', window.ethereum.isMetaMask);
-            }
-            
             this.showSuccess('콘솔을 확인해주세요 (F12 → Console)');
         });
         
         // Contract loading
         document.getElementById('loadContract').addEventListener('click', () => this.loadContract());
+        document.getElementById('refreshPortfolio').addEventListener('click', () => this.refreshPortfolio());
         document.getElementById('testConnection').addEventListener('click', () => this.testContractConnection());
         
-        // Token operations
-        document.getElementById('refreshBalance').addEventListener('click', () => this.refreshBalance());
-        document.getElementById('transferTokens').addEventListener('click', () => this.transferTokens());
-        document.getElementById('fillRecipientAddress').addEventListener('click', () => this.fillRecipientAddress());
+        // Token operations
+        document.getElementById('refreshBalance').addEventListener('click', () => this.refreshBalance());
+        document.getElementById('transferTokens').addEventListener('click', () => this.transferTokens());
+        document.getElementById('fillRecipientAddress').addEventListener('click', () => this.fillRecipientAddress());
+        
+        // Airdrop
+        document.getElementById('airdropFile').addEventListener('change', (event) => this.loadAirdropFile(event));
+        document.getElementById('parseAirdrop').addEventListener('click', () => this.prepareAirdrop());
+        document.getElementById('startAirdrop').addEventListener('click', () => this.runAirdrop());
+        document.getElementById('resetAirdrop').addEventListener('click', () => this.resetAirdrop());
+        
+        // Allowances
+        document.getElementById('approveAllowance').addEventListener('click', () => this.changeAllowance('set'));
+        document.getElementById('increaseAllowance').addEventListener('click', () => this.changeAllowance('increase'));
+        document.getElementById('decreaseAllowance').addEventListener('click', () => this.changeAllowance('decrease'));
+        document.getElementById('transferFromTokens').addEventListener('click', () => this.spendAllowance('transferFrom'));
+        document.getElementById('burnFromTokens').addEventListener('click', () => this.spendAllowance('burnFrom'));
+        document.getElementById('refreshAllowances').addEventListener('click', () => this.loadAllowances());
+        
+        // Admin functions
+        document.getElementById('mintTokens').addEventListener('click', () => this.mintTokens());
+        document.getElementById('mintTokensAlt').addEventListener('click', () => this.mintTokensAlternative());
+        document.getElementById('fillMyAddress').addEventListener('click', () => this.fillMyAddress());
+        document.getElementById('refreshMetaMask').addEventListener('click', () => this.refreshMetaMask());
+        document.getElementById('burnTokens').addEventListener('click', () => this.burnTokens());
+        document.getElementById('togglePause').addEventListener('click', () => this.togglePause());
+        document.getElementById('addBlacklist').addEventListener('click', () => this.addToBlacklist());
+        document.getElementById('removeBlacklist').addEventListener('click', () => this.removeFromBlacklist());
+        document.getElementById('checkBlacklist').addEventListener('click', () => this.checkBlacklistStatus());
+        
+        // MultiSig functions
+        document.getElementById('loadMultiSig').addEventListener('click', () => this.loadMultiSig());
+        document.getElementById('refreshMultiSig').addEventListener('click', () => this.listMultiSigTransactions());
+        document.getElementById('proposalFunction').addEventListener('change', () => this.updateProposalInputs());
+        document.getElementById('submitProposal').addEventListener('click', () => this.submitMultiSigProposal());
+        document.getElementById('batchConfirm').addEventListener('click', () => this.batchConfirmMultiSig());
+        
+        // TimeLock functions
+        document.getElementById('loadTimeLock').addEventListener('click', () => this.loadTimeLock());
+        document.getElementById('refreshTimeLock').addEventListener('click', () => this.loadTimeLockQueue());
+        
+        // Transaction history
+        document.getElementById('clearTxHistory').addEventListener('click', () => this.txTracker.clear());
+        
+        // Network selection
+        document.getElementById('networkSelect').addEventListener('change', () => this.onNetworkChange());
+        
+        // Network registry
+        document.getElementById('addNetwork').addEventListener('click', () => this.addCustomNetwork());
+        document.getElementById('removeNetwork').addEventListener('click', () => this.removeCustomNetwork());
+        document.getElementById('saveNetworkDefaults').addEventListener('click', () => this.saveNetworkDefaults());
+        document.getElementById('addNetworkToWallet').addEventListener('click', () => this.addNetworkToWallet());
+    }
+    
+    // Account and network change listeners for the active connector
+    attachConnectorListeners(connector) {
+        connector.on('accountsChanged', (accounts) => {
+            if (accounts.length === 0) {
+                this.disconnect();
+            } else {
+                this.connectWallet();
+            }
+        });
+        
+        connector.on('chainChanged', (chainId) => {
+            window.location.reload();
+        });
+    }
+    
+    setDefaultContractAddresses() {
+        const network = this.networks[document.getElementById('networkSelect').value];
+        const defaults = (network && network.defaults) || {};
+        
+        // Set default contract addresses for the selected network
+        document.getElementById('contractAddress').value = defaults.token || '';
+        document.getElementById('multiSigAddress').value = defaults.multiSig || '';
+        document.getElementById('timeLockAddress').value = defaults.timeLock || '';
+    }
+    
+    async connectWallet() {
+        console.log('connectWallet 함수 호출됨');
+        try {
+            this.showLoading(true);
+            
+            const connectorId = document.getElementById('walletConnector').value;
+            const connector = this.createConnector(connectorId);
+            
+            console.log(`${connector.name}에 계정 요청 중...`);
+            const accounts = await connector.connect();
+            
+            console.log('받은 계정들:', accounts);
+            if (accounts.length === 0 && !connector.readOnly) {
+                throw new Error('계정을 선택해주세요.');
+            }
+            
+            if (this.connector && this.connector !== connector) {
+                this.connector.disconnect();
+            }
+            if (this.connector !== connector) {
+                this.attachConnectorListeners(connector);
+            }
+            
+            this.connector = connector;
+            this.web3 = connector.getProvider();
+            this.account = accounts[0] || null;
+            this.chainId = await connector.getChainId();
+            localStorage.setItem('walletConnector', connector.id);
+            this.updateTransactionContext();
+            
+            console.log('연결된 계정:', this.account);
+            console.log('체인 ID:', this.chainId);
+            
+            // UI 업데이트 순서 중요: 먼저 연결 상태를 업데이트하고 지갑 정보를 업데이트
+            this.updateConnectionStatus();
+            await this.updateWalletInfo();
+            await this.refreshPortfolio();
+            
+            this.showLoading(false);
+            this.showSuccess(`${connector.name} 연결 성공!`);
+            
+        } catch (error) {
+            console.error('지갑 연결 오류:', error);
+            this.showLoading(false);
+            this.showError('지갑 연결 실패: ' + this.describeError(error));
+        }
+    }
+    
+    async updateWalletInfo() {
+        console.log('updateWalletInfo 호출됨, account:', this.account);
+        if (this.connector) {
+            document.getElementById('currentNetwork').textContent = this.getNetworkName();
+        }
+        
+        if (!this.account) {
+            console.log('계정이 없어서 리턴');
+            document.getElementById('walletInfo').style.display = 'none';
+            return;
+        }
+        
+        try {
+            console.log('지갑 주소 업데이트 중...');
+            document.getElementById('walletAddress').textContent = 
+                this.account.slice(0, 6) + '...' + this.account.slice(-4);
+            
+            console.log('ETH 잔액 조회 중...');
+            // Get ETH balance
+            const balance = await this.web3.getBalance(this.account);
+            console.log('조회된 잔액:', balance.toString());
+            document.getElementById('ethBalance').textContent = 
+                parseFloat(ethers.utils.formatEther(balance)).toFixed(4) + ' ETH';
+            
+            console.log('지갑 정보 섹션 표시 중...');
+            document.getElementById('walletInfo').style.display = 'block';
+            
+            // Update network info
+            const networkName = this.getNetworkName();
+            console.log('네트워크명:', networkName);
+            document.getElementById('currentNetwork').textContent = networkName;
+            
+            console.log('updateWalletInfo 완료');
+        } catch (error) {
+            console.error('지갑 정보 업데이트 실패:', error);
+        }
+    }
+    
+    updateConnectionStatus() {
+        console.log('updateConnectionStatus 호출됨, account:', this.account);
+        const statusDiv = document.getElementById('connectionStatus');
+        console.log('statusDiv 요소:', !!statusDiv);
+        
+        if (this.connector && this.connector.readOnly) {
+            console.log('읽기 전용 상태로 업데이트');
+            statusDiv.className = 'status connected';
+            statusDiv.textContent = `👀 읽기 전용 모드 (${this.connector.network.name})`;
+        } else if (this.account) {
+            console.log('연결됨 상태로 업데이트');
+            statusDiv.className = 'status connected';
+            statusDiv.textContent = `✅ ${this.connector.name} 연결됨`;
+        } else {
+            console.log('연결 안됨 상태로 업데이트');
+            statusDiv.className = 'status disconnected';
+            statusDiv.textContent = '❌ 지갑 연결되지 않음';
+        }
+        console.log('updateConnectionStatus 완료, 클래스:', statusDiv.className, '텍스트:', statusDiv.textContent);
+    }
+    
+    disconnect() {
+        this.stopLiveEvents();
+        if (this.connector) {
+            this.connector.disconnect();
+        }
+        this.connector = null;
+        this.web3 = null;
+        this.account = null;
+        this.contract = null;
+        this.accessModel = null;
+        this.updateTransactionContext();
+        document.getElementById('walletInfo').style.display = 'none';
+        document.getElementById('tokenInfo').style.display = 'none';
+        document.getElementById('transferSection').style.display = 'none';
+        document.getElementById('allowanceSection').style.display = 'none';
+        document.getElementById('airdropSection').style.display = 'none';
+        document.getElementById('adminSection').style.display = 'none';
+        this.airdrop = null;
+        this.updateConnectionStatus();
+    }
+    
+    async loadContract() {
+        console.log('loadContract 함수 호출됨');
+        try {
+            this.showLoading(true);
+            console.log('로딩 표시 시작');
+            
+            if (!this.connector) {
+                console.log('지갑이 연결되지 않음');
+                throw new Error('먼저 지갑을 연결해주세요.');
+            }
+            
+            const contractAddress = document.getElementById('contractAddress').value;
+            console.log('컨트랙트 주소:', contractAddress);
+            
+            if (!contractAddress || !ethers.utils.isAddress(contractAddress)) {
+                console.log('잘못된 컨트랙트 주소');
+                throw new Error('올바른 컨트랙트 주소를 입력해주세요.');
+            }
+            
+            console.log('네트워크 확인 및 전환 중...');
+            // Check if we need to switch networks
+            await this.checkAndSwitchNetwork();
+            
+            console.log('컨트랙트 인스턴스 생성 중...');
+            const signer = this.getSigner();
+            this.contract = new ethers.Contract(contractAddress, this.tokenABI, signer);
+            this.accessModel = null;
+            this.restoreAirdrop();
+            
+            console.log('토큰 정보 로드 중...');
+            await this.loadTokenInfo();
+            
+            console.log('포트폴리오에 추가 중...');
+            await this.addToPortfolio(this.contract);
+            
+            console.log('실시간 이벤트 구독 시작...');
+            // Not awaited: the feed reports its own status and must not hold up loading
+            this.startLiveEvents();
+            
+            console.log('컨트랙트 로드 완료');
+            this.showLoading(false);
+            this.showSuccess('토큰 컨트랙트 로드 완료!');
+            
+        } catch (error) {
+            console.error('컨트랙트 로드 오류:', error);
+            console.error('오류 상세:', error.message);
+            this.showLoading(false);
+            this.showError('컨트랙트 로드 실패: ' + this.describeError(error));
+            
+            // 컨트랙트 초기화
+            this.stopLiveEvents();
+            this.contract = null;
+        }
+    }
+    
+    async loadTokenInfo() {
+        console.log('loadTokenInfo 함수 호출됨');
+        if (!this.contract) {
+            console.log('컨트랙트가 없어서 리턴');
+            return;
+        }
+        
+        try {
+            console.log('토큰 기본 정보 조회 중...');
+            const [name, symbol, decimals, totalSupply] = await Promise.all([
+                this.contract.name(),
+                this.contract.symbol(),
+                this.contract.decimals(),
+                this.contract.totalSupply()
+            ]);
+            
+            console.log('토큰 정보:', { name, symbol, decimals: decimals.toString(), totalSupply: totalSupply.toString() });
+            
+            document.getElementById('tokenName').textContent = name;
+            document.getElementById('tokenSymbol').textContent = symbol;
+            document.getElementById('totalSupply').textContent = 
+                parseFloat(ethers.utils.formatEther(totalSupply)).toLocaleString() + ' ' + symbol;
+            
+            console.log('잔액 새로고침 중...');
+            await this.refreshBalance();
+            
+            console.log('관리자 상태 확인 중...');
+            // Check admin status
+            await this.checkAdminStatus();
+            
+            console.log('토큰 정보 UI 표시 중...');
+            document.getElementById('tokenInfo').style.display = 'block';
+            document.getElementById('transferSection').style.display = 'block';
+            document.getElementById('airdropSection').style.display = this.account ? 'block' : 'none';
+            
+            console.log('승인 한도 조회 중...');
+            await this.loadAllowances();
+            
+            console.log('loadTokenInfo 완료');
+            
+        } catch (error) {
+            console.error('토큰 정보 로드 오류:', error);
+            console.error('오류 상세:', error.message);
+            throw new Error('토큰 정보를 가져올 수 없습니다: ' + this.describeError(error));
+        }
+    }
+    
+    async refreshBalance() {
+        if (!this.contract || !this.account) return;
+        
+        try {
+            const balance = await this.contract.balanceOf(this.account);
+            const symbol = await this.contract.symbol();
+            
+            document.getElementById('tokenBalance').textContent = 
+                parseFloat(ethers.utils.formatEther(balance)).toLocaleString() + ' ' + symbol;
+            
+        } catch (error) {
+            this.showError('잔액 조회 실패: ' + this.describeError(error));
+        }
+    }
+    
+    async transferTokens() {
+        console.log('transferTokens 함수 호출됨');
+        try {
+            this.showLoading(true);
+            
+            if (!this.contract) {
+                throw new Error('먼저 토큰 컨트랙트를 로드해주세요.');
+            }
+            this.requireWallet();
+            
+            const recipient = document.getElementById('recipientAddress').value;
+            const amount = document.getElementById('transferAmount').value;
+            
+            console.log('전송 정보:', { recipient, amount });
+            
+            if (!recipient || !ethers.utils.isAddress(recipient)) {
+                throw new Error('올바른 받는 주소를 입력해주세요.');
+            }
+            
+            if (!amount || parseFloat(amount) <= 0) {
+                throw new Error('올바른 전송 금액을 입력해주세요.');
+            }
+            
+            const amountWei = ethers.utils.parseEther(amount);
+            console.log('전송 금액 (Wei):', amountWei.toString());
+            
+            // 서명 전 시뮬레이션 (잔액, 일시정지, 블랙리스트, 가스)
+            console.log('transfer 시뮬레이션 중...');
+            const simulation = await this.runSimulation('토큰 전송', 'transfer', [recipient, amountWei], {
+                holder: this.account,
+                recipient,
+                amount: amountWei
+            });
+            
+            // 대안적 transfer 방식 시도
+            console.log('대안적 transfer 방식으로 전송 시도');
+            const txParams = {
+                to: this.contract.address,
+                from: this.account,
+                data: this.contract.interface.encodeFunctionData('transfer', [recipient, amountWei]),
+                gas: ethers.utils.hexValue(simulation.gasLimit),
+            };
+            
+            console.log('transfer 트랜잭션 파라미터:', txParams);
+            
+            // 여러 방법으로 트랜잭션 시도
+            let txHash;
+            
+            try {
+                console.log('방법 1: eth_sendTransaction 시도...');
+                const txPromise = this.connector.request({
+                    method: 'eth_sendTransaction',
+                    params: [txParams],
+                });
+                
+                const timeoutPromise = new Promise((_, reject) =>
+                    setTimeout(() => reject(new Error('transfer 트랜잭션 타임아웃')), 10000)
+                );
+                
+                txHash = await Promise.race([txPromise, timeoutPromise]);
+                console.log('transfer 방법 1 성공!');
+                
+            } catch (error) {
+                console.log('transfer 방법 1 실패:', error.message);
+                
+                try {
+                    console.log('방법 2: 지갑 권한 재요청 후 시도...');
+                    await this.connector.request({ method: 'wallet_requestPermissions', params: [{ eth_accounts: {} }] });
+                    
+                    txHash = await this.connector.request({
+                        method: 'eth_sendTransaction',
+                        params: [txParams],
+                    });
+                    console.log('transfer 방법 2 성공!');
+                    
+                } catch (error2) {
+                    console.log('transfer 방법 2 실패:', error2.message);
+                    throw new Error(`토큰 전송 실패. ${this.connector.name} 팝업을 확인하거나 페이지를 새로고침해주세요.`, { cause: error2 });
+                }
+            }
+            
+            console.log('transfer 트랜잭션 해시:', txHash);
+            this.showSuccess(`토큰 전송 트랜잭션 전송됨! 해시: ${txHash}`);
+            
+            // Clear form (balances refresh once the transaction is confirmed)
+            document.getElementById('recipientAddress').value = '';
+            document.getElementById('transferAmount').value = '';
+            
+            const receipt = await this.trackTransaction(txHash, `토큰 전송 (${amount} → ${recipient})`);
+            
+            this.showLoading(false);
+            this.showSuccess(`토큰 전송 완료! 트랜잭션: ${receipt.transactionHash}`);
+            
+        } catch (error) {
+            console.error('토큰 전송 오류:', error);
+            this.showLoading(false);
+            this.showError('토큰 전송 실패: ' + this.describeError(error));
+        }
+    }
+    
+    async checkAndSwitchNetwork() {
+        const selectedNetwork = document.getElementById('networkSelect').value;
+        const targetNetwork = this.networks[selectedNetwork];
+        
+        if (!this.connector) {
+            throw new Error('먼저 지갑을 연결해주세요.');
+        }
+        
+        // Read-only mode has no wallet to switch; reconnect to the selected network's RPC instead
+        if (this.connector.readOnly) {
+            if (this.connector.network !== targetNetwork) {
+                this.connector = new ReadOnlyConnector(targetNetwork, this.connector.watchAddress);
+                this.web3 = this.connector.getProvider();
+                this.updateConnectionStatus();
+            }
+            this.chainId = await this.connector.getChainId();
+            console.log('읽기 전용 체인 ID:', this.chainId);
+            this.updateTransactionContext();
+            return;
+        }
+        
+        // Update current chain ID
+        this.chainId = await this.connector.getChainId();
+        console.log('현재 체인 ID:', this.chainId, '목표 체인 ID:', targetNetwork.chainId);
+        
+        if (this.chainId.toLowerCase() !== targetNetwork.chainId.toLowerCase()) {
+            try {
+                await this.connector.request({
+                    method: 'wallet_switchEthereumChain',
+                    params: [{ chainId: targetNetwork.chainId }],
+                });
+            } catch (switchError) {
+                // Network not added to the wallet
+                if (switchError.code === 4902) {
+                    try {
+                        console.log('타겟 네트워크:', targetNetwork);
+                        
+                        const networkParams = this.getAddChainParams(targetNetwork);
+                        
+                        console.log('네트워크 매개변수:', networkParams);
+                        
+                        await this.connector.request({
+                            method: 'wallet_addEthereumChain',
+                            params: [networkParams],
+                        });
+                        
+                        console.log('네트워크 추가 성공!');
+                    } catch (addError) {
+                        console.error('네트워크 추가 실패:', addError);
+                        throw new Error('네트워크 추가 실패: ' + addError.message);
+                    }
+                } else {
+                    throw new Error('네트워크 전환 실패');
+                }
+            }
+        }
+        
+        // Update chain ID after network change
+        this.chainId = await this.connector.getChainId();
+        console.log('최종 체인 ID:', this.chainId);
+        this.updateTransactionContext();
+    }
+    
+    onNetworkChange() {
+        // Update default contract addresses based on network
+        this.applyNetworkDefaults();
+        this.updateNetworkRegistryControls();
+        
+        // Hide token info until new contract is loaded
+        document.getElementById('tokenInfo').style.display = 'none';
+        document.getElementById('transferSection').style.display = 'none';
+        document.getElementById('allowanceSection').style.display = 'none';
+        document.getElementById('airdropSection').style.display = 'none';
+        document.getElementById('adminSection').style.display = 'none';
+        this.stopLiveEvents();
+        
+        // Saved tokens are kept per network
+        this.renderPortfolio();
+    }
+    
+    getNetworkName() {
+        const network = this.getNetworkConfig();
+        if (network) return network.name;
+        
+        const networkNames = {
+            '0x1': 'Ethereum Mainnet',
+            '0x89': 'Polygon',
+            '0xAA36A7': 'Sepolia Testnet',
+            '0x7A69': 'Hardhat Local'
+        };
+        
+        return networkNames[this.chainId] || `Unknown (${this.chainId})`;
+    }
+    
+    fillMyAddress() {
+        if (!this.account) {
+            this.showError('먼저 지갑을 연결해주세요.');
+            return;
+        }
+        
+        const mintAddressField = document.getElementById('mintAddress');
+        mintAddressField.value = this.account;
+        console.log('내 주소로 자동 채움:', this.account);
+        this.showSuccess('내 주소로 설정되었습니다.');
+    }
+    
+    fillRecipientAddress() {
+        if (!this.account) {
+            this.showError('먼저 지갑을 연결해주세요.');
+            return;
+        }
+        
+        const recipientAddressField = document.getElementById('recipientAddress');
+        recipientAddressField.value = this.account;
+        console.log('받는 주소를 내 주소로 자동 채움:', this.account);
+        this.showSuccess('받는 주소가 내 주소로 설정되었습니다.');
+    }
+    
+    async refreshMetaMask() {
+        console.log('지갑 연결 새로고침 시도');
+        try {
+            this.showLoading(true);
+            this.requireWallet();
+            
+            // 1. 지갑 연결 강제 새로고침
+            console.log('1. 지갑 연결 재요청');
+            await this.connector.connect();
+            
+            // 2. 계정 정보 업데이트
+            console.log('2. 계정 정보 업데이트');
+            const accounts = await this.connector.getAccounts();
+            this.account = accounts[0];
+            
+            // 3. 네트워크 정보 업데이트
+            console.log('3. 네트워크 정보 업데이트');
+            this.chainId = await this.connector.getChainId();
+            this.web3 = this.connector.getProvider();
+            this.updateTransactionContext();
+            
+            // 4. UI 업데이트
+            console.log('4. UI 업데이트');
+            this.updateConnectionStatus();
+            await this.updateWalletInfo();
+            
+            this.showLoading(false);
+            this.showSuccess(`${this.connector.name} 연결이 새로고침되었습니다!`);
+            
+        } catch (error) {
+            console.error('지갑 새로고침 실패:', error);
+            this.showLoading(false);
+            this.showError('지갑 새로고침 실패: ' + this.describeError(error));
+        }
+    }
+    
+    // Guard for flows that talk to the wallet directly (eth_sendTransaction etc.)
+    requireWallet() {
+        if (!this.connector) {
+            throw new Error('먼저 지갑을 연결해주세요.');
+        }
+        if (this.connector.readOnly) {
+            throw new Error('읽기 전용 모드에서는 트랜잭션을 보낼 수 없습니다. 지갑을 연결해주세요.');
+        }
+    }
+    
+    async testContractConnection() {
+        console.log('컨트랙트 연결 테스트 시작');
+        try {
+            this.showLoading(true);
+            
+            if (!this.connector) {
+                throw new Error('먼저 지갑을 연결해주세요.');
+            }
+            
+            const contractAddress = document.getElementById('contractAddress').value;
+            if (!contractAddress || !ethers.utils.isAddress(contractAddress)) {
+                throw new Error('올바른 컨트랙트 주소를 입력해주세요.');
+            }
+            
+            // 기본 연결 테스트
+            console.log('1. 기본 연결 테스트');
+            const provider = this.web3;
+            const code = await provider.getCode(contractAddress);
+            console.log('컨트랙트 코드 존재:', code !== '0x');
+            
+            if (code === '0x') {
+                throw new Error('해당 주소에 컨트랙트가 배포되지 않았습니다.');
+            }
+            
+            // 네트워크 확인
+            console.log('2. 네트워크 확인');
+            const network = await provider.getNetwork();
+            console.log('네트워크 정보:', network);
+            
+            // 컨트랙트 생성 및 기본 호출 테스트
+            console.log('3. 컨트랙트 인스턴스 테스트');
+            const signer = this.getSigner();
+            const contract = new ethers.Contract(contractAddress, this.tokenABI, signer);
+            
+            // 읽기 전용 함수들 테스트
+            console.log('4. 읽기 함수들 테스트');
+            const name = await contract.name();
+            const symbol = await contract.symbol();
+            const totalSupply = await contract.totalSupply();
+            console.log('토큰 정보:', { name, symbol, totalSupply: totalSupply.toString() });
+            
+            // 트랜잭션 가능 여부 테스트 (실제 실행 안함)
+            if (this.account) {
+                console.log('5. 트랜잭션 시뮬레이션 테스트');
+                const balance = await contract.balanceOf(this.account);
+                console.log('현재 잔액:', balance.toString());
+                
+                // 가스 추정 테스트 (작은 금액으로)
+                try {
+                    const gasEstimate = await contract.estimateGas.transfer(this.account, 1);
+                    console.log('전송 가스 추정 성공:', gasEstimate.toString());
+                } catch (gasError) {
+                    console.log('전송 가스 추정 실패 (정상일 수 있음):', gasError.message);
+                }
+            }
+            
+            this.showLoading(false);
+            this.showSuccess('컨트랙트 연결 테스트 완료! 콘솔에서 상세 정보를 확인하세요.');
+            
+        } catch (error) {
+            console.error('연결 테스트 실패:', error);
+            this.showLoading(false);
+            this.showError('연결 테스트 실패: ' + this.describeError(error));
+        }
+    }
+    
+    async mintTokensAlternative() {
+        console.log('대안적 mint 방식 시도');
+        try {
+            this.showLoading(true);
+            
+            if (!this.contract) {
+                throw new Error('먼저 토큰 컨트랙트를 로드해주세요.');
+            }
+            
+            const mintAddress = document.getElementById('mintAddress').value;
+            const mintAmount = document.getElementById('mintAmount').value;
+            
+            console.log('대안 방식 - 입력값 확인:', {
+                mintAddress: `"${mintAddress}"`,
+                mintAddressLength: mintAddress ? mintAddress.length : 0,
+                mintAmount: `"${mintAmount}"`
+            });
+            
+            console.log('주소 검증 결과:', ethers.utils.isAddress(mintAddress));
+            
+            if (!mintAddress) {
+                throw new Error('받는 주소를 입력해주세요.');
+            }
+            
+            if (!ethers.utils.isAddress(mintAddress)) {
+                throw new Error(`올바른 이더리움 주소 형식이 아닙니다. 입력값: "${mintAddress}"`);
+            }
+            
+            if (!mintAmount || parseFloat(mintAmount) <= 0) {
+                throw new Error('올바른 발행 수량을 입력해주세요.');
+            }
+            
+            const amountWei = ethers.utils.parseEther(mintAmount);
+            this.requireWallet();
+            
+            const simulation = await this.runSimulation('토큰 발행', 'mint', [mintAddress, amountWei], {
+                recipient: mintAddress,
+                amount: amountWei
+            });
+            
+            // 지갑 프로바이더를 직접 사용한 트랜잭션
+            console.log(`${this.connector.name}으로 직접 트랜잭션 전송`);
+            const txParams = {
+                to: this.contract.address,
+                from: this.account,
+                data: this.contract.interface.encodeFunctionData('mint', [mintAddress, amountWei]),
+                gas: ethers.utils.hexValue(simulation.gasLimit),
+            };
+            
+            console.log('트랜잭션 파라미터:', txParams);
+            
+            // 여러 방법으로 트랜잭션 시도
+            let txHash;
+            
+            try {
+                console.log('방법 1: eth_sendTransaction 시도...');
+                // 5초 타임아웃으로 시도
+                const txPromise = this.connector.request({
+                    method: 'eth_sendTransaction',
+                    params: [txParams],
+                });
+                
+                const timeoutPromise = new Promise((_, reject) =>
+                    setTimeout(() => reject(new Error('eth_sendTransaction 타임아웃')), 5000)
+                );
+                
+                txHash = await Promise.race([txPromise, timeoutPromise]);
+                console.log('방법 1 성공!');
+                
+            } catch (error) {
+                console.log('방법 1 실패:', error.message);
+                
+                try {
+                    console.log('방법 2: 지갑 직접 요청 시도...');
+                    // 지갑을 직접 열어보기
+                    await this.connector.request({ method: 'wallet_requestPermissions', params: [{ eth_accounts: {} }] });
+                    
+                    console.log('방법 2-1: 권한 후 재시도...');
+                    txHash = await this.connector.request({
+                        method: 'eth_sendTransaction',
+                        params: [txParams],
+                    });
+                    console.log('방법 2 성공!');
+                    
+                } catch (error2) {
+                    console.log('방법 2 실패:', error2.message);
+                    
+                    // 최종 대안: 사용자에게 직접 안내
+                    throw new Error(`${this.connector.name} 팝업이 나타나지 않습니다. 다음을 시도해보세요:\n1. 지갑 확장 프로그램을 직접 클릭\n2. 브라우저 팝업 차단 해제\n3. 페이지 새로고침 후 재시도\n\n원본 오류: ` + this.describeError(error), { cause: error });
+                }
+            }
+            
+            console.log('트랜잭션 해시:', txHash);
+            this.showSuccess(`대안 방식으로 트랜잭션 전송 완료! 해시: ${txHash}`);
+            
+            const receipt = await this.trackTransaction(txHash, `토큰 발행 (${mintAmount}, 대안 방식)`);
+            
+            this.showLoading(false);
+            this.showSuccess(`토큰 발행 완료! 트랜잭션: ${receipt.transactionHash}`);
+            
+        } catch (error) {
+            console.error('대안적 mint 실패:', error);
+            this.showLoading(false);
+            this.showError('대안적 mint 실패: ' + this.describeError(error));
+        }
+    }
+    
+    showLoading(show) {
+        document.getElementById('loading').style.display = show ? 'block' : 'none';
+    }
+    
+    showSuccess(message) {
+        const successDiv = document.getElementById('successMessage');
+        successDiv.textContent = message;
+        successDiv.style.display = 'block';
+        setTimeout(() => {
+            successDiv.style.display = 'none';
+        }, 5000);
+    }
+    
+    // Readable, localized reason for a failed action
+    describeError(error) {
+        return this.revertDecoder.decode(error);
+    }
+    
+    showError(message) {
+        const errorDiv = document.getElementById('errorMessage');
+        errorDiv.textContent = message;
+        errorDiv.style.display = 'block';
+        setTimeout(() => {
+            errorDiv.style.display = 'none';
+        }, 5000);
+    }
+    
+    // Live Events
+    async startLiveEvents() {
+        this.stopLiveEvents();
+        if (!this.contract) return;
+        
+        const network = this.getNetworkConfig();
+        this.eventFeed = new LiveEventFeed({
+            address: this.contract.address,
+            provider: this.web3,
+            wsUrl: network ? network.wsUrl : null,
+            onLog: log => this.handleLiveEvent(log),
+            onStatus: status => this.updateLiveStatus(status)
+        });
+        
+        try {
+            await this.eventFeed.start();
+        } catch (error) {
+            console.error('실시간 이벤트 구독 실패:', error);
+            this.updateLiveStatus('offline');
+        }
+    }
+    
+    stopLiveEvents() {
+        if (this.eventFeed) {
+            this.eventFeed.stop();
+            this.eventFeed = null;
+        }
+        clearTimeout(this.tokenRefreshTimer);
+        this.updateLiveStatus(null);
+    }
+    
+    updateLiveStatus(status) {
+        const labels = {
+            websocket: '🟢 실시간 (WebSocket)',
+            connecting: '🟡 WebSocket 연결 중 (블록 폴링으로 수신)',
+            polling: '🟢 실시간 (블록 폴링)',
+            reconnecting: '🟡 재연결 중 (블록 폴링으로 수신)',
+            offline: '🔴 연결 끊김 - 재시도 중'
+        };
+        document.getElementById('liveStatus').textContent = labels[status] || '-';
+    }
+    
+    handleLiveEvent(log) {
+        let event;
+        try {
+            event = this.contract.interface.parseLog(log);
+        } catch (error) {
+            return; // event we do not track
+        }
+        
+        const isMe = address => !!this.account && address.toLowerCase() === this.account.toLowerCase();
+        const short = address => address.slice(0, 6) + '...' + address.slice(-4);
+        const symbol = document.getElementById('tokenSymbol').textContent;
+        console.log('실시간 이벤트:', event.name, event.args);
+        
+        switch (event.name) {
+            case 'Transfer': {
+                const { from, to, value } = event.args;
+                if (isMe(to) && !isMe(from)) {
+                    const source = from === ethers.constants.AddressZero ? '발행' : short(from);
+                    this.notify(`📥 ${ethers.utils.formatEther(value)} ${symbol} 입금 (${source})`);
+                }
+                this.scheduleTokenRefresh();
+                break;
+            }
+            case 'Paused':
+            case 'Unpaused':
+                this.notify(event.name === 'Paused' ? '⏸️ 토큰 컨트랙트가 일시정지되었습니다.' : '▶️ 토큰 컨트랙트가 재개되었습니다.');
+                this.updatePauseStatus();
+                break;
+            case 'Blacklisted':
+            case 'AccountBlacklisted':
+                if (isMe(event.args.account)) {
+                    this.notify('⛔ 내 계정이 블랙리스트에 등록되었습니다.');
+                }
+                this.scheduleTokenRefresh();
+                break;
+            case 'UnBlacklisted':
+            case 'AccountUnBlacklisted':
+                if (isMe(event.args.account)) {
+                    this.notify('✅ 내 계정이 블랙리스트에서 해제되었습니다.');
+                }
+                this.scheduleTokenRefresh();
+                break;
+            case 'RoleGranted':
+            case 'RoleRevoked':
+                this.checkAdminStatus();
+                break;
+            default:
+                break;
+        }
+    }
+    
+    // Several events usually arrive together (e.g. an airdrop chunk); refresh once
+    scheduleTokenRefresh() {
+        clearTimeout(this.tokenRefreshTimer);
+        this.tokenRefreshTimer = setTimeout(() => this.refreshTokenStats(), 500);
+    }
+    
+    async refreshTokenStats() {
+        if (!this.contract) return;
+        
+        try {
+            const [totalSupply, symbol] = await Promise.all([
+                this.contract.totalSupply(),
+                this.contract.symbol()
+            ]);
+            document.getElementById('totalSupply').textContent =
+                parseFloat(ethers.utils.formatEther(totalSupply)).toLocaleString() + ' ' + symbol;
+            
+            await this.refreshBalance();
+            await this.refreshPortfolio();
+        } catch (error) {
+            console.error('토큰 정보 갱신 실패:', error);
+        }
+    }
+    
+    notify(message) {
+        const container = document.getElementById('notifications');
+        const item = document.createElement('div');
+        item.className = 'notification';
+        item.textContent = message;
+        container.appendChild(item);
+        
+        setTimeout(() => item.remove(), 8000);
+    }
+    
+    // Token Portfolio
+    // Saved token contracts per network (localStorage), with balances for the connected account
+    getPortfolioKey() {
+        const network = this.networks[document.getElementById('networkSelect').value];
+        return network ? `tokenPortfolio:${parseInt(network.chainId, 16)}` : null;
+    }
+    
+    getPortfolio() {
+        const key = this.getPortfolioKey();
+        if (!key) return [];
+        
+        try {
+            return JSON.parse(localStorage.getItem(key)) || [];
+        } catch (error) {
+            console.error('포트폴리오 로드 실패:', error);
+            return [];
+        }
+    }
+    
+    savePortfolio(tokens) {
+        const key = this.getPortfolioKey();
+        if (key) {
+            localStorage.setItem(key, JSON.stringify(tokens));
+        }
+    }
+    
+    // Which of the project's token contracts is deployed at this address
+    async detectTokenType(contract) {
+        const supportsAccessControl = await contract.supportsInterface(this.accessControlInterfaceId).catch(() => false);
+        if (supportsAccessControl) return 'GovernedStableCoin';
+        
+        const code = await contract.provider.getCode(contract.address);
+        const batchSelector = contract.interface.getSighash('batchTransfer').slice(2);
+        return code.includes(batchSelector) ? 'OptimizedStableCoin' : 'StableCoin';
+    }
+    
+    async addToPortfolio(contract) {
+        const tokens = this.getPortfolio();
+        const address = ethers.utils.getAddress(contract.address);
+        
+        const [name, symbol, type] = await Promise.all([
+            contract.name(),
+            contract.symbol(),
+            this.detectTokenType(contract)
+        ]);
+        
+        const existing = tokens.find(token => token.address === address);
+        if (existing) {
+            Object.assign(existing, { name, symbol, type });
+        } else {
+            tokens.push({ address, name, symbol, type, addedAt: Date.now() });
+        }
+        
+        this.savePortfolio(tokens);
+        await this.refreshPortfolio();
+    }
+    
+    removeFromPortfolio(address) {
+        this.savePortfolio(this.getPortfolio().filter(token => token.address !== address));
+        delete this.portfolioBalances[address];
+        this.renderPortfolio();
+    }
+    
+    async selectPortfolioToken(address) {
+        document.getElementById('contractAddress').value = address;
+        await this.loadContract();
+    }
+    
+    async refreshPortfolio() {
+        const tokens = this.getPortfolio();
+        this.portfolioBalances = {};
+        
+        if (this.web3 && this.account) {
+            const results = await Promise.all(tokens.map(token => {
+                const contract = new ethers.Contract(token.address, this.tokenABI, this.web3);
+                return contract.balanceOf(this.account).catch(error => {
+                    console.error(`${token.symbol} 잔액 조회 실패:`, error);
+                    return null;
+                });
+            }));
+            tokens.forEach((token, i) => { this.portfolioBalances[token.address] = results[i]; });
+        }
+        
+        this.renderPortfolio();
+    }
+    
+    renderPortfolio() {
+        const list = document.getElementById('portfolioList');
+        list.innerHTML = '';
         
-        // Admin functions
-        document.getElementById('mintTokens').addEventListener('click', () => this.mintTokens());
-        document.getElementById('mintTokensAlt').addEventListener('click', () => this.mintTokensAlternative());
-        document.getElementById('fillMyAddress').addEventListener('click', () => this.fillMyAddress());
-        document.getElementById('refreshMetaMask').addEventListener('click', () => this.refreshMetaMask());
-        document.getElementById('burnTokens').addEventListener('click', () => this.burnTokens());
-        document.getElementById('togglePause').addEventListener('click', () => this.togglePause());
-        document.getElementById('addBlacklist').addEventListener('click', () => this.addToBlacklist());
-        document.getElementById('removeBlacklist').addEventListener('click', () => this.removeFromBlacklist());
-        document.getElementById('checkBlacklist').addEventListener('click', () => this.checkBlacklistStatus());
+        const tokens = this.getPortfolio();
+        if (tokens.length === 0) {
+            list.textContent = '저장된 토큰이 없습니다. 토큰을 로드하면 자동으로 추가됩니다.';
+            return;
+        }
         
-        // Network selection
-        document.getElementById('networkSelect').addEventListener('change', () => this.onNetworkChange());
+        const balances = this.portfolioBalances;
+        const activeAddress = this.contract ? ethers.utils.getAddress(this.contract.address) : null;
         
-        // Account and network change listeners
-        if (window.ethereum) {
-            window.ethereum.on('accountsChanged', (accounts) => {
-                if (accounts.length === 0) {
-                    this.disconnect();
-                } else {
-                    this.connectWallet();
-                }
-            });
+        for (const token of tokens) {
+            const row = document.createElement('div');
+            row.className = 'info-row';
+            if (token.address === activeAddress) {
+                row.style.border = '2px solid #667eea';
+            }
             
-            window.ethereum.on('chainChanged', (chainId) => {
-                window.location.reload();
-            });
+            const label = document.createElement('span');
+            label.textContent = `${token.symbol} · ${token.name} (${token.type})`;
+            label.title = token.address;
+            
+            const balance = document.createElement('span');
+            const value = balances[token.address];
+            balance.textContent = value ? `${parseFloat(ethers.utils.formatEther(value)).toLocaleString()} ${token.symbol}` : '-';
+            
+            const actions = document.createElement('div');
+            actions.style.display = 'flex';
+            actions.style.gap = '5px';
+            
+            const selectButton = document.createElement('button');
+            selectButton.textContent = token.address === activeAddress ? '사용 중' : '선택';
+            selectButton.disabled = token.address === activeAddress;
+            selectButton.style.width = 'auto';
+            selectButton.style.padding = '5px 10px';
+            selectButton.style.fontSize = '12px';
+            selectButton.addEventListener('click', () => this.selectPortfolioToken(token.address));
+            
+            const removeButton = document.createElement('button');
+            removeButton.textContent = '삭제';
+            removeButton.style.width = 'auto';
+            removeButton.style.padding = '5px 10px';
+            removeButton.style.fontSize = '12px';
+            removeButton.style.background = '#e53e3e';
+            removeButton.addEventListener('click', () => this.removeFromPortfolio(token.address));
+            
+            actions.appendChild(selectButton);
+            actions.appendChild(removeButton);
+            row.appendChild(label);
+            row.appendChild(balance);
+            row.appendChild(actions);
+            list.appendChild(row);
         }
     }
     
-    setDefaultContractAddresses() {
-        const networkSelect = document.getElementById('networkSelect');
-        const contractAddressInput = document.getElementById('contractAddress');
+    // Airdrop Functions
+    // Parse `address,amount` lines (CSV, tabs or spaces). Header and `#` comment lines are skipped.
+    parseAirdropList(text) {
+        const entries = [];
+        const issues = [];
+        const seen = new Map();
         
-        // Set default contract addresses
-        if (networkSelect.value === 'localhost') {
-            contractAddressInput.value = '0x8A791620dd6260079BF849Dc5567aDC3F2FdC318';
-        } else if (networkSelect.value === 'sepolia') {
-            // Deployed HectoCoin contract address
-            contractAddressInput.value = '0x88c4b95ad669C02607345C10eef3569894C6D0Be';
+        text.split(/\r?\n/).forEach((rawLine, i) => {
+            const line = i + 1;
+            const content = rawLine.trim();
+            if (!content || content.startsWith('#')) return;
+            
+            const [addressText = '', amountText = ''] = content.split(/[,;\t ]+/);
+            
+            if (i === 0 && !addressText.startsWith('0x')) return; // header
+            
+            let address;
+            try {
+                // getAddress rejects mixed-case input whose checksum is wrong
+                address = ethers.utils.getAddress(addressText);
+            } catch (error) {
+                const reason = /^0x[0-9a-fA-F]{40}$/.test(addressText) ? '체크섬이 올바르지 않은 주소' : '올바르지 않은 주소';
+                issues.push({ line, address: addressText, message: reason });
+                return;
+            }
+            
+            if (address === ethers.constants.AddressZero) {
+                issues.push({ line, address, message: '0 주소로는 전송할 수 없습니다' });
+                return;
+            }
+            
+            let amount;
+            try {
+                amount = ethers.utils.parseEther(amountText);
+            } catch (error) {
+                issues.push({ line, address, message: `올바르지 않은 수량 "${amountText}"` });
+                return;
+            }
+            if (amount.lte(0)) {
+                issues.push({ line, address, message: '수량은 0보다 커야 합니다' });
+                return;
+            }
+            
+            if (seen.has(address)) {
+                issues.push({ line, address, message: `중복 (${seen.get(address)}번째 줄과 같은 주소) - 제외됨` });
+                return;
+            }
+            seen.set(address, line);
+            
+            if (addressText !== address && addressText !== addressText.toLowerCase() && addressText !== addressText.toUpperCase()) {
+                issues.push({ line, address, message: '체크섬 형식으로 변환됨', warning: true });
+            }
+            
+            entries.push({ line, address, amount: amount.toString() });
+        });
+        
+        return { entries, issues };
+    }
+    
+    async loadAirdropFile(event) {
+        const file = event.target.files && event.target.files[0];
+        if (!file) return;
+        
+        try {
+            document.getElementById('airdropInput').value = await file.text();
+            await this.prepareAirdrop();
+        } catch (error) {
+            this.showError('파일 읽기 실패: ' + this.describeError(error));
         }
     }
     
-    async connectWallet() {
-        console.log('connectWallet 함수 호출됨');
+    // Validate the list against the chain and split it into chunks
+    async prepareAirdrop() {
         try {
             this.showLoading(true);
             
-            console.log('MetaMask에 계정 요청 중...');
-            const accounts = await window.ethereum.request({ 
-                method: 'eth_requestAccounts' 
-            });
+            if (!this.contract) {
+                throw new Error('먼저 토큰 컨트랙트를 로드해주세요.');
+            }
+            this.requireWallet();
+            if (this.airdropRunning) {
+                throw new Error('에어드롭이 진행 중입니다.');
+            }
             
-            console.log('받은 계정들:', accounts);
-            if (accounts.length === 0) {
-                throw new Error('계정을 선택해주세요.');
+            const { entries, issues } = this.parseAirdropList(document.getElementById('airdropInput').value);
+            if (entries.length === 0) {
+                throw new Error('전송할 수신자가 없습니다. 목록을 확인해주세요.');
             }
             
-            this.account = accounts[0];
-            this.chainId = await window.ethereum.request({ 
-                method: 'eth_chainId' 
+            const addresses = entries.map(entry => entry.address);
+            const code = await this.web3.getCode(this.contract.address);
+            const hasFunction = name => code.includes(this.contract.interface.getSighash(name).slice(2));
+            const supportsBatch = hasFunction('batchTransfer');
+            const supportsBlacklist = hasFunction('isBlacklisted');
+            
+            // Blacklisted recipients would revert the whole batch, so they are dropped up front.
+            // Only a token without isBlacklisted counts as "not blacklisted"; RPC failures surface.
+            const blacklisted = [];
+            for (let i = 0; supportsBlacklist && i < addresses.length; i += 50) {
+                const slice = addresses.slice(i, i + 50);
+                blacklisted.push(...await Promise.all(slice.map(address => this.contract.isBlacklisted(address))));
+            }
+            
+            const balances = [];
+            if (hasFunction('batchGetBalance')) {
+                for (let i = 0; i < addresses.length; i += 200) {
+                    balances.push(...await this.contract.batchGetBalance(addresses.slice(i, i + 200)));
+                }
+            }
+            
+            const recipients = [];
+            entries.forEach((entry, i) => {
+                if (blacklisted[i]) {
+                    const balance = balances[i] ? ` (현재 잔액 ${ethers.utils.formatEther(balances[i])})` : '';
+                    issues.push({ line: entry.line, address: entry.address, message: `블랙리스트에 등록된 주소${balance} - 제외됨` });
+                } else {
+                    recipients.push({ ...entry, newHolder: balances.length > 0 ? balances[i].isZero() : null });
+                }
             });
+            issues.sort((a, b) => a.line - b.line);
             
-            console.log('연결된 계정:', this.account);
-            console.log('체인 ID:', this.chainId);
+            const total = recipients.reduce((sum, entry) => sum.add(entry.amount), ethers.constants.Zero);
+            const [senderBalance, senderBlacklisted, paused] = await Promise.all([
+                this.contract.balanceOf(this.account),
+                supportsBlacklist ? this.contract.isBlacklisted(this.account) : false,
+                this.contract.paused().catch(() => false)
+            ]);
             
-            // UI 업데이트 순서 중요: 먼저 연결 상태를 업데이트하고 지갑 정보를 업데이트
-            this.updateConnectionStatus();
-            await this.updateWalletInfo();
+            const blockers = [];
+            if (paused) blockers.push('컨트랙트가 일시정지 상태입니다.');
+            if (senderBlacklisted) blockers.push('보내는 계정이 블랙리스트에 등록되어 있습니다.');
+            if (senderBalance.lt(total)) {
+                blockers.push(`잔액이 부족합니다 (보유: ${ethers.utils.formatEther(senderBalance)}, 필요: ${ethers.utils.formatEther(total)}).`);
+            }
+            
+            const chunkSize = supportsBatch ? Math.max(1, parseInt(document.getElementById('airdropChunkSize').value, 10) || 100) : 1;
+            const chunks = [];
+            for (let i = 0; i < recipients.length; i += chunkSize) {
+                chunks.push({ entries: recipients.slice(i, i + chunkSize), status: 'pending', txHash: null, error: null });
+            }
+            
+            this.airdrop = {
+                token: this.contract.address,
+                method: supportsBatch ? 'batchTransfer' : 'transfer',
+                total: total.toString(),
+                issues,
+                blockers,
+                chunks,
+                createdAt: Date.now()
+            };
+            this.saveAirdrop();
+            this.renderAirdrop();
             
             this.showLoading(false);
-            this.showSuccess('MetaMask 연결 성공!');
+            if (blockers.length > 0) {
+                this.showError('에어드롭을 진행할 수 없습니다: ' + blockers.join(' '));
+            } else {
+                this.showSuccess(`${recipients.length}명 검증 완료 (${chunks.length}개 트랜잭션). 전송을 시작할 수 있습니다.`);
+            }
             
         } catch (error) {
-            console.error('지갑 연결 오류:', error);
+            console.error('에어드롭 검증 실패:', error);
             this.showLoading(false);
-            this.showError('지갑 연결 실패: ' + error.message);
+            this.showError('에어드롭 검증 실패: ' + this.describeError(error));
         }
     }
     
-    async updateWalletInfo() {
-        console.log('updateWalletInfo 호출됨, account:', this.account);
-        if (!this.account) {
-            console.log('계정이 없어서 리턴');
-            return;
-        }
+    // Send every chunk that is not done yet; stops at the first failure so the run can be resumed
+    async runAirdrop() {
+        if (!this.airdrop || this.airdropRunning) return;
         
         try {
-            console.log('지갑 주소 업데이트 중...');
-            document.getElementById('walletAddress').textContent = 
-                this.account.slice(0, 6) + '...' + this.account.slice(-4);
+            this.requireWallet();
+            if (this.airdrop.blockers.length > 0) {
+                throw new Error(this.airdrop.blockers.join(' '));
+            }
             
-            console.log('ETH 잔액 조회 중...');
-            // Get ETH balance
-            const balance = await this.web3.getBalance(this.account);
-            console.log('조회된 잔액:', balance.toString());
-            document.getElementById('ethBalance').textContent = 
-                parseFloat(ethers.utils.formatEther(balance)).toFixed(4) + ' ETH';
+            this.airdropRunning = true;
+            this.renderAirdrop();
             
-            console.log('지갑 정보 섹션 표시 중...');
-            document.getElementById('walletInfo').style.display = 'block';
+            for (let i = 0; i < this.airdrop.chunks.length; i++) {
+                const chunk = this.airdrop.chunks[i];
+                if (chunk.status === 'done') continue;
+                
+                await this.sendAirdropChunk(i);
+                this.renderAirdrop();
+            }
             
-            // Update network info
-            const networkName = this.getNetworkName();
-            console.log('네트워크명:', networkName);
-            document.getElementById('currentNetwork').textContent = networkName;
+            const recipients = this.airdrop.chunks.reduce((count, chunk) => count + chunk.entries.length, 0);
+            this.showSuccess(`에어드롭 완료! ${recipients}명에게 ${ethers.utils.formatEther(this.airdrop.total)} 전송되었습니다.`);
             
-            console.log('updateWalletInfo 완료');
         } catch (error) {
-            console.error('지갑 정보 업데이트 실패:', error);
+            console.error('에어드롭 실패:', error);
+            this.showError('에어드롭 중단 (다시 누르면 실패한 청크부터 이어서 전송합니다): ' + this.describeError(error));
+        } finally {
+            this.airdropRunning = false;
+            this.saveAirdrop();
+            this.renderAirdrop();
         }
     }
     
-    updateConnectionStatus() {
-        console.log('updateConnectionStatus 호출됨, account:', this.account);
-        const statusDiv = document.getElementById('connectionStatus');
-        console.log('statusDiv 요소:', !!statusDiv);
+    async sendAirdropChunk(index) {
+        const chunk = this.airdrop.chunks[index];
         
-        if (this.account) {
-            console.log('연결됨 상태로 업데이트');
-            statusDiv.className = 'status connected';
-            statusDiv.textContent = '✅ MetaMask 연결됨';
-        } else {
-            console.log('연결 안됨 상태로 업데이트');
-            statusDiv.className = 'status disconnected';
-            statusDiv.textContent = '❌ MetaMask 연결되지 않음';
+        // A transaction from a previous attempt may already have gone through, whatever status it was left in
+        if (chunk.txHash) {
+            const receipt = await this.web3.getTransactionReceipt(chunk.txHash);
+            if (receipt && receipt.status === 1) {
+                this.updateAirdropChunk(chunk, { status: 'done' });
+                return;
+            }
+            if (!receipt) {
+                const pending = await this.web3.getTransaction(chunk.txHash);
+                if (pending) {
+                    throw new Error(`청크 #${index + 1}의 이전 트랜잭션(${chunk.txHash})이 아직 대기 중입니다. 확정된 후 다시 시도해주세요.`);
+                }
+                // Dropped without being mined is only safe to resend while its nonce is still unused
+                const nonce = await this.web3.getTransactionCount(this.account, 'latest');
+                if (chunk.nonce === undefined || chunk.nonce === null || nonce > chunk.nonce) {
+                    throw new Error(`청크 #${index + 1}의 이전 트랜잭션(${chunk.txHash})을 찾을 수 없습니다. 수신자 지급 여부를 확인한 후 에어드롭을 초기화해주세요.`);
+                }
+            }
+        }
+        
+        const recipients = chunk.entries.map(entry => entry.address);
+        const amounts = chunk.entries.map(entry => ethers.BigNumber.from(entry.amount));
+        const args = this.airdrop.method === 'batchTransfer' ? [recipients, amounts] : [recipients[0], amounts[0]];
+        const request = {
+            from: this.account,
+            to: this.contract.address,
+            data: this.contract.interface.encodeFunctionData(this.airdrop.method, args)
+        };
+        
+        let gasEstimate;
+        try {
+            await this.web3.call(request);
+            gasEstimate = await this.web3.estimateGas(request);
+        } catch (error) {
+            this.updateAirdropChunk(chunk, { status: 'failed', error: this.describeError(error) });
+            throw error;
+        }
+        
+        // Keep each batch well under the block gas limit; split oversized chunks in place and retry
+        const block = await this.web3.getBlock('latest');
+        if (chunk.entries.length > 1 && gasEstimate.gt(block.gasLimit.div(2))) {
+            const half = Math.ceil(chunk.entries.length / 2);
+            this.airdrop.chunks.splice(index, 1,
+                { entries: chunk.entries.slice(0, half), status: 'pending', txHash: null, error: null },
+                { entries: chunk.entries.slice(half), status: 'pending', txHash: null, error: null });
+            this.saveAirdrop();
+            return this.sendAirdropChunk(index);
+        }
+        
+        this.updateAirdropChunk(chunk, { status: 'sending', error: null });
+        
+        try {
+            const tx = await this.contract[this.airdrop.method](...args, { gasLimit: gasEstimate.mul(120).div(100) });
+            this.updateAirdropChunk(chunk, { txHash: tx.hash, nonce: tx.nonce });
+            
+            const label = this.airdrop.method === 'batchTransfer'
+                ? `에어드롭 청크 #${index + 1} (${recipients.length}명)`
+                : `에어드롭 #${index + 1} (${this.formatRoleHolder(recipients[0])})`;
+            // A sped-up replacement resolves with its own receipt
+            const receipt = await this.trackTransaction(tx, label);
+            
+            this.updateAirdropChunk(chunk, { status: 'done', txHash: receipt.transactionHash });
+        } catch (error) {
+            // Once broadcast, only a revert proves nothing was paid; otherwise leave it to the check on resume
+            const receipt = chunk.txHash ? await this.web3.getTransactionReceipt(chunk.txHash).catch(() => null) : null;
+            const failed = !chunk.txHash || (receipt && receipt.status === 0);
+            this.updateAirdropChunk(chunk, { status: failed ? 'failed' : 'sending', error: this.describeError(error) });
+            throw error;
         }
-        console.log('updateConnectionStatus 완료, 클래스:', statusDiv.className, '텍스트:', statusDiv.textContent);
     }
     
-    disconnect() {
-        this.account = null;
-        this.contract = null;
-        document.getElementById('walletInfo').style.display = 'none';
-        document.getElementById('tokenInfo').style.display = 'none';
-        document.getElementById('transferSection').style.display = 'none';
-        this.updateConnectionStatus();
+    updateAirdropChunk(chunk, changes) {
+        Object.assign(chunk, changes);
+        this.saveAirdrop();
+        this.renderAirdrop();
     }
     
-    async loadContract() {
-        console.log('loadContract 함수 호출됨');
-        try {
-            this.showLoading(true);
-            console.log('로딩 표시 시작');
-            
-            if (!this.account) {
-                console.log('계정이 없음');
-                throw new Error('먼저 지갑을 연결해주세요.');
-            }
-            
-            const contractAddress = document.getElementById('contractAddress').value;
-            console.log('컨트랙트 주소:', contractAddress);
-            
-            if (!contractAddress || !ethers.utils.isAddress(contractAddress)) {
-                console.log('잘못된 컨트랙트 주소');
-                throw new Error('올바른 컨트랙트 주소를 입력해주세요.');
+    getAirdropStorageKey() {
+        if (!this.contract || !this.account || !this.chainId) return null;
+        return `airdrop:${parseInt(this.chainId, 16)}:${this.contract.address.toLowerCase()}:${this.account.toLowerCase()}`;
+    }
+    
+    saveAirdrop() {
+        const key = this.getAirdropStorageKey();
+        if (!key) return;
+        
+        if (this.airdrop) {
+            localStorage.setItem(key, JSON.stringify(this.airdrop));
+        } else {
+            localStorage.removeItem(key);
+        }
+    }
+    
+    // Pick up an unfinished airdrop for this token/account after a reload
+    restoreAirdrop() {
+        const key = this.getAirdropStorageKey();
+        this.airdrop = null;
+        
+        if (key) {
+            try {
+                this.airdrop = JSON.parse(localStorage.getItem(key));
+            } catch (error) {
+                console.error('에어드롭 기록 로드 실패:', error);
             }
-            
-            console.log('네트워크 확인 및 전환 중...');
-            // Check if we need to switch networks
-            await this.checkAndSwitchNetwork();
-            
-            console.log('컨트랙트 인스턴스 생성 중...');
-            const signer = this.web3.getSigner();
-            this.contract = new ethers.Contract(contractAddress, this.tokenABI, signer);
-            
-            console.log('토큰 정보 로드 중...');
-            await this.loadTokenInfo();
-            
-            console.log('컨트랙트 로드 완료');
-            this.showLoading(false);
-            this.showSuccess('토큰 컨트랙트 로드 완료!');
-            
-        } catch (error) {
-            console.error('컨트랙트 로드 오류:', error);
-            console.error('오류 상세:', error.message);
-            this.showLoading(false);
-            this.showError('컨트랙트 로드 실패: ' + error.message);
-            
-            // 컨트랙트 초기화
-            this.contract = null;
         }
+        this.renderAirdrop();
     }
     
-    async loadTokenInfo() {
-        console.log('loadTokenInfo 함수 호출됨');
-        if (!this.contract) {
-            console.log('컨트랙트가 없어서 리턴');
+    resetAirdrop() {
+        if (this.airdropRunning) {
+            this.showError('에어드롭이 진행 중에는 초기화할 수 없습니다.');
+            return;
+        }
+        
+        this.airdrop = null;
+        this.saveAirdrop();
+        document.getElementById('airdropInput').value = '';
+        document.getElementById('airdropFile').value = '';
+        this.renderAirdrop();
+    }
+    
+    renderAirdrop() {
+        const summary = document.getElementById('airdropSummary');
+        const issues = document.getElementById('airdropIssues');
+        const progress = document.getElementById('airdropProgress');
+        const startButton = document.getElementById('startAirdrop');
+        summary.innerHTML = '';
+        issues.innerHTML = '';
+        progress.innerHTML = '';
+        
+        const plan = this.airdrop;
+        if (!plan) {
+            startButton.disabled = true;
+            startButton.textContent = '전송 시작';
+            return;
+        }
+        
+        const addRow = (container, label, value) => {
+            const row = document.createElement('div');
+            row.className = 'info-row';
+            const labelSpan = document.createElement('span');
+            labelSpan.textContent = label;
+            const valueSpan = document.createElement('span');
+            valueSpan.textContent = value;
+            row.appendChild(labelSpan);
+            row.appendChild(valueSpan);
+            container.appendChild(row);
+            return row;
+        };
+        
+        const entries = plan.chunks.flatMap(chunk => chunk.entries);
+        const doneCount = plan.chunks.filter(chunk => chunk.status === 'done').length;
+        const newHolders = entries.filter(entry => entry.newHolder).length;
+        
+        addRow(summary, '수신자', `${entries.length}명` + (entries.some(entry => entry.newHolder !== null) ? ` (신규 보유자 ${newHolders}명)` : ''));
+        addRow(summary, '총 수량', parseFloat(ethers.utils.formatEther(plan.total)).toLocaleString());
+        addRow(summary, '전송 방식', plan.method === 'batchTransfer' ? `batchTransfer (${plan.chunks.length}개 청크)` : '순차 transfer (batchTransfer 미지원)');
+        addRow(summary, '진행률', `${doneCount} / ${plan.chunks.length}`);
+        plan.blockers.forEach(blocker => addRow(summary, '⛔ 진행 불가', blocker));
+        
+        plan.issues.forEach(issue => {
+            addRow(issues, `${issue.warning ? '⚠️' : '❌'} ${issue.line}번째 줄`, `${issue.address} - ${issue.message}`);
+        });
+        
+        const statusLabels = { pending: '대기', sending: '⏳ 전송 중', done: '✅ 완료', failed: '❌ 실패' };
+        plan.chunks.forEach((chunk, i) => {
+            const amount = chunk.entries.reduce((sum, entry) => sum.add(entry.amount), ethers.constants.Zero);
+            const label = plan.method === 'batchTransfer'
+                ? `청크 #${i + 1} (${chunk.entries.length}명, ${parseFloat(ethers.utils.formatEther(amount)).toLocaleString()})`
+                : `#${i + 1} ${this.formatRoleHolder(chunk.entries[0].address)} (${parseFloat(ethers.utils.formatEther(amount)).toLocaleString()})`;
+            const status = statusLabels[chunk.status] + (chunk.error ? `: ${chunk.error}` : '');
+            
+            const row = addRow(progress, label, status);
+            const explorerUrl = chunk.txHash && this.getExplorerTxUrl(chunk.txHash);
+            if (explorerUrl) {
+                const link = document.createElement('a');
+                link.href = explorerUrl;
+                link.target = '_blank';
+                link.rel = 'noopener';
+                link.textContent = '🔗';
+                row.appendChild(link);
+            }
+        });
+        
+        const started = plan.chunks.some(chunk => chunk.status !== 'pending');
+        const finished = doneCount === plan.chunks.length;
+        startButton.disabled = this.airdropRunning || finished || plan.blockers.length > 0;
+        startButton.textContent = this.airdropRunning ? '전송 중...' : finished ? '완료됨' : started ? '이어서 전송' : '전송 시작';
+    }
+    
+    // Allowance Functions
+    // Replays Approval events in both directions and reads the live allowance for each pair,
+    // since OpenZeppelin v5 does not emit Approval when transferFrom spends an allowance.
+    async loadAllowances() {
+        const section = document.getElementById('allowanceSection');
+        if (!this.contract || !this.account) {
+            section.style.display = 'none';
             return;
         }
         
         try {
-            console.log('토큰 기본 정보 조회 중...');
-            const [name, symbol, decimals, totalSupply] = await Promise.all([
-                this.contract.name(),
-                this.contract.symbol(),
-                this.contract.decimals(),
-                this.contract.totalSupply()
+            const [granted, received] = await Promise.all([
+                this.contract.queryFilter(this.contract.filters.Approval(this.account, null), 0),
+                this.contract.queryFilter(this.contract.filters.Approval(null, this.account), 0)
             ]);
             
-            console.log('토큰 정보:', { name, symbol, decimals: decimals.toString(), totalSupply: totalSupply.toString() });
-            
-            document.getElementById('tokenName').textContent = name;
-            document.getElementById('tokenSymbol').textContent = symbol;
-            document.getElementById('totalSupply').textContent = 
-                parseFloat(ethers.utils.formatEther(totalSupply)).toLocaleString() + ' ' + symbol;
-            
-            console.log('잔액 새로고침 중...');
-            await this.refreshBalance();
-            
-            console.log('관리자 상태 확인 중...');
-            // Check admin status
-            await this.checkAdminStatus();
+            const spenders = [...new Set(granted.map(event => event.args.spender))];
+            const owners = [...new Set(received.map(event => event.args.owner))];
             
-            console.log('토큰 정보 UI 표시 중...');
-            document.getElementById('tokenInfo').style.display = 'block';
-            document.getElementById('transferSection').style.display = 'block';
+            const [grantedAmounts, receivedAmounts] = await Promise.all([
+                Promise.all(spenders.map(spender => this.contract.allowance(this.account, spender))),
+                Promise.all(owners.map(owner => this.contract.allowance(owner, this.account)))
+            ]);
             
-            console.log('loadTokenInfo 완료');
+            this.renderAllowances('grantedAllowances', spenders, grantedAmounts, true);
+            this.renderAllowances('receivedAllowances', owners, receivedAmounts, false);
+            section.style.display = 'block';
             
         } catch (error) {
-            console.error('토큰 정보 로드 오류:', error);
-            console.error('오류 상세:', error.message);
-            throw new Error('토큰 정보를 가져올 수 없습니다: ' + error.message);
+            console.error('승인 한도 조회 실패:', error);
+            this.showError('승인 한도 조회 실패: ' + this.describeError(error));
+        }
+    }
+    
+    renderAllowances(elementId, counterparties, amounts, granted) {
+        const list = document.getElementById(elementId);
+        list.innerHTML = '';
+        
+        const entries = counterparties
+            .map((address, i) => ({ address, amount: amounts[i] }))
+            .filter(entry => !entry.amount.isZero());
+        
+        if (entries.length === 0) {
+            list.textContent = '활성화된 승인 한도가 없습니다.';
+            return;
+        }
+        
+        for (const entry of entries) {
+            const row = document.createElement('div');
+            row.className = 'info-row';
+            
+            const label = document.createElement('span');
+            label.textContent = this.formatRoleHolder(entry.address);
+            label.title = entry.address;
+            
+            const value = document.createElement('span');
+            value.textContent = entry.amount.eq(ethers.constants.MaxUint256)
+                ? '무제한'
+                : parseFloat(ethers.utils.formatEther(entry.amount)).toLocaleString();
+            
+            const button = document.createElement('button');
+            button.style.width = 'auto';
+            button.style.padding = '5px 10px';
+            button.style.fontSize = '12px';
+            
+            if (granted) {
+                button.textContent = '철회';
+                button.style.background = '#e53e3e';
+                button.addEventListener('click', () => this.changeAllowance('revoke', entry.address));
+            } else {
+                button.textContent = '사용';
+                button.style.background = '#3182ce';
+                button.addEventListener('click', () => {
+                    document.getElementById('spendOwner').value = entry.address;
+                    document.getElementById('spendAmount').value = ethers.utils.formatEther(entry.amount);
+                });
+            }
+            
+            row.appendChild(label);
+            row.appendChild(value);
+            row.appendChild(button);
+            list.appendChild(row);
         }
     }
     
-    async refreshBalance() {
-        if (!this.contract || !this.account) return;
+    // mode: 'set' | 'increase' | 'decrease' | 'revoke'
+    // The contracts have no increaseAllowance/decreaseAllowance (removed in OpenZeppelin v5),
+    // so raising and lowering re-approve relative to the current on-chain allowance.
+    async changeAllowance(mode, spenderAddress = null) {
+        const labels = { set: '설정', increase: '증가', decrease: '감소', revoke: '철회' };
         
         try {
-            const balance = await this.contract.balanceOf(this.account);
-            const symbol = await this.contract.symbol();
+            this.showLoading(true);
             
-            document.getElementById('tokenBalance').textContent = 
-                parseFloat(ethers.utils.formatEther(balance)).toLocaleString() + ' ' + symbol;
+            if (!this.contract) {
+                throw new Error('먼저 토큰 컨트랙트를 로드해주세요.');
+            }
+            this.requireWallet();
+            
+            const spender = spenderAddress || document.getElementById('allowanceSpender').value;
+            if (!spender || !ethers.utils.isAddress(spender)) {
+                throw new Error('올바른 승인받는 주소를 입력해주세요.');
+            }
+            
+            let newAllowance = ethers.constants.Zero;
+            if (mode !== 'revoke') {
+                const amount = document.getElementById('allowanceAmount').value;
+                if (!amount || parseFloat(amount) < 0 || (mode !== 'set' && parseFloat(amount) === 0)) {
+                    throw new Error('올바른 수량을 입력해주세요.');
+                }
+                
+                const amountWei = ethers.utils.parseEther(amount);
+                const current = await this.contract.allowance(this.account, spender);
+                
+                if (mode === 'set') {
+                    newAllowance = amountWei;
+                } else if (mode === 'increase') {
+                    newAllowance = current.add(amountWei);
+                } else {
+                    if (current.lt(amountWei)) {
+                        throw new Error(`현재 한도(${ethers.utils.formatEther(current)})보다 많이 줄일 수 없습니다.`);
+                    }
+                    newAllowance = current.sub(amountWei);
+                }
+            }
+            
+            const simulation = await this.runSimulation(`승인 한도 ${labels[mode]}`, 'approve', [spender, newAllowance], {
+                amount: newAllowance
+            });
+            
+            const tx = await this.contract.approve(spender, newAllowance, { gasLimit: simulation.gasLimit });
+            
+            this.showSuccess(`승인 한도 ${labels[mode]} 트랜잭션 전송됨! 확인을 기다리는 중...`);
+            
+            const receipt = await this.trackTransaction(tx, `승인 한도 ${labels[mode]} (${this.formatRoleHolder(spender)})`);
+            
+            this.showLoading(false);
+            this.showSuccess(`${spender}의 승인 한도가 ${ethers.utils.formatEther(newAllowance)}(으)로 ${labels[mode]}되었습니다. 트랜잭션: ${receipt.transactionHash}`);
+            
+            document.getElementById('allowanceAmount').value = '';
+            await this.loadAllowances();
             
         } catch (error) {
-            this.showError('잔액 조회 실패: ' + error.message);
+            console.error(`승인 한도 ${mode} 실패:`, error);
+            this.showLoading(false);
+            this.showError(`승인 한도 ${labels[mode]} 실패: ` + this.describeError(error));
         }
     }
     
-    async transferTokens() {
-        console.log('transferTokens 함수 호출됨');
+    // Spend an allowance granted to the connected account
+    async spendAllowance(method) {
+        const label = method === 'transferFrom' ? '위임 전송' : '위임 소각';
+        
         try {
             this.showLoading(true);
             
             if (!this.contract) {
                 throw new Error('먼저 토큰 컨트랙트를 로드해주세요.');
             }
+            this.requireWallet();
             
-            const recipient = document.getElementById('recipientAddress').value;
-            const amount = document.getElementById('transferAmount').value;
-            
-            console.log('전송 정보:', { recipient, amount });
+            const owner = document.getElementById('spendOwner').value;
+            const recipient = document.getElementById('spendRecipient').value;
+            const amount = document.getElementById('spendAmount').value;
             
-            if (!recipient || !ethers.utils.isAddress(recipient)) {
+            if (!owner || !ethers.utils.isAddress(owner)) {
+                throw new Error('올바른 토큰 보유자 주소를 입력해주세요.');
+            }
+            if (method === 'transferFrom' && (!recipient || !ethers.utils.isAddress(recipient))) {
                 throw new Error('올바른 받는 주소를 입력해주세요.');
             }
-            
             if (!amount || parseFloat(amount) <= 0) {
-                throw new Error('올바른 전송 금액을 입력해주세요.');
+                throw new Error('올바른 수량을 입력해주세요.');
             }
             
             const amountWei = ethers.utils.parseEther(amount);
-            console.log('전송 금액 (Wei):', amountWei.toString());
-            
-            // Check balance
-            console.log('잔액 확인 중...');
-            const balance = await this.contract.balanceOf(this.account);
-            console.log('현재 잔액:', balance.toString(), '전송 금액:', amountWei.toString());
-            
-            if (balance.lt(amountWei)) {
-                throw new Error('잔액이 부족합니다.');
-            }
-            
-            // 대안적 transfer 방식 시도
-            console.log('대안적 transfer 방식으로 전송 시도');
-            const txParams = {
-                to: this.contract.address,
-                from: this.account,
-                data: this.contract.interface.encodeFunctionData('transfer', [recipient, amountWei]),
-                gas: '0x15F90', // 90000 가스
-            };
+            const args = method === 'transferFrom' ? [owner, recipient, amountWei] : [owner, amountWei];
             
-            console.log('transfer 트랜잭션 파라미터:', txParams);
+            const simulation = await this.runSimulation(label, method, args, {
+                holder: owner,
+                recipient: method === 'transferFrom' ? recipient : null,
+                amount: amountWei
+            });
             
-            // 여러 방법으로 트랜잭션 시도
-            let txHash;
+            const tx = await this.contract[method](...args, { gasLimit: simulation.gasLimit });
             
-            try {
-                console.log('방법 1: eth_sendTransaction 시도...');
-                const txPromise = window.ethereum.request({
-                    method: 'eth_sendTransaction',
-                    params: [txParams],
-                });
-                
-                const timeoutPromise = new Promise((_, reject) =>
-                    setTimeout(() => reject(new Error('transfer 트랜잭션 타임아웃')), 10000)
-                );
-                
-                txHash = await Promise.race([txPromise, timeoutPromise]);
-                console.log('transfer 방법 1 성공!');
-                
-            } catch (error) {
-                console.log('transfer 방법 1 실패:', error.message);
-                
-                try {
-                    console.log('방법 2: MetaMask 권한 재요청 후 시도...');
-                    await window.ethereum.request({ method: 'wallet_requestPermissions', params: [{ eth_accounts: {} }] });
-                    
-                    txHash = await window.ethereum.request({
-                        method: 'eth_sendTransaction',
-                        params: [txParams],
-                    });
-                    console.log('transfer 방법 2 성공!');
-                    
-                } catch (error2) {
-                    console.log('transfer 방법 2 실패:', error2.message);
-                    throw new Error('토큰 전송 실패. MetaMask 팝업을 확인하거나 페이지를 새로고침해주세요.');
-                }
-            }
+            this.showSuccess(`${label} 트랜잭션 전송됨! 확인을 기다리는 중...`);
             
-            console.log('transfer 트랜잭션 해시:', txHash);
-            this.showSuccess(`토큰 전송 트랜잭션 전송됨! 해시: ${txHash}`);
+            const receipt = await this.trackTransaction(tx, `${label} (${amount}, ${this.formatRoleHolder(owner)})`);
             
             this.showLoading(false);
+            this.showSuccess(`${label} 완료! 트랜잭션: ${receipt.transactionHash}`);
             
-            // Clear form
-            document.getElementById('recipientAddress').value = '';
-            document.getElementById('transferAmount').value = '';
-            
-            // 잠시 후 상태 새로고침
-            setTimeout(() => {
-                this.refreshBalance();
-                this.updateWalletInfo();
-            }, 3000);
+            // Clear form (balances and allowances refresh once the transaction is confirmed)
+            document.getElementById('spendAmount').value = '';
             
         } catch (error) {
-            console.error('토큰 전송 오류:', error);
+            console.error(`${method} 실패:`, error);
             this.showLoading(false);
-            this.showError('토큰 전송 실패: ' + error.message);
+            this.showError(`${label} 실패: ` + this.describeError(error));
         }
     }
     
-    async checkAndSwitchNetwork() {
-        const selectedNetwork = document.getElementById('networkSelect').value;
-        const targetNetwork = this.networks[selectedNetwork];
+    // Pre-flight Simulation
+    // Dry-runs a token call with eth_call/estimateGas against the latest state before the wallet is opened.
+    // `holder` loses `amount`, `recipient` gains it; mint/burn also move totalSupply.
+    async simulateTokenAction(method, args, { holder = null, recipient = null, amount }) {
+        const from = this.account;
+        const request = {
+            from,
+            to: this.contract.address,
+            data: this.contract.interface.encodeFunctionData(method, args)
+        };
+        const same = (a, b) => !!a && !!b && a.toLowerCase() === b.toLowerCase();
+        const optional = promise => promise.catch(() => null);
         
-        // Update current chain ID
-        this.chainId = await window.ethereum.request({ method: 'eth_chainId' });
-        console.log('현재 체인 ID:', this.chainId, '목표 체인 ID:', targetNetwork.chainId);
+        const [symbol, paused, totalSupply, holderBalance, recipientBalance, holderBlacklisted, recipientBlacklisted, allowance] = await Promise.all([
+            this.contract.symbol(),
+            optional(this.contract.paused()),
+            this.contract.totalSupply(),
+            holder ? this.contract.balanceOf(holder) : null,
+            recipient ? this.contract.balanceOf(recipient) : null,
+            holder ? optional(this.contract.isBlacklisted(holder)) : null,
+            recipient ? optional(this.contract.isBlacklisted(recipient)) : null,
+            holder && !same(holder, from) ? optional(this.contract.allowance(holder, from)) : null
+        ]);
         
-        if (this.chainId.toLowerCase() !== targetNetwork.chainId.toLowerCase()) {
-            try {
-                await window.ethereum.request({
-                    method: 'wallet_switchEthereumChain',
-                    params: [{ chainId: targetNetwork.chainId }],
-                });
-            } catch (switchError) {
-                // Network not added to MetaMask
-                if (switchError.code === 4902) {
-                    try {
-                        console.log('타겟 네트워크:', targetNetwork);
-                        
-                        const networkParams = {
-                            chainId: targetNetwork.chainId,
-                            chainName: targetNetwork.name,
-                            rpcUrls: [targetNetwork.rpcUrl],
-                            nativeCurrency: {
-                                name: 'Ether',
-                                symbol: 'ETH',
-                                decimals: 18
-                            }
-                        };
-                        
-                        if (targetNetwork.blockExplorerUrls) {
-                            networkParams.blockExplorerUrls = targetNetwork.blockExplorerUrls;
-                        }
-                        
-                        console.log('네트워크 매개변수:', networkParams);
-                        
-                        await window.ethereum.request({
-                            method: 'wallet_addEthereumChain',
-                            params: [networkParams],
-                        });
-                        
-                        console.log('네트워크 추가 성공!');
-                    } catch (addError) {
-                        console.error('네트워크 추가 실패:', addError);
-                        throw new Error('네트워크 추가 실패: ' + addError.message);
-                    }
+        const checks = [];
+        if (method !== 'mint' && paused !== null) {
+            checks.push({ label: '일시정지', ok: !paused, text: paused ? '일시정지 상태' : '정상' });
+        }
+        if (holderBlacklisted !== null) {
+            checks.push({ label: '보내는 주소 블랙리스트', ok: !holderBlacklisted, text: holderBlacklisted ? '등록됨' : '아님' });
+        }
+        if (recipientBlacklisted !== null) {
+            checks.push({ label: '받는 주소 블랙리스트', ok: !recipientBlacklisted, text: recipientBlacklisted ? '등록됨' : '아님' });
+        }
+        if (holderBalance !== null) {
+            checks.push({
+                label: '잔액',
+                ok: holderBalance.gte(amount),
+                text: `${ethers.utils.formatEther(holderBalance)} ${symbol} 보유`
+            });
+        }
+        if (allowance !== null) {
+            checks.push({
+                label: '승인 한도 (allowance)',
+                ok: allowance.gte(amount),
+                text: `${ethers.utils.formatEther(allowance)} ${symbol} 승인됨`
+            });
+        }
+        
+        const simulation = { ok: true, reason: null, checks, symbol, gasEstimate: null, gasLimit: null, gasCost: null, balances: [] };
+        
+        // The node is the final judge: any revert here means the transaction would fail on-chain
+        try {
+            await this.web3.call(request);
+            simulation.gasEstimate = await this.web3.estimateGas(request);
+        } catch (error) {
+            simulation.ok = false;
+            simulation.reason = this.describeError(error);
+            return simulation;
+        }
+        
+        // 20% headroom over the estimate
+        simulation.gasLimit = simulation.gasEstimate.mul(120).div(100);
+        
+        const feeData = await this.web3.getFeeData();
+        const gasPrice = feeData.maxFeePerGas || feeData.gasPrice;
+        simulation.gasCost = simulation.gasEstimate.mul(gasPrice);
+        
+        const ethBalance = await this.web3.getBalance(from);
+        const maxGasCost = simulation.gasLimit.mul(gasPrice);
+        checks.push({ label: '가스비 (ETH)', ok: ethBalance.gte(maxGasCost), text: `${ethers.utils.formatEther(ethBalance)} ETH 보유` });
+        if (ethBalance.lt(maxGasCost)) {
+            simulation.ok = false;
+            simulation.reason = '가스비를 지불할 ETH가 부족합니다.';
+        }
+        
+        if (holderBalance !== null) {
+            simulation.balances.push({ label: same(holder, from) ? '내 잔액' : `${holder.slice(0, 6)}...${holder.slice(-4)} 잔액`, before: holderBalance, after: holderBalance.sub(amount) });
+        }
+        if (recipientBalance !== null && !same(holder, recipient)) {
+            simulation.balances.push({ label: same(recipient, from) ? '내 잔액' : `${recipient.slice(0, 6)}...${recipient.slice(-4)} 잔액`, before: recipientBalance, after: recipientBalance.add(amount) });
+        }
+        if (method === 'mint' || method === 'burn' || method === 'burnFrom') {
+            simulation.balances.push({ label: '총 공급량', before: totalSupply, after: method === 'mint' ? totalSupply.add(amount) : totalSupply.sub(amount) });
+        }
+        
+        return simulation;
+    }
+    
+    // Simulate, show the prediction and throw instead of opening the wallet when it would revert
+    async runSimulation(title, method, args, options) {
+        const simulation = await this.simulateTokenAction(method, args, options);
+        this.renderSimulation(title, simulation);
+        
+        if (!simulation.ok) {
+            throw new Error(`시뮬레이션 결과 트랜잭션이 실패합니다 - ${simulation.reason}`);
+        }
+        return simulation;
+    }
+    
+    renderSimulation(title, simulation) {
+        const container = document.getElementById('simulationResult');
+        container.innerHTML = '';
+        
+        const addRow = (label, value) => {
+            const row = document.createElement('div');
+            row.className = 'info-row';
+            const labelSpan = document.createElement('span');
+            labelSpan.textContent = label;
+            const valueSpan = document.createElement('span');
+            valueSpan.textContent = value;
+            row.appendChild(labelSpan);
+            row.appendChild(valueSpan);
+            container.appendChild(row);
+        };
+        
+        addRow(title, simulation.ok ? '✅ 성공 예상' : `❌ 실패 예상: ${simulation.reason}`);
+        
+        for (const check of simulation.checks) {
+            addRow(check.label, `${check.ok ? '✅' : '⚠️'} ${check.text}`);
+        }
+        
+        if (simulation.gasEstimate) {
+            addRow('예상 가스', `${simulation.gasEstimate.toString()} (한도 ${simulation.gasLimit.toString()})`);
+            addRow('예상 가스비', `${parseFloat(ethers.utils.formatEther(simulation.gasCost)).toFixed(6)} ETH`);
+        }
+        
+        for (const balance of simulation.balances) {
+            const format = value => parseFloat(ethers.utils.formatEther(value)).toLocaleString();
+            addRow(balance.label, `${format(balance.before)} → ${format(balance.after)} ${simulation.symbol}`);
+        }
+        
+        document.getElementById('simulationSection').style.display = 'block';
+    }
+    
+    // Network Registry
+    // User-added networks and per-network default addresses live in localStorage under 'networkRegistry':
+    // { custom: { key: network }, defaults: { key: { token, multiSig, timeLock } } }
+    loadNetworkRegistry() {
+        try {
+            const saved = JSON.parse(localStorage.getItem('networkRegistry'));
+            if (saved) {
+                this.networkRegistry = { custom: saved.custom || {}, defaults: saved.defaults || {} };
+            }
+        } catch (error) {
+            console.error('네트워크 레지스트리 로드 실패:', error);
+        }
+        
+        this.networks = {};
+        for (const [key, network] of Object.entries({ ...this.builtInNetworks, ...this.networkRegistry.custom })) {
+            this.networks[key] = {
+                ...network,
+                // Built-in fallbacks < deployment manifest < addresses saved by the user
+                defaults: {
+                    ...network.defaults,
+                    ...this.getManifestDefaults(key),
+                    ...this.networkRegistry.defaults[key]
+                }
+            };
+        }
+    }
+    
+    // Deployment manifest written by the deploy scripts (deployments/<network>.json)
+    async loadDeploymentManifest(key) {
+        if (key in this.deploymentManifests) {
+            return this.deploymentManifests[key];
+        }
+        
+        let manifest = null;
+        try {
+            const response = await fetch(`deployments/${key}.json`, { cache: 'no-cache' });
+            if (response.ok) {
+                const data = await response.json();
+                const network = this.networks[key];
+                
+                // Ignore manifests from another chain (e.g. a stale file for a restarted node)
+                if (data.version === 1 && network && data.chainId === parseInt(network.chainId, 16)) {
+                    manifest = data;
                 } else {
-                    throw new Error('네트워크 전환 실패');
+                    console.warn(`deployments/${key}.json 매니페스트가 현재 네트워크와 맞지 않아 무시합니다.`);
                 }
             }
+        } catch (error) {
+            // No manifest deployed alongside the DApp; keep the built-in defaults
+            console.log(`deployments/${key}.json 매니페스트 없음`);
         }
         
-        // Update chain ID after network change
-        this.chainId = await window.ethereum.request({ method: 'eth_chainId' });
-        console.log('최종 체인 ID:', this.chainId);
+        this.deploymentManifests[key] = manifest;
+        this.loadNetworkRegistry();
+        return manifest;
     }
     
-    onNetworkChange() {
-        const selectedNetwork = document.getElementById('networkSelect').value;
-        const contractAddressInput = document.getElementById('contractAddress');
-        
-        // Update default contract address based on network
-        if (selectedNetwork === 'localhost') {
-            contractAddressInput.value = '0x8A791620dd6260079BF849Dc5567aDC3F2FdC318';
-        } else if (selectedNetwork === 'sepolia') {
-            // Deployed HectoCoin contract address
-            contractAddressInput.value = '0x88c4b95ad669C02607345C10eef3569894C6D0Be';
-        } else {
-            contractAddressInput.value = '';
-        }
+    getManifestDefaults(key) {
+        const manifest = this.deploymentManifests[key];
+        if (!manifest) return {};
         
-        // Hide token info until new contract is loaded
-        document.getElementById('tokenInfo').style.display = 'none';
-        document.getElementById('transferSection').style.display = 'none';
-        document.getElementById('adminSection').style.display = 'none';
+        const contracts = manifest.contracts || {};
+        const token = contracts.stableCoin || contracts.governedStableCoin || contracts.optimizedStableCoin;
+        const defaults = {};
+        
+        if (token) defaults.token = token.address;
+        if (contracts.multiSig) defaults.multiSig = contracts.multiSig.address;
+        if (contracts.timeLock) defaults.timeLock = contracts.timeLock.address;
+        return defaults;
     }
     
-    getNetworkName() {
-        const networkNames = {
-            '0x1': 'Ethereum Mainnet',
-            '0x89': 'Polygon',
-            '0xAA36A7': 'Sepolia Testnet',
-            '0x7A69': 'Hardhat Local'
-        };
+    async applyNetworkDefaults() {
+        const key = document.getElementById('networkSelect').value;
+        this.setDefaultContractAddresses();
         
-        return networkNames[this.chainId] || `Unknown (${this.chainId})`;
+        const manifest = await this.loadDeploymentManifest(key);
+        
+        // The user may have switched networks while the manifest was loading
+        if (document.getElementById('networkSelect').value === key) {
+            this.setDefaultContractAddresses();
+            
+            // Networks without built-in addresses (localhost) depend on the manifest being served with the DApp
+            if (!manifest && !this.networks[key].defaults.token) {
+                this.notify(`deployments/${key}.json 매니페스트를 불러오지 못해 기본 컨트랙트 주소가 없습니다. ` +
+                    '배포 스크립트를 실행한 뒤 저장소 루트에서 DApp을 서빙하거나 주소를 직접 입력하세요.');
+            }
+        }
     }
     
-    fillMyAddress() {
-        if (!this.account) {
-            this.showError('먼저 MetaMask를 연결해주세요.');
-            return;
+    saveNetworkRegistry() {
+        localStorage.setItem('networkRegistry', JSON.stringify(this.networkRegistry));
+        this.loadNetworkRegistry();
+    }
+    
+    renderNetworkOptions(selectedKey = document.getElementById('networkSelect').value) {
+        const select = document.getElementById('networkSelect');
+        select.innerHTML = '';
+        
+        for (const [key, network] of Object.entries(this.networks)) {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = network.label || `${network.name} (체인 ${parseInt(network.chainId, 16)})`;
+            select.appendChild(option);
         }
         
-        const mintAddressField = document.getElementById('mintAddress');
-        mintAddressField.value = this.account;
-        console.log('내 주소로 자동 채움:', this.account);
-        this.showSuccess('내 주소로 설정되었습니다.');
+        select.value = this.networks[selectedKey] ? selectedKey : 'localhost';
     }
     
-    fillRecipientAddress() {
-        if (!this.account) {
-            this.showError('먼저 MetaMask를 연결해주세요.');
-            return;
-        }
+    updateNetworkRegistryControls() {
+        const key = document.getElementById('networkSelect').value;
+        document.getElementById('removeNetwork').style.display = this.networkRegistry.custom[key] ? 'block' : 'none';
+    }
+    
+    // Parameters for wallet_addEthereumChain (EIP-3085)
+    getAddChainParams(network) {
+        const params = {
+            chainId: network.chainId,
+            chainName: network.name,
+            rpcUrls: [network.rpcUrl],
+            nativeCurrency: network.nativeCurrency
+        };
         
-        const recipientAddressField = document.getElementById('recipientAddress');
-        recipientAddressField.value = this.account;
-        console.log('받는 주소를 내 주소로 자동 채움:', this.account);
-        this.showSuccess('받는 주소가 내 주소로 설정되었습니다.');
+        if (network.blockExplorerUrls) {
+            params.blockExplorerUrls = network.blockExplorerUrls;
+        }
+        return params;
     }
     
-    async refreshMetaMask() {
-        console.log('MetaMask 연결 새로고침 시도');
-        try {
-            this.showLoading(true);
-            
-            // 1. MetaMask 연결 강제 새로고침
-            console.log('1. MetaMask 연결 재요청');
-            await window.ethereum.request({ method: 'eth_requestAccounts' });
-            
-            // 2. 계정 정보 업데이트
-            console.log('2. 계정 정보 업데이트');
-            const accounts = await window.ethereum.request({ method: 'eth_accounts' });
-            this.account = accounts[0];
-            
-            // 3. 네트워크 정보 업데이트
-            console.log('3. 네트워크 정보 업데이트');
-            this.chainId = await window.ethereum.request({ method: 'eth_chainId' });
-            this.web3 = new ethers.providers.Web3Provider(window.ethereum);
-            
-            // 4. UI 업데이트
-            console.log('4. UI 업데이트');
-            this.updateConnectionStatus();
-            await this.updateWalletInfo();
-            
-            this.showLoading(false);
-            this.showSuccess('MetaMask 연결이 새로고침되었습니다!');
-            
-        } catch (error) {
-            console.error('MetaMask 새로고침 실패:', error);
-            this.showLoading(false);
-            this.showError('MetaMask 새로고침 실패: ' + error.message);
+    readNetworkForm() {
+        const value = id => document.getElementById(id).value.trim();
+        const isUrl = (url, protocols) => {
+            try {
+                return protocols.includes(new URL(url).protocol);
+            } catch (error) {
+                return false;
+            }
+        };
+        
+        const name = value('newNetworkName');
+        if (!name) {
+            throw new Error('네트워크 이름을 입력해주세요.');
+        }
+        
+        const chainIdText = value('newNetworkChainId');
+        const chainId = /^0x[0-9a-fA-F]+$/.test(chainIdText) ? parseInt(chainIdText, 16) : Number(chainIdText);
+        if (!Number.isSafeInteger(chainId) || chainId <= 0) {
+            throw new Error('올바른 체인 ID를 입력해주세요 (10진수 또는 0x 16진수).');
+        }
+        
+        const rpcUrl = value('newNetworkRpc');
+        if (!isUrl(rpcUrl, ['http:', 'https:'])) {
+            throw new Error('올바른 RPC URL(http/https)을 입력해주세요.');
+        }
+        
+        const wsUrl = value('newNetworkWs');
+        if (wsUrl && !isUrl(wsUrl, ['ws:', 'wss:'])) {
+            throw new Error('올바른 WebSocket URL(ws/wss)을 입력해주세요.');
+        }
+        
+        const explorer = value('newNetworkExplorer');
+        if (explorer && !isUrl(explorer, ['http:', 'https:'])) {
+            throw new Error('올바른 익스플로러 URL을 입력해주세요.');
+        }
+        
+        const symbol = value('newNetworkCurrencySymbol') || 'ETH';
+        const decimals = Number(value('newNetworkCurrencyDecimals') || 18);
+        if (!Number.isInteger(decimals) || decimals < 0 || decimals > 36) {
+            throw new Error('올바른 소수점 자릿수를 입력해주세요.');
+        }
+        
+        const defaults = {};
+        for (const [field, id] of [['token', 'newNetworkToken'], ['multiSig', 'newNetworkMultiSig'], ['timeLock', 'newNetworkTimeLock']]) {
+            const address = value(id);
+            if (address && !ethers.utils.isAddress(address)) {
+                throw new Error(`올바르지 않은 기본 주소입니다: ${address}`);
+            }
+            defaults[field] = address ? ethers.utils.getAddress(address) : '';
         }
+        
+        return {
+            chainId: ethers.utils.hexValue(chainId),
+            rpcUrl,
+            wsUrl: wsUrl || null,
+            name,
+            nativeCurrency: {
+                name: value('newNetworkCurrencyName') || symbol,
+                symbol,
+                decimals
+            },
+            blockExplorerUrls: explorer ? [explorer] : null,
+            confirmations: 1,
+            defaults
+        };
     }
     
-    async testContractConnection() {
-        console.log('컨트랙트 연결 테스트 시작');
+    async addCustomNetwork() {
         try {
-            this.showLoading(true);
+            const network = this.readNetworkForm();
+            const key = `chain-${parseInt(network.chainId, 16)}`;
             
-            if (!this.account) {
-                throw new Error('먼저 지갑을 연결해주세요.');
+            const builtIn = Object.values(this.builtInNetworks).find(item => parseInt(item.chainId, 16) === parseInt(network.chainId, 16));
+            if (builtIn) {
+                throw new Error(`${builtIn.name}은(는) 기본 제공 네트워크입니다. 기본 주소는 "현재 주소를 기본값으로 저장"으로 변경해주세요.`);
             }
             
-            const contractAddress = document.getElementById('contractAddress').value;
-            if (!contractAddress || !ethers.utils.isAddress(contractAddress)) {
-                throw new Error('올바른 컨트랙트 주소를 입력해주세요.');
-            }
+            this.networkRegistry.custom[key] = network;
+            delete this.networkRegistry.defaults[key];
+            this.saveNetworkRegistry();
             
-            // 기본 연결 테스트
-            console.log('1. 기본 연결 테스트');
-            const provider = new ethers.providers.Web3Provider(window.ethereum);
-            const code = await provider.getCode(contractAddress);
-            console.log('컨트랙트 코드 존재:', code !== '0x');
+            this.renderNetworkOptions(key);
+            this.onNetworkChange();
+            this.showSuccess(`${network.name} 네트워크가 추가되었습니다.`);
             
-            if (code === '0x') {
-                throw new Error('해당 주소에 컨트랙트가 배포되지 않았습니다.');
+            // Offer it to the wallet right away when one is connected
+            if (this.connector && !this.connector.readOnly) {
+                await this.addNetworkToWallet();
             }
             
-            // 네트워크 확인
-            console.log('2. 네트워크 확인');
-            const network = await provider.getNetwork();
-            console.log('네트워크 정보:', network);
-            
-            // 컨트랙트 생성 및 기본 호출 테스트
-            console.log('3. 컨트랙트 인스턴스 테스트');
-            const signer = provider.getSigner();
-            const contract = new ethers.Contract(contractAddress, this.tokenABI, signer);
-            
-            // 읽기 전용 함수들 테스트
-            console.log('4. 읽기 함수들 테스트');
-            const name = await contract.name();
-            const symbol = await contract.symbol();
-            const totalSupply = await contract.totalSupply();
-            console.log('토큰 정보:', { name, symbol, totalSupply: totalSupply.toString() });
-            
-            // 트랜잭션 가능 여부 테스트 (실제 실행 안함)
-            console.log('5. 트랜잭션 시뮬레이션 테스트');
-            const balance = await contract.balanceOf(this.account);
-            console.log('현재 잔액:', balance.toString());
+        } catch (error) {
+            console.error('네트워크 추가 실패:', error);
+            this.showError('네트워크 추가 실패: ' + this.describeError(error));
+        }
+    }
+    
+    removeCustomNetwork() {
+        const key = document.getElementById('networkSelect').value;
+        const network = this.networkRegistry.custom[key];
+        if (!network) {
+            this.showError('기본 제공 네트워크는 삭제할 수 없습니다.');
+            return;
+        }
+        
+        delete this.networkRegistry.custom[key];
+        delete this.networkRegistry.defaults[key];
+        this.saveNetworkRegistry();
+        
+        this.renderNetworkOptions('localhost');
+        this.onNetworkChange();
+        this.showSuccess(`${network.name} 네트워크가 삭제되었습니다.`);
+    }
+    
+    // Remember the addresses currently in the token/multisig/timelock fields for the selected network
+    saveNetworkDefaults() {
+        try {
+            const key = document.getElementById('networkSelect').value;
+            const defaults = {};
             
-            // 가스 추정 테스트 (작은 금액으로)
-            try {
-                const gasEstimate = await contract.estimateGas.transfer(this.account, 1);
-                console.log('전송 가스 추정 성공:', gasEstimate.toString());
-            } catch (gasError) {
-                console.log('전송 가스 추정 실패 (정상일 수 있음):', gasError.message);
+            for (const [field, id] of [['token', 'contractAddress'], ['multiSig', 'multiSigAddress'], ['timeLock', 'timeLockAddress']]) {
+                const address = document.getElementById(id).value.trim();
+                if (address && !ethers.utils.isAddress(address)) {
+                    throw new Error(`올바르지 않은 주소입니다: ${address}`);
+                }
+                defaults[field] = address ? ethers.utils.getAddress(address) : '';
             }
             
-            this.showLoading(false);
-            this.showSuccess('컨트랙트 연결 테스트 완료! 콘솔에서 상세 정보를 확인하세요.');
+            this.networkRegistry.defaults[key] = defaults;
+            this.saveNetworkRegistry();
+            this.showSuccess(`${this.networks[key].name} 기본 주소가 저장되었습니다.`);
             
         } catch (error) {
-            console.error('연결 테스트 실패:', error);
-            this.showLoading(false);
-            this.showError('연결 테스트 실패: ' + error.message);
+            this.showError('기본 주소 저장 실패: ' + this.describeError(error));
         }
     }
     
-    async mintTokensAlternative() {
-        console.log('대안적 mint 방식 시도');
+    async addNetworkToWallet() {
         try {
-            this.showLoading(true);
-            
-            if (!this.contract) {
-                throw new Error('먼저 토큰 컨트랙트를 로드해주세요.');
-            }
-            
-            const mintAddress = document.getElementById('mintAddress').value;
-            const mintAmount = document.getElementById('mintAmount').value;
+            this.requireWallet();
+            const network = this.networks[document.getElementById('networkSelect').value];
             
-            console.log('대안 방식 - 입력값 확인:', {
-                mintAddress: `"${mintAddress}"`,
-                mintAddressLength: mintAddress ? mintAddress.length : 0,
-                mintAmount: `"${mintAmount}"`
+            await this.connector.request({
+                method: 'wallet_addEthereumChain',
+                params: [this.getAddChainParams(network)],
             });
             
-            console.log('주소 검증 결과:', ethers.utils.isAddress(mintAddress));
-            
-            if (!mintAddress) {
-                throw new Error('받는 주소를 입력해주세요.');
-            }
-            
-            if (!ethers.utils.isAddress(mintAddress)) {
-                throw new Error(`올바른 이더리움 주소 형식이 아닙니다. 입력값: "${mintAddress}"`);
-            }
-            
-            if (!mintAmount || parseFloat(mintAmount) <= 0) {
-                throw new Error('올바른 발행 수량을 입력해주세요.');
-            }
-            
-            const amountWei = ethers.utils.parseEther(mintAmount);
-            
-            // window.ethereum을 직접 사용한 트랜잭션
-            console.log('window.ethereum으로 직접 트랜잭션 전송');
-            const txParams = {
-                to: this.contract.address,
-                from: this.account,
-                data: this.contract.interface.encodeFunctionData('mint', [mintAddress, amountWei]),
-                gas: '0x15F90', // 90000 가스
-            };
-            
-            console.log('트랜잭션 파라미터:', txParams);
-            
-            // 여러 방법으로 트랜잭션 시도
-            let txHash;
-            
-            try {
-                console.log('방법 1: eth_sendTransaction 시도...');
-                // 5초 타임아웃으로 시도
-                const txPromise = window.ethereum.request({
-                    method: 'eth_sendTransaction',
-                    params: [txParams],
-                });
-                
-                const timeoutPromise = new Promise((_, reject) =>
-                    setTimeout(() => reject(new Error('eth_sendTransaction 타임아웃')), 5000)
-                );
-                
-                txHash = await Promise.race([txPromise, timeoutPromise]);
-                console.log('방법 1 성공!');
-                
-            } catch (error) {
-                console.log('방법 1 실패:', error.message);
-                
-                try {
-                    console.log('방법 2: MetaMask 직접 요청 시도...');
-                    // MetaMask를 직접 열어보기
-                    await window.ethereum.request({ method: 'wallet_requestPermissions', params: [{ eth_accounts: {} }] });
-                    
-                    console.log('방법 2-1: 권한 후 재시도...');
-                    txHash = await window.ethereum.request({
-                        method: 'eth_sendTransaction',
-                        params: [txParams],
-                    });
-                    console.log('방법 2 성공!');
-                    
-                } catch (error2) {
-                    console.log('방법 2 실패:', error2.message);
-                    
-                    // 최종 대안: 사용자에게 직접 안내
-                    throw new Error('MetaMask 팝업이 나타나지 않습니다. 다음을 시도해보세요:\n1. MetaMask 확장 프로그램을 직접 클릭\n2. 브라우저 팝업 차단 해제\n3. 페이지 새로고침 후 재시도\n\n원본 오류: ' + error.message);
-                }
-            }
-            
-            console.log('트랜잭션 해시:', txHash);
-            this.showSuccess(`대안 방식으로 트랜잭션 전송 완료! 해시: ${txHash}`);
-            
-            this.showLoading(false);
-            
-            // 잠시 후 상태 새로고침
-            setTimeout(() => {
-                this.refreshBalance();
-                this.loadTokenInfo();
-            }, 3000);
+            this.showSuccess(`${network.name} 네트워크가 ${this.connector.name}에 추가되었습니다.`);
             
         } catch (error) {
-            console.error('대안적 mint 실패:', error);
-            this.showLoading(false);
-            this.showError('대안적 mint 실패: ' + error.message);
+            console.error('지갑에 네트워크 추가 실패:', error);
+            this.showError('지갑에 네트워크 추가 실패: ' + this.describeError(error));
         }
     }
     
-    showLoading(show) {
-        document.getElementById('loading').style.display = show ? 'block' : 'none';
+    // Transaction History
+    getNetworkConfig(chainId = this.chainId) {
+        if (!chainId) return null;
+        return Object.values(this.networks).find(network => parseInt(network.chainId, 16) === parseInt(chainId, 16)) || null;
     }
     
-    showSuccess(message) {
-        const successDiv = document.getElementById('successMessage');
-        successDiv.textContent = message;
-        successDiv.style.display = 'block';
-        setTimeout(() => {
-            successDiv.style.display = 'none';
-        }, 5000);
+    updateTransactionContext() {
+        const network = this.getNetworkConfig();
+        this.txTracker.setContext(this.web3, this.chainId, this.account, network ? network.confirmations : 1);
     }
     
-    showError(message) {
-        const errorDiv = document.getElementById('errorMessage');
-        errorDiv.textContent = message;
-        errorDiv.style.display = 'block';
-        setTimeout(() => {
-            errorDiv.style.display = 'none';
-        }, 5000);
+    // Record the transaction in the history and wait until it is mined
+    trackTransaction(tx, label) {
+        return this.txTracker.track(tx, label);
+    }
+    
+    async onTransactionUpdate(record) {
+        this.renderTransactionHistory();
+        
+        if (!record || record.status !== 'confirmed') return;
+        
+        console.log('트랜잭션 확정됨:', record.hash);
+        try {
+            if (this.contract) {
+                await this.loadTokenInfo();
+            }
+            await this.updateWalletInfo();
+            await this.refreshPortfolio();
+        } catch (error) {
+            console.error('확정 후 새로고침 실패:', error);
+        }
+    }
+    
+    getExplorerTxUrl(hash) {
+        const network = this.getNetworkConfig();
+        if (!network || !network.blockExplorerUrls || network.blockExplorerUrls.length === 0) return null;
+        return `${network.blockExplorerUrls[0].replace(/\/$/, '')}/tx/${hash}`;
+    }
+    
+    renderTransactionHistory() {
+        const list = document.getElementById('txHistory');
+        list.innerHTML = '';
+        
+        const history = this.txTracker.history;
+        if (history.length === 0) {
+            list.textContent = this.account ? '보낸 트랜잭션이 없습니다.' : '지갑을 연결하면 트랜잭션 기록이 표시됩니다.';
+            return;
+        }
+        
+        const statusLabels = TransactionTracker.statusLabels;
+        for (const record of history) {
+            const row = document.createElement('div');
+            row.className = 'info-row';
+            row.style.flexDirection = 'column';
+            row.style.alignItems = 'stretch';
+            
+            const header = document.createElement('div');
+            header.style.display = 'flex';
+            header.style.justifyContent = 'space-between';
+            
+            const label = document.createElement('strong');
+            label.textContent = record.label;
+            
+            const status = document.createElement('span');
+            status.textContent = statusLabels[record.status] || record.status;
+            
+            header.appendChild(label);
+            header.appendChild(status);
+            
+            const details = document.createElement('span');
+            details.style.fontSize = '0.85rem';
+            details.style.color = '#718096';
+            
+            const shortHash = record.hash.slice(0, 10) + '...' + record.hash.slice(-8);
+            const explorerUrl = this.getExplorerTxUrl(record.hash);
+            if (explorerUrl) {
+                const link = document.createElement('a');
+                link.href = explorerUrl;
+                link.target = '_blank';
+                link.rel = 'noopener';
+                link.textContent = shortHash;
+                details.appendChild(link);
+            } else {
+                details.appendChild(document.createTextNode(shortHash));
+            }
+            
+            let info = ` | ${new Date(record.submittedAt).toLocaleString()}`;
+            if (record.blockNumber) info += ` | 블록 #${record.blockNumber}`;
+            if (record.replacedBy) info += ` | 대체: ${record.replacedBy.slice(0, 10)}...`;
+            details.appendChild(document.createTextNode(info));
+            
+            row.appendChild(header);
+            row.appendChild(details);
+            list.appendChild(row);
+        }
     }
     
     // Admin Functions
+    async detectAccessModel() {
+        if (!this.contract) return null;
+        
+        // AccessControl tokens (GovernedStableCoin) advertise IAccessControl via ERC-165
+        try {
+            const isAccessControl = await this.contract.supportsInterface(this.accessControlInterfaceId);
+            if (isAccessControl) {
+                return 'accessControl';
+            }
+        } catch (error) {
+            console.log('supportsInterface 미지원:', error.message);
+        }
+        
+        // Ownable tokens (StableCoin, OptimizedStableCoin) expose owner()
+        try {
+            await this.contract.owner();
+            return 'ownable';
+        } catch (error) {
+            console.log('owner() 미지원:', error.message);
+        }
+        
+        return null;
+    }
+    
+    async getAccountPermissions(account = this.account) {
+        const permissions = { mint: false, pause: false, blacklist: false };
+        if (!this.contract || !account) return permissions;
+        
+        if (!this.accessModel) {
+            this.accessModel = await this.detectAccessModel();
+        }
+        
+        if (this.accessModel === 'ownable') {
+            const owner = await this.contract.owner();
+            const isOwner = owner.toLowerCase() === account.toLowerCase();
+            Object.keys(permissions).forEach(key => permissions[key] = isOwner);
+        } else if (this.accessModel === 'accessControl') {
+            const keys = Object.keys(this.adminControls);
+            const results = await Promise.all(keys.map(key =>
+                this.contract.hasRole(this.roles[this.adminControls[key].role], account)
+            ));
+            keys.forEach((key, index) => permissions[key] = results[index]);
+        }
+        
+        return permissions;
+    }
+    
     async checkAdminStatus() {
         console.log('checkAdminStatus 함수 호출됨');
         console.log('contract:', !!this.contract);
         console.log('account:', this.account);
         
-        if (!this.contract || !this.account) {
-            console.log('컨트랙트 또는 계정이 없음');
+        if (!this.contract) {
+            console.log('컨트랙트가 없음');
+            return;
+        }
+        
+        if (!this.account) {
+            // Read-only mode without a watch address: no admin controls, but role holders are still public
+            console.log('계정이 없음 - 권한 보유자만 조회');
+            document.getElementById('adminSection').style.display = 'none';
+            this.accessModel = await this.detectAccessModel();
+            await this.loadRoleHolders();
             return;
         }
         
         try {
-            console.log('소유자 주소 조회 중...');
-            const owner = await this.contract.owner();
-            console.log('컨트랙트 소유자:', owner);
-            console.log('현재 계정:', this.account);
+            console.log('접근 제어 방식 확인 중...');
+            this.accessModel = await this.detectAccessModel();
+            console.log('접근 제어 방식:', this.accessModel);
             
-            const isAdmin = owner.toLowerCase() === this.account.toLowerCase();
-            console.log('관리자 권한:', isAdmin);
+            this.permissions = await this.getAccountPermissions();
+            console.log('계정 권한:', this.permissions);
+            
+            const isAdmin = Object.values(this.permissions).some(Boolean);
             
             const adminStatusDiv = document.getElementById('adminStatus');
             const adminSection = document.getElementById('adminSection');
             
             console.log('관리자 섹션 요소:', !!adminSection);
             
+            // Show only the controls the account is allowed to use
+            for (const [key, control] of Object.entries(this.adminControls)) {
+                document.getElementById(control.elementId).style.display = this.permissions[key] ? 'block' : 'none';
+            }
+            
             if (isAdmin) {
                 console.log('관리자 계정 - UI 업데이트 중');
                 adminStatusDiv.style.background = '#c6f6d5';
                 adminStatusDiv.style.color = '#22543d';
-                adminStatusDiv.textContent = '✅ 관리자 계정입니다';
+                
+                if (this.accessModel === 'accessControl') {
+                    const heldRoles = Object.entries(this.adminControls)
+                        .filter(([key]) => this.permissions[key])
+                        .map(([, control]) => control.role);
+                    adminStatusDiv.textContent = `✅ 보유 권한: ${heldRoles.join(', ')}`;
+                } else {
+                    adminStatusDiv.textContent = '✅ 관리자 계정입니다';
+                }
                 adminSection.style.display = 'block';
                 
                 // Update pause status
-                await this.updatePauseStatus();
+                if (this.permissions.pause) {
+                    await this.updatePauseStatus();
+                }
                 
                 console.log('관리자 섹션 표시 완료');
             } else {
@@ -844,12 +3401,92 @@ class StableCoinDApp {
                 adminSection.style.display = 'none';
             }
             
+            await this.loadRoleHolders();
+            
         } catch (error) {
             console.error('관리자 상태 확인 실패:', error);
             console.error('오류 상세:', error.message);
         }
     }
     
+    async loadRoleHolders() {
+        const roleInfo = document.getElementById('roleInfo');
+        const list = document.getElementById('roleHolders');
+        list.innerHTML = '';
+        
+        if (!this.contract || !this.accessModel) {
+            roleInfo.style.display = 'none';
+            return;
+        }
+        
+        try {
+            const holders = {};
+            
+            if (this.accessModel === 'ownable') {
+                holders.owner = [await this.contract.owner()];
+            } else {
+                // Replay RoleGranted/RoleRevoked in chain order to get the current holders
+                const [granted, revoked] = await Promise.all([
+                    this.contract.queryFilter(this.contract.filters.RoleGranted(), 0),
+                    this.contract.queryFilter(this.contract.filters.RoleRevoked(), 0)
+                ]);
+                
+                const events = [...granted, ...revoked].sort((a, b) =>
+                    a.blockNumber - b.blockNumber || a.logIndex - b.logIndex
+                );
+                
+                const roleNames = Object.fromEntries(
+                    Object.entries(this.roles).map(([name, hash]) => [hash, name])
+                );
+                const members = {};
+                
+                for (const event of events) {
+                    const roleName = roleNames[event.args.role] || event.args.role;
+                    members[roleName] = members[roleName] || new Set();
+                    
+                    if (event.event === 'RoleGranted') {
+                        members[roleName].add(event.args.account);
+                    } else {
+                        members[roleName].delete(event.args.account);
+                    }
+                }
+                
+                for (const roleName of Object.keys(this.roles)) {
+                    holders[roleName] = Array.from(members[roleName] || []);
+                }
+            }
+            
+            for (const [roleName, accounts] of Object.entries(holders)) {
+                const row = document.createElement('div');
+                row.className = 'info-row';
+                
+                const label = document.createElement('span');
+                label.textContent = roleName;
+                
+                const value = document.createElement('span');
+                value.textContent = accounts.length > 0
+                    ? accounts.map(account => this.formatRoleHolder(account)).join(', ')
+                    : '없음';
+                
+                row.appendChild(label);
+                row.appendChild(value);
+                list.appendChild(row);
+            }
+            
+            roleInfo.style.display = 'block';
+            
+        } catch (error) {
+            console.error('권한 보유자 조회 실패:', error);
+            roleInfo.style.display = 'none';
+        }
+    }
+    
+    formatRoleHolder(account) {
+        const short = account.slice(0, 6) + '...' + account.slice(-4);
+        const isMe = this.account && account.toLowerCase() === this.account.toLowerCase();
+        return isMe ? `${short} (나)` : short;
+    }
+    
     async updatePauseStatus() {
         if (!this.contract) return;
         
@@ -906,51 +3543,40 @@ class StableCoinDApp {
                 throw new Error('올바른 발행 수량을 입력해주세요.');
             }
             
-            console.log('관리자 권한 재확인 중...');
-            const owner = await this.contract.owner();
-            const isAdmin = owner.toLowerCase() === this.account.toLowerCase();
-            console.log('소유자:', owner, '현재 계정:', this.account, '관리자 권한:', isAdmin);
+            console.log('발행 권한 재확인 중...');
+            const permissions = await this.getAccountPermissions();
+            console.log('현재 계정:', this.account, '발행 권한:', permissions.mint);
             
-            if (!isAdmin) {
-                throw new Error('관리자 권한이 없습니다. 올바른 관리자 계정으로 연결해주세요.');
+            if (!permissions.mint) {
+                const required = this.accessModel === 'accessControl' ? 'MINTER_ROLE' : '소유자';
+                throw new Error(`발행 권한(${required})이 없습니다. 올바른 관리자 계정으로 연결해주세요.`);
             }
             
             const amountWei = ethers.utils.parseEther(mintAmount);
             console.log('발행 수량 (Wei):', amountWei.toString());
             
-            // 컨트랙트 상태 확인
-            try {
-                console.log('컨트랙트 연결 상태 확인 중...');
-                const isPaused = await this.contract.paused();
-                console.log('컨트랙트 일시정지 상태:', isPaused);
-                
-                if (isPaused) {
-                    throw new Error('컨트랙트가 일시정지 상태입니다. 먼저 재개해주세요.');
-                }
-                
-                // 가스 추정
-                console.log('가스 추정 중...');
-                const gasEstimate = await this.contract.estimateGas.mint(mintAddress, amountWei);
-                console.log('예상 가스:', gasEstimate.toString());
-                
-            } catch (gasError) {
-                console.error('사전 검증 실패:', gasError);
-                throw new Error('트랜잭션 사전 검증 실패: ' + gasError.message);
-            }
+            // 서명 전 시뮬레이션
+            console.log('mint 시뮬레이션 중...');
+            const simulation = await this.runSimulation('토큰 발행', 'mint', [mintAddress, amountWei], {
+                recipient: mintAddress,
+                amount: amountWei
+            });
+            console.log('예상 가스:', simulation.gasEstimate.toString());
             
             console.log('mint 트랜잭션 전송 중...');
             
-            // MetaMask 연결 상태 재확인
-            console.log('MetaMask 연결 상태 재확인...');
-            const accounts = await window.ethereum.request({ method: 'eth_accounts' });
+            // 지갑 연결 상태 재확인
+            console.log('지갑 연결 상태 재확인...');
+            this.requireWallet();
+            const accounts = await this.connector.getAccounts();
             console.log('현재 연결된 계정:', accounts);
             
             if (accounts.length === 0) {
-                throw new Error('MetaMask 계정 연결이 해제되었습니다. 다시 연결해주세요.');
+                throw new Error('지갑 계정 연결이 해제되었습니다. 다시 연결해주세요.');
             }
             
             // 네트워크 재확인
-            const currentChainId = await window.ethereum.request({ method: 'eth_chainId' });
+            const currentChainId = await this.connector.getChainId();
             console.log('현재 체인 ID:', currentChainId);
             
             // 직접적인 트랜잭션 호출 시도
@@ -975,14 +3601,14 @@ class StableCoinDApp {
             }
             
             // 타임아웃과 함께 트랜잭션 전송 (2분으로 연장)
-            const txPromise = this.contract.mint(mintAddress, amountWei);
+            const txPromise = this.contract.mint(mintAddress, amountWei, { gasLimit: simulation.gasLimit });
             const timeoutPromise = new Promise((_, reject) => {
-                setTimeout(() => reject(new Error('트랜잭션 전송 타임아웃 (2분). MetaMask가 응답하지 않습니다.')), 120000);
+                setTimeout(() => reject(new Error(`트랜잭션 전송 타임아웃 (2분). ${this.connector.name}이(가) 응답하지 않습니다.`)), 120000);
             });
             
-            // 사용자에게 MetaMask 확인 알림
-            this.showSuccess('MetaMask 팝업을 확인해주세요. 트랜잭션 승인이 필요합니다.');
-            console.log('MetaMask 팝업을 확인해주세요...');
+            // 사용자에게 지갑 확인 알림
+            this.showSuccess(`${this.connector.name} 팝업을 확인해주세요. 트랜잭션 승인이 필요합니다.`);
+            console.log('지갑 팝업을 확인해주세요...');
             
             const tx = await Promise.race([txPromise, timeoutPromise]);
             console.log('트랜잭션 해시:', tx.hash);
@@ -990,35 +3616,22 @@ class StableCoinDApp {
             this.showSuccess('토큰 발행 트랜잭션 전송됨! 확인을 기다리는 중...');
             
             console.log('트랜잭션 확인 대기 중...');
-            const receipt = await tx.wait();
+            const receipt = await this.trackTransaction(tx, `토큰 발행 (${mintAmount})`);
             console.log('트랜잭션 확인됨:', receipt.transactionHash);
             
             this.showLoading(false);
             this.showSuccess(`토큰 발행 완료! ${mintAmount} HECTO가 ${mintAddress}에 발행되었습니다. 트랜잭션: ${receipt.transactionHash}`);
             
-            // Clear form and refresh
+            // Clear form (balances refresh once the transaction is confirmed)
             document.getElementById('mintAddress').value = '';
             document.getElementById('mintAmount').value = '';
-            console.log('폼 초기화 및 정보 새로고침 중...');
-            await this.refreshBalance();
-            await this.loadTokenInfo();
             
         } catch (error) {
             console.error('토큰 발행 오류:', error);
             console.error('오류 상세:', error.message);
             this.showLoading(false);
             
-            // 더 구체적인 오류 메시지
-            let errorMessage = error.message;
-            if (error.code === 4001) {
-                errorMessage = '사용자가 트랜잭션을 거부했습니다.';
-            } else if (error.code === -32603) {
-                errorMessage = '트랜잭션 실행 중 오류가 발생했습니다. 가스비나 권한을 확인해주세요.';
-            } else if (error.message.includes('execution reverted')) {
-                errorMessage = '컨트랙트에서 트랜잭션을 거부했습니다. 권한이나 컨트랙트 상태를 확인해주세요.';
-            }
-            
-            this.showError('토큰 발행 실패: ' + errorMessage);
+            this.showError('토큰 발행 실패: ' + this.describeError(error));
         }
     }
     
@@ -1038,29 +3651,26 @@ class StableCoinDApp {
             
             const amountWei = ethers.utils.parseEther(burnAmount);
             
-            // Check balance
-            const balance = await this.contract.balanceOf(this.account);
-            if (balance.lt(amountWei)) {
-                throw new Error('잔액이 부족합니다.');
-            }
+            const simulation = await this.runSimulation('토큰 소각', 'burn', [amountWei], {
+                holder: this.account,
+                amount: amountWei
+            });
             
-            const tx = await this.contract.burn(amountWei);
+            const tx = await this.contract.burn(amountWei, { gasLimit: simulation.gasLimit });
             
             this.showSuccess('토큰 소각 트랜잭션 전송됨! 확인을 기다리는 중...');
             
-            const receipt = await tx.wait();
+            const receipt = await this.trackTransaction(tx, `토큰 소각 (${burnAmount})`);
             
             this.showLoading(false);
             this.showSuccess(`토큰 소각 완료! ${burnAmount} HECTO가 소각되었습니다. 트랜잭션: ${receipt.transactionHash}`);
             
-            // Clear form and refresh
+            // Clear form (balances refresh once the transaction is confirmed)
             document.getElementById('burnAmount').value = '';
-            await this.refreshBalance();
-            await this.loadTokenInfo();
             
         } catch (error) {
             this.showLoading(false);
-            this.showError('토큰 소각 실패: ' + error.message);
+            this.showError('토큰 소각 실패: ' + this.describeError(error));
         }
     }
     
@@ -1078,7 +3688,7 @@ class StableCoinDApp {
             const action = isPaused ? '재개' : '일시정지';
             this.showSuccess(`컨트랙트 ${action} 트랜잭션 전송됨! 확인을 기다리는 중...`);
             
-            const receipt = await tx.wait();
+            const receipt = await this.trackTransaction(tx, `컨트랙트 ${action}`);
             
             this.showLoading(false);
             this.showSuccess(`컨트랙트 ${action} 완료! 트랜잭션: ${receipt.transactionHash}`);
@@ -1088,7 +3698,7 @@ class StableCoinDApp {
             
         } catch (error) {
             this.showLoading(false);
-            this.showError('일시정지 상태 변경 실패: ' + error.message);
+            this.showError('일시정지 상태 변경 실패: ' + this.describeError(error));
         }
     }
     
@@ -1110,14 +3720,14 @@ class StableCoinDApp {
             
             this.showSuccess('블랙리스트 추가 트랜잭션 전송됨! 확인을 기다리는 중...');
             
-            const receipt = await tx.wait();
+            const receipt = await this.trackTransaction(tx, `블랙리스트 추가 (${address})`);
             
             this.showLoading(false);
             this.showSuccess(`${address}가 블랙리스트에 추가되었습니다. 트랜잭션: ${receipt.transactionHash}`);
             
         } catch (error) {
             this.showLoading(false);
-            this.showError('블랙리스트 추가 실패: ' + error.message);
+            this.showError('블랙리스트 추가 실패: ' + this.describeError(error));
         }
     }
     
@@ -1139,14 +3749,14 @@ class StableCoinDApp {
             
             this.showSuccess('블랙리스트 제거 트랜잭션 전송됨! 확인을 기다리는 중...');
             
-            const receipt = await tx.wait();
+            const receipt = await this.trackTransaction(tx, `블랙리스트 제거 (${address})`);
             
             this.showLoading(false);
             this.showSuccess(`${address}가 블랙리스트에서 제거되었습니다. 트랜잭션: ${receipt.transactionHash}`);
             
         } catch (error) {
             this.showLoading(false);
-            this.showError('블랙리스트 제거 실패: ' + error.message);
+            this.showError('블랙리스트 제거 실패: ' + this.describeError(error));
         }
     }
     
@@ -1171,7 +3781,614 @@ class StableCoinDApp {
             }
             
         } catch (error) {
-            this.showError('블랙리스트 상태 확인 실패: ' + error.message);
+            this.showError('블랙리스트 상태 확인 실패: ' + this.describeError(error));
+        }
+    }
+    
+    // MultiSig Functions
+    async loadMultiSig() {
+        try {
+            this.showLoading(true);
+            
+            if (!this.connector) {
+                throw new Error('먼저 지갑을 연결해주세요.');
+            }
+            
+            const address = document.getElementById('multiSigAddress').value;
+            
+            if (!address || !ethers.utils.isAddress(address)) {
+                throw new Error('올바른 멀티시그 주소를 입력해주세요.');
+            }
+            
+            await this.checkAndSwitchNetwork();
+            
+            const code = await this.web3.getCode(address);
+            if (code === '0x') {
+                throw new Error('해당 주소에 컨트랙트가 배포되지 않았습니다.');
+            }
+            
+            this.multiSig = new ethers.Contract(address, this.multiSigABI, this.getSigner());
+            
+            // MultiSigWallet exposes numConfirmationsRequired(), OptimizedMultiSig exposes required()
+            try {
+                this.multiSigRequired = await this.multiSig.numConfirmationsRequired();
+                this.multiSigType = 'MultiSigWallet';
+            } catch (error) {
+                this.multiSigRequired = await this.multiSig.required();
+                this.multiSigType = 'OptimizedMultiSig';
+            }
+            
+            const [owners, isOwner] = await Promise.all([
+                this.multiSig.getOwners(),
+                this.account ? this.multiSig.isOwner(this.account) : false
+            ]);
+            
+            document.getElementById('multiSigType').textContent = this.multiSigType;
+            document.getElementById('multiSigOwners').textContent =
+                `${owners.length}명 (필요 승인 ${this.multiSigRequired.toString()})`;
+            document.getElementById('multiSigIsOwner').textContent = isOwner ? '✅ 소유자' : '❌ 소유자 아님';
+            document.getElementById('multiSigInfo').style.display = 'block';
+            
+            // Default the proposal target to the loaded token
+            const targetInput = document.getElementById('proposalTarget');
+            if (!targetInput.value && this.contract) {
+                targetInput.value = this.contract.address;
+            }
+            this.updateProposalInputs();
+            
+            await this.listMultiSigTransactions();
+            
+            this.showLoading(false);
+            this.showSuccess(`${this.multiSigType} 로드 완료!`);
+            
+        } catch (error) {
+            console.error('멀티시그 로드 오류:', error);
+            this.showLoading(false);
+            this.showError('멀티시그 로드 실패: ' + this.describeError(error));
+            this.multiSig = null;
+        }
+    }
+    
+    async listMultiSigTransactions(limit = 20) {
+        if (!this.multiSig) return;
+        
+        const list = document.getElementById('multiSigTransactions');
+        
+        try {
+            const count = (await this.multiSig.getTransactionCount()).toNumber();
+            const indexes = [];
+            for (let i = count - 1; i >= Math.max(0, count - limit); i--) {
+                indexes.push(i);
+            }
+            
+            const rows = await Promise.all(indexes.map(async (txIndex) => {
+                const [transaction, confirmedByMe] = await Promise.all([
+                    this.multiSig.getTransaction(txIndex),
+                    this.account ? this.multiSig.isConfirmed(txIndex, this.account) : false
+                ]);
+                return { txIndex, transaction, confirmedByMe };
+            }));
+            
+            list.innerHTML = '';
+            
+            if (rows.length === 0) {
+                list.textContent = '제출된 트랜잭션이 없습니다.';
+                return;
+            }
+            
+            for (const { txIndex, transaction, confirmedByMe } of rows) {
+                list.appendChild(this.renderMultiSigTransaction(txIndex, transaction, confirmedByMe));
+            }
+            
+        } catch (error) {
+            console.error('멀티시그 트랜잭션 조회 실패:', error);
+            this.showError('멀티시그 트랜잭션 조회 실패: ' + this.describeError(error));
+        }
+    }
+    
+    renderMultiSigTransaction(txIndex, transaction, confirmedByMe) {
+        const { to, value, data, executed, confirmations } = transaction;
+        const canExecute = !executed && confirmations.gte(this.multiSigRequired);
+        
+        const row = document.createElement('div');
+        row.className = 'info-row';
+        row.style.flexWrap = 'wrap';
+        
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.className = 'multisig-select';
+        checkbox.value = txIndex;
+        checkbox.disabled = executed || confirmedByMe;
+        checkbox.style.width = 'auto';
+        checkbox.style.margin = '0 10px 0 0';
+        
+        const summary = document.createElement('span');
+        summary.style.flex = '1';
+        const status = executed ? '✅ 실행됨' : canExecute ? '🚀 실행 가능' : '⏳ 승인 대기';
+        summary.textContent = `#${txIndex} ${this.describeMultiSigCall(to, value, data)} → ` +
+            `${to.slice(0, 6)}...${to.slice(-4)} | 승인 ${confirmations.toString()}/${this.multiSigRequired.toString()} | ${status}`;
+        
+        const actions = document.createElement('div');
+        actions.style.display = 'flex';
+        actions.style.gap = '5px';
+        
+        const addAction = (label, color, handler) => {
+            const button = document.createElement('button');
+            button.textContent = label;
+            button.style.background = color;
+            button.style.fontSize = '12px';
+            button.style.padding = '5px 10px';
+            button.style.margin = '5px 0';
+            button.style.width = 'auto';
+            button.addEventListener('click', handler);
+            actions.appendChild(button);
+        };
+        
+        if (!executed) {
+            if (confirmedByMe) {
+                addAction('승인 철회', '#e53e3e', () => this.multiSigAction('revokeConfirmation', txIndex));
+            } else {
+                addAction('승인', '#38a169', () => this.multiSigAction('confirmTransaction', txIndex));
+            }
+            if (canExecute) {
+                addAction('실행', '#3182ce', () => this.multiSigAction('executeTransaction', txIndex));
+            }
+        }
+        
+        row.appendChild(checkbox);
+        row.appendChild(summary);
+        row.appendChild(actions);
+        return row;
+    }
+    
+    describeMultiSigCall(to, value, data) {
+        if (!data || data === '0x') {
+            return `ETH 전송 ${ethers.utils.formatEther(value)} ETH`;
+        }
+        
+        try {
+            const parsed = new ethers.utils.Interface(this.tokenABI).parseTransaction({ data, value });
+            const args = parsed.args.map(arg =>
+                ethers.BigNumber.isBigNumber(arg) ? ethers.utils.formatEther(arg) : String(arg)
+            );
+            return `${parsed.name}(${args.join(', ')})`;
+        } catch (error) {
+            return `호출 데이터 ${data.slice(0, 10)}...`;
+        }
+    }
+    
+    updateProposalInputs() {
+        const functionName = document.getElementById('proposalFunction').value;
+        const { inputs } = this.proposalFunctions[functionName];
+        
+        document.getElementById('proposalAddressGroup').style.display = inputs.includes('address') ? 'block' : 'none';
+        document.getElementById('proposalAmountGroup').style.display = inputs.includes('amount') ? 'block' : 'none';
+    }
+    
+    encodeProposal(functionName) {
+        const { inputs } = this.proposalFunctions[functionName];
+        const args = [];
+        
+        if (inputs.includes('address')) {
+            const address = document.getElementById('proposalAddress').value;
+            if (!address || !ethers.utils.isAddress(address)) {
+                throw new Error('올바른 대상 계정 주소를 입력해주세요.');
+            }
+            args.push(address);
+        }
+        
+        if (inputs.includes('amount')) {
+            const amount = document.getElementById('proposalAmount').value;
+            if (!amount || parseFloat(amount) <= 0) {
+                throw new Error('올바른 수량을 입력해주세요.');
+            }
+            args.push(ethers.utils.parseEther(amount));
+        }
+        
+        const tokenInterface = new ethers.utils.Interface(this.tokenABI);
+        return tokenInterface.encodeFunctionData(functionName, args);
+    }
+    
+    async submitMultiSigProposal() {
+        try {
+            this.showLoading(true);
+            
+            if (!this.multiSig) {
+                throw new Error('먼저 멀티시그 컨트랙트를 로드해주세요.');
+            }
+            
+            const target = document.getElementById('proposalTarget').value;
+            if (!target || !ethers.utils.isAddress(target)) {
+                throw new Error('올바른 토큰 컨트랙트 주소를 입력해주세요.');
+            }
+            
+            const functionName = document.getElementById('proposalFunction').value;
+            const data = this.encodeProposal(functionName);
+            const confirmNow = document.getElementById('proposalConfirmNow').checked;
+            
+            console.log('멀티시그 제안 데이터:', { target, functionName, data, confirmNow });
+            
+            const tx = confirmNow
+                ? await this.multiSig.submitAndConfirmTransaction(target, 0, data)
+                : await this.multiSig.submitTransaction(target, 0, data);
+            
+            this.showSuccess('멀티시그 제안 트랜잭션 전송됨! 확인을 기다리는 중...');
+            
+            const receipt = await this.trackTransaction(tx, `멀티시그 제안 (${functionName})`);
+            
+            this.showLoading(false);
+            this.showSuccess(`멀티시그 제안 완료 (${functionName})! 트랜잭션: ${receipt.transactionHash}`);
+            
+            document.getElementById('proposalAddress').value = '';
+            document.getElementById('proposalAmount').value = '';
+            await this.listMultiSigTransactions();
+            
+        } catch (error) {
+            console.error('멀티시그 제안 실패:', error);
+            this.showLoading(false);
+            this.showError('멀티시그 제안 실패: ' + this.describeError(error));
+        }
+    }
+    
+    async multiSigAction(method, txIndex) {
+        const labels = {
+            confirmTransaction: '승인',
+            revokeConfirmation: '승인 철회',
+            executeTransaction: '실행'
+        };
+        
+        try {
+            this.showLoading(true);
+            
+            if (!this.multiSig) {
+                throw new Error('먼저 멀티시그 컨트랙트를 로드해주세요.');
+            }
+            
+            const tx = await this.multiSig[method](txIndex);
+            
+            this.showSuccess(`트랜잭션 #${txIndex} ${labels[method]} 전송됨! 확인을 기다리는 중...`);
+            
+            const receipt = await this.trackTransaction(tx, `멀티시그 #${txIndex} ${labels[method]}`);
+            
+            this.showLoading(false);
+            this.showSuccess(`트랜잭션 #${txIndex} ${labels[method]} 완료! 트랜잭션: ${receipt.transactionHash}`);
+            
+            await this.listMultiSigTransactions();
+            if (method === 'executeTransaction' && this.contract) {
+                await this.loadTokenInfo();
+            }
+            
+        } catch (error) {
+            console.error(`멀티시그 ${method} 실패:`, error);
+            this.showLoading(false);
+            this.showError(`트랜잭션 #${txIndex} ${labels[method]} 실패: ` + this.describeError(error));
+        }
+    }
+    
+    async batchConfirmMultiSig() {
+        try {
+            this.showLoading(true);
+            
+            if (!this.multiSig) {
+                throw new Error('먼저 멀티시그 컨트랙트를 로드해주세요.');
+            }
+            
+            const txIndexes = Array.from(document.getElementById('multiSigTransactions').querySelectorAll('.multisig-select'))
+                .filter(checkbox => checkbox.checked)
+                .map(checkbox => Number(checkbox.value));
+            
+            if (txIndexes.length === 0) {
+                throw new Error('일괄 승인할 트랜잭션을 선택해주세요.');
+            }
+            
+            const tx = await this.multiSig.batchConfirm(txIndexes);
+            
+            this.showSuccess(`${txIndexes.length}건 일괄 승인 트랜잭션 전송됨! 확인을 기다리는 중...`);
+            
+            const receipt = await this.trackTransaction(tx, `멀티시그 일괄 승인 (#${txIndexes.join(', #')})`);
+            
+            this.showLoading(false);
+            this.showSuccess(`트랜잭션 #${txIndexes.join(', #')} 일괄 승인 완료! 트랜잭션: ${receipt.transactionHash}`);
+            
+            await this.listMultiSigTransactions();
+            
+        } catch (error) {
+            console.error('일괄 승인 실패:', error);
+            this.showLoading(false);
+            this.showError('일괄 승인 실패: ' + this.describeError(error));
+        }
+    }
+    
+    // TimeLock Functions
+    async loadTimeLock() {
+        try {
+            this.showLoading(true);
+            
+            if (!this.connector) {
+                throw new Error('먼저 지갑을 연결해주세요.');
+            }
+            
+            const address = document.getElementById('timeLockAddress').value;
+            
+            if (!address || !ethers.utils.isAddress(address)) {
+                throw new Error('올바른 TimeLock 주소를 입력해주세요.');
+            }
+            
+            await this.checkAndSwitchNetwork();
+            
+            const code = await this.web3.getCode(address);
+            if (code === '0x') {
+                throw new Error('해당 주소에 컨트랙트가 배포되지 않았습니다.');
+            }
+            
+            this.timeLock = new ethers.Contract(address, this.timeLockABI, this.getSigner());
+            
+            const [delay, canExecute, canCancel] = await Promise.all([
+                this.timeLock.delay(),
+                this.account ? this.timeLock.hasRole(this.timeLockRoles.EXECUTOR_ROLE, this.account) : false,
+                this.account ? this.timeLock.hasRole(this.timeLockRoles.CANCELLER_ROLE, this.account) : false
+            ]);
+            
+            this.timeLockPermissions = { execute: canExecute, cancel: canCancel };
+            
+            document.getElementById('timeLockDelay').textContent = this.formatDuration(delay.toNumber());
+            document.getElementById('timeLockRoles').textContent = [
+                canExecute ? '✅ EXECUTOR' : '❌ EXECUTOR',
+                canCancel ? '✅ CANCELLER' : '❌ CANCELLER'
+            ].join(' / ');
+            document.getElementById('timeLockInfo').style.display = 'block';
+            
+            await this.loadTimeLockQueue();
+            
+            this.showLoading(false);
+            this.showSuccess('TimeLock 로드 완료!');
+            
+        } catch (error) {
+            console.error('TimeLock 로드 오류:', error);
+            this.showLoading(false);
+            this.showError('TimeLock 로드 실패: ' + this.describeError(error));
+            this.timeLock = null;
+        }
+    }
+    
+    async loadTimeLockQueue() {
+        if (!this.timeLock) return;
+        
+        try {
+            // Rebuild the queue by replaying Queue/Execute/Cancel events in chain order
+            const [queued, executed, cancelled, chainTime] = await Promise.all([
+                this.timeLock.queryFilter(this.timeLock.filters.QueueTransaction(), 0),
+                this.timeLock.queryFilter(this.timeLock.filters.ExecuteTransaction(), 0),
+                this.timeLock.queryFilter(this.timeLock.filters.CancelTransaction(), 0),
+                this.timeLock.getBlockTimestamp()
+            ]);
+            
+            // Countdowns follow chain time, which drifts from the local clock on Hardhat
+            this.timeLockClockOffset = chainTime.toNumber() - Math.floor(Date.now() / 1000);
+            
+            const statusByEvent = {
+                QueueTransaction: 'queued',
+                ExecuteTransaction: 'executed',
+                CancelTransaction: 'cancelled'
+            };
+            
+            const events = [...queued, ...executed, ...cancelled].sort((a, b) =>
+                a.blockNumber - b.blockNumber || a.logIndex - b.logIndex
+            );
+            
+            const entries = new Map();
+            for (const event of events) {
+                const { txHash, target, value, signature, data, executeTime } = event.args;
+                entries.set(txHash, {
+                    txHash,
+                    target,
+                    value,
+                    signature,
+                    data,
+                    executeTime: executeTime.toNumber(),
+                    status: statusByEvent[event.event],
+                    blockNumber: event.blockNumber
+                });
+            }
+            
+            this.timeLockQueue = Array.from(entries.values()).sort((a, b) => b.executeTime - a.executeTime);
+            this.renderTimeLockQueue();
+            
+        } catch (error) {
+            console.error('TimeLock 큐 조회 실패:', error);
+            this.showError('TimeLock 큐 조회 실패: ' + this.describeError(error));
+        }
+    }
+    
+    renderTimeLockQueue() {
+        const list = document.getElementById('timeLockQueue');
+        list.innerHTML = '';
+        
+        if (this.timeLock && this.timeLockTimer === null) {
+            this.timeLockTimer = setInterval(() => this.updateTimeLockCountdowns(), 1000);
+        }
+        
+        if (this.timeLockQueue.length === 0) {
+            list.textContent = '큐에 등록된 작업이 없습니다.';
+            return;
+        }
+        
+        for (const entry of this.timeLockQueue) {
+            const row = document.createElement('div');
+            row.className = 'info-row';
+            row.style.flexDirection = 'column';
+            row.style.alignItems = 'stretch';
+            
+            const call = document.createElement('strong');
+            call.textContent = this.describeTimeLockCall(entry);
+            
+            const details = document.createElement('span');
+            details.style.fontSize = '0.85rem';
+            details.style.color = '#718096';
+            details.textContent = `대상: ${entry.target} | 값: ${ethers.utils.formatEther(entry.value)} ETH | ` +
+                `실행 시각: ${new Date(entry.executeTime * 1000).toLocaleString()}`;
+            
+            const state = document.createElement('span');
+            state.className = 'timelock-countdown';
+            state.dataset.txHash = entry.txHash;
+            
+            row.appendChild(call);
+            row.appendChild(details);
+            row.appendChild(state);
+            
+            if (entry.status === 'queued') {
+                const actions = document.createElement('div');
+                actions.style.display = 'flex';
+                actions.style.gap = '10px';
+                
+                if (this.timeLockPermissions.execute) {
+                    const executeButton = document.createElement('button');
+                    executeButton.textContent = '실행';
+                    executeButton.style.background = '#3182ce';
+                    executeButton.className = 'timelock-execute';
+                    executeButton.dataset.txHash = entry.txHash;
+                    executeButton.addEventListener('click', () => this.timeLockAction('executeTransaction', entry));
+                    actions.appendChild(executeButton);
+                }
+                
+                if (this.timeLockPermissions.cancel) {
+                    const cancelButton = document.createElement('button');
+                    cancelButton.textContent = '취소';
+                    cancelButton.style.background = '#e53e3e';
+                    cancelButton.addEventListener('click', () => this.timeLockAction('cancelTransaction', entry));
+                    actions.appendChild(cancelButton);
+                }
+                
+                row.appendChild(actions);
+            }
+            
+            list.appendChild(row);
+        }
+        
+        this.updateTimeLockCountdowns();
+    }
+    
+    updateTimeLockCountdowns() {
+        const list = document.getElementById('timeLockQueue');
+        const entries = new Map(this.timeLockQueue.map(entry => [entry.txHash, entry]));
+        
+        for (const span of list.querySelectorAll('.timelock-countdown')) {
+            const entry = entries.get(span.dataset.txHash);
+            if (entry) {
+                const { label, color } = this.getTimeLockState(entry);
+                span.textContent = label;
+                span.style.color = color;
+            }
+        }
+        
+        // Execution is only possible inside the grace window
+        for (const button of list.querySelectorAll('.timelock-execute')) {
+            const entry = entries.get(button.dataset.txHash);
+            button.disabled = !entry || this.getTimeLockState(entry).phase !== 'ready';
+        }
+    }
+    
+    getTimeLockState(entry) {
+        if (entry.status === 'executed') {
+            return { phase: 'executed', label: '✅ 실행됨', color: '#38a169' };
+        }
+        if (entry.status === 'cancelled') {
+            return { phase: 'cancelled', label: '❌ 취소됨', color: '#718096' };
+        }
+        
+        const now = Math.floor(Date.now() / 1000) + this.timeLockClockOffset;
+        const graceEnd = entry.executeTime + this.timeLockGracePeriod;
+        
+        if (now < entry.executeTime) {
+            return {
+                phase: 'pending',
+                label: `⏳ 실행까지 ${this.formatDuration(entry.executeTime - now)}`,
+                color: '#d69e2e'
+            };
+        }
+        if (now <= graceEnd) {
+            return {
+                phase: 'ready',
+                label: `🚀 실행 가능 (유예 기간 ${this.formatDuration(graceEnd - now)} 남음)`,
+                color: '#3182ce'
+            };
+        }
+        return { phase: 'stale', label: '⌛ 유예 기간 만료 (실행 불가)', color: '#e53e3e' };
+    }
+    
+    describeTimeLockCall(entry) {
+        const { signature, data } = entry;
+        
+        try {
+            if (signature) {
+                // TimeLock prepends the selector of `signature` to the ABI-encoded args in `data`
+                const fragment = ethers.utils.FunctionFragment.from(signature);
+                const args = ethers.utils.defaultAbiCoder.decode(fragment.inputs, data);
+                return `${fragment.name}(${args.map(arg => this.formatCallArg(arg)).join(', ')})`;
+            }
+            
+            const parsed = new ethers.utils.Interface(this.tokenABI).parseTransaction({ data });
+            return `${parsed.name}(${parsed.args.map(arg => this.formatCallArg(arg)).join(', ')})`;
+        } catch (error) {
+            return `${signature || '호출 데이터'} ${data.slice(0, 10)}...`;
+        }
+    }
+    
+    formatCallArg(arg) {
+        if (ethers.BigNumber.isBigNumber(arg)) {
+            return arg.toString();
+        }
+        if (Array.isArray(arg)) {
+            return `[${arg.map(item => this.formatCallArg(item)).join(', ')}]`;
+        }
+        return String(arg);
+    }
+    
+    formatDuration(seconds) {
+        const days = Math.floor(seconds / 86400);
+        const hours = Math.floor((seconds % 86400) / 3600);
+        const minutes = Math.floor((seconds % 3600) / 60);
+        const secs = seconds % 60;
+        
+        const parts = [];
+        if (days > 0) parts.push(`${days}일`);
+        if (hours > 0) parts.push(`${hours}시간`);
+        if (minutes > 0) parts.push(`${minutes}분`);
+        if (days === 0 && (secs > 0 || parts.length === 0)) parts.push(`${secs}초`);
+        return parts.join(' ');
+    }
+    
+    async timeLockAction(method, entry) {
+        const label = method === 'executeTransaction' ? '실행' : '취소';
+        
+        try {
+            this.showLoading(true);
+            
+            if (!this.timeLock) {
+                throw new Error('먼저 TimeLock 컨트랙트를 로드해주세요.');
+            }
+            
+            const args = [entry.target, entry.value, entry.signature, entry.data, entry.executeTime];
+            const tx = method === 'executeTransaction'
+                ? await this.timeLock.executeTransaction(...args, { value: entry.value })
+                : await this.timeLock.cancelTransaction(...args);
+            
+            this.showSuccess(`TimeLock 작업 ${label} 트랜잭션 전송됨! 확인을 기다리는 중...`);
+            
+            const receipt = await this.trackTransaction(tx, `TimeLock 작업 ${label}`);
+            
+            this.showLoading(false);
+            this.showSuccess(`TimeLock 작업 ${label} 완료! 트랜잭션: ${receipt.transactionHash}`);
+            
+            await this.loadTimeLockQueue();
+            if (method === 'executeTransaction' && this.contract) {
+                await this.loadTokenInfo();
+            }
+            
+        } catch (error) {
+            console.error(`TimeLock ${method} 실패:`, error);
+            this.showLoading(false);
+            this.showError(`TimeLock 작업 ${label} 실패: ` + this.describeError(error));
         }
     }
 }
@@ -1,4 +1,5 @@
 const { ethers } = require("hardhat");
+const { recordDeployment } = require("./deployments");
 
 async function main() {
   console.log("🏛️ Starting Governance System Deployment...");
@@ -30,6 +31,10 @@ async function main() {
   await multiSig.waitForDeployment();
   const multiSigAddress = await multiSig.getAddress();
   console.log("✅ MultiSig deployed to:", multiSigAddress);
+  await recordDeployment(hre, "multiSig", multiSig, {
+    contractName: "MultiSigWallet",
+    constructorArgs: [MULTISIG_OWNERS, MULTISIG_THRESHOLD]
+  });
 
   // 2. Deploy TimeLock
   console.log("\n2️⃣ Deploying TimeLock...");
@@ -40,6 +45,10 @@ async function main() {
   await timeLock.waitForDeployment();
   const timeLockAddress = await timeLock.getAddress();
   console.log("✅ TimeLock deployed to:", timeLockAddress);
+  await recordDeployment(hre, "timeLock", timeLock, {
+    contractName: "TimeLock",
+    constructorArgs: [TIMELOCK_DELAY, proposers, executors, admin.address]
+  });
 
   // 3. Deploy Governed StableCoin
   console.log("\n3️⃣ Deploying Governed StableCoin...");
@@ -54,6 +63,10 @@ async function main() {
   await governedCoin.waitForDeployment();
   const governedCoinAddress = await governedCoin.getAddress();
   console.log("✅ Governed StableCoin deployed to:", governedCoinAddress);
+  await recordDeployment(hre, "governedStableCoin", governedCoin, {
+    contractName: "GovernedStableCoin",
+    constructorArgs: [TOKEN_NAME, TOKEN_SYMBOL, INITIAL_SUPPLY, admin.address, timeLockAddress]
+  });
 
   // 4. Verification
   console.log("\n🔍 Verifying deployment...");
@@ -1,4 +1,5 @@
 const { ethers } = require("hardhat");
+const { recordDeployment } = require("./deployments");
 
 async function main() {
   console.log("🏠 Starting Local Testnet Deployment...");
@@ -28,6 +29,11 @@ async function main() {
   
   console.log("✅ StableCoin deployed to:", contractAddress);
 
+  await recordDeployment(hre, "stableCoin", stableCoin, {
+    contractName: "StableCoin",
+    constructorArgs: [TOKEN_NAME, TOKEN_SYMBOL, INITIAL_SUPPLY]
+  });
+
   // Basic verification
   console.log("\n🔍 Contract verification...");
   const name = await stableCoin.name();
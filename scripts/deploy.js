@@ -1,4 +1,5 @@
 const { ethers } = require("hardhat");
+const { recordDeployment } = require("./deployments");
 
 async function main() {
   console.log("Starting StableCoin deployment...");
@@ -71,6 +72,11 @@ async function main() {
     deployedAt: new Date().toISOString()
   };
 
+  await recordDeployment(hre, "stableCoin", stableCoin, {
+    contractName: "StableCoin",
+    constructorArgs: [TOKEN_NAME, TOKEN_SYMBOL, INITIAL_SUPPLY]
+  });
+
   console.log("\n📝 Deployment Summary:");
   console.log("Network:", networkName);
   console.log("Contract Address:", contractAddress);
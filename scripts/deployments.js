@@ -0,0 +1,110 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+
+/**
+ * Deployment manifest shared by the deploy scripts, the interaction scripts and the DApp.
+ * One file per network: deployments/<network>.json
+ * ABIs of deployed contracts are shipped alongside it: deployments/abi/<ContractName>.json
+ */
+
+const MANIFEST_VERSION = 1;
+const DEPLOYMENTS_DIR = path.join(__dirname, "..", "deployments");
+const ABI_DIR = path.join(DEPLOYMENTS_DIR, "abi");
+
+// The in-process "hardhat" network is thrown away after every run, so there is nothing to record
+const EPHEMERAL_NETWORKS = ["hardhat"];
+
+function getManifestPath(networkName) {
+  return path.join(DEPLOYMENTS_DIR, `${networkName}.json`);
+}
+
+function loadManifest(networkName) {
+  const manifestPath = getManifestPath(networkName);
+  if (!fs.existsSync(manifestPath)) {
+    return null;
+  }
+
+  const manifest = JSON.parse(fs.readFileSync(manifestPath, "utf8"));
+  if (manifest.version !== MANIFEST_VERSION) {
+    throw new Error(`Unsupported deployment manifest version ${manifest.version} in ${manifestPath}`);
+  }
+  return manifest;
+}
+
+function getAbiPath(contractName) {
+  return path.join(ABI_DIR, `${contractName}.json`);
+}
+
+function loadAbi(contractName) {
+  const abiPath = getAbiPath(contractName);
+  return fs.existsSync(abiPath) ? JSON.parse(fs.readFileSync(abiPath, "utf8")) : null;
+}
+
+// Hash of the ABI in ethers' canonical JSON form, so artifact and manifest ABIs compare equal
+function hashAbi(abi) {
+  return ethers.id(new ethers.Interface(abi).formatJson());
+}
+
+// Record a deployed contract under `key` (stableCoin, multiSig, timeLock, ...) in the network's manifest
+async function recordDeployment(hre, key, contract, { contractName, constructorArgs = [] }) {
+  const networkName = hre.network.name;
+  if (EPHEMERAL_NETWORKS.includes(networkName)) {
+    return null;
+  }
+
+  const deployTx = contract.deploymentTransaction();
+  const abi = JSON.parse(contract.interface.formatJson());
+  const receipt = await deployTx.wait();
+  const { chainId } = await hre.ethers.provider.getNetwork();
+
+  let manifest = loadManifest(networkName);
+  if (!manifest || manifest.chainId !== Number(chainId)) {
+    // A different chain under the same name (e.g. a restarted local node) invalidates every entry
+    manifest = { version: MANIFEST_VERSION, network: networkName, chainId: Number(chainId), contracts: {} };
+  }
+
+  manifest.contracts[key] = {
+    contractName,
+    address: await contract.getAddress(),
+    constructorArgs: constructorArgs.map(arg => (typeof arg === "bigint" ? arg.toString() : arg)),
+    deployer: deployTx.from,
+    transactionHash: deployTx.hash,
+    blockNumber: receipt.blockNumber,
+    abiHash: hashAbi(abi),
+    deployedAt: new Date().toISOString()
+  };
+  manifest.updatedAt = new Date().toISOString();
+
+  fs.mkdirSync(ABI_DIR, { recursive: true });
+  fs.writeFileSync(getManifestPath(networkName), JSON.stringify(manifest, null, 2) + "\n");
+  fs.writeFileSync(getAbiPath(contractName), JSON.stringify(abi, null, 2) + "\n");
+
+  console.log(`📝 Recorded ${key} in deployments/${networkName}.json`);
+  return manifest.contracts[key];
+}
+
+// Map of key => address for every contract recorded on the network
+function getDeployedAddresses(networkName) {
+  const manifest = loadManifest(networkName);
+  if (!manifest) {
+    return {};
+  }
+
+  return Object.fromEntries(
+    Object.entries(manifest.contracts).map(([key, entry]) => [key, entry.address])
+  );
+}
+
+module.exports = {
+  MANIFEST_VERSION,
+  DEPLOYMENTS_DIR,
+  ABI_DIR,
+  getManifestPath,
+  loadManifest,
+  getAbiPath,
+  loadAbi,
+  hashAbi,
+  recordDeployment,
+  getDeployedAddresses
+};
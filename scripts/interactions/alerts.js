@@ -0,0 +1,412 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const nodemailer = require("nodemailer");
+
+/**
+ * Rule-based alerting for ContractMonitor
+ * Rules are declared in a JSON config file (ALERT_RULES, default alerts.json; see alerts.example.json).
+ *
+ * Event rules match contract events by contract, event name and argument conditions.
+ * State rules are evaluated periodically against the monitor:
+ *   multisig-pending  - a MultiSig transaction not executed after olderThanHours
+ *                       (contract: wallet name or list, default every monitored MultiSig)
+ *   timelock-ready    - a queued TimeLock operation that can be executed now
+ *
+ * Every rule has a severity, a dedupe key (an alert with a key already sent is dropped) and a cooldown
+ * (minimum seconds between two alerts of the rule). Alerts go to the configured sinks.
+ *
+ * Dedupe and cooldown state is kept in a JSON file next to the rules (alerts.state.json, or ALERT_STATE),
+ * so separate runs such as `coin monitor alerts-check` from cron do not repeat alerts. A sent dedupe key
+ * is remembered for the rule's dedupeWindow (seconds, default 7 days, never shorter than its cooldown).
+ */
+
+const REPO_ROOT = path.join(__dirname, "..", "..");
+const DEFAULT_RULES_FILE = process.env.ALERT_RULES || path.join(REPO_ROOT, "alerts.json");
+const SEVERITIES = ["info", "warning", "critical"];
+const SEVERITY_ICONS = { info: "ℹ️", warning: "⚠️", critical: "🚨" };
+const STATE_RULES = ["multisig-pending", "timelock-ready"];
+const DEFAULT_DEDUPE_WINDOW = 7 * 24 * 3600;
+const DEFAULT_DEDUPE = {
+    event: "{transactionHash}:{logIndex}",
+    "multisig-pending": "{contract}:{txIndex}",
+    "timelock-ready": "{txHash}"
+};
+const COMPARISONS = {
+    gt: (a, b) => a > b,
+    gte: (a, b) => a >= b,
+    lt: (a, b) => a < b,
+    lte: (a, b) => a <= b
+};
+
+// "${NAME}" in config strings is replaced by the environment variable, so secrets stay out of the file
+function expandEnv(value) {
+    if (typeof value === "string") {
+        return value.replace(/\$\{(\w+)\}/g, (_, name) => process.env[name] || "");
+    }
+    if (Array.isArray(value)) return value.map(expandEnv);
+    if (value && typeof value === "object") {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, expandEnv(item)]));
+    }
+    return value;
+}
+
+function list(value) {
+    return value === undefined || value === null ? null : [].concat(value);
+}
+
+// Equality that treats addresses case-insensitively and numbers by value
+function sameValue(actual, expected) {
+    if (typeof expected === "string" && ethers.isAddress(expected) && typeof actual === "string") {
+        return actual.toLowerCase() === expected.toLowerCase();
+    }
+    return String(actual) === String(expected);
+}
+
+// condition: a value to compare with, or { eq, ne, in, gt, gte, lt, lte, decimals }
+// decimals scales the numeric thresholds, e.g. { "gt": "100000", "decimals": 18 } for token amounts
+function matchesCondition(actual, condition) {
+    if (actual === undefined) {
+        return false;
+    }
+    if (condition === null || typeof condition !== "object" || Array.isArray(condition)) {
+        return sameValue(actual, condition);
+    }
+
+    for (const [operator, expected] of Object.entries(condition)) {
+        if (operator === "decimals") continue;
+        if (operator === "eq" && !sameValue(actual, expected)) return false;
+        if (operator === "ne" && sameValue(actual, expected)) return false;
+        if (operator === "in" && !expected.some(item => sameValue(actual, item))) return false;
+        if (COMPARISONS[operator]) {
+            const threshold = ethers.parseUnits(String(expected), condition.decimals || 0);
+            if (!COMPARISONS[operator](BigInt(actual), threshold)) return false;
+        }
+    }
+    return true;
+}
+
+// "{name}" is replaced by the context value, "{name:tokens}" formats an 18-decimal amount
+function render(template, context) {
+    return template.replace(/\{(\w+)(?::(\w+))?\}/g, (match, name, format) => {
+        const value = context[name];
+        if (value === undefined || value === null) return match;
+        return format === "tokens" ? ethers.formatEther(BigInt(value)) : String(value);
+    });
+}
+
+// Sinks
+class ConsoleSink {
+    async send(alert) {
+        console.log(`\n${SEVERITY_ICONS[alert.severity]} [${alert.severity.toUpperCase()}] ${alert.rule}: ${alert.message}`);
+        if (alert.transactionHash) {
+            console.log(`   Block: ${alert.blockNumber}, Tx: ${alert.transactionHash}`);
+        }
+        if (alert.suppressed > 0) {
+            console.log(`   (${alert.suppressed} more suppressed by cooldown)`);
+        }
+    }
+}
+
+// One JSON object per line; a relative path is resolved against baseDir (the rules file's directory)
+class FileSink {
+    constructor({ path: file = path.join("alerts", "alerts.jsonl") }, baseDir = REPO_ROOT) {
+        this.file = path.resolve(baseDir, file);
+    }
+
+    async send(alert) {
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        fs.appendFileSync(this.file, JSON.stringify(alert) + "\n");
+    }
+}
+
+// POSTs the alert as JSON
+class WebhookSink {
+    constructor({ url, headers = {}, timeout = 10000 }) {
+        if (!url) throw new Error("Webhook sink requires a url");
+        this.url = url;
+        this.headers = headers;
+        this.timeout = timeout;
+    }
+
+    async send(alert) {
+        const response = await fetch(this.url, {
+            method: "POST",
+            headers: { "content-type": "application/json", ...this.headers },
+            body: JSON.stringify(alert),
+            signal: AbortSignal.timeout(this.timeout)
+        });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status} from ${this.url}`);
+        }
+    }
+}
+
+// Email over SMTP: { host, port, secure, auth: { user, pass }, from, to }
+class SmtpSink {
+    constructor(options) {
+        if (!options.host || !options.to) throw new Error("SMTP sink requires host and to");
+        this.from = options.from || `coin-monitor@${options.host}`;
+        this.to = options.to;
+        this.transport = nodemailer.createTransport({
+            host: options.host,
+            port: options.port || 587,
+            secure: Boolean(options.secure),
+            auth: options.auth && options.auth.user ? options.auth : undefined,
+            ignoreTLS: Boolean(options.ignoreTLS)
+        });
+    }
+
+    async send(alert) {
+        await this.transport.sendMail({
+            from: this.from,
+            to: this.to,
+            subject: `[${alert.severity.toUpperCase()}] ${alert.rule}: ${alert.message}`,
+            text: JSON.stringify(alert, null, 2)
+        });
+    }
+}
+
+const SINK_TYPES = {
+    stdout: ConsoleSink,
+    file: FileSink,
+    webhook: WebhookSink,
+    smtp: SmtpSink
+};
+
+// Make another sink type available to configs: class with async send(alert)
+function registerSink(type, SinkClass) {
+    SINK_TYPES[type] = SinkClass;
+}
+
+class AlertEngine {
+    // config: { rules: [...], sinks: [{ type, minSeverity, ...options }] }
+    // stateFile: where dedupe and cooldown state is persisted; without one it is kept in memory only
+    // baseDir: what relative sink paths are resolved against (load() passes the rules file's directory)
+    constructor(config, stateFile = null, baseDir = REPO_ROOT) {
+        this.rules = (config.rules || []).map(rule => this.validateRule(rule));
+        this.sinks = [];
+        for (const options of config.sinks || [{ type: "stdout" }]) {
+            const SinkClass = SINK_TYPES[options.type];
+            if (!SinkClass) throw new Error(`Unknown alert sink type: ${options.type}`);
+            try {
+                this.sinks.push({ type: options.type, minSeverity: options.minSeverity || "info", sink: new SinkClass(options, baseDir) });
+            } catch (error) {
+                // Typically an unset ${VARIABLE}: the sink is left out instead of failing the whole config
+                console.log(`⚠️ Alert sink ${options.type} disabled: ${error.message}`);
+            }
+        }
+        this.stateFile = stateFile;
+        this.sent = new Map(); // dedupe key => { rule, time } of the alert sent with it
+        this.lastAlert = new Map(); // rule id => time of its last alert
+        this.suppressed = new Map(); // rule id => alerts dropped by the cooldown since then
+        this.loadState();
+    }
+
+    static load(file = DEFAULT_RULES_FILE, stateFile = process.env.ALERT_STATE || file.replace(/\.json$/i, "") + ".state.json") {
+        if (!fs.existsSync(file)) {
+            throw new Error(`Alert rules not found: ${file} (copy alerts.example.json to get started)`);
+        }
+        const engine = new AlertEngine(expandEnv(JSON.parse(fs.readFileSync(file, "utf8"))), stateFile, path.dirname(path.resolve(file)));
+        console.log(`🚨 Loaded ${engine.rules.length} alert rules and ${engine.sinks.length} sinks from ${file}`);
+        return engine;
+    }
+
+    // State
+    loadState() {
+        if (!this.stateFile || !fs.existsSync(this.stateFile)) {
+            return;
+        }
+        try {
+            const state = JSON.parse(fs.readFileSync(this.stateFile, "utf8"));
+            this.sent = new Map(Object.entries(state.sent || {}));
+            this.lastAlert = new Map(Object.entries(state.lastAlert || {}));
+            this.suppressed = new Map(Object.entries(state.suppressed || {}));
+            this.prune();
+        } catch (error) {
+            console.log(`⚠️ Ignoring unreadable alert state ${this.stateFile}: ${error.message}`);
+        }
+    }
+
+    saveState() {
+        if (!this.stateFile) {
+            return;
+        }
+        const state = {
+            sent: Object.fromEntries(this.sent),
+            lastAlert: Object.fromEntries(this.lastAlert),
+            suppressed: Object.fromEntries(this.suppressed)
+        };
+        try {
+            // Written aside and renamed, so an interrupted run cannot leave a truncated file
+            fs.mkdirSync(path.dirname(this.stateFile), { recursive: true });
+            fs.writeFileSync(`${this.stateFile}.tmp`, JSON.stringify(state, null, 2));
+            fs.renameSync(`${this.stateFile}.tmp`, this.stateFile);
+        } catch (error) {
+            console.log("⚠️ Could not save the alert state:", error.message);
+        }
+    }
+
+    // Forget dedupe keys past their rule's dedupe window, finished cooldowns and state of removed rules
+    prune(now = Date.now()) {
+        const rules = new Map(this.rules.map(rule => [rule.id, rule]));
+        for (const [key, entry] of this.sent) {
+            const rule = rules.get(entry.rule);
+            if (!rule || now - entry.time >= rule.dedupeWindow * 1000) {
+                this.sent.delete(key);
+            }
+        }
+        for (const [id, time] of this.lastAlert) {
+            const rule = rules.get(id);
+            if (!rule || now - time >= rule.cooldown * 1000) {
+                this.lastAlert.delete(id);
+            }
+        }
+        for (const id of this.suppressed.keys()) {
+            if (!rules.has(id)) {
+                this.suppressed.delete(id);
+            }
+        }
+    }
+
+    validateRule(rule) {
+        const type = rule.type || "event";
+        if (!rule.id) {
+            throw new Error("Alert rule without an id");
+        }
+        if (type !== "event" && !STATE_RULES.includes(type)) {
+            throw new Error(`Alert rule ${rule.id}: unknown type ${type}`);
+        }
+        if (type === "event" && !rule.event) {
+            throw new Error(`Alert rule ${rule.id}: event rules need an event name`);
+        }
+        const severity = rule.severity || "warning";
+        if (!SEVERITIES.includes(severity)) {
+            throw new Error(`Alert rule ${rule.id}: severity must be one of ${SEVERITIES.join(", ")}`);
+        }
+        const cooldown = Number(rule.cooldown || 0);
+        return {
+            ...rule,
+            type,
+            severity,
+            cooldown,
+            dedupe: rule.dedupe || DEFAULT_DEDUPE[type],
+            dedupeWindow: Math.max(Number(rule.dedupeWindow ?? DEFAULT_DEDUPE_WINDOW), cooldown)
+        };
+    }
+
+    // record: { contract, event, args, blockNumber, transactionHash, logIndex, timestamp } (see event-indexer.js)
+    // Returns the alerts sent
+    async handleEvent(record) {
+        const alerts = [];
+        for (const rule of this.rules) {
+            if (rule.type !== "event") continue;
+            const contracts = list(rule.contract);
+            if (contracts && !contracts.includes(record.contract)) continue;
+            if (!list(rule.event).includes(record.event)) continue;
+            if (!Object.entries(rule.where || {}).every(([name, condition]) => matchesCondition(record.args[name], condition))) continue;
+
+            const { args, ...meta } = record;
+            alerts.push(await this.fire(rule, { ...args, ...meta }));
+        }
+        return alerts.filter(Boolean);
+    }
+
+    // Evaluate the state rules against a ContractMonitor; returns the alerts sent
+    async checkState(monitor) {
+        const alerts = [];
+        for (const rule of this.rules) {
+            let items = [];
+            if (rule.type === "multisig-pending") {
+                for (const contractName of list(rule.contract) || monitor.multiSigContracts()) {
+                    items.push(...(await monitor.pendingMultiSigTransactions(contractName))
+                        .filter(item => item.ageHours >= Number(rule.olderThanHours || 0)));
+                }
+            } else if (rule.type === "timelock-ready") {
+                items = await monitor.readyTimeLockOperations();
+            }
+            for (const item of items) {
+                alerts.push(await this.fire(rule, item));
+            }
+        }
+        return alerts.filter(Boolean);
+    }
+
+    // Send an alert for the rule unless its dedupe key was already sent or the rule is cooling down
+    async fire(rule, context) {
+        const now = Date.now();
+        const key = `${rule.id}:${render(rule.dedupe, context)}`;
+        this.prune(now);
+        if (this.sent.has(key)) {
+            return null;
+        }
+        if (now - (this.lastAlert.get(rule.id) || 0) < rule.cooldown * 1000) {
+            this.suppressed.set(rule.id, (this.suppressed.get(rule.id) || 0) + 1);
+            this.saveState();
+            return null;
+        }
+
+        this.sent.set(key, { rule: rule.id, time: now });
+        this.lastAlert.set(rule.id, now);
+        const alert = {
+            rule: rule.id,
+            severity: rule.severity,
+            message: render(rule.message || rule.description || rule.id, context),
+            contract: context.contract || null,
+            event: context.event || null,
+            blockNumber: context.blockNumber ?? null,
+            transactionHash: context.transactionHash || null,
+            time: new Date(now).toISOString(),
+            suppressed: this.suppressed.get(rule.id) || 0,
+            data: context
+        };
+        this.suppressed.delete(rule.id);
+        this.saveState();
+
+        await this.dispatch(alert);
+        return alert;
+    }
+
+    // Send a test alert through every sink regardless of minSeverity
+    async test() {
+        const alert = {
+            rule: "test",
+            severity: "info",
+            message: "Test alert from coin monitor",
+            contract: null,
+            event: null,
+            blockNumber: null,
+            transactionHash: null,
+            time: new Date().toISOString(),
+            suppressed: 0,
+            data: {}
+        };
+        for (const { type, sink } of this.sinks) {
+            try {
+                await sink.send(alert);
+                console.log(`✅ Test alert sent to ${type}`);
+            } catch (error) {
+                console.error(`❌ Alert sink ${type} failed:`, error.message);
+            }
+        }
+        return alert;
+    }
+
+    async dispatch(alert) {
+        const level = SEVERITIES.indexOf(alert.severity);
+        for (const { type, minSeverity, sink } of this.sinks) {
+            if (level < SEVERITIES.indexOf(minSeverity)) continue;
+            try {
+                await sink.send(alert);
+            } catch (error) {
+                console.error(`❌ Alert sink ${type} failed:`, error.message);
+            }
+        }
+    }
+}
+
+module.exports = {
+    AlertEngine,
+    registerSink,
+    DEFAULT_RULES_FILE
+};
@@ -0,0 +1,141 @@
+/**
+ * Block-by-timestamp resolver
+ * Turns wall-clock boundaries into block numbers by binary-searching block headers, so time windows
+ * are exact on any chain (Hardhat automine, L2s, irregular block times) instead of assuming a block rate.
+ *
+ * Range ends are block numbers, "latest", Date objects or ISO 8601 strings ("2026-10-01", "2026-10-01T12:00:00Z").
+ * A block number given as a string needs an explicit form ("#123" or "block:123"): any other string is a date,
+ * so "2026" means the year 2026, not block 2026.
+ */
+
+const DEFAULT_CACHE_SIZE = 10000;
+
+// Unix seconds of a Date or an ISO date string
+function toTimestamp(value) {
+    const time = value instanceof Date ? value.getTime() : Date.parse(value);
+    if (Number.isNaN(time)) {
+        throw new Error(`Invalid date: ${value}`);
+    }
+    return Math.floor(time / 1000);
+}
+
+// Block number of a range end, or null when it is a date
+function blockNumber(value) {
+    if (typeof value === "number" || typeof value === "bigint") {
+        return Number(value);
+    }
+    const match = typeof value === "string" && value.match(/^(?:#|block:)(\d+)$/);
+    return match ? Number(match[1]) : null;
+}
+
+class BlockTimeResolver {
+    constructor(provider, options = {}) {
+        this.provider = provider;
+        this.cacheSize = options.cacheSize || DEFAULT_CACHE_SIZE;
+        this.timestamps = new Map(); // block number => timestamp
+    }
+
+    remember(blockNumber, timestamp) {
+        if (this.timestamps.size >= this.cacheSize) {
+            // Oldest entry first (insertion order)
+            this.timestamps.delete(this.timestamps.keys().next().value);
+        }
+        this.timestamps.set(blockNumber, timestamp);
+    }
+
+    async getTimestamp(blockNumber) {
+        if (!this.timestamps.has(blockNumber)) {
+            const block = await this.provider.getBlock(blockNumber);
+            if (!block) {
+                throw new Error(`Block ${blockNumber} not found`);
+            }
+            this.remember(blockNumber, block.timestamp);
+        }
+        return this.timestamps.get(blockNumber);
+    }
+
+    // The latest block is not cached: it may still be replaced
+    async getHead() {
+        const block = await this.provider.getBlock("latest");
+        return { number: block.number, timestamp: block.timestamp };
+    }
+
+    // Smallest block number in [low, high] whose timestamp is >= target, or high + 1 if none.
+    // Cached headers narrow the bounds before any request is made.
+    async search(target, low, high) {
+        for (const [number, timestamp] of this.timestamps) {
+            if (number >= low && number <= high) {
+                if (timestamp >= target) high = Math.min(high, number);
+                else low = Math.max(low, number + 1);
+            }
+        }
+
+        let result = high + 1;
+        while (low <= high) {
+            const middle = Math.floor((low + high) / 2);
+            if (await this.getTimestamp(middle) >= target) {
+                result = middle;
+                high = middle - 1;
+            } else {
+                low = middle + 1;
+            }
+        }
+        return result;
+    }
+
+    // First block mined at or after the timestamp; head + 1 if it is in the future
+    async firstBlockAtOrAfter(timestamp, head = null) {
+        head = head || await this.getHead();
+        if (head.timestamp < timestamp) {
+            return head.number + 1;
+        }
+        return this.search(timestamp, 0, head.number);
+    }
+
+    // Last block mined at or before the timestamp; -1 if it is before genesis
+    async lastBlockAtOrBefore(timestamp, head = null) {
+        head = head || await this.getHead();
+        if (head.timestamp <= timestamp) {
+            return head.number;
+        }
+        return await this.search(timestamp + 1, 0, head.number) - 1;
+    }
+
+    // Block range for two ends; the range is empty (fromBlock > toBlock) when no block falls inside it
+    async resolveRange(from = 0, to = "latest") {
+        const head = await this.getHead();
+
+        const resolve = async (value, edge) => {
+            if (value === undefined || value === null || value === "latest") {
+                return edge === "from" ? 0 : head.number;
+            }
+            const block = blockNumber(value);
+            if (block !== null) {
+                return block;
+            }
+            const timestamp = toTimestamp(value);
+            return edge === "from"
+                ? this.firstBlockAtOrAfter(timestamp, head)
+                : this.lastBlockAtOrBefore(timestamp, head);
+        };
+
+        return {
+            fromBlock: await resolve(from, "from"),
+            toBlock: await resolve(to, "to")
+        };
+    }
+
+    // Block range of the last N hours, measured on chain time (the latest block's timestamp)
+    async lastHours(hours) {
+        const head = await this.getHead();
+        return {
+            fromBlock: await this.firstBlockAtOrAfter(head.timestamp - hours * 3600, head),
+            toBlock: head.number
+        };
+    }
+}
+
+module.exports = {
+    BlockTimeResolver,
+    toTimestamp
+};
@@ -0,0 +1,850 @@
+#!/usr/bin/env node
+const { parseArgs } = require("util");
+const { ethers } = require("ethers");
+const { ContractSetup } = require("./setup.js");
+const TokenOperations = require("./token-operations.js");
+const MultiSigOperations = require("./multisig-operations.js");
+const GovernanceWorkflow = require("./governance-workflow.js");
+const ContractMonitor = require("./monitoring.js");
+const { AlertEngine } = require("./alerts.js");
+const { MetricsExporter } = require("./metrics.js");
+const { KeyStore, promptSecret } = require("./keystore.js");
+const { FEE_PRESETS } = require("./tx-sender.js");
+const { toTimestamp } = require("./block-time.js");
+
+/**
+ * coin - command line interface over the interaction classes
+ * Usage: coin <group> <command> [args...] [--network local|sepolia] [--json]
+ */
+
+class UsageError extends Error {}
+
+const GLOBAL_OPTIONS = {
+    network: { type: "string", short: "n", default: "local" },
+    as: { type: "string" },
+    json: { type: "boolean", default: false },
+    help: { type: "boolean", short: "h", default: false },
+    contract: { type: "string" },
+    "gas-limit": { type: "string" },
+    "from-block": { type: "string" },
+    "to-block": { type: "string" },
+    since: { type: "string" },
+    until: { type: "string" },
+    hours: { type: "string" },
+    limit: { type: "string" },
+    interval: { type: "string" },
+    value: { type: "string" },
+    eta: { type: "string" },
+    index: { type: "string" },
+    count: { type: "string" },
+    from: { type: "string" },
+    out: { type: "string" },
+    rules: { type: "string" },
+    port: { type: "string" },
+    host: { type: "string" },
+    speed: { type: "string" },
+    "max-fee": { type: "string" },
+    "stuck-timeout": { type: "string" },
+    "on-stuck": { type: "string" },
+    concurrent: { type: "boolean", default: false },
+    "dry-run": { type: "boolean", default: false }
+};
+
+// Argument helpers
+function address(value, name = "address") {
+    if (!value || !ethers.isAddress(value)) {
+        throw new UsageError(`Invalid ${name}: ${value === undefined ? "(missing)" : value}`);
+    }
+    return ethers.getAddress(value);
+}
+
+function amount(value, name = "amount") {
+    if (value === undefined || !/^\d+(\.\d+)?$/.test(value)) {
+        throw new UsageError(`Invalid ${name}: ${value === undefined ? "(missing)" : value}`);
+    }
+    return value;
+}
+
+function integer(value, name) {
+    if (value === undefined || !/^\d+$/.test(value)) {
+        throw new UsageError(`Invalid ${name}: ${value === undefined ? "(missing)" : value}`);
+    }
+    return Number(value);
+}
+
+function date(value, name) {
+    try {
+        toTimestamp(value);
+    } catch (error) {
+        throw new UsageError(`Invalid ${name}: ${value} (expected an ISO date such as 2026-10-01 or 2026-10-01T12:00:00Z)`);
+    }
+    return value;
+}
+
+// Range ends for event queries: --since/--until (ISO dates) or --from-block/--to-block
+function blockRange(options) {
+    return {
+        from: options.since ? date(options.since, "--since")
+            : options["from-block"] ? integer(options["from-block"], "--from-block") : 0,
+        to: options.until ? date(options.until, "--until")
+            : options["to-block"] ? integer(options["to-block"], "--to-block") : "latest"
+    };
+}
+
+// Analysis window: --since/--until dates, otherwise the last --hours (default 24)
+function timeWindow(options) {
+    if (options.since || options.until) {
+        return {
+            from: options.since ? date(options.since, "--since") : undefined,
+            to: options.until ? date(options.until, "--until") : undefined
+        };
+    }
+    return options.hours ? integer(options.hours, "--hours") : 24;
+}
+
+function txOptions(options) {
+    const txOptions = options["gas-limit"] ? { gasLimit: integer(options["gas-limit"], "--gas-limit") } : {};
+    if (options.concurrent) {
+        txOptions.concurrent = true;
+    }
+    return txOptions;
+}
+
+function transactionHash(value) {
+    if (!value || !ethers.isHexString(value, 32)) {
+        throw new UsageError(`Invalid transaction hash: ${value === undefined ? "(missing)" : value}`);
+    }
+    return value;
+}
+
+// Gas strategy for ContractSetup.init (see tx-sender.js)
+function gasOptions(options) {
+    if (options.speed && !FEE_PRESETS[options.speed]) {
+        throw new UsageError(`Invalid --speed: ${options.speed} (use ${Object.keys(FEE_PRESETS).join(", ")})`);
+    }
+    if (options["on-stuck"] && !["prompt", "speed-up", "cancel", "wait"].includes(options["on-stuck"])) {
+        throw new UsageError(`Invalid --on-stuck: ${options["on-stuck"]} (use prompt, speed-up, cancel or wait)`);
+    }
+    return {
+        speed: options.speed,
+        maxFeeGwei: options["max-fee"] !== undefined ? amount(options["max-fee"], "--max-fee") : undefined,
+        stuckTimeout: options["stuck-timeout"] !== undefined ? integer(options["stuck-timeout"], "--stuck-timeout") : undefined,
+        onStuck: options["on-stuck"]
+    };
+}
+
+// Function arguments for TimeLock calls; JSON values (arrays, quoted strings) are parsed
+function functionArgs(values) {
+    return values.map(value => (/^[[{"]/.test(value) ? JSON.parse(value) : value));
+}
+
+async function executeTime(governance, options) {
+    if (options.eta) {
+        return integer(options.eta, "--eta");
+    }
+    // Earliest valid time plus the same 5 minute buffer proposeAndExecuteGovernanceAction uses
+    const delay = await governance.timeLock.delay();
+    return Math.floor(Date.now() / 1000) + Number(delay) + 300;
+}
+
+function timeLockCall(args, options) {
+    const [target, signature, ...rest] = args;
+    if (!signature) {
+        throw new UsageError("Missing function signature, e.g. \"mint(address,uint256)\"");
+    }
+    return {
+        target: address(target, "target"),
+        value: ethers.parseEther(amount(options.value || "0", "--value")),
+        signature,
+        args: functionArgs(rest)
+    };
+}
+
+// Password for a new keystore, asked twice unless KEYSTORE_PASSWORD is set
+async function newPassword() {
+    if (process.env.KEYSTORE_PASSWORD) {
+        return process.env.KEYSTORE_PASSWORD;
+    }
+    const password = await promptSecret("🔑 New keystore password: ");
+    if (password.length < 8) {
+        throw new UsageError("Password must be at least 8 characters");
+    }
+    if (await promptSecret("🔑 Repeat password: ") !== password) {
+        throw new UsageError("Passwords do not match");
+    }
+    return password;
+}
+
+function profileName(value) {
+    if (!value || !/^[A-Za-z0-9_-]+$/.test(value)) {
+        throw new UsageError(`Invalid profile name: ${value === undefined ? "(missing)" : value}`);
+    }
+    return value;
+}
+
+const COMMANDS = {
+    token: {
+        description: "StableCoin operations (TokenOperations), --contract picks the token (default stableCoin)",
+        create: async (setup, options) => {
+            const tokenOps = new TokenOperations(setup);
+            tokenOps.setContract(options.contract || "stableCoin");
+            return tokenOps;
+        },
+        commands: {
+            info: { usage: "info", run: ops => ops.getTokenInfo() },
+            balance: { usage: "balance [address]", run: (ops, [who]) => ops.checkBalance(who ? address(who) : null) },
+            balances: {
+                usage: "balances <address...>",
+                run: (ops, addresses) => {
+                    if (addresses.length === 0) throw new UsageError("At least one address is required");
+                    return ops.checkMultipleBalances(addresses.map(value => address(value)));
+                }
+            },
+            transfer: {
+                usage: "transfer <to> <amount>",
+                run: (ops, [to, value], options) => ops.transfer(address(to, "recipient"), amount(value), txOptions(options))
+            },
+            "batch-transfer": {
+                usage: "batch-transfer <to:amount...> [--concurrent]   (--concurrent: one transfer each, sent in parallel)",
+                run: (ops, pairs, options) => {
+                    if (pairs.length === 0) throw new UsageError("At least one <to:amount> pair is required");
+                    const parsed = pairs.map(pair => pair.split(":"));
+                    return ops.batchTransfer(
+                        parsed.map(([to]) => address(to, "recipient")),
+                        parsed.map(([, value]) => amount(value)),
+                        txOptions(options)
+                    );
+                }
+            },
+            approve: {
+                usage: "approve <spender> <amount>",
+                run: (ops, [spender, value], options) => ops.approve(address(spender, "spender"), amount(value), txOptions(options))
+            },
+            allowance: {
+                usage: "allowance <owner> <spender>",
+                run: (ops, [owner, spender]) => ops.checkAllowance(address(owner, "owner"), address(spender, "spender"))
+            },
+            "transfer-from": {
+                usage: "transfer-from <from> <to> <amount>",
+                run: (ops, [from, to, value], options) =>
+                    ops.transferFrom(address(from, "owner"), address(to, "recipient"), amount(value), txOptions(options))
+            },
+            mint: {
+                usage: "mint <to> <amount>",
+                run: (ops, [to, value], options) => ops.mint(address(to, "recipient"), amount(value), txOptions(options))
+            },
+            burn: { usage: "burn <amount>", run: (ops, [value], options) => ops.burn(amount(value), txOptions(options)) },
+            pause: { usage: "pause", run: (ops, args, options) => ops.pause(txOptions(options)) },
+            unpause: { usage: "unpause", run: (ops, args, options) => ops.unpause(txOptions(options)) },
+            blacklist: {
+                usage: "blacklist <address>",
+                run: (ops, [who], options) => ops.blacklist(address(who), txOptions(options))
+            },
+            unblacklist: {
+                usage: "unblacklist <address>",
+                run: (ops, [who], options) => ops.unBlacklist(address(who), txOptions(options))
+            },
+            "batch-blacklist": {
+                usage: "batch-blacklist <address...>",
+                run: (ops, addresses, options) => {
+                    if (addresses.length === 0) throw new UsageError("At least one address is required");
+                    return ops.batchBlacklist(addresses.map(value => address(value)), txOptions(options));
+                }
+            },
+            history: {
+                usage: "history <address> [--from-block N | --since DATE] [--to-block N | --until DATE]",
+                run: (ops, [who], options) => {
+                    const { from, to } = blockRange(options);
+                    return ops.getTransferHistory(address(who), from, to);
+                }
+            }
+        }
+    },
+
+    multisig: {
+        description: "MultiSig wallet operations (MultiSigOperations), --contract multiSig|optimizedMultiSig",
+        create: async (setup, options) => {
+            const multiSigOps = new MultiSigOperations(setup);
+            multiSigOps.setContract(options.contract || "multiSig");
+            return multiSigOps;
+        },
+        commands: {
+            info: { usage: "info", run: ops => ops.getMultiSigInfo() },
+            "is-owner": { usage: "is-owner [address]", run: (ops, [who]) => ops.isOwner(who ? address(who) : null) },
+            submit: {
+                usage: "submit <to> <eth> [data]",
+                run: (ops, [to, value, data = "0x"], options) =>
+                    ops.submitTransaction(address(to, "destination"), ethers.parseEther(amount(value, "value")), data, txOptions(options))
+            },
+            "submit-confirm": {
+                usage: "submit-confirm <to> <eth> [data]",
+                run: (ops, [to, value, data = "0x"], options) =>
+                    ops.submitAndConfirmTransaction(address(to, "destination"), ethers.parseEther(amount(value, "value")), data, txOptions(options))
+            },
+            "submit-token-transfer": {
+                usage: "submit-token-transfer <token> <to> <amount>",
+                run: (ops, [token, to, value], options) =>
+                    ops.submitTokenTransfer(address(token, "token"), address(to, "recipient"), amount(value), txOptions(options))
+            },
+            confirm: {
+                usage: "confirm <id>",
+                run: (ops, [id], options) => ops.confirmTransaction(integer(id, "transaction id"), txOptions(options))
+            },
+            "batch-confirm": {
+                usage: "batch-confirm <id...> [--concurrent]   (--concurrent: one confirmation each, sent in parallel)",
+                run: (ops, ids, options) => {
+                    if (ids.length === 0) throw new UsageError("At least one transaction id is required");
+                    return ops.batchConfirm(ids.map(id => integer(id, "transaction id")), txOptions(options));
+                }
+            },
+            execute: {
+                usage: "execute <id>",
+                run: (ops, [id], options) => ops.executeTransaction(integer(id, "transaction id"), txOptions(options))
+            },
+            revoke: {
+                usage: "revoke <id>",
+                run: (ops, [id], options) => ops.revokeConfirmation(integer(id, "transaction id"), txOptions(options))
+            },
+            tx: { usage: "tx <id>", run: (ops, [id]) => ops.getTransaction(integer(id, "transaction id")) },
+            status: { usage: "status <id>", run: (ops, [id]) => ops.getTransactionStatus(integer(id, "transaction id")) },
+            confirmations: {
+                usage: "confirmations <id>",
+                run: (ops, [id]) => ops.getConfirmationStatus(integer(id, "transaction id"))
+            },
+            list: {
+                usage: "list [--limit N]",
+                run: (ops, args, options) => ops.listTransactions(options.limit ? integer(options.limit, "--limit") : 10)
+            },
+            deposit: {
+                usage: "deposit <eth>",
+                run: (ops, [value], options) => ops.depositETH(amount(value), txOptions(options))
+            },
+            export: {
+                usage: "export <submit <to> <eth> [data]|confirm <id>|execute <id>|revoke <id>> [--from OWNER] [--out FILE]",
+                run: (ops, [action, ...args], options) => {
+                    let callArgs;
+                    if (action === "submit") {
+                        const [to, value, data = "0x"] = args;
+                        callArgs = [address(to, "destination"), ethers.parseEther(amount(value, "value")), data];
+                    } else if (["confirm", "execute", "revoke"].includes(action)) {
+                        callArgs = [integer(args[0], "transaction id")];
+                    } else {
+                        throw new UsageError(`Unknown action: ${action === undefined ? "(missing)" : action}`);
+                    }
+                    const outputFile = options.out || `multisig-${action}-${Date.now()}.unsigned.json`;
+                    return ops.exportUnsignedTransaction(action, callArgs, outputFile, {
+                        ...txOptions(options),
+                        from: options.from ? address(options.from, "--from") : undefined
+                    });
+                }
+            },
+            sign: {
+                usage: "sign <unsigned.json> --as <profile> [--out FILE]   (offline, no network needed)",
+                offline: true,
+                run: async (ops, [inputFile], options) => {
+                    if (!inputFile) throw new UsageError("Missing unsigned transaction file");
+                    if (!options.as) throw new UsageError("Choose the signing key with --as <profile>");
+                    const signer = await new KeyStore().getSigner(options.as);
+                    const outputFile = options.out || inputFile.replace(/(\.unsigned)?\.json$/, "") + ".signed.json";
+                    return MultiSigOperations.signOfflineTransaction(inputFile, signer, outputFile);
+                }
+            },
+            broadcast: {
+                usage: "broadcast <signed.json>",
+                run: (ops, [inputFile]) => {
+                    if (!inputFile) throw new UsageError("Missing signed transaction file");
+                    return ops.broadcastSignedTransaction(inputFile);
+                }
+            }
+        }
+    },
+
+    timelock: {
+        description: "TimeLock governance through the MultiSig (GovernanceWorkflow)",
+        create: async setup => {
+            const governance = new GovernanceWorkflow(setup);
+            await governance.init();
+            return governance;
+        },
+        commands: {
+            overview: { usage: "overview", run: gov => gov.getGovernanceOverview() },
+            permissions: { usage: "permissions", run: gov => gov.checkGovernancePermissions() },
+            queued: { usage: "queued", run: gov => gov.getQueuedTransactions() },
+            queue: {
+                usage: "queue <target> <signature> [args...] [--value ETH] [--eta UNIX_TIME]",
+                run: async (gov, args, options) => {
+                    const call = timeLockCall(args, options);
+                    const eta = await executeTime(gov, options);
+                    const data = gov.encodeTimeLockData(call.signature, call.args);
+                    return gov.queueTimeLockTransaction(call.target, call.value, call.signature, data, eta);
+                }
+            },
+            execute: {
+                usage: "execute <target> <signature> [args...] --eta UNIX_TIME [--value ETH]",
+                run: async (gov, args, options) => {
+                    const call = timeLockCall(args, options);
+                    const data = gov.encodeTimeLockData(call.signature, call.args);
+                    return gov.executeTimeLockTransaction(call.target, call.value, call.signature, data, integer(options.eta, "--eta"));
+                }
+            },
+            cancel: {
+                usage: "cancel <target> <signature> [args...] --eta UNIX_TIME [--value ETH]",
+                run: async (gov, args, options) => {
+                    const call = timeLockCall(args, options);
+                    const data = gov.encodeTimeLockData(call.signature, call.args);
+                    return gov.cancelQueuedTransaction(call.target, call.value, call.signature, data, integer(options.eta, "--eta"));
+                }
+            },
+            "propose-mint": {
+                usage: "propose-mint <to> <amount>",
+                run: (gov, [to, value]) => gov.proposeMintTokens(address(to, "recipient"), amount(value))
+            },
+            "propose-pause": { usage: "propose-pause", run: gov => gov.proposePauseContract() },
+            "propose-unpause": { usage: "propose-unpause", run: gov => gov.proposeUnpauseContract() },
+            "propose-blacklist": {
+                usage: "propose-blacklist <address>",
+                run: (gov, [who]) => gov.proposeBlacklistAddress(address(who))
+            },
+            "grant-role": {
+                usage: "grant-role <MINTER_ROLE|PAUSER_ROLE|BLACKLIST_ROLE> <account>",
+                run: (gov, [role, account]) => gov.proposeGrantRole(role, address(account, "account"))
+            },
+            "revoke-role": {
+                usage: "revoke-role <MINTER_ROLE|PAUSER_ROLE|BLACKLIST_ROLE> <account>",
+                run: (gov, [role, account]) => gov.proposeRevokeRole(role, address(account, "account"))
+            },
+            "update-delay": {
+                usage: "update-delay <seconds>",
+                run: (gov, [seconds]) => gov.proposeUpdateTimeLockDelay(integer(seconds, "delay"))
+            }
+        }
+    },
+
+    keys: {
+        description: "Encrypted keystores and signer profiles (used with --as <profile>)",
+        offline: true,
+        create: async () => new KeyStore(),
+        commands: {
+            list: {
+                usage: "list",
+                run: keyStore => {
+                    const profiles = keyStore.listProfiles();
+                    const keystores = keyStore.listKeystores();
+
+                    console.log(`\n👥 Signer profiles (${keyStore.dir}):`);
+                    for (const profile of profiles) {
+                        const source = profile.node !== undefined
+                            ? `node account ${profile.node}`
+                            : `${profile.keystore}${profile.index !== undefined ? ` #${profile.index}` : ""}`;
+                        console.log(`   ${profile.default ? "*" : " "} ${profile.name}: ${source} ${profile.address || ""}`);
+                    }
+                    console.log("\n🔐 Keystores:");
+                    keystores.forEach(({ file, address }) => console.log(`   ${file}: ${address || "unknown address"}`));
+
+                    return { profiles, keystores };
+                }
+            },
+            new: {
+                usage: "new <name>",
+                run: async (keyStore, [name]) => {
+                    name = profileName(name);
+                    const wallet = ethers.Wallet.createRandom();
+                    await keyStore.saveKeystore(`${name}.json`, wallet, await newPassword());
+                    keyStore.setProfile(name, { keystore: `${name}.json`, address: wallet.address });
+                    console.log(`👤 Profile "${name}": ${wallet.address}`);
+                    return { profile: name, address: wallet.address };
+                }
+            },
+            import: {
+                usage: "import <name>   (prompts for the private key)",
+                run: async (keyStore, [name]) => {
+                    name = profileName(name);
+                    let wallet;
+                    try {
+                        wallet = new ethers.Wallet((await promptSecret("🔑 Private key: ")).trim());
+                    } catch (error) {
+                        throw new UsageError("Invalid private key");
+                    }
+                    await keyStore.saveKeystore(`${name}.json`, wallet, await newPassword());
+                    keyStore.setProfile(name, { keystore: `${name}.json`, address: wallet.address });
+                    console.log(`👤 Profile "${name}": ${wallet.address}`);
+                    return { profile: name, address: wallet.address };
+                }
+            },
+            "import-mnemonic": {
+                usage: "import-mnemonic <name> [--count N]   (profiles <name>0..<name>N-1 by account index)",
+                run: async (keyStore, [name], options) => {
+                    name = profileName(name);
+                    const count = options.count ? integer(options.count, "--count") : 1;
+                    const phrase = (await promptSecret("🔑 Mnemonic: ")).trim().replace(/\s+/g, " ");
+                    if (!ethers.Mnemonic.isValidMnemonic(phrase)) {
+                        throw new UsageError("Invalid mnemonic");
+                    }
+
+                    await keyStore.saveKeystore(`${name}.json`, ethers.Wallet.fromPhrase(phrase), await newPassword());
+
+                    const profiles = [];
+                    for (let index = 0; index < count; index++) {
+                        const derived = ethers.HDNodeWallet.fromPhrase(phrase, undefined, `m/44'/60'/0'/0/${index}`);
+                        keyStore.setProfile(`${name}${index}`, { keystore: `${name}.json`, index, address: derived.address });
+                        console.log(`👤 Profile "${name}${index}": ${derived.address}`);
+                        profiles.push({ profile: `${name}${index}`, index, address: derived.address });
+                    }
+                    return profiles;
+                }
+            },
+            profile: {
+                usage: "profile <name> <keystore.json|node> [--index N]",
+                run: (keyStore, [name, source], options) => {
+                    name = profileName(name);
+                    let profile;
+                    if (source === "node") {
+                        profile = { node: integer(options.index, "--index") };
+                    } else if (source && keyStore.readKeystoreAddress(source)) {
+                        profile = { keystore: source };
+                        if (options.index !== undefined) {
+                            profile.index = integer(options.index, "--index");
+                        }
+                    } else {
+                        throw new UsageError(`Keystore not found: ${source === undefined ? "(missing)" : source}`);
+                    }
+                    keyStore.setProfile(name, profile);
+                    console.log(`👤 Profile "${name}" saved`);
+                    return { profile: name, ...profile };
+                }
+            },
+            default: {
+                usage: "default <name>",
+                run: (keyStore, [name]) => {
+                    keyStore.setDefaultProfile(profileName(name));
+                    console.log(`👤 Default profile: ${name}`);
+                    return { default: name };
+                }
+            },
+            address: {
+                usage: "address <name>   (unlocks the keystore to check the password)",
+                run: async (keyStore, [name]) => {
+                    const signer = await keyStore.getSigner(profileName(name));
+                    const signerAddress = await signer.getAddress();
+                    console.log(`👤 ${name}: ${signerAddress}`);
+                    return { profile: name, address: signerAddress };
+                }
+            }
+        }
+    },
+
+    tx: {
+        description: "Gas fees, the transaction journal and stuck transactions (TransactionSender)",
+        create: async setup => setup.txSender,
+        commands: {
+            fees: {
+                usage: "fees   (fees each --speed preset would pay now)",
+                run: async sender => {
+                    const presets = {};
+                    console.log(`\n⛽ Fee presets${sender.maxFeePerGas !== null ? ` (cap ${ethers.formatUnits(sender.maxFeePerGas, "gwei")} gwei)` : ""}:`);
+                    for (const speed of Object.keys(FEE_PRESETS)) {
+                        const fees = await sender.getFees(speed);
+                        presets[speed] = fees;
+                        if (fees.gasPrice !== undefined) {
+                            console.log(`   ${speed.padEnd(6)} gas price ${ethers.formatUnits(fees.gasPrice, "gwei")} gwei`);
+                        } else {
+                            console.log(`   ${speed.padEnd(6)} max fee ${ethers.formatUnits(fees.maxFeePerGas, "gwei")} gwei, priority ${ethers.formatUnits(fees.maxPriorityFeePerGas, "gwei")} gwei`);
+                        }
+                    }
+                    return presets;
+                }
+            },
+            journal: {
+                usage: "journal [--limit N]",
+                run: (sender, args, options) => {
+                    const entries = sender.readJournal(options.limit ? integer(options.limit, "--limit") : 20);
+                    console.log(`\n📒 Transaction journal (${sender.journalPath()}):`);
+                    for (const entry of entries) {
+                        const detail = entry.replaces ? ` replaces ${entry.replaces}` : entry.blockNumber ? ` block ${entry.blockNumber}` : "";
+                        console.log(`   ${entry.time} ${entry.event.padEnd(8)} ${entry.hash} nonce ${entry.nonce} ${entry.call || entry.to || ""}${detail}`);
+                    }
+                    return entries;
+                }
+            },
+            "speed-up": {
+                usage: "speed-up <txHash>   (resend the pending transaction with higher fees)",
+                run: (sender, [hash]) => sender.replacePending(transactionHash(hash), "speed-up")
+            },
+            cancel: {
+                usage: "cancel <txHash>   (replace the pending transaction with an empty one)",
+                run: (sender, [hash]) => sender.replacePending(transactionHash(hash), "cancel")
+            }
+        }
+    },
+
+    monitor: {
+        description: "Monitoring and analytics (ContractMonitor)",
+        create: async setup => {
+            const monitor = new ContractMonitor(setup);
+            await monitor.init(Object.keys(setup.contracts));
+            return monitor;
+        },
+        commands: {
+            stats: { usage: "stats", run: monitor => monitor.getContractStats() },
+            transfers: {
+                usage: "transfers [--hours N | --since DATE --until DATE] [--contract KEY]",
+                run: (monitor, args, options) => monitor.analyzeTokenTransfers(options.contract || "stableCoin", timeWindow(options))
+            },
+            "multisig-activity": {
+                usage: "multisig-activity [--hours N | --since DATE --until DATE]",
+                run: (monitor, args, options) => monitor.analyzeMultiSigActivity(timeWindow(options))
+            },
+            events: {
+                usage: "events <contract> <event|*> [--from-block N | --since DATE] [--to-block N | --until DATE]",
+                run: async (monitor, [contractName, eventName], options) => {
+                    if (!contractName || !eventName) throw new UsageError("Contract and event name are required");
+                    const { from, to } = blockRange(options);
+                    await monitor.syncEvents();
+                    return monitor.getHistoricalEvents(contractName, eventName, from, to);
+                }
+            },
+            index: {
+                usage: "index   (backfill the local event store up to the current block)",
+                run: async monitor => {
+                    const head = await monitor.syncEvents();
+                    const status = monitor.indexer.status();
+                    for (const entry of status) {
+                        const total = Object.values(entry.events).reduce((sum, count) => sum + count, 0);
+                        console.log(`🗂️ ${entry.contract}: ${total} events, blocks ${entry.startBlock}-${entry.lastBlock}`);
+                    }
+                    monitor.indexer.close();
+                    return { head, contracts: status };
+                }
+            },
+            follow: {
+                usage: "follow [--interval SECONDS]   (keep indexing new blocks, Ctrl+C to stop)",
+                longRunning: true,
+                run: (monitor, args, options) => {
+                    monitor.indexer.on("event", event => console.log(`🔔 ${event.contract}.${event.event} at block ${event.blockNumber}`));
+                    return monitor.followEvents(options.interval ? integer(options.interval, "--interval") * 1000 : 5000);
+                }
+            },
+            alerts: {
+                usage: "alerts [--rules FILE] [--interval SECONDS]   (evaluate alert rules on new events, Ctrl+C to stop)",
+                longRunning: true,
+                run: (monitor, args, options) => {
+                    monitor.enableAlerts(AlertEngine.load(options.rules));
+                    return monitor.startAlerting(options.interval ? integer(options.interval, "--interval") * 1000 : 15000);
+                }
+            },
+            "alerts-check": {
+                usage: "alerts-check [--rules FILE]   (evaluate the state rules once, e.g. from cron)",
+                run: async (monitor, args, options) => {
+                    const engine = AlertEngine.load(options.rules);
+                    await monitor.syncEvents();
+                    const alerts = await engine.checkState(monitor);
+                    monitor.indexer.close();
+                    console.log(`🚨 ${alerts.length} alerts sent`);
+                    return alerts;
+                }
+            },
+            "alerts-test": {
+                usage: "alerts-test [--rules FILE]   (send a test alert through every configured sink)",
+                run: (monitor, args, options) => AlertEngine.load(options.rules).test()
+            },
+            web: {
+                usage: "web [--port N] [--host ADDRESS] [--interval SECONDS]   (web dashboard with JSON API, Ctrl+C to stop)",
+                longRunning: true,
+                run: (monitor, args, options) => monitor.startWebDashboard({
+                    port: options.port ? integer(options.port, "--port") : undefined,
+                    host: options.host,
+                    interval: options.interval ? integer(options.interval, "--interval") * 1000 : undefined
+                })
+            },
+            metrics: {
+                usage: "metrics [--port N] [--host ADDRESS] [--interval SECONDS]   (Prometheus /metrics endpoint, Ctrl+C to stop)",
+                longRunning: true,
+                run: (monitor, args, options) => new MetricsExporter(monitor, {
+                    port: options.port ? integer(options.port, "--port") : undefined,
+                    host: options.host,
+                    syncInterval: options.interval ? integer(options.interval, "--interval") * 1000 : undefined
+                }).start()
+            },
+            gas: {
+                usage: "gas <txHash>",
+                run: (monitor, [txHash]) => {
+                    return monitor.monitorGasUsage(transactionHash(txHash));
+                }
+            },
+            watch: {
+                usage: "watch [contract] [event]   (Ctrl+C to stop)",
+                longRunning: true,
+                run: async (monitor, [contractName, eventName], options, output) => {
+                    const names = contractName ? [contractName] : Object.keys(monitor.contracts);
+                    if (output.json) {
+                        // One JSON object per line so the stream can be piped into other tools
+                        const handleEvent = monitor.handleEvent.bind(monitor);
+                        monitor.handleEvent = (name, event, payload) => {
+                            handleEvent(name, event, payload);
+                            output.write({ contract: name, event, log: payload });
+                        };
+                    }
+                    for (const name of names) {
+                        await monitor.startEventMonitoring(name, eventName || null);
+                    }
+                    return () => monitor.stopAllMonitoring();
+                }
+            },
+            dashboard: {
+                usage: "dashboard [--interval SECONDS]   (Ctrl+C to stop)",
+                longRunning: true,
+                run: (monitor, args, options) =>
+                    monitor.startDashboard(options.interval ? integer(options.interval, "--interval") * 1000 : 30000)
+            }
+        }
+    }
+};
+
+// JSON output
+function toPlain(value) {
+    if (typeof value === "bigint") return value.toString();
+    if (value === null || typeof value !== "object") return value;
+    if (value instanceof ethers.EventLog) {
+        return {
+            event: value.fragment.name,
+            args: Object.fromEntries(value.fragment.inputs.map((input, i) => [input.name || i, toPlain(value.args[i])])),
+            address: value.address,
+            blockNumber: value.blockNumber,
+            transactionHash: value.transactionHash,
+            logIndex: value.index
+        };
+    }
+    if (value instanceof ethers.ContractEventPayload) return toPlain(value.log);
+    if (typeof value.toJSON === "function") return toPlain(value.toJSON());
+    if (value instanceof Set) return Array.from(value, toPlain);
+    if (value instanceof Map) return Object.fromEntries(Array.from(value, ([k, v]) => [k, toPlain(v)]));
+    if (Array.isArray(value)) return value.map(toPlain);
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, toPlain(v)]));
+}
+
+function createOutput(json) {
+    const stdout = process.stdout;
+    if (json) {
+        // Keep stdout for JSON only; the interaction classes' progress logs go to stderr
+        console.log = console.info = (...args) => console.error(...args);
+        console.clear = () => {};
+    }
+    return {
+        json,
+        write: value => stdout.write(JSON.stringify(toPlain(value)) + "\n")
+    };
+}
+
+// Help text
+function groupHelp(groupName) {
+    const group = COMMANDS[groupName];
+    const lines = [`coin ${groupName} - ${group.description}`, "", "Commands:"];
+    for (const command of Object.values(group.commands)) {
+        lines.push(`  coin ${groupName} ${command.usage}`);
+    }
+    return lines.join("\n");
+}
+
+function help() {
+    return [
+        "coin - StableCoin command line tool",
+        "",
+        "Usage: coin <group> <command> [args...] [options]",
+        "",
+        "Groups:",
+        ...Object.entries(COMMANDS).map(([name, group]) => `  ${name.padEnd(10)} ${group.description}`),
+        "",
+        "Options:",
+        "  -n, --network <local|sepolia>   Network to connect to (default: local)",
+        "      --as <profile>              Signer profile to use (see coin keys --help)",
+        "      --json                      Print the result as JSON on stdout (logs go to stderr)",
+        "      --contract <key>            Contract key from the deployment manifest",
+        "      --gas-limit <gas>           Gas limit for transactions",
+        "      --dry-run                   Simulate state-changing commands against the latest block instead of sending them",
+        "      --speed <slow|normal|fast>  Fee preset from recent blocks (default: normal)",
+        "      --max-fee <gwei>            Never pay more than this per gas",
+        "      --stuck-timeout <seconds>   Treat a pending transaction as stuck after this long (default: 180)",
+        "      --on-stuck <action>         prompt, speed-up, cancel or wait (default: prompt)",
+        "  -h, --help                      Show help (coin <group> --help for its commands)",
+        "",
+        "Examples:",
+        "  coin token transfer 0x70997970C51812dc3A010C7d01b50e0d17dc79C8 100",
+        "  coin multisig confirm 3 --network sepolia --as owner2",
+        "  coin timelock queue 0x... \"mint(address,uint256)\" 0x... 1000000000000000000000",
+        "  coin monitor watch stableCoin Transfer --json"
+    ].join("\n");
+}
+
+async function main(argv = process.argv.slice(2)) {
+    let parsed;
+    try {
+        parsed = parseArgs({ args: argv, options: GLOBAL_OPTIONS, allowPositionals: true });
+    } catch (error) {
+        console.error(`❌ ${error.message}\n\n${help()}`);
+        return 2;
+    }
+
+    const { values: options, positionals } = parsed;
+    const [groupName, commandName, ...args] = positionals;
+    const group = COMMANDS[groupName];
+
+    if (!group) {
+        if (groupName) console.error(`❌ Unknown group: ${groupName}\n`);
+        console.log(help());
+        return groupName ? 2 : 0;
+    }
+
+    const command = group.commands[commandName];
+    if (!command || options.help) {
+        if (commandName && !command) console.error(`❌ Unknown command: ${groupName} ${commandName}\n`);
+        console.log(groupHelp(groupName));
+        return commandName && !command ? 2 : 0;
+    }
+
+    const networkType = options.network === "localhost" ? "local" : options.network;
+    const output = createOutput(options.json);
+    const setup = new ContractSetup();
+
+    try {
+        if (!group.offline && !command.offline) {
+            if (!(await setup.init(networkType, { signer: options.as, dryRun: options["dry-run"], ...gasOptions(options) }))) return 1;
+            if (!(await setup.loadContracts())) return 1;
+        }
+
+        const target = command.offline ? null : await group.create(setup, options);
+        const result = await command.run(target, args, options, output);
+
+        if (command.longRunning) {
+            // Keep running until interrupted; the command returns its stop function
+            await new Promise(resolve => process.once("SIGINT", resolve));
+            if (typeof result === "function") result();
+            return 0;
+        }
+
+        // The interaction classes return null (after logging the reason) when an operation fails;
+        // a dry run that would revert fails too
+        const ok = result !== null && !(result && result.dryRun && !result.success)
+            && !(Array.isArray(result) && result.some(item => item && item.dryRun && !item.success));
+
+        if (options.json) {
+            output.write({ command: `${groupName} ${commandName}`, network: setup.network, ok, dryRun: setup.dryRun || undefined, result });
+        }
+
+        return ok ? 0 : 1;
+    } catch (error) {
+        if (error instanceof UsageError) {
+            console.error(`❌ ${error.message}\n\nUsage: coin ${groupName} ${command.usage}`);
+            return 2;
+        }
+        console.error("❌ Command failed:", error.message);
+        return 1;
+    } finally {
+        if (setup.provider) setup.provider.destroy();
+    }
+}
+
+module.exports = { COMMANDS, main };
+
+if (require.main === module) {
+    main().then(code => process.exit(code));
+}
@@ -0,0 +1,248 @@
+const { ethers } = require("ethers");
+
+/**
+ * Dry-run simulation for the interaction classes
+ * Runs a state-changing call with eth_call against the latest block and reports the decoded
+ * result or revert reason, the estimated gas and the events it would emit. Nothing is broadcast.
+ *
+ * Events come from eth_simulateV1 where the node supports it, then geth's callTracer,
+ * then the default struct log tracer (Hardhat). Without any of them events are not reported.
+ */
+
+const CALL_OPCODES = ["CALL", "STATICCALL"];
+const CONTEXT_OPCODES = ["DELEGATECALL", "CALLCODE"]; // code runs under the caller's address
+const SUCCESS_OPCODES = ["STOP", "RETURN", "SELFDESTRUCT"];
+
+// Struct log stack entries are hex words, with or without 0x; the last entry is the top
+function stackWord(stack, depth) {
+    const value = stack[stack.length - 1 - depth];
+    return BigInt(value.startsWith("0x") ? value : `0x${value}`);
+}
+
+function stackTopic(stack, depth) {
+    return ethers.toBeHex(stackWord(stack, depth), 32);
+}
+
+// Logs from a struct log trace; logs of call frames that reverted are dropped
+function collectStructLogs(trace, to) {
+    const frames = [{ address: to, logs: [], lastOp: null }];
+    let nextAddress = null;
+
+    for (const step of trace.structLogs) {
+        while (step.depth > frames.length) {
+            frames.push({ address: nextAddress, logs: [], lastOp: null });
+        }
+        while (step.depth < frames.length) {
+            const frame = frames.pop();
+            if (SUCCESS_OPCODES.includes(frame.lastOp)) {
+                frames[frames.length - 1].logs.push(...frame.logs);
+            }
+        }
+
+        const frame = frames[frames.length - 1];
+        frame.lastOp = step.op;
+
+        if (CALL_OPCODES.includes(step.op)) {
+            nextAddress = ethers.getAddress(ethers.toBeHex(stackWord(step.stack, 1), 20));
+        } else if (CONTEXT_OPCODES.includes(step.op)) {
+            nextAddress = frame.address;
+        } else if (step.op.startsWith("CREATE")) {
+            nextAddress = null;
+        } else if (step.op.startsWith("LOG")) {
+            const offset = Number(stackWord(step.stack, 0));
+            const size = Number(stackWord(step.stack, 1));
+            const topicCount = Number(step.op.slice(3));
+            const memory = (step.memory || []).map(word => word.replace(/^0x/, "")).join("");
+            frame.logs.push({
+                address: frame.address,
+                topics: Array.from({ length: topicCount }, (_, i) => stackTopic(step.stack, 2 + i)),
+                data: `0x${memory.slice(offset * 2, (offset + size) * 2).padEnd(size * 2, "0")}`
+            });
+        }
+    }
+    return trace.failed ? [] : frames[0].logs;
+}
+
+// Logs from geth's callTracer with withLog, in call order
+function collectCallTracerLogs(call) {
+    if (call.error) {
+        return [];
+    }
+    const logs = (call.logs || []).map(log => ({ address: log.address, topics: log.topics, data: log.data }));
+    for (const child of call.calls || []) {
+        logs.push(...collectCallTracerLogs(child));
+    }
+    return logs;
+}
+
+// Raw logs the call would emit, or null if the node offers no way to tell
+async function simulateLogs(provider, tx) {
+    const request = { from: tx.from, to: tx.to, data: tx.data, value: ethers.toQuantity(tx.value || 0n) };
+
+    try {
+        const [block] = await provider.send("eth_simulateV1", [{ blockStateCalls: [{ calls: [request] }] }, "latest"]);
+        return block.calls[0].logs.map(log => ({ address: log.address, topics: log.topics, data: log.data }));
+    } catch (error) {
+        // Not supported, try the tracers
+    }
+
+    try {
+        const trace = await provider.send("debug_traceCall", [request, "latest", { tracer: "callTracer", tracerConfig: { withLog: true } }]);
+        return collectCallTracerLogs(trace);
+    } catch (error) {
+        // Not supported or only the default tracer
+    }
+
+    try {
+        const trace = await provider.send("debug_traceCall", [request, "latest", { disableStorage: true }]);
+        return collectStructLogs(trace, tx.to);
+    } catch (error) {
+        return null;
+    }
+}
+
+function namedValues(params, values) {
+    return Object.fromEntries(params.map((param, i) => [param.name || i, values[i]]));
+}
+
+// Decode logs with the loaded contracts' ABIs, by address first
+function decodeLogs(setup, logs) {
+    const contracts = Object.entries(setup.contracts || {});
+
+    return logs.map(log => {
+        const owner = contracts.find(([, contract]) => contract.target.toLowerCase() === log.address.toLowerCase());
+        const candidates = owner ? [owner] : contracts;
+
+        for (const [name, contract] of candidates) {
+            let parsed = null;
+            try {
+                parsed = contract.interface.parseLog(log);
+            } catch (error) {
+                // Anonymous or foreign event
+            }
+            if (parsed) {
+                return {
+                    contract: owner ? name : null,
+                    address: ethers.getAddress(log.address),
+                    event: parsed.name,
+                    args: namedValues(parsed.fragment.inputs, parsed.args)
+                };
+            }
+        }
+        return { contract: owner ? owner[0] : null, address: ethers.getAddress(log.address), event: null, topics: log.topics, data: log.data };
+    });
+}
+
+// Revert reason, decoding custom errors with the called contract's ABI or else any loaded one
+function revertReason(error, setup, contract) {
+    const candidates = contract ? [contract] : Object.values(setup.contracts || {});
+    for (const candidate of error.data ? candidates : []) {
+        try {
+            const parsed = candidate.interface.parseError(error.data);
+            if (parsed) {
+                return parsed.name === "Error" ? parsed.args[0] : `${parsed.name}(${parsed.args.map(String).join(", ")})`;
+            }
+        } catch (decodeError) {
+            // Not one of this contract's custom errors
+        }
+    }
+    if (error.reason) {
+        return error.reason;
+    }
+    if (error.revert) {
+        return `${error.revert.name}(${error.revert.args.map(String).join(", ")})`;
+    }
+    return error.shortMessage || error.message;
+}
+
+// Simulate a transaction request { from, to, data, value }.
+// contract and fragment, when given, decode the return value and custom errors.
+async function simulateTransaction(setup, tx, { contract = null, fragment = null } = {}) {
+    const provider = setup.provider;
+    const request = { from: tx.from, to: tx.to, data: tx.data || "0x", value: tx.value || 0n };
+    const report = {
+        dryRun: true,
+        call: setup.txSender ? setup.txSender.describe(request) : null,
+        from: request.from,
+        to: request.to,
+        value: request.value,
+        data: request.data,
+        blockNumber: await provider.getBlockNumber(),
+        success: true,
+        result: null,
+        revert: null,
+        gasEstimate: null,
+        events: null
+    };
+
+    try {
+        const returnData = await provider.call({ ...request, blockTag: "latest" });
+        if (contract && fragment && fragment.outputs.length > 0) {
+            report.result = namedValues(fragment.outputs, contract.interface.decodeFunctionResult(fragment, returnData));
+        }
+    } catch (error) {
+        report.success = false;
+        report.revert = revertReason(error, setup, contract);
+        return report;
+    }
+
+    report.gasEstimate = await provider.estimateGas(request);
+    const logs = await simulateLogs(provider, request);
+    report.events = logs === null ? null : decodeLogs(setup, logs);
+    return report;
+}
+
+// Simulate contract.method(...args); overrides.from and overrides.value default to the signer and 0
+async function simulateCall(setup, contract, method, args = [], overrides = {}) {
+    const fragment = contract.interface.getFunction(method);
+    return simulateTransaction(setup, {
+        from: overrides.from || await setup.signer.getAddress(),
+        to: contract.target,
+        data: contract.interface.encodeFunctionData(fragment, args),
+        value: overrides.value || 0n
+    }, { contract, fragment });
+}
+
+function formatValues(values) {
+    return Object.entries(values)
+        .map(([name, value]) => `${name}=${Array.isArray(value) ? `[${value.map(String).join(", ")}]` : String(value)}`)
+        .join(", ");
+}
+
+function displaySimulation(report) {
+    console.log(`\n🧪 Dry run at block ${report.blockNumber}: ${report.call || report.to} from ${report.from}`);
+    if (report.value > 0n) {
+        console.log(`   Value: ${ethers.formatEther(report.value)} ETH`);
+    }
+
+    if (!report.success) {
+        console.log("❌ Would revert:", report.revert);
+        return;
+    }
+
+    console.log("✅ Would succeed");
+    if (report.result) {
+        console.log("   Result:", formatValues(report.result));
+    }
+    console.log("⛽ Estimated gas:", report.gasEstimate.toString());
+
+    if (report.events === null) {
+        console.log("📝 Events: not available (the node supports neither eth_simulateV1 nor debug_traceCall)");
+    } else if (report.events.length === 0) {
+        console.log("📝 Events: none");
+    } else {
+        console.log("📝 Events:");
+        for (const event of report.events) {
+            const source = event.contract || event.address;
+            console.log(event.event
+                ? `   ${source}.${event.event}(${formatValues(event.args)})`
+                : `   ${source}: unknown event ${event.topics[0] || "(anonymous)"}`);
+        }
+    }
+}
+
+module.exports = {
+    simulateTransaction,
+    simulateCall,
+    displaySimulation
+};
@@ -0,0 +1,394 @@
+const fs = require("fs");
+const path = require("path");
+const { EventEmitter } = require("events");
+const Database = require("better-sqlite3");
+const { ethers } = require("ethers");
+const { loadManifest } = require("../deployments");
+
+/**
+ * Persistent event indexer for ContractMonitor
+ * Backfills the events of the monitored contracts into a local SQLite store in block chunks,
+ * follows new blocks, and rolls back blocks that are not yet confirmed when the chain reorganizes.
+ *
+ * One database per network: indexer/<network>.db
+ * Emits "event" for every newly stored event and "reorg" when blocks are rolled back.
+ */
+
+const INDEXER_DIR = process.env.INDEXER_DIR || path.join(__dirname, "..", "..", "indexer");
+const DEFAULT_CONTRACTS = ["stableCoin", "multiSig", "timeLock", "governedStableCoin"];
+const DEFAULT_CHUNK_SIZE = 2000;
+const MIN_CHUNK_SIZE = 10;
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS meta (
+        key TEXT PRIMARY KEY,
+        value TEXT NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS contracts (
+        name TEXT PRIMARY KEY,
+        address TEXT NOT NULL,
+        start_block INTEGER NOT NULL,
+        last_block INTEGER NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS blocks (
+        number INTEGER PRIMARY KEY,
+        hash TEXT NOT NULL,
+        timestamp INTEGER NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS events (
+        block_number INTEGER NOT NULL,
+        log_index INTEGER NOT NULL,
+        contract TEXT NOT NULL,
+        address TEXT NOT NULL,
+        event TEXT NOT NULL,
+        block_hash TEXT NOT NULL,
+        timestamp INTEGER NOT NULL,
+        tx_hash TEXT NOT NULL,
+        args TEXT NOT NULL,
+        PRIMARY KEY (block_number, log_index)
+    );
+    CREATE INDEX IF NOT EXISTS events_by_contract ON events (contract, event, block_number);
+    CREATE INDEX IF NOT EXISTS events_by_time ON events (timestamp);
+`;
+
+// Event arguments as JSON-safe values: bigints become decimal strings
+function plain(value) {
+    if (typeof value === "bigint") return value.toString();
+    if (Array.isArray(value)) return Array.from(value, plain);
+    return value;
+}
+
+// Providers word "block range too large" in many ways; halving the chunk is the common remedy
+function isRangeError(error) {
+    return /range|too many|limit|exceed|10000|response size/i.test(`${error.message} ${error.error?.message || ""}`);
+}
+
+class EventIndexer extends EventEmitter {
+    // options.contracts: { name: contract } or names from setup.contracts (default: the token and governance contracts)
+    // options.chunkSize: blocks per eth_getLogs request (INDEXER_CHUNK_SIZE, default 2000)
+    // options.confirmations: blocks below the head that can still be reorganized (INDEXER_CONFIRMATIONS, default 12)
+    constructor(setup, options = {}) {
+        super();
+        this.setup = setup;
+        this.file = options.file || path.join(INDEXER_DIR, `${setup.network}.db`);
+        this.chunkSize = Number(options.chunkSize || process.env.INDEXER_CHUNK_SIZE || DEFAULT_CHUNK_SIZE);
+        this.confirmations = Number(options.confirmations ?? process.env.INDEXER_CONFIRMATIONS ?? 12);
+        this.contracts = {};
+        this.db = null;
+        this.syncing = null;
+
+        const contracts = options.contracts || DEFAULT_CONTRACTS;
+        for (const name of Array.isArray(contracts) ? contracts : Object.keys(contracts)) {
+            const contract = Array.isArray(contracts) ? setup.contracts[name] : contracts[name];
+            if (contract) {
+                this.contracts[name] = contract;
+            }
+        }
+    }
+
+    get provider() {
+        return this.setup.provider;
+    }
+
+    open() {
+        if (!this.db) {
+            fs.mkdirSync(path.dirname(this.file), { recursive: true });
+            this.db = new Database(this.file);
+            this.db.pragma("journal_mode = WAL");
+            this.db.exec(SCHEMA);
+        }
+        return this.db;
+    }
+
+    close() {
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+    }
+
+    // Sync
+    // Bring the store up to the current head; concurrent calls share one run
+    sync() {
+        if (!this.syncing) {
+            this.syncing = this.runSync().finally(() => {
+                this.syncing = null;
+            });
+        }
+        return this.syncing;
+    }
+
+    async runSync() {
+        const db = this.open();
+        await this.checkChain();
+        await this.checkReorg();
+
+        const head = await this.provider.getBlockNumber();
+        let indexed = 0;
+
+        for (const [name, contract] of Object.entries(this.contracts)) {
+            let from = this.contractState(name, contract).last_block + 1;
+            // Only backfills are worth a line; following the head stays quiet
+            if (head - from >= this.chunkSize) {
+                console.log(`🗂️ Indexing ${name} from block ${from} to ${head}...`);
+            }
+
+            while (from <= head) {
+                const to = Math.min(from + this.chunkSize - 1, head);
+                let logs;
+                try {
+                    logs = await this.provider.getLogs({ address: contract.target, fromBlock: from, toBlock: to });
+                } catch (error) {
+                    if (this.chunkSize > MIN_CHUNK_SIZE && isRangeError(error)) {
+                        this.chunkSize = Math.max(MIN_CHUNK_SIZE, Math.floor(this.chunkSize / 2));
+                        console.log(`⚠️ Block range too large, retrying with chunks of ${this.chunkSize} blocks`);
+                        continue;
+                    }
+                    throw error;
+                }
+
+                const events = await this.decodeLogs(name, contract, logs);
+                // Remember the hash of the last block while it can still be reorganized
+                const tip = to > head - this.confirmations ? await this.getBlockInfo(to) : null;
+
+                db.transaction(() => {
+                    const insertEvent = db.prepare(`
+                        INSERT OR REPLACE INTO events (block_number, log_index, contract, address, event, block_hash, timestamp, tx_hash, args)
+                        VALUES (@blockNumber, @logIndex, @contract, @address, @event, @blockHash, @timestamp, @transactionHash, @argsJson)
+                    `);
+                    for (const event of events) {
+                        insertEvent.run({ ...event, argsJson: JSON.stringify(event.args) });
+                    }
+                    if (tip) {
+                        this.storeBlock(tip);
+                    }
+                    db.prepare("UPDATE contracts SET last_block = ? WHERE name = ?").run(to, name);
+                })();
+
+                for (const event of events) {
+                    this.emit("event", event);
+                }
+                indexed += events.length;
+                from = to + 1;
+            }
+        }
+
+        return { head, indexed };
+    }
+
+    // Keep following new blocks; returns a function that stops it
+    follow(interval = 5000) {
+        let timer = null;
+        let stopped = false;
+
+        const tick = async () => {
+            try {
+                await this.sync();
+            } catch (error) {
+                console.error("❌ Indexer sync failed:", error.message);
+            }
+            if (!stopped) {
+                timer = setTimeout(tick, interval);
+            }
+        };
+        tick();
+
+        return () => {
+            stopped = true;
+            clearTimeout(timer);
+        };
+    }
+
+    // A different genesis block means a different chain (e.g. a restarted local node): start over
+    async checkChain() {
+        const db = this.open();
+        const genesis = (await this.provider.getBlock(0)).hash;
+        const stored = db.prepare("SELECT value FROM meta WHERE key = 'genesis'").get();
+
+        if (stored && stored.value !== genesis) {
+            console.log("⚠️ Indexed data belongs to another chain, rebuilding the index");
+            db.transaction(() => {
+                db.exec("DELETE FROM events; DELETE FROM blocks; DELETE FROM contracts;");
+            })();
+        }
+        db.prepare("INSERT OR REPLACE INTO meta (key, value) VALUES ('genesis', ?)").run(genesis);
+    }
+
+    // Compare the stored hashes of unconfirmed blocks with the chain and roll back from the fork
+    async checkReorg() {
+        const db = this.open();
+        const lowest = db.prepare("SELECT MIN(last_block) AS block FROM contracts").get().block;
+        if (lowest === null) {
+            return;
+        }
+
+        const window = db.prepare("SELECT number, hash FROM blocks WHERE number > ? ORDER BY number")
+            .all(lowest - this.confirmations);
+        let forkBlock = null;
+        let lastMatch = lowest - this.confirmations;
+
+        for (const row of window) {
+            const block = await this.provider.getBlock(row.number);
+            if (!block || block.hash !== row.hash) {
+                forkBlock = lastMatch + 1;
+                break;
+            }
+            lastMatch = row.number;
+        }
+
+        if (forkBlock !== null) {
+            this.rollback(Math.max(forkBlock, 0));
+        }
+    }
+
+    rollback(fromBlock) {
+        const db = this.open();
+        const removed = db.transaction(() => {
+            const { changes } = db.prepare("DELETE FROM events WHERE block_number >= ?").run(fromBlock);
+            db.prepare("DELETE FROM blocks WHERE number >= ?").run(fromBlock);
+            db.prepare("UPDATE contracts SET last_block = MIN(last_block, ?)").run(fromBlock - 1);
+            return changes;
+        })();
+
+        console.log(`🔁 Chain reorganization: rolled back ${removed} events from block ${fromBlock}`);
+        this.emit("reorg", { fromBlock, removed });
+    }
+
+    // Stored state of a contract; a new address (redeployment) starts its index over
+    contractState(name, contract) {
+        const db = this.open();
+        const address = ethers.getAddress(contract.target);
+        const state = db.prepare("SELECT * FROM contracts WHERE name = ?").get(name);
+
+        if (state && state.address === address) {
+            return state;
+        }
+
+        // The deployment manifest knows where the contract was deployed, so older blocks can be skipped
+        const manifest = loadManifest(this.setup.network);
+        const deployment = manifest && manifest.contracts[name];
+        const startBlock = deployment && ethers.getAddress(deployment.address) === address ? deployment.blockNumber || 0 : 0;
+
+        db.transaction(() => {
+            db.prepare("DELETE FROM events WHERE contract = ?").run(name);
+            db.prepare("INSERT OR REPLACE INTO contracts (name, address, start_block, last_block) VALUES (?, ?, ?, ?)")
+                .run(name, address, startBlock, startBlock - 1);
+        })();
+        return db.prepare("SELECT * FROM contracts WHERE name = ?").get(name);
+    }
+
+    // Blocks
+    async getBlockInfo(blockNumber) {
+        const stored = this.open().prepare("SELECT * FROM blocks WHERE number = ?").get(blockNumber);
+        if (stored) {
+            return stored;
+        }
+        const block = await this.provider.getBlock(blockNumber);
+        return { number: block.number, hash: block.hash, timestamp: block.timestamp };
+    }
+
+    storeBlock(block) {
+        this.open().prepare("INSERT OR REPLACE INTO blocks (number, hash, timestamp) VALUES (@number, @hash, @timestamp)").run(block);
+    }
+
+    async decodeLogs(name, contract, logs) {
+        const events = [];
+        for (const log of logs) {
+            let parsed = null;
+            try {
+                parsed = contract.interface.parseLog(log);
+            } catch (error) {
+                // Not an event of this ABI
+            }
+            if (!parsed) {
+                continue;
+            }
+
+            const block = await this.getBlockInfo(log.blockNumber);
+            this.storeBlock(block);
+
+            events.push({
+                contract: name,
+                address: ethers.getAddress(log.address),
+                event: parsed.name,
+                blockNumber: log.blockNumber,
+                blockHash: log.blockHash,
+                timestamp: block.timestamp,
+                transactionHash: log.transactionHash,
+                logIndex: log.index,
+                args: Object.fromEntries(parsed.fragment.inputs.map((input, i) => [input.name || String(i), plain(parsed.args[i])]))
+            });
+        }
+        return events;
+    }
+
+    // Queries
+    // filter: { contract, event (name or list), fromBlock, toBlock, since, until (unix seconds), limit, order }
+    query(filter = {}) {
+        const conditions = [];
+        const params = [];
+
+        if (filter.contract) {
+            conditions.push("contract = ?");
+            params.push(filter.contract);
+        }
+        if (filter.event && filter.event !== "*") {
+            const names = Array.isArray(filter.event) ? filter.event : [filter.event];
+            conditions.push(`event IN (${names.map(() => "?").join(", ")})`);
+            params.push(...names);
+        }
+        for (const [key, column, operator] of [
+            ["fromBlock", "block_number", ">="],
+            ["toBlock", "block_number", "<="],
+            ["since", "timestamp", ">="],
+            ["until", "timestamp", "<="]
+        ]) {
+            if (filter[key] !== undefined && filter[key] !== null) {
+                conditions.push(`${column} ${operator} ?`);
+                params.push(filter[key]);
+            }
+        }
+
+        const order = filter.order === "desc" ? "DESC" : "ASC";
+        let sql = "SELECT * FROM events";
+        if (conditions.length > 0) sql += ` WHERE ${conditions.join(" AND ")}`;
+        sql += ` ORDER BY block_number ${order}, log_index ${order}`;
+        if (filter.limit) {
+            sql += " LIMIT ?";
+            params.push(filter.limit);
+        }
+
+        return this.open().prepare(sql).all(...params).map(row => ({
+            contract: row.contract,
+            address: row.address,
+            event: row.event,
+            blockNumber: row.block_number,
+            blockHash: row.block_hash,
+            timestamp: row.timestamp,
+            transactionHash: row.tx_hash,
+            logIndex: row.log_index,
+            args: JSON.parse(row.args)
+        }));
+    }
+
+    // What is indexed: per contract its range and event counts
+    status() {
+        const db = this.open();
+        return db.prepare("SELECT * FROM contracts ORDER BY name").all().map(row => ({
+            contract: row.name,
+            address: row.address,
+            startBlock: row.start_block,
+            lastBlock: row.last_block,
+            events: Object.fromEntries(
+                db.prepare("SELECT event, COUNT(*) AS count FROM events WHERE contract = ? GROUP BY event ORDER BY event")
+                    .all(row.name)
+                    .map(({ event, count }) => [event, count])
+            )
+        }));
+    }
+}
+
+module.exports = {
+    EventIndexer,
+    INDEXER_DIR
+};
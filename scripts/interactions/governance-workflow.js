@@ -1,5 +1,5 @@
 const { ethers } = require("ethers");
-const { ContractSetup, DEFAULT_ADDRESSES } = require("./setup.js");
+const { ContractSetup } = require("./setup.js");
 const MultiSigOperations = require("./multisig-operations.js");
 
 /**
@@ -96,16 +96,17 @@ class GovernanceWorkflow {
         value, 
         functionSignature, 
         functionArgs, 
-        description = "Governance proposal"
+        description = "Governance proposal",
+        options = {}
     ) {
         console.log(`\n🗳️ Starting governance proposal: ${description}`);
         console.log(`Target: ${target}`);
         console.log(`Function: ${functionSignature}`);
-        console.log(`Args: ${JSON.stringify(functionArgs)}`);
+        console.log(`Args: ${JSON.stringify(functionArgs, (key, value) => (typeof value === "bigint" ? value.toString() : value))}`);
         
         try {
-            // Step 1: Encode function data
-            const data = this.encodeFunctionData(functionSignature, functionArgs);
+            // Step 1: Encode the arguments (TimeLock prepends the selector from the signature)
+            const data = this.encodeTimeLockData(functionSignature, functionArgs);
             console.log(`📝 Encoded data: ${data}`);
             
             // Step 2: Calculate execution time (current time + delay + buffer)
@@ -115,9 +116,13 @@ class GovernanceWorkflow {
             
             console.log(`⏰ Execution time: ${new Date(executeTime * 1000).toLocaleString()}`);
             
+            if (this.setup.isDryRun(options)) {
+                return await this.simulateGovernanceAction(target, value, functionSignature, data, executeTime);
+            }
+            
             // Step 3: Queue transaction in TimeLock via MultiSig
             console.log("\n1️⃣ Queuing transaction in TimeLock...");
-            const queueResult = await this.queueTimeLockTransaction(target, value, functionSignature, data, executeTime);
+            const queueResult = await this.queueTimeLockTransaction(target, value, functionSignature, data, executeTime, options);
             
             if (!queueResult) {
                 throw new Error("Failed to queue transaction");
@@ -132,7 +137,7 @@ class GovernanceWorkflow {
             
             // For demo purposes, we'll show how to execute (but it will fail due to time constraint)
             console.log("\n2️⃣ Preparing execution (will fail due to time lock)...");
-            const executeResult = await this.executeTimeLockTransaction(target, value, functionSignature, data, executeTime);
+            const executeResult = await this.executeTimeLockTransaction(target, value, functionSignature, data, executeTime, options);
             
             return {
                 queueResult,
@@ -148,7 +153,7 @@ class GovernanceWorkflow {
     }
 
     // Queue transaction in TimeLock via MultiSig
-    async queueTimeLockTransaction(target, value, signature, data, executeTime) {
+    async queueTimeLockTransaction(target, value, signature, data, executeTime, options = {}) {
         try {
             // Encode the queueTransaction call
             const timeLockAddress = await this.timeLock.getAddress();
@@ -156,17 +161,21 @@ class GovernanceWorkflow {
                 target, value, signature, data, executeTime
             ]);
             
+            if (this.setup.isDryRun(options)) {
+                return await this.simulateThroughMultiSig("queueTransaction", [target, value, signature, data, executeTime]);
+            }
+            
             // Submit to MultiSig
-            const result = await this.multiSigOps.submitTransaction(timeLockAddress, 0, queueData);
+            const result = await this.multiSigOps.submitTransaction(timeLockAddress, 0, queueData, options);
             
             if (result) {
                 // Auto-confirm if possible (in real scenario, other owners would confirm)
                 console.log("📝 Auto-confirming transaction (demo purposes)...");
-                await this.multiSigOps.confirmTransaction(result.txIndex);
+                await this.multiSigOps.confirmTransaction(result.txIndex, options);
                 
                 // Execute the MultiSig transaction
                 console.log("🚀 Executing MultiSig transaction...");
-                await this.multiSigOps.executeTransaction(result.txIndex);
+                await this.multiSigOps.executeTransaction(result.txIndex, options);
                 
                 return { ...result, queueExecuteTime: executeTime };
             }
@@ -179,7 +188,7 @@ class GovernanceWorkflow {
     }
 
     // Execute transaction from TimeLock via MultiSig
-    async executeTimeLockTransaction(target, value, signature, data, executeTime) {
+    async executeTimeLockTransaction(target, value, signature, data, executeTime, options = {}) {
         try {
             // Encode the executeTransaction call
             const timeLockAddress = await this.timeLock.getAddress();
@@ -187,13 +196,17 @@ class GovernanceWorkflow {
                 target, value, signature, data, executeTime
             ]);
             
+            if (this.setup.isDryRun(options)) {
+                return await this.simulateThroughMultiSig("executeTransaction", [target, value, signature, data, executeTime]);
+            }
+            
             // Submit to MultiSig
-            const result = await this.multiSigOps.submitTransaction(timeLockAddress, 0, executeData);
+            const result = await this.multiSigOps.submitTransaction(timeLockAddress, 0, executeData, options);
             
             if (result) {
                 // Auto-confirm and execute
-                await this.multiSigOps.confirmTransaction(result.txIndex);
-                await this.multiSigOps.executeTransaction(result.txIndex);
+                await this.multiSigOps.confirmTransaction(result.txIndex, options);
+                await this.multiSigOps.executeTransaction(result.txIndex, options);
                 return result;
             }
             
@@ -205,11 +218,15 @@ class GovernanceWorkflow {
     }
 
     // Cancel a queued transaction
-    async cancelQueuedTransaction(target, value, signature, data, executeTime) {
+    async cancelQueuedTransaction(target, value, signature, data, executeTime, options = {}) {
         console.log("\n❌ Cancelling queued transaction...");
         
         try {
             // Only admin can cancel directly, or via governance
+            if (this.setup.isDryRun(options)) {
+                return await this.setup.simulate(this.timeLock, "cancelTransaction", [target, value, signature, data, executeTime]);
+            }
+            
             const tx = await this.timeLock.cancelTransaction(target, value, signature, data, executeTime);
             const receipt = await this.setup.waitForTransaction(tx);
             this.setup.displayReceipt(receipt);
@@ -222,6 +239,37 @@ class GovernanceWorkflow {
         }
     }
 
+    // Dry run of a TimeLock call made through the MultiSig: the signer's submission,
+    // then the TimeLock call as the MultiSig would make it once the owners confirmed
+    async simulateThroughMultiSig(timeLockMethod, args) {
+        const timeLockAddress = await this.timeLock.getAddress();
+        const callData = this.timeLock.interface.encodeFunctionData(timeLockMethod, args);
+        
+        const submit = await this.setup.simulate(this.multiSig, "submitTransaction", [timeLockAddress, 0, callData]);
+        const timeLockCall = await this.setup.simulate(this.timeLock, timeLockMethod, args, {
+            from: await this.multiSig.getAddress()
+        });
+        
+        return { dryRun: true, success: submit.success && timeLockCall.success, submit, timeLockCall };
+    }
+
+    // Dry run of a whole governance action, including the call the TimeLock makes on the target
+    // once the delay has passed, so a mint or role change can be rehearsed against live state
+    async simulateGovernanceAction(target, value, signature, data, executeTime) {
+        const queue = await this.simulateThroughMultiSig("queueTransaction", [target, value, signature, data, executeTime]);
+        
+        console.log("\n🎯 Effect on the target when the TimeLock executes it:");
+        const selector = ethers.id(signature).slice(0, 10);
+        const effect = await this.setup.simulateTransaction({
+            from: await this.timeLock.getAddress(),
+            to: target,
+            data: ethers.concat([selector, data]),
+            value
+        });
+        
+        return { dryRun: true, success: queue.success && effect.success, executeTime, queue, effect };
+    }
+
     // Helper: Encode function data
     encodeFunctionData(signature, args) {
         const fragment = ethers.FunctionFragment.from(signature);
@@ -229,8 +277,14 @@ class GovernanceWorkflow {
         return iface.encodeFunctionData(fragment.name, args);
     }
 
+    // Helper: Encode only the arguments, as TimeLock expects when a signature is given
+    encodeTimeLockData(signature, args) {
+        const fragment = ethers.FunctionFragment.from(signature);
+        return ethers.AbiCoder.defaultAbiCoder().encode(fragment.inputs, args);
+    }
+
     // Common governance proposals
-    async proposeMintTokens(recipient, amount) {
+    async proposeMintTokens(recipient, amount, options = {}) {
         const governedCoinAddress = await this.governedCoin.getAddress();
         const amountWei = ethers.parseEther(amount.toString());
         
@@ -239,11 +293,12 @@ class GovernanceWorkflow {
             0,
             "mint(address,uint256)",
             [recipient, amountWei],
-            `Mint ${amount} tokens to ${recipient}`
+            `Mint ${amount} tokens to ${recipient}`,
+            options
         );
     }
 
-    async proposePauseContract() {
+    async proposePauseContract(options = {}) {
         const governedCoinAddress = await this.governedCoin.getAddress();
         
         return await this.proposeAndExecuteGovernanceAction(
@@ -251,11 +306,12 @@ class GovernanceWorkflow {
             0,
             "pause()",
             [],
-            "Pause the governed token contract"
+            "Pause the governed token contract",
+            options
         );
     }
 
-    async proposeUnpauseContract() {
+    async proposeUnpauseContract(options = {}) {
         const governedCoinAddress = await this.governedCoin.getAddress();
         
         return await this.proposeAndExecuteGovernanceAction(
@@ -263,11 +319,12 @@ class GovernanceWorkflow {
             0,
             "unpause()",
             [],
-            "Unpause the governed token contract"
+            "Unpause the governed token contract",
+            options
         );
     }
 
-    async proposeBlacklistAddress(address) {
+    async proposeBlacklistAddress(address, options = {}) {
         const governedCoinAddress = await this.governedCoin.getAddress();
         
         return await this.proposeAndExecuteGovernanceAction(
@@ -275,11 +332,12 @@ class GovernanceWorkflow {
             0,
             "blacklist(address)",
             [address],
-            `Blacklist address ${address}`
+            `Blacklist address ${address}`,
+            options
         );
     }
 
-    async proposeGrantRole(role, account) {
+    async proposeGrantRole(role, account, options = {}) {
         const governedCoinAddress = await this.governedCoin.getAddress();
         let functionName;
         
@@ -302,11 +360,12 @@ class GovernanceWorkflow {
             0,
             functionName,
             [account],
-            `Grant ${role} to ${account}`
+            `Grant ${role} to ${account}`,
+            options
         );
     }
 
-    async proposeRevokeRole(role, account) {
+    async proposeRevokeRole(role, account, options = {}) {
         const governedCoinAddress = await this.governedCoin.getAddress();
         let functionName;
         
@@ -329,11 +388,12 @@ class GovernanceWorkflow {
             0,
             functionName,
             [account],
-            `Revoke ${role} from ${account}`
+            `Revoke ${role} from ${account}`,
+            options
         );
     }
 
-    async proposeUpdateTimeLockDelay(newDelay) {
+    async proposeUpdateTimeLockDelay(newDelay, options = {}) {
         const timeLockAddress = await this.timeLock.getAddress();
         
         return await this.proposeAndExecuteGovernanceAction(
@@ -341,7 +401,8 @@ class GovernanceWorkflow {
             0,
             "updateDelay(uint256)",
             [newDelay],
-            `Update TimeLock delay to ${newDelay} seconds (${newDelay / (24 * 60 * 60)} days)`
+            `Update TimeLock delay to ${newDelay} seconds (${newDelay / (24 * 60 * 60)} days)`,
+            options
         );
     }
 
@@ -437,9 +498,8 @@ async function runDemo() {
     const connected = await setup.init(networkType);
     if (!connected) return;
     
-    // Load contracts
-    const addresses = DEFAULT_ADDRESSES[networkType] || DEFAULT_ADDRESSES.local;
-    await setup.loadContracts(addresses);
+    // Load contracts from the network's deployment manifest
+    await setup.loadContracts();
     
     // Create governance workflow instance
     const governance = new GovernanceWorkflow(setup);
@@ -0,0 +1,231 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+
+/**
+ * Key management for the interaction scripts
+ * Encrypted JSON keystores, mnemonic-derived accounts and named signer profiles
+ *
+ * keystore/profiles.json:
+ * {
+ *   "default": "deployer",
+ *   "profiles": {
+ *     "deployer": { "keystore": "deployer.json" },
+ *     "owner2":   { "keystore": "team.json", "index": 2 },
+ *     "local1":   { "node": 1 }
+ *   }
+ * }
+ */
+
+const KEYSTORE_DIR = process.env.KEYSTORE_DIR || path.join(__dirname, "..", "..", "keystore");
+const PROFILES_FILE = "profiles.json";
+
+// Read a secret from the terminal without echoing it
+function promptSecret(question) {
+    return new Promise((resolve, reject) => {
+        const stdin = process.stdin;
+        if (!stdin.isTTY) {
+            reject(new Error("No terminal available for the password prompt (set KEYSTORE_PASSWORD for non-interactive use)"));
+            return;
+        }
+
+        process.stderr.write(question);
+        stdin.setRawMode(true);
+        stdin.resume();
+        stdin.setEncoding("utf8");
+
+        let secret = "";
+        const finish = (error) => {
+            stdin.setRawMode(false);
+            stdin.pause();
+            stdin.removeListener("data", onData);
+            process.stderr.write("\n");
+            error ? reject(error) : resolve(secret);
+        };
+        const onData = (chunk) => {
+            for (const char of chunk) {
+                if (char === "\r" || char === "\n" || char === "\u0004") {
+                    finish();
+                    return;
+                } else if (char === "\u0003") {
+                    finish(new Error("Password prompt cancelled"));
+                    return;
+                } else if (char === "\u007f" || char === "\b") {
+                    secret = secret.slice(0, -1);
+                } else {
+                    secret += char;
+                }
+            }
+        };
+        stdin.on("data", onData);
+    });
+}
+
+class KeyStore {
+    constructor(provider = null, options = {}) {
+        this.provider = provider;
+        this.dir = options.dir || KEYSTORE_DIR;
+        this.prompt = options.prompt || promptSecret;
+        this.wallets = new Map(); // decrypted keystores, so each file asks for its password once per session
+        this.signers = new Map();
+    }
+
+    // Profiles
+    loadProfiles() {
+        const file = path.join(this.dir, PROFILES_FILE);
+        if (!fs.existsSync(file)) {
+            return { default: null, profiles: {} };
+        }
+        const config = JSON.parse(fs.readFileSync(file, "utf8"));
+        return { default: config.default || null, profiles: config.profiles || {} };
+    }
+
+    saveProfiles(config) {
+        fs.mkdirSync(this.dir, { recursive: true });
+        fs.writeFileSync(path.join(this.dir, PROFILES_FILE), JSON.stringify(config, null, 2) + "\n");
+    }
+
+    setProfile(name, profile) {
+        const config = this.loadProfiles();
+        config.profiles[name] = profile;
+        if (!config.default) {
+            config.default = name;
+        }
+        this.saveProfiles(config);
+        this.signers.delete(name);
+    }
+
+    setDefaultProfile(name) {
+        const config = this.loadProfiles();
+        if (!config.profiles[name]) {
+            throw new Error(`Unknown signer profile: ${name}`);
+        }
+        config.default = name;
+        this.saveProfiles(config);
+    }
+
+    getDefaultProfile() {
+        return process.env.SIGNER_PROFILE || this.loadProfiles().default;
+    }
+
+    // Profiles with the address each resolves to, as far as it is known without a password
+    listProfiles() {
+        const config = this.loadProfiles();
+        return Object.entries(config.profiles).map(([name, profile]) => {
+            let address = profile.address || null;
+            if (!address && profile.keystore && profile.index === undefined) {
+                address = this.readKeystoreAddress(profile.keystore);
+            }
+            return { name, default: name === config.default, ...profile, address };
+        });
+    }
+
+    // Keystore files
+    keystorePath(file) {
+        return path.isAbsolute(file) ? file : path.join(this.dir, file);
+    }
+
+    listKeystores() {
+        if (!fs.existsSync(this.dir)) {
+            return [];
+        }
+        return fs.readdirSync(this.dir)
+            .filter(file => file.endsWith(".json") && file !== PROFILES_FILE)
+            .map(file => ({ file, address: this.readKeystoreAddress(file) }));
+    }
+
+    // The address is stored unencrypted in the keystore, so no password is needed to show it
+    readKeystoreAddress(file) {
+        try {
+            const json = JSON.parse(fs.readFileSync(this.keystorePath(file), "utf8"));
+            return json.address ? ethers.getAddress(json.address) : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    async saveKeystore(file, wallet, password) {
+        const target = this.keystorePath(file);
+        if (fs.existsSync(target)) {
+            throw new Error(`Keystore ${file} already exists`);
+        }
+
+        console.log("🔐 Encrypting keystore (this takes a few seconds)...");
+        const json = await wallet.encrypt(password);
+
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        fs.writeFileSync(target, json, { mode: 0o600 });
+        console.log(`✅ Keystore saved: ${target}`);
+        return target;
+    }
+
+    async unlock(file) {
+        const target = this.keystorePath(file);
+        if (this.wallets.has(target)) {
+            return this.wallets.get(target);
+        }
+        if (!fs.existsSync(target)) {
+            throw new Error(`Keystore not found: ${target}`);
+        }
+
+        const json = fs.readFileSync(target, "utf8");
+        const password = process.env.KEYSTORE_PASSWORD || await this.prompt(`🔑 Password for ${path.basename(target)}: `);
+        const wallet = await ethers.Wallet.fromEncryptedJson(json, password);
+
+        this.wallets.set(target, wallet);
+        return wallet;
+    }
+
+    // Signers
+    async getSigner(name = this.getDefaultProfile()) {
+        if (!name) {
+            throw new Error("No signer profile given and no default profile configured");
+        }
+        if (this.signers.has(name)) {
+            return this.signers.get(name);
+        }
+
+        const profile = this.loadProfiles().profiles[name];
+        if (!profile) {
+            throw new Error(`Unknown signer profile: ${name}`);
+        }
+
+        let signer;
+        if (profile.node !== undefined) {
+            // Unlocked account of a development node: the node holds the key, so it cannot sign offline
+            if (!this.provider) {
+                throw new Error(`Signer profile ${name} is a node account and cannot sign offline; use a keystore profile`);
+            }
+            signer = await this.provider.getSigner(profile.node);
+        } else if (profile.keystore) {
+            const wallet = await this.unlock(profile.keystore);
+
+            if (profile.index !== undefined || profile.path) {
+                if (!wallet.mnemonic) {
+                    throw new Error(`Keystore ${profile.keystore} has no mnemonic to derive account ${profile.index} from`);
+                }
+                const derivationPath = profile.path || `m/44'/60'/0'/0/${profile.index}`;
+                signer = ethers.HDNodeWallet.fromPhrase(wallet.mnemonic.phrase, undefined, derivationPath);
+            } else {
+                signer = wallet;
+            }
+            signer = signer.connect(this.provider);
+        } else {
+            throw new Error(`Signer profile ${name} needs either "keystore" or "node"`);
+        }
+
+        const address = await signer.getAddress();
+        if (profile.address && ethers.getAddress(profile.address) !== address) {
+            throw new Error(`Signer profile ${name} resolved to ${address}, expected ${profile.address}`);
+        }
+
+        this.signers.set(name, signer);
+        return signer;
+    }
+}
+
+module.exports = {
+    KeyStore,
+    KEYSTORE_DIR,
+    promptSecret
+};
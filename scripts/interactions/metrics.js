@@ -0,0 +1,192 @@
+const http = require("http");
+const { ethers } = require("ethers");
+
+/**
+ * Prometheus metrics exporter for ContractMonitor
+ * Serves GET /metrics in the Prometheus text exposition format. Every scrape reads the contracts
+ * through ContractMonitor.collectContractStats and the event store analyses; the event store keeps
+ * following new blocks in the background so indexer lag is meaningful.
+ */
+
+const CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+const DEFAULT_PORT = 9464;
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, "\\\"");
+}
+
+// Sample values as the exposition format spells them: +Inf, -Inf and NaN for anything not a number
+function formatValue(value) {
+    if (value === Infinity) return "+Inf";
+    if (value === -Infinity) return "-Inf";
+    return Number.isNaN(value) ? "NaN" : String(value);
+}
+
+// Token and ETH amounts are exported as floating point units, as Prometheus has no bigints
+function units(value) {
+    return Number(ethers.formatEther(value));
+}
+
+// Collects metric families and renders them in exposition format
+class MetricsRegistry {
+    constructor(prefix = "stablecoin") {
+        this.prefix = prefix;
+        this.families = new Map();
+    }
+
+    add(name, type, help, value, labels = {}) {
+        const fullName = `${this.prefix}_${name}`;
+        if (!this.families.has(fullName)) {
+            this.families.set(fullName, { type, help, samples: [] });
+        }
+        this.families.get(fullName).samples.push({ labels, value: Number(value) });
+    }
+
+    gauge(name, help, value, labels) {
+        this.add(name, "gauge", help, value, labels);
+    }
+
+    render() {
+        const lines = [];
+        for (const [name, family] of this.families) {
+            lines.push(`# HELP ${name} ${family.help}`);
+            lines.push(`# TYPE ${name} ${family.type}`);
+            for (const { labels, value } of family.samples) {
+                const entries = Object.entries(labels);
+                const labelText = entries.length > 0
+                    ? `{${entries.map(([key, label]) => `${key}="${escapeLabel(label)}"`).join(",")}}`
+                    : "";
+                lines.push(`${name}${labelText} ${formatValue(value)}`);
+            }
+        }
+        return lines.join("\n") + "\n";
+    }
+}
+
+class MetricsExporter {
+    // options.port (METRICS_PORT, default 9464), options.host (METRICS_HOST, default 127.0.0.1)
+    // options.syncInterval: how often the event store follows new blocks in milliseconds
+    constructor(monitor, options = {}) {
+        this.monitor = monitor;
+        this.setup = monitor.setup;
+        this.port = Number(options.port || process.env.METRICS_PORT || DEFAULT_PORT);
+        this.host = options.host || process.env.METRICS_HOST || "127.0.0.1";
+        this.syncInterval = options.syncInterval || 15000;
+        this.server = null;
+    }
+
+    // Addresses whose ETH balance is exported: the active signer, signer profiles and MultiSig owners
+    async signerAddresses(stats) {
+        const addresses = new Map(); // address => label
+        addresses.set(await this.setup.signer.getAddress(), this.setup.signerProfile || "signer");
+
+        for (const profile of this.setup.keyStore ? this.setup.keyStore.listProfiles() : []) {
+            if (profile.address && !addresses.has(ethers.getAddress(profile.address))) {
+                addresses.set(ethers.getAddress(profile.address), profile.name);
+            }
+        }
+        for (const entry of Object.values(stats)) {
+            for (const owner of entry.owners || []) {
+                if (!addresses.has(owner)) {
+                    addresses.set(owner, "multisig-owner");
+                }
+            }
+        }
+        return addresses;
+    }
+
+    async collect() {
+        const started = Date.now();
+        const registry = new MetricsRegistry();
+        const provider = this.setup.provider;
+        const head = await provider.getBlockNumber();
+        const stats = await this.monitor.collectContractStats();
+
+        registry.gauge("chain_head_block", "Latest block number of the connected node", head, { network: this.setup.network });
+
+        for (const [name, entry] of Object.entries(stats)) {
+            const labels = { contract: name, address: entry.address };
+
+            if (entry.totalSupply !== undefined) {
+                registry.gauge("token_total_supply", "Token total supply in whole tokens", units(entry.totalSupply), { ...labels, symbol: entry.symbol });
+                registry.gauge("token_paused", "1 if the token is paused", entry.paused, labels);
+                registry.gauge("token_blacklisted_accounts", "Accounts currently blacklisted", this.monitor.blacklistedAccounts(name).length, labels);
+            } else if (entry.owners) {
+                const counts = await this.monitor.multiSigCounts(name);
+                registry.gauge("multisig_owners", "Number of MultiSig owners", entry.owners.length, labels);
+                registry.gauge("multisig_required_confirmations", "Confirmations required to execute", entry.required, labels);
+                registry.gauge("multisig_transactions", "MultiSig transactions by state", counts.pending, { ...labels, state: "pending" });
+                registry.gauge("multisig_transactions", "MultiSig transactions by state", counts.executed, { ...labels, state: "executed" });
+                registry.gauge("multisig_transaction_count", "Transactions submitted according to the contract", entry.txCount, labels);
+            } else if (entry.delay !== undefined) {
+                registry.gauge("timelock_delay_seconds", "Minimum TimeLock delay", entry.delay, labels);
+                registry.gauge("timelock_queued_operations", "Queued operations neither executed nor cancelled", this.monitor.queuedTimeLockOperations().length, labels);
+                registry.gauge("timelock_ready_operations", "Queued operations executable now", (await this.monitor.readyTimeLockOperations()).length, labels);
+            }
+
+            registry.gauge("contract_eth_balance", "ETH held by the contract", units(entry.ethBalance), labels);
+        }
+
+        for (const [address, label] of await this.signerAddresses(stats)) {
+            registry.gauge("signer_eth_balance", "ETH balance of signer accounts", units(await provider.getBalance(address)), { address, name: label });
+        }
+
+        for (const entry of this.monitor.indexer.status()) {
+            const labels = { contract: entry.contract };
+            registry.gauge("indexer_last_block", "Last block indexed into the event store", entry.lastBlock, labels);
+            registry.gauge("indexer_lag_blocks", "Blocks between the chain head and the event store", Math.max(0, head - entry.lastBlock), labels);
+        }
+
+        registry.gauge("scrape_duration_seconds", "Time spent collecting these metrics", (Date.now() - started) / 1000);
+        return registry.render();
+    }
+
+    async handleRequest(request, response) {
+        const { pathname } = new URL(request.url, "http://localhost");
+
+        if (request.method !== "GET" || pathname !== "/metrics") {
+            response.writeHead(pathname === "/metrics" ? 405 : 404, { "content-type": "text/plain" });
+            response.end(pathname === "/metrics" ? "Method not allowed\n" : "Not found\n");
+            return;
+        }
+
+        try {
+            const body = await this.collect();
+            response.writeHead(200, { "content-type": CONTENT_TYPE });
+            response.end(body);
+        } catch (error) {
+            console.error("❌ Metrics collection failed:", error.message);
+            response.writeHead(500, { "content-type": "text/plain" });
+            response.end(`# collection failed: ${error.message}\n`);
+        }
+    }
+
+    // Start serving; returns a function that stops the server and the event store follower
+    async start() {
+        await this.monitor.syncEvents();
+        const stopIndexer = this.monitor.followEvents(this.syncInterval);
+
+        this.server = http.createServer((request, response) => this.handleRequest(request, response));
+        try {
+            await new Promise((resolve, reject) => {
+                this.server.once("error", reject);
+                this.server.listen(this.port, this.host, resolve);
+            });
+        } catch (error) {
+            stopIndexer();
+            throw error;
+        }
+        console.log(`📈 Metrics at http://${this.host}:${this.port}/metrics`);
+
+        return () => {
+            this.server.close();
+            stopIndexer();
+            console.log("🔇 Metrics exporter stopped");
+        };
+    }
+}
+
+module.exports = {
+    MetricsExporter,
+    MetricsRegistry
+};
@@ -1,5 +1,7 @@
 const { ethers } = require("ethers");
-const { ContractSetup, DEFAULT_ADDRESSES } = require("./setup.js");
+const { ContractSetup } = require("./setup.js");
+const { EventIndexer } = require("./event-indexer.js");
+const { WebDashboard } = require("./web-dashboard.js");
 
 /**
  * Contract monitoring and analytics script
@@ -11,10 +13,13 @@ class ContractMonitor {
         this.setup = setup;
         this.contracts = {};
         this.eventListeners = new Map();
+        this.indexer = null;
+        this.alerts = null;
     }
 
     // Initialize monitoring for specific contracts
-    async init(contractNames = ["stableCoin", "multiSig", "timeLock", "governedStableCoin"]) {
+    // indexerOptions: passed on to the EventIndexer, e.g. { file } (see event-indexer.js)
+    async init(contractNames = ["stableCoin", "multiSig", "timeLock", "governedStableCoin"], indexerOptions = {}) {
         console.log("📊 Initializing contract monitoring...");
         
         for (const name of contractNames) {
@@ -23,6 +28,40 @@ class ContractMonitor {
                 console.log(`✅ Monitoring ${name}`);
             }
         }
+
+        // Historical queries and analyses read from the local event store
+        this.indexer = new EventIndexer(this.setup, { ...indexerOptions, contracts: this.contracts });
+    }
+
+    // Backfill the event store up to the current block
+    async syncEvents() {
+        const { head, indexed } = await this.indexer.sync();
+        if (indexed > 0) {
+            console.log(`🗂️ Indexed ${indexed} new events up to block ${head}`);
+        }
+        return head;
+    }
+
+    // Keep the event store following new blocks; returns a function that stops it
+    followEvents(interval = 5000) {
+        console.log(`🗂️ Following new blocks every ${interval / 1000} seconds...`);
+        const stop = this.indexer.follow(interval);
+        return () => {
+            stop();
+            // A sync still in progress needs the database until it settles
+            Promise.resolve(this.indexer.syncing).catch(() => {}).finally(() => this.indexer.close());
+            console.log("🔇 Indexer stopped");
+        };
+    }
+
+    // Block range of an analysis window: the last N hours of chain time, or { from, to } as
+    // block numbers or ISO dates. Returns the range and a label for the log.
+    async resolveWindow(window) {
+        if (typeof window === "number") {
+            return { ...await this.setup.blockTime.lastHours(window), label: `last ${window} hours` };
+        }
+        const range = await this.setup.blockTime.resolveRange(window.from, window.to);
+        return { ...range, label: `${window.from || "genesis"} to ${window.to || "now"}` };
     }
 
     // Real-time event monitoring
@@ -75,6 +114,280 @@ class ContractMonitor {
 
         // Contract-specific event handling
         this.processSpecificEvent(contractName, eventName, event);
+
+        if (this.alerts) {
+            this.alerts.handleEvent(this.eventRecord(contractName, eventName, event))
+                .catch(error => console.error("❌ Alert evaluation failed:", error.message));
+        }
+    }
+
+    // A live contract event in the shape the event store uses (named args, bigints as strings)
+    eventRecord(contractName, eventName, event) {
+        const log = event.log || event;
+        const inputs = event.fragment ? event.fragment.inputs : [];
+        return {
+            contract: contractName,
+            address: log.address,
+            event: eventName,
+            blockNumber: log.blockNumber,
+            transactionHash: log.transactionHash,
+            logIndex: log.index,
+            args: Object.fromEntries(Array.from(event.args || [], (value, i) => [
+                inputs[i] && inputs[i].name ? inputs[i].name : String(i),
+                typeof value === "bigint" ? value.toString() : value
+            ]))
+        };
+    }
+
+    // Alerting (see alerts.js)
+    // Live events from startEventMonitoring are evaluated as soon as an AlertEngine is attached
+    enableAlerts(engine) {
+        this.alerts = engine;
+    }
+
+    // Evaluate the alert rules on every newly indexed event and the state rules on every pass.
+    // Events already in the store when alerting starts are history and are not alerted.
+    async startAlerting(interval = 15000) {
+        await this.syncEvents();
+        console.log(`🚨 Alerting on new events and state every ${interval / 1000} seconds...`);
+
+        const onEvent = record => this.alerts.handleEvent(record)
+            .catch(error => console.error("❌ Alert evaluation failed:", error.message));
+        this.indexer.on("event", onEvent);
+
+        let timer = null;
+        let stopped = false;
+        const check = async () => {
+            try {
+                await this.indexer.sync();
+                await this.alerts.checkState(this);
+            } catch (error) {
+                console.error("❌ Alert check failed:", error.message);
+            }
+            if (!stopped) {
+                timer = setTimeout(check, interval);
+            }
+        };
+        await check();
+
+        return () => {
+            stopped = true;
+            clearTimeout(timer);
+            this.indexer.off("event", onEvent);
+            this.indexer.close();
+            console.log("🔇 Alerting stopped");
+        };
+    }
+
+    // Names of the monitored MultiSig wallets (multiSig, optimizedMultiSig)
+    multiSigContracts() {
+        return Object.keys(this.contracts).filter(name => /multisig/i.test(name));
+    }
+
+    // Every transaction of a MultiSig wallet from the event store with its confirmations and status:
+    // "pending", "ready" (enough confirmations to execute) or "executed"; age is in hours of chain time
+    async multiSigPipeline(contractName = "multiSig") {
+        const head = await this.setup.provider.getBlock("latest");
+        const contract = this.contracts[contractName];
+        const required = contract
+            ? Number(await contract.numConfirmationsRequired ? await contract.numConfirmationsRequired() : await contract.required())
+            : null;
+        const events = this.indexer.query({
+            contract: contractName,
+            event: ["SubmitTransaction", "TransactionSubmitted", "ConfirmTransaction", "TransactionConfirmed",
+                "RevokeConfirmation", "TransactionRevoked", "ExecuteTransaction", "TransactionExecuted"]
+        });
+
+        const transactions = new Map();
+        for (const { event, args, timestamp, blockNumber, transactionHash } of events) {
+            const [owner, txIndex] = Object.values(args);
+            if (event === "SubmitTransaction" || event === "TransactionSubmitted") {
+                transactions.set(txIndex, {
+                    contract: contractName,
+                    txIndex,
+                    submitter: owner,
+                    to: args.to || null,
+                    value: args.value || null,
+                    submittedAt: new Date(timestamp * 1000).toISOString(),
+                    ageHours: Math.floor((head.timestamp - timestamp) / 360) / 10,
+                    confirmations: 0,
+                    required,
+                    executed: false,
+                    blockNumber,
+                    transactionHash
+                });
+            } else if (transactions.has(txIndex)) {
+                const transaction = transactions.get(txIndex);
+                if (event === "ExecuteTransaction" || event === "TransactionExecuted") {
+                    transaction.executed = true;
+                } else {
+                    const confirmed = event === "ConfirmTransaction" || event === "TransactionConfirmed";
+                    transaction.confirmations += confirmed ? 1 : -1;
+                }
+            }
+        }
+
+        return [...transactions.values()].map(transaction => ({
+            ...transaction,
+            status: transaction.executed ? "executed"
+                : required !== null && transaction.confirmations >= required ? "ready" : "pending"
+        }));
+    }
+
+    // MultiSig transactions submitted but not executed
+    async pendingMultiSigTransactions(contractName = "multiSig") {
+        return (await this.multiSigPipeline(contractName)).filter(transaction => !transaction.executed);
+    }
+
+    // MultiSig transaction counts from the event store
+    async multiSigCounts(contractName = "multiSig") {
+        const pipeline = await this.multiSigPipeline(contractName);
+        const executed = pipeline.filter(transaction => transaction.executed).length;
+        return { submitted: pipeline.length, pending: pipeline.length - executed, executed };
+    }
+
+    // Accounts currently blacklisted on a token, replaying the blacklist events from the event store
+    // (Blacklisted/UnBlacklisted, or AccountBlacklisted/AccountUnBlacklisted on OptimizedStableCoin)
+    blacklistedAccounts(contractName) {
+        const accounts = new Set();
+        const events = this.indexer.query({
+            contract: contractName,
+            event: ["Blacklisted", "UnBlacklisted", "AccountBlacklisted", "AccountUnBlacklisted"]
+        });
+        for (const { event, args } of events) {
+            if (event === "Blacklisted" || event === "AccountBlacklisted") accounts.add(args.account);
+            else accounts.delete(args.account);
+        }
+        return [...accounts];
+    }
+
+    // Token supply over a window, one point per mint or burn, replayed back from the current supply
+    async supplyHistory(contractName, window = 24) {
+        const { fromBlock, toBlock } = await this.resolveWindow(window);
+        const head = await this.setup.provider.getBlock("latest");
+        let supply = await this.contracts[contractName].totalSupply();
+
+        const points = [{ blockNumber: head.number, timestamp: head.timestamp, supply }];
+        const events = this.indexer.query({ contract: contractName, event: "Transfer", fromBlock, order: "desc" });
+        for (const { args, blockNumber, timestamp } of events) {
+            const [from, to, value] = Object.values(args);
+            if (from !== ethers.ZeroAddress && to !== ethers.ZeroAddress) continue;
+            if (blockNumber <= toBlock) {
+                points.push({ blockNumber, timestamp, supply });
+            }
+            // Undo the event to get the supply before it
+            supply += from === ethers.ZeroAddress ? -BigInt(value) : BigInt(value);
+        }
+        if (fromBlock <= head.number) {
+            points.push({ blockNumber: fromBlock, timestamp: await this.setup.blockTime.getTimestamp(fromBlock), supply });
+        }
+
+        return points
+            .filter(point => point.blockNumber <= toBlock)
+            .reverse()
+            .map(point => ({ ...point, supply: ethers.formatEther(point.supply) }));
+    }
+
+    // Minted and burned volume over a window in equal time buckets
+    async mintBurnVolume(contractName, window = 24, bucketCount = 24) {
+        const { fromBlock, toBlock } = await this.resolveWindow(window);
+        const head = await this.setup.provider.getBlock("latest");
+        const start = fromBlock <= head.number ? await this.setup.blockTime.getTimestamp(fromBlock) : head.timestamp;
+        const end = toBlock >= 0 ? await this.setup.blockTime.getTimestamp(Math.min(toBlock, head.number)) : start;
+        const bucketSeconds = Math.max(1, Math.ceil((end - start + 1) / bucketCount));
+
+        const buckets = Array.from({ length: bucketCount }, (_, i) => ({ start: start + i * bucketSeconds, minted: 0n, burned: 0n }));
+        let minted = 0n;
+        let burned = 0n;
+        for (const { args, timestamp } of this.indexer.query({ contract: contractName, event: "Transfer", fromBlock, toBlock })) {
+            const [from, to, value] = Object.values(args);
+            const bucket = buckets[Math.min(bucketCount - 1, Math.floor((timestamp - start) / bucketSeconds))];
+            if (from === ethers.ZeroAddress) {
+                bucket.minted += BigInt(value);
+                minted += BigInt(value);
+            } else if (to === ethers.ZeroAddress) {
+                bucket.burned += BigInt(value);
+                burned += BigInt(value);
+            }
+        }
+
+        return {
+            bucketSeconds,
+            minted: ethers.formatEther(minted),
+            burned: ethers.formatEther(burned),
+            buckets: buckets.map(bucket => ({
+                start: bucket.start,
+                minted: ethers.formatEther(bucket.minted),
+                burned: ethers.formatEther(bucket.burned)
+            }))
+        };
+    }
+
+    // Largest holders, replaying every indexed Transfer since deployment
+    async topHolders(contractName, limit = 10) {
+        const balances = new Map();
+        for (const { args } of this.indexer.query({ contract: contractName, event: "Transfer" })) {
+            const [from, to, value] = Object.values(args);
+            if (from !== ethers.ZeroAddress) balances.set(from, (balances.get(from) || 0n) - BigInt(value));
+            if (to !== ethers.ZeroAddress) balances.set(to, (balances.get(to) || 0n) + BigInt(value));
+        }
+
+        const totalSupply = await this.contracts[contractName].totalSupply();
+        return [...balances.entries()]
+            .filter(([, balance]) => balance > 0n)
+            .sort(([, a], [, b]) => (b > a ? 1 : b < a ? -1 : 0))
+            .slice(0, limit)
+            .map(([address, balance]) => ({
+                address,
+                balance: ethers.formatEther(balance),
+                share: totalSupply > 0n ? Number((balance * 10000n) / totalSupply) / 100 : 0
+            }));
+    }
+
+    // Latest events of all monitored contracts from the event store
+    recentEvents(limit = 50) {
+        return this.indexer.query({ order: "desc", limit });
+    }
+
+    // Queued TimeLock operations that were neither executed nor cancelled
+    queuedTimeLockOperations() {
+        const events = this.indexer.query({
+            contract: "timeLock",
+            event: ["QueueTransaction", "ExecuteTransaction", "CancelTransaction"]
+        });
+
+        const queued = new Map();
+        for (const { event, args } of events) {
+            if (event === "QueueTransaction") {
+                queued.set(args.txHash, {
+                    txHash: args.txHash,
+                    target: args.target,
+                    signature: args.signature,
+                    value: args.value,
+                    executeTime: Number(args.executeTime),
+                    executableAt: new Date(Number(args.executeTime) * 1000).toISOString()
+                });
+            } else {
+                queued.delete(args.txHash);
+            }
+        }
+        return [...queued.values()];
+    }
+
+    // The TimeLock queue with each operation's status on chain time: "waiting", "ready" or "stale"
+    async timeLockQueue() {
+        const gracePeriod = 7 * 24 * 60 * 60; // TimeLock rejects execution after executeTime + 7 days
+        const head = await this.setup.provider.getBlock("latest");
+        return this.queuedTimeLockOperations().map(operation => ({
+            ...operation,
+            status: head.timestamp < operation.executeTime ? "waiting"
+                : head.timestamp <= operation.executeTime + gracePeriod ? "ready" : "stale"
+        }));
+    }
+
+    // Queued TimeLock operations whose execute time has passed and that are not stale yet
+    async readyTimeLockOperations() {
+        return (await this.timeLockQueue()).filter(operation => operation.status === "ready");
     }
 
     // Process specific events with business logic
@@ -209,7 +522,8 @@ class ContractMonitor {
         this.eventListeners.clear();
     }
 
-    // Get historical events
+    // Get historical events from the event store, as far as it is synced (see syncEvents)
+    // eventName may be "*" or a list of alternative names; fromBlock and toBlock may also be ISO dates
     async getHistoricalEvents(contractName, eventName, fromBlock = 0, toBlock = "latest") {
         const contract = this.contracts[contractName];
         if (!contract) {
@@ -217,13 +531,19 @@ class ContractMonitor {
             return [];
         }
 
-        console.log(`📜 Getting historical ${eventName} events for ${contractName}...`);
+        const label = [].concat(eventName).join("/");
+        console.log(`📜 Getting historical ${label} events for ${contractName}...`);
         
         try {
-            const filter = eventName === "*" ? {} : contract.filters[eventName]();
-            const events = await contract.queryFilter(filter, fromBlock, toBlock);
+            const range = await this.setup.blockTime.resolveRange(fromBlock, toBlock);
+            const events = this.indexer.query({
+                contract: contractName,
+                event: eventName,
+                fromBlock: range.fromBlock,
+                toBlock: range.toBlock
+            });
             
-            console.log(`Found ${events.length} ${eventName} events from block ${fromBlock} to ${toBlock}`);
+            console.log(`Found ${events.length} ${label} events from block ${range.fromBlock} to ${range.toBlock}`);
             
             return events;
         } catch (error) {
@@ -233,15 +553,14 @@ class ContractMonitor {
     }
 
     // Analyze token transfer patterns
-    async analyzeTokenTransfers(contractName, hours = 24) {
-        console.log(`\n📊 Analyzing token transfers for last ${hours} hours...`);
-        
+    // window: hours, or { from, to } as block numbers or ISO dates
+    async analyzeTokenTransfers(contractName, window = 24) {
         try {
-            const currentBlock = await this.setup.provider.getBlockNumber();
-            const blocksPerHour = 300; // Approximate for Ethereum (12s blocks)
-            const fromBlock = Math.max(0, currentBlock - (hours * blocksPerHour));
+            await this.syncEvents();
+            const { fromBlock, toBlock, label } = await this.resolveWindow(window);
+            console.log(`\n📊 Analyzing token transfers for ${label} (blocks ${fromBlock}-${toBlock})...`);
             
-            const events = await this.getHistoricalEvents(contractName, "Transfer", fromBlock);
+            const events = await this.getHistoricalEvents(contractName, "Transfer", fromBlock, toBlock);
             
             const stats = {
                 totalTransfers: events.length,
@@ -255,7 +574,8 @@ class ContractMonitor {
             };
             
             for (const event of events) {
-                const [from, to, amount] = event.args;
+                const [from, to, value] = Object.values(event.args);
+                const amount = BigInt(value);
                 stats.totalVolume += amount;
                 stats.uniqueAddresses.add(from);
                 stats.uniqueAddresses.add(to);
@@ -299,17 +619,18 @@ class ContractMonitor {
     }
 
     // Monitor MultiSig activity
-    async analyzeMultiSigActivity(hours = 24) {
-        console.log(`\n🔐 Analyzing MultiSig activity for last ${hours} hours...`);
-        
+    // window: hours, or { from, to } as block numbers or ISO dates
+    async analyzeMultiSigActivity(window = 24) {
         try {
-            const currentBlock = await this.setup.provider.getBlockNumber();
-            const blocksPerHour = 300;
-            const fromBlock = Math.max(0, currentBlock - (hours * blocksPerHour));
+            await this.syncEvents();
+            const { fromBlock, toBlock, label } = await this.resolveWindow(window);
+            console.log(`\n🔐 Analyzing MultiSig activity for ${label} (blocks ${fromBlock}-${toBlock})...`);
+            const range = [fromBlock, toBlock];
             
-            const submitEvents = await this.getHistoricalEvents("multiSig", "SubmitTransaction", fromBlock);
-            const confirmEvents = await this.getHistoricalEvents("multiSig", "ConfirmTransaction", fromBlock);
-            const executeEvents = await this.getHistoricalEvents("multiSig", "ExecuteTransaction", fromBlock);
+            // Both naming schemes of the wallet contracts
+            const submitEvents = await this.getHistoricalEvents("multiSig", ["SubmitTransaction", "TransactionSubmitted"], ...range);
+            const confirmEvents = await this.getHistoricalEvents("multiSig", ["ConfirmTransaction", "TransactionConfirmed"], ...range);
+            const executeEvents = await this.getHistoricalEvents("multiSig", ["ExecuteTransaction", "TransactionExecuted"], ...range);
             
             console.log(`📊 MultiSig Activity:`);
             console.log(`   Proposals Submitted: ${submitEvents.length}`);
@@ -320,7 +641,7 @@ class ContractMonitor {
             const ownerActivity = new Map();
             
             [...submitEvents, ...confirmEvents, ...executeEvents].forEach(event => {
-                const owner = event.args[0];
+                const owner = Object.values(event.args)[0];
                 ownerActivity.set(owner, (ownerActivity.get(owner) || 0) + 1);
             });
             
@@ -341,49 +662,66 @@ class ContractMonitor {
         }
     }
 
+    // Current state of every monitored contract, without printing
+    async collectContractStats() {
+        const stats = {};
+        for (const [name, contract] of Object.entries(this.contracts)) {
+            const entry = { address: await contract.getAddress() };
+            
+            if (name.includes("StableCoin") || name.includes("Coin")) {
+                entry.totalSupply = await contract.totalSupply();
+                entry.symbol = await contract.symbol();
+                entry.paused = await contract.paused();
+                
+            } else if (this.multiSigContracts().includes(name)) {
+                entry.owners = await contract.getOwners();
+                entry.required = await contract.numConfirmationsRequired ? 
+                    await contract.numConfirmationsRequired() : 
+                    await contract.required();
+                entry.txCount = await contract.getTransactionCount();
+                
+            } else if (name === "timeLock") {
+                entry.delay = await contract.delay();
+            }
+            
+            entry.ethBalance = await this.setup.provider.getBalance(entry.address);
+            stats[name] = entry;
+        }
+        return stats;
+    }
+
     // Get contract balances and stats
     async getContractStats() {
         console.log("\n📊 Current Contract Statistics:");
         
         try {
-            for (const [name, contract] of Object.entries(this.contracts)) {
+            const stats = await this.collectContractStats();
+            for (const [name, entry] of Object.entries(stats)) {
                 console.log(`\n📄 ${name.toUpperCase()}:`);
                 
-                if (name.includes("StableCoin") || name.includes("Coin")) {
-                    const totalSupply = await contract.totalSupply();
-                    const symbol = await contract.symbol();
-                    const paused = await contract.paused();
-                    
-                    console.log(`   Total Supply: ${ethers.formatEther(totalSupply)} ${symbol}`);
-                    console.log(`   Paused: ${paused ? "Yes" : "No"}`);
+                if (entry.totalSupply !== undefined) {
+                    console.log(`   Total Supply: ${ethers.formatEther(entry.totalSupply)} ${entry.symbol}`);
+                    console.log(`   Paused: ${entry.paused ? "Yes" : "No"}`);
                     
-                } else if (name === "multiSig") {
-                    const owners = await contract.getOwners();
-                    const required = await contract.numConfirmationsRequired ? 
-                        await contract.numConfirmationsRequired() : 
-                        await contract.required();
-                    const balance = await this.setup.provider.getBalance(await contract.getAddress());
-                    const txCount = await contract.getTransactionCount();
+                } else if (entry.owners) {
+                    console.log(`   Owners: ${entry.owners.length}`);
+                    console.log(`   Required: ${entry.required}`);
+                    console.log(`   Balance: ${ethers.formatEther(entry.ethBalance)} ETH`);
+                    console.log(`   Total Transactions: ${entry.txCount}`);
                     
-                    console.log(`   Owners: ${owners.length}`);
-                    console.log(`   Required: ${required}`);
-                    console.log(`   Balance: ${ethers.formatEther(balance)} ETH`);
-                    console.log(`   Total Transactions: ${txCount}`);
-                    
-                } else if (name === "timeLock") {
-                    const delay = await contract.delay();
-                    
-                    console.log(`   Delay: ${delay} seconds (${Number(delay) / (24 * 60 * 60)} days)`);
+                } else if (entry.delay !== undefined) {
+                    console.log(`   Delay: ${entry.delay} seconds (${Number(entry.delay) / (24 * 60 * 60)} days)`);
                 }
                 
                 // Get contract balance
-                const contractBalance = await this.setup.provider.getBalance(await contract.getAddress());
-                if (contractBalance > 0) {
-                    console.log(`   ETH Balance: ${ethers.formatEther(contractBalance)} ETH`);
+                if (entry.ethBalance > 0) {
+                    console.log(`   ETH Balance: ${ethers.formatEther(entry.ethBalance)} ETH`);
                 }
             }
+            return stats;
         } catch (error) {
             console.error("❌ Error getting contract stats:", error.message);
+            return null;
         }
     }
 
@@ -441,11 +779,17 @@ class ContractMonitor {
             console.log("🔇 Dashboard stopped");
         };
     }
+
+    // Web dashboard with a JSON API and live updates (see web-dashboard.js)
+    // options: { port, host, interval }; returns a function that stops it
+    async startWebDashboard(options = {}) {
+        return new WebDashboard(this, options).start();
+    }
 }
 
 // Demo script
 async function runDemo() {
-    const networkType = process.argv[2] || "local";
+    const networkType = process.argv.slice(2).find(arg => !arg.startsWith("--")) || "local";
     
     console.log("🎬 Starting Contract Monitoring Demo");
     
@@ -454,14 +798,23 @@ async function runDemo() {
     const connected = await setup.init(networkType);
     if (!connected) return;
     
-    // Load contracts
-    const addresses = DEFAULT_ADDRESSES[networkType] || DEFAULT_ADDRESSES.local;
-    await setup.loadContracts(addresses);
+    // Load contracts from the network's deployment manifest
+    await setup.loadContracts();
     
     // Create monitor instance
     const monitor = new ContractMonitor(setup);
     await monitor.init();
     
+    // --web: serve the web dashboard until interrupted instead of running the demo
+    if (process.argv.includes("--web")) {
+        const stop = await monitor.startWebDashboard();
+        process.on("SIGINT", () => {
+            stop();
+            process.exit(0);
+        });
+        return;
+    }
+    
     try {
         // Get current stats
         await monitor.getContractStats();
@@ -1,11 +1,37 @@
+const fs = require("fs");
 const { ethers } = require("ethers");
-const { ContractSetup, DEFAULT_ADDRESSES } = require("./setup.js");
+const { ContractSetup } = require("./setup.js");
 
 /**
  * MultiSig wallet operations script
  * Demonstrates multi-signature wallet interactions
  */
 
+// Offline signing files
+const OFFLINE_FORMAT_VERSION = 1;
+
+// Owner actions that can be prepared for offline signing; the same on MultiSigWallet and OptimizedMultiSig
+const OFFLINE_ACTIONS = {
+    submit: "function submitTransaction(address to, uint256 value, bytes data)",
+    confirm: "function confirmTransaction(uint256 txIndex)",
+    execute: "function executeTransaction(uint256 txIndex)",
+    revoke: "function revokeConfirmation(uint256 txIndex)"
+};
+const offlineInterface = new ethers.Interface(Object.values(OFFLINE_ACTIONS));
+
+function readOfflineFile(file, kind) {
+    const payload = JSON.parse(fs.readFileSync(file, "utf8"));
+    if (payload.kind !== kind || payload.version !== OFFLINE_FORMAT_VERSION) {
+        throw new Error(`${file} is not a ${kind} file (version ${OFFLINE_FORMAT_VERSION})`);
+    }
+    return payload;
+}
+
+function writeOfflineFile(file, payload) {
+    fs.writeFileSync(file, JSON.stringify(payload, (key, value) => (typeof value === "bigint" ? value.toString() : value), 2) + "\n");
+    console.log(`💾 Written to ${file}`);
+}
+
 class MultiSigOperations {
     constructor(setup) {
         this.setup = setup;
@@ -70,6 +96,10 @@ class MultiSigOperations {
         console.log(`Data: ${data}`);
         
         try {
+            if (this.setup.isDryRun(options)) {
+                return await this.setup.simulate(this.contract, "submitTransaction", [to, value, data]);
+            }
+
             const tx = await this.contract.submitTransaction(to, value, data, {
                 gasLimit: options.gasLimit || 200000
             });
@@ -97,12 +127,16 @@ class MultiSigOperations {
             if (!this.contract.submitAndConfirmTransaction) {
                 console.log("⚠️ Contract doesn't support submitAndConfirmTransaction, using separate calls");
                 const result = await this.submitTransaction(to, value, data, options);
-                if (result) {
+                if (result && !result.dryRun) {
                     await this.confirmTransaction(result.txIndex, options);
                 }
                 return result;
             }
 
+            if (this.setup.isDryRun(options)) {
+                return await this.setup.simulate(this.contract, "submitAndConfirmTransaction", [to, value, data]);
+            }
+
             const tx = await this.contract.submitAndConfirmTransaction(to, value, data, {
                 gasLimit: options.gasLimit || 250000
             });
@@ -132,6 +166,10 @@ class MultiSigOperations {
                 return null;
             }
 
+            if (this.setup.isDryRun(options)) {
+                return await this.setup.simulate(this.contract, "confirmTransaction", [txIndex]);
+            }
+
             const tx = await this.contract.confirmTransaction(txIndex, {
                 gasLimit: options.gasLimit || 100000
             });
@@ -154,15 +192,17 @@ class MultiSigOperations {
         console.log(`\n✅ Batch confirming ${txIndexes.length} transactions...`);
         
         try {
-            // Check if contract supports batch confirm
-            if (!this.contract.batchConfirm) {
-                console.log("⚠️ Contract doesn't support batch confirm, using individual confirmations");
-                const results = [];
-                for (const txIndex of txIndexes) {
-                    const result = await this.confirmTransaction(txIndex, options);
-                    results.push(result);
+            // Without batchConfirm (or with options.concurrent) confirm each one in its own transaction,
+            // all in flight at once, so one bad index does not revert the others
+            if (!this.contract.batchConfirm || options.concurrent) {
+                if (!this.contract.batchConfirm) {
+                    console.log("⚠️ Contract doesn't support batch confirm, using individual confirmations");
                 }
-                return results;
+                return await this.concurrentConfirm(txIndexes, options);
+            }
+
+            if (this.setup.isDryRun(options)) {
+                return await this.setup.simulate(this.contract, "batchConfirm", [txIndexes]);
             }
 
             const tx = await this.contract.batchConfirm(txIndexes, {
@@ -184,6 +224,48 @@ class MultiSigOperations {
         }
     }
 
+    async concurrentConfirm(txIndexes, options = {}) {
+        const signerAddress = await this.setup.signer.getAddress();
+        const txCount = await this.contract.getTransactionCount();
+        const pending = [];
+        for (const txIndex of txIndexes) {
+            if (BigInt(txIndex) >= txCount) {
+                console.log(`⚠️ Transaction ${txIndex} does not exist`);
+            } else if (await this.contract.isConfirmed(txIndex, signerAddress)) {
+                console.log(`⚠️ Transaction ${txIndex} already confirmed by current signer`);
+            } else {
+                pending.push(txIndex);
+            }
+        }
+
+        if (this.setup.isDryRun(options)) {
+            const reports = [];
+            for (const txIndex of pending) {
+                reports.push(await this.setup.simulate(this.contract, "confirmTransaction", [txIndex]));
+            }
+            return reports;
+        }
+
+        const results = await this.setup.sendConcurrently(pending.map(txIndex => () =>
+            this.contract.confirmTransaction(txIndex, { gasLimit: options.gasLimit || 100000 })
+        ));
+
+        const confirmed = results.filter(result => result.receipt).length;
+        console.log(`\n📊 ${confirmed}/${pending.length} confirmations sent`);
+        for (const [i, txIndex] of pending.entries()) {
+            if (results[i].error) {
+                console.log(`   ❌ Transaction ${txIndex}: ${results[i].error}`);
+            } else {
+                await this.getTransactionStatus(txIndex);
+            }
+        }
+
+        if (pending.length > 0 && confirmed === 0) {
+            throw new Error("No confirmation went through");
+        }
+        return pending.map((txIndex, i) => ({ txIndex, ...results[i] }));
+    }
+
     // Execute transaction
     async executeTransaction(txIndex, options = {}) {
         console.log(`\n🚀 Executing transaction ${txIndex}...`);
@@ -195,6 +277,10 @@ class MultiSigOperations {
                 throw new Error("Transaction cannot be executed - insufficient confirmations or already executed");
             }
 
+            if (this.setup.isDryRun(options)) {
+                return await this.setup.simulate(this.contract, "executeTransaction", [txIndex]);
+            }
+
             const tx = await this.contract.executeTransaction(txIndex, {
                 gasLimit: options.gasLimit || 300000
             });
@@ -217,6 +303,10 @@ class MultiSigOperations {
         console.log(`\n❌ Revoking confirmation for transaction ${txIndex}...`);
         
         try {
+            if (this.setup.isDryRun(options)) {
+                return await this.setup.simulate(this.contract, "revokeConfirmation", [txIndex]);
+            }
+
             const tx = await this.contract.revokeConfirmation(txIndex, {
                 gasLimit: options.gasLimit || 80000
             });
@@ -240,10 +330,10 @@ class MultiSigOperations {
             const transaction = await this.contract.getTransaction(txIndex);
             console.log(`\n📋 Transaction ${txIndex} Details:`);
             console.log("To:", transaction[0] || transaction.to);
-            console.log("Value:", ethers.formatEther(transaction[1] || transaction.value), "ETH");
+            console.log("Value:", ethers.formatEther(transaction[1]), "ETH");
             console.log("Data:", transaction[2] || transaction.data);
             console.log("Executed:", transaction[3] || transaction.executed);
-            console.log("Confirmations:", (transaction[4] || transaction.confirmations).toString());
+            console.log("Confirmations:", transaction[4].toString());
             
             return transaction;
         } catch (error) {
@@ -267,7 +357,7 @@ class MultiSigOperations {
                     await this.contract.numConfirmationsRequired() : 
                     await this.contract.required();
                 
-                const confirmations = transaction[4] || transaction.confirmations;
+                const confirmations = transaction[4];
                 const executed = transaction[3] || transaction.executed;
                 
                 status = [executed, confirmations, !executed && confirmations >= required];
@@ -373,6 +463,174 @@ class MultiSigOperations {
         }
     }
 
+    // Export a fully populated, unsigned owner transaction (submit/confirm/execute/revoke) for offline signing
+    async exportUnsignedTransaction(action, args, outputFile, options = {}) {
+        console.log(`\n📤 Preparing unsigned ${action} transaction...`);
+        
+        try {
+            if (!OFFLINE_ACTIONS[action]) {
+                throw new Error(`Unknown action ${action}. Use one of: ${Object.keys(OFFLINE_ACTIONS).join(", ")}`);
+            }
+            
+            const from = ethers.getAddress(options.from || await this.setup.signer.getAddress());
+            if (!(await this.contract.isOwner(from))) {
+                throw new Error(`${from} is not an owner of this MultiSig`);
+            }
+            
+            const provider = this.setup.provider;
+            const multiSigAddress = await this.contract.getAddress();
+            const data = offlineInterface.encodeFunctionData(action === "revoke" ? "revokeConfirmation" : `${action}Transaction`, args);
+            const { chainId } = await provider.getNetwork();
+            const nonce = await provider.getTransactionCount(from, "pending");
+            
+            // Estimate now, while online; the offline machine cannot
+            const estimate = await provider.estimateGas({ from, to: multiSigAddress, data });
+            const gasLimit = options.gasLimit ? BigInt(options.gasLimit) : estimate * 120n / 100n;
+            
+            const transaction = { to: multiSigAddress, data, value: 0n, nonce, gasLimit, chainId };
+            const fees = await this.setup.txSender.getFees();
+            if (fees.maxFeePerGas !== undefined) {
+                transaction.type = 2;
+                transaction.maxFeePerGas = fees.maxFeePerGas;
+                transaction.maxPriorityFeePerGas = fees.maxPriorityFeePerGas;
+            } else {
+                transaction.type = 0;
+                transaction.gasPrice = fees.gasPrice;
+            }
+            
+            const payload = {
+                version: OFFLINE_FORMAT_VERSION,
+                kind: "multisig-unsigned",
+                network: this.setup.network,
+                multiSig: multiSigAddress,
+                action,
+                args,
+                from,
+                transaction,
+                createdAt: new Date().toISOString()
+            };
+            
+            console.log(`From: ${from} (nonce ${nonce})`);
+            console.log(`Gas limit: ${gasLimit} (estimate ${estimate})`);
+            writeOfflineFile(outputFile, payload);
+            
+            return payload;
+        } catch (error) {
+            console.error("❌ Export unsigned transaction failed:", error.message);
+            return null;
+        }
+    }
+
+    // Sign an exported transaction. Needs no network, so it can run on an air-gapped machine.
+    static async signOfflineTransaction(inputFile, signer, outputFile) {
+        console.log(`\n✍️ Signing ${inputFile} offline...`);
+        
+        try {
+            const payload = readOfflineFile(inputFile, "multisig-unsigned");
+            const transaction = payload.transaction;
+            
+            // Show what the calldata really does rather than trusting the file's description
+            const call = offlineInterface.parseTransaction({ data: transaction.data });
+            if (!call || ethers.getAddress(transaction.to) !== ethers.getAddress(payload.multiSig)) {
+                throw new Error("Transaction is not a MultiSig owner action on the declared MultiSig");
+            }
+            if (BigInt(transaction.value || 0) !== 0n) {
+                throw new Error("Owner actions never send ETH; refusing to sign a transaction with value");
+            }
+            
+            const signerAddress = await signer.getAddress();
+            if (signerAddress !== ethers.getAddress(payload.from)) {
+                throw new Error(`File was prepared for ${payload.from}, but the signer is ${signerAddress}`);
+            }
+            
+            console.log(`Network: ${payload.network} (chain ${transaction.chainId})`);
+            console.log(`MultiSig: ${transaction.to}`);
+            console.log(`Call: ${call.signature} ${JSON.stringify(call.args.toArray(), (key, value) => (typeof value === "bigint" ? value.toString() : value))}`);
+            console.log(`Nonce: ${transaction.nonce}, Gas limit: ${transaction.gasLimit}`);
+            
+            const signedTransaction = await signer.signTransaction({
+                ...transaction,
+                from: payload.from
+            });
+            const hash = ethers.Transaction.from(signedTransaction).hash;
+            
+            const signed = {
+                ...payload,
+                kind: "multisig-signed",
+                signedTransaction,
+                hash,
+                signedAt: new Date().toISOString()
+            };
+            writeOfflineFile(outputFile, signed);
+            console.log("✅ Signed transaction hash:", hash);
+            
+            return signed;
+        } catch (error) {
+            console.error("❌ Offline signing failed:", error.message);
+            return null;
+        }
+    }
+
+    // Broadcast a transaction signed offline
+    async broadcastSignedTransaction(inputFile, options = {}) {
+        console.log(`\n📡 Broadcasting ${inputFile}...`);
+        
+        try {
+            const payload = readOfflineFile(inputFile, "multisig-signed");
+            const signed = ethers.Transaction.from(payload.signedTransaction);
+            
+            const { chainId } = await this.setup.provider.getNetwork();
+            if (signed.chainId !== chainId) {
+                throw new Error(`Signed for chain ${signed.chainId}, but connected to chain ${chainId}`);
+            }
+            if (ethers.getAddress(signed.to) !== await this.contract.getAddress()) {
+                throw new Error(`Signed for MultiSig ${signed.to}, but using ${await this.contract.getAddress()}`);
+            }
+            
+            const currentNonce = await this.setup.provider.getTransactionCount(signed.from);
+            if (signed.nonce < currentNonce) {
+                throw new Error(`Nonce ${signed.nonce} of ${signed.from} was already used (next is ${currentNonce}); export and sign again`);
+            }
+            
+            if (this.setup.isDryRun(options)) {
+                // The signed transaction's own call, from its signer, without broadcasting it
+                return await this.setup.simulateTransaction({ from: signed.from, to: signed.to, data: signed.data, value: signed.value });
+            }
+
+            const tx = await this.setup.provider.broadcastTransaction(payload.signedTransaction);
+            this.setup.txSender.record("sent", tx);
+            const receipt = await this.setup.waitForTransaction(tx);
+            this.setup.displayReceipt(receipt);
+            
+            let txIndex = Number(payload.args[0]);
+            if (payload.action === "submit") {
+                txIndex = this.findSubmittedIndex(receipt);
+                console.log("📋 Transaction submitted with index:", txIndex);
+            }
+            await this.getTransactionStatus(txIndex);
+            
+            return { receipt, txIndex };
+        } catch (error) {
+            console.error("❌ Broadcast failed:", error.message);
+            return null;
+        }
+    }
+
+    // Index of the transaction created by a submit receipt
+    findSubmittedIndex(receipt) {
+        for (const log of receipt.logs) {
+            try {
+                const parsed = this.contract.interface.parseLog(log);
+                if (parsed && (parsed.name === "SubmitTransaction" || parsed.name === "TransactionSubmitted")) {
+                    return Number(parsed.args.txIndex);
+                }
+            } catch (error) {
+                // Not a MultiSig event
+            }
+        }
+        return null;
+    }
+
     // Deposit ETH to MultiSig
     async depositETH(amount, options = {}) {
         console.log(`\n💰 Depositing ${amount} ETH to MultiSig...`);
@@ -380,6 +638,10 @@ class MultiSigOperations {
         try {
             const amountWei = ethers.parseEther(amount.toString());
             
+            if (this.setup.isDryRun(options)) {
+                return await this.setup.simulateTransaction({ to: await this.contract.getAddress(), value: amountWei });
+            }
+
             const tx = await this.setup.signer.sendTransaction({
                 to: await this.contract.getAddress(),
                 value: amountWei,
@@ -404,6 +666,8 @@ class MultiSigOperations {
 // Demo script
 async function runDemo() {
     const networkType = process.argv[2] || "local";
+    // Optional signer profiles of other owners, who confirm the demo transaction in turn
+    const ownerProfiles = process.argv.slice(3);
     
     console.log("🎬 Starting MultiSig Operations Demo");
     
@@ -412,9 +676,8 @@ async function runDemo() {
     const connected = await setup.init(networkType);
     if (!connected) return;
     
-    // Load contracts
-    const addresses = DEFAULT_ADDRESSES[networkType] || DEFAULT_ADDRESSES.local;
-    await setup.loadContracts(addresses);
+    // Load contracts from the network's deployment manifest
+    await setup.loadContracts();
     
     // Create MultiSig operations instance
     const multiSigOps = new MultiSigOperations(setup);
@@ -439,8 +702,18 @@ async function runDemo() {
             // Show confirmation status
             await multiSigOps.getConfirmationStatus(result.txIndex);
             
-            // If you have multiple signers, you could confirm here
-            // await multiSigOps.confirmTransaction(result.txIndex);
+            // Let each additional owner confirm, then execute once enough have signed
+            for (const profile of ownerProfiles) {
+                await setup.useSigner(profile);
+                await multiSigOps.confirmTransaction(result.txIndex);
+            }
+            
+            if (ownerProfiles.length > 0) {
+                const status = await multiSigOps.getTransactionStatus(result.txIndex, false);
+                if (status && status.canExecute) {
+                    await multiSigOps.executeTransaction(result.txIndex);
+                }
+            }
         }
         
         console.log("\n✅ Demo completed successfully!");
@@ -0,0 +1,53 @@
+const { ethers } = require("ethers");
+
+/**
+ * Nonce-managing signer wrapper
+ * Hands out nonces locally so several transactions from one account can be in flight at once.
+ *
+ * Built on ethers.NonceManager, which keeps the local nonce but leaves two gaps for concurrent use:
+ * - it assigns nonces without ordering the sends, so nonce n + 1 can reach the node before n
+ *   (a node rejects a nonce gap, Hardhat's automine does so outright)
+ * - a send that fails still consumes its nonce, leaving a gap every later transaction waits behind
+ * Sends are therefore queued in nonce order and a failed send resyncs with the node;
+ * confirmations can still be awaited concurrently.
+ */
+
+class NonceManager extends ethers.NonceManager {
+    constructor(signer) {
+        super(signer);
+        this.queue = Promise.resolve();
+    }
+
+    connect(provider) {
+        return new NonceManager(this.signer.connect(provider));
+    }
+
+    // Forget the local nonce; the next send starts again from the node's pending count
+    resync() {
+        this.reset();
+    }
+
+    sendTransaction(tx) {
+        // An explicit nonce (a replacement) bypasses the queue
+        if (tx.nonce != null) {
+            return this.signer.sendTransaction(tx);
+        }
+
+        const send = this.queue.then(async () => {
+            const nonce = await this.getNonce("pending");
+            this.increment();
+            try {
+                return await this.signer.sendTransaction({ ...tx, nonce });
+            } catch (error) {
+                // Nothing was sent with this nonce, or it was already used elsewhere; ask the node again
+                this.resync();
+                throw error;
+            }
+        });
+        // A failed send must not block the ones queued behind it
+        this.queue = send.catch(() => {});
+        return send;
+    }
+}
+
+module.exports = { NonceManager };
@@ -1,48 +1,127 @@
+const fs = require("fs");
+const path = require("path");
 const { ethers } = require("ethers");
-require("dotenv").config();
+const { getDeployedAddresses, loadManifest, loadAbi, hashAbi } = require("../deployments");
+const { KeyStore } = require("./keystore.js");
+const { TransactionSender } = require("./tx-sender.js");
+const { NonceManager } = require("./nonce-manager.js");
+const { simulateCall, simulateTransaction, displaySimulation } = require("./dry-run.js");
+const { BlockTimeResolver } = require("./block-time.js");
+require("dotenv").config({ quiet: true });
 
 /**
  * Setup script for connecting to blockchain and contracts
  * Supports both local and testnet deployments
  */
 
+// No request cache: a signer sending back-to-back transactions must not see a stale nonce
+const PROVIDER_OPTIONS = { cacheTimeout: -1 };
+
+const ARTIFACTS_DIR = path.join(__dirname, "..", "..", "artifacts", "contracts");
+
+// Contract key (as used in the deployment manifest and this.contracts) => contract name
+const CONTRACTS = {
+    stableCoin: "StableCoin",
+    optimizedStableCoin: "OptimizedStableCoin",
+    multiSig: "MultiSigWallet",
+    optimizedMultiSig: "OptimizedMultiSig",
+    timeLock: "TimeLock",
+    governedStableCoin: "GovernedStableCoin"
+};
+
+// Signer handed to every contract. It delegates to the active profile, so several
+// owners can take turns signing in one session without reloading the contracts.
+// Transactions go out through the TransactionSender, which picks their fees.
+class ActiveSigner extends ethers.AbstractSigner {
+    constructor(active, provider, txSender = null) {
+        super(provider);
+        this.active = active;
+        this.txSender = txSender;
+    }
+
+    connect(provider) {
+        return new ActiveSigner(this.active.connect(provider), provider, this.txSender);
+    }
+
+    getAddress() {
+        return this.active.getAddress();
+    }
+
+    signTransaction(tx) {
+        return this.active.signTransaction(tx);
+    }
+
+    signMessage(message) {
+        return this.active.signMessage(message);
+    }
+
+    signTypedData(domain, types, value) {
+        return this.active.signTypedData(domain, types, value);
+    }
+
+    sendTransaction(tx) {
+        return this.txSender ? this.txSender.send(this.active, tx) : this.active.sendTransaction(tx);
+    }
+}
+
 class ContractSetup {
     constructor() {
         this.provider = null;
         this.signer = null;
+        this.signerProfile = null;
+        this.keyStore = null;
+        this.txSender = null;
+        this.nonceManagers = new Map(); // address => NonceManager
+        this.dryRun = false;
+        this.blockTime = null;
         this.contracts = {};
         this.network = null;
     }
 
     // Initialize provider and signer
-    async init(networkType = "local") {
+    // options.signer: signer profile name (see keystore.js), e.g. "owner2"
+    // options.speed, maxFeeGwei, stuckTimeout, onStuck: gas strategy (see tx-sender.js)
+    // options.dryRun: simulate every state-changing call instead of sending it (see dry-run.js)
+    async init(networkType = "local", options = {}) {
         console.log(`🔗 Initializing connection to ${networkType} network...`);
         
         try {
             if (networkType === "local") {
                 // Connect to local Hardhat node
-                this.provider = new ethers.JsonRpcProvider("http://127.0.0.1:8545");
+                const rpcUrl = process.env.LOCAL_RPC_URL || "http://127.0.0.1:8545";
+                this.provider = new ethers.JsonRpcProvider(rpcUrl, undefined, PROVIDER_OPTIONS);
                 this.network = "localhost";
             } else if (networkType === "sepolia") {
                 // Connect to Sepolia testnet
                 const rpcUrl = process.env.SEPOLIA_RPC_URL;
                 if (!rpcUrl) throw new Error("SEPOLIA_RPC_URL not found in .env file");
                 
-                this.provider = new ethers.JsonRpcProvider(rpcUrl);
+                this.provider = new ethers.JsonRpcProvider(rpcUrl, undefined, PROVIDER_OPTIONS);
                 this.network = "sepolia";
             } else {
                 throw new Error("Unsupported network type. Use 'local' or 'sepolia'");
             }
+            this.blockTime = new BlockTimeResolver(this.provider);
 
-            // Setup signer
-            if (process.env.PRIVATE_KEY && networkType !== "local") {
-                this.signer = new ethers.Wallet(process.env.PRIVATE_KEY, this.provider);
+            // Setup signer: named profile, default profile, PRIVATE_KEY, then the node's first account
+            this.keyStore = new KeyStore(this.provider);
+            const profileName = options.signer || this.keyStore.getDefaultProfile();
+            let signer;
+            
+            if (profileName) {
+                signer = await this.keyStore.getSigner(profileName);
+                this.signerProfile = profileName;
+                console.log(`📝 Using signer profile "${profileName}"`);
+            } else if (process.env.PRIVATE_KEY && networkType !== "local") {
+                signer = new ethers.Wallet(process.env.PRIVATE_KEY, this.provider);
                 console.log("📝 Using wallet from PRIVATE_KEY");
             } else {
                 // Use first account from provider (for local development)
-                this.signer = await this.provider.getSigner();
+                signer = await this.provider.getSigner();
                 console.log("📝 Using provider signer");
             }
+            this.txSender = new TransactionSender(this, options);
+            this.signer = new ActiveSigner(await this.manageNonces(signer), this.provider, this.txSender);
 
             const signerAddress = await this.signer.getAddress();
             const balance = await this.provider.getBalance(signerAddress);
@@ -51,6 +130,11 @@ class ContractSetup {
             console.log("📍 Network:", this.network);
             console.log("👤 Signer address:", signerAddress);
             console.log("💰 Balance:", ethers.formatEther(balance), "ETH");
+
+            this.dryRun = Boolean(options.dryRun);
+            if (this.dryRun) {
+                console.log("🧪 Dry-run mode: transactions are simulated, nothing is broadcast");
+            }
             
             return true;
         } catch (error) {
@@ -59,44 +143,80 @@ class ContractSetup {
         }
     }
 
-    // Load contract instances
-    async loadContracts(contractAddresses) {
-        console.log("\n📄 Loading contract instances...");
-        
-        try {
-            // Load StableCoin contract
-            if (contractAddresses.stableCoin) {
-                const StableCoin = await ethers.getContractFactory("StableCoin", this.signer);
-                this.contracts.stableCoin = StableCoin.attach(contractAddresses.stableCoin);
-                console.log("✅ StableCoin loaded at:", contractAddresses.stableCoin);
-            }
+    // Switch every loaded contract to another signer profile
+    async useSigner(profileName) {
+        this.signer.active = await this.manageNonces(await this.keyStore.getSigner(profileName));
+        this.signerProfile = profileName;
+        console.log(`👤 Signing as "${profileName}" (${await this.signer.getAddress()})`);
+        return this.signer;
+    }
 
-            // Load OptimizedStableCoin contract
-            if (contractAddresses.optimizedStableCoin) {
-                const OptimizedStableCoin = await ethers.getContractFactory("OptimizedStableCoin", this.signer);
-                this.contracts.optimizedStableCoin = OptimizedStableCoin.attach(contractAddresses.optimizedStableCoin);
-                console.log("✅ OptimizedStableCoin loaded at:", contractAddresses.optimizedStableCoin);
-            }
+    // Resolve a signer profile without switching to it
+    async getSigner(profileName) {
+        return await this.keyStore.getSigner(profileName);
+    }
 
-            // Load MultiSigWallet contract
-            if (contractAddresses.multiSig) {
-                const MultiSigWallet = await ethers.getContractFactory("MultiSigWallet", this.signer);
-                this.contracts.multiSig = MultiSigWallet.attach(contractAddresses.multiSig);
-                console.log("✅ MultiSigWallet loaded at:", contractAddresses.multiSig);
+    // Contract addresses recorded by the deploy scripts in deployments/<network>.json
+    getDeploymentAddresses(network = this.network) {
+        const addresses = getDeployedAddresses(network);
+        
+        // Environment variables still take precedence for testnet deployments made elsewhere
+        for (const [key, envName] of Object.entries(ADDRESS_ENV_OVERRIDES[network] || {})) {
+            if (process.env[envName]) {
+                addresses[key] = process.env[envName];
             }
+        }
+        return addresses;
+    }
 
-            // Load TimeLock contract
-            if (contractAddresses.timeLock) {
-                const TimeLock = await ethers.getContractFactory("TimeLock", this.signer);
-                this.contracts.timeLock = TimeLock.attach(contractAddresses.timeLock);
-                console.log("✅ TimeLock loaded at:", contractAddresses.timeLock);
-            }
+    // Resolve a contract's ABI: compiled Hardhat artifact first, then the ABI shipped with the deployment manifest
+    loadAbi(contractName, deployment) {
+        let abi = null;
+        let source = null;
+        
+        const artifactPath = path.join(ARTIFACTS_DIR, `${contractName}.sol`, `${contractName}.json`);
+        if (fs.existsSync(artifactPath)) {
+            abi = JSON.parse(fs.readFileSync(artifactPath, "utf8")).abi;
+            source = "artifact";
+        } else {
+            abi = loadAbi(contractName);
+            source = "manifest";
+        }
+        
+        if (!abi) {
+            throw new Error(`No ABI found for ${contractName}. Run 'npm run compile' or deploy it to write deployments/abi/${contractName}.json`);
+        }
+        
+        if (deployment && deployment.abiHash && hashAbi(abi) !== deployment.abiHash) {
+            console.log(`⚠️  ${contractName} ${source} ABI differs from the deployed one (recompiled since deployment?)`);
+        }
+        
+        return abi;
+    }
 
-            // Load GovernedStableCoin contract
-            if (contractAddresses.governedStableCoin) {
-                const GovernedStableCoin = await ethers.getContractFactory("GovernedStableCoin", this.signer);
-                this.contracts.governedStableCoin = GovernedStableCoin.attach(contractAddresses.governedStableCoin);
-                console.log("✅ GovernedStableCoin loaded at:", contractAddresses.governedStableCoin);
+    // Load contract instances (defaults to the addresses in the network's deployment manifest)
+    async loadContracts(contractAddresses = this.getDeploymentAddresses()) {
+        console.log("\n📄 Loading contract instances...");
+        
+        if (Object.keys(contractAddresses).length === 0) {
+            console.log(`⚠️  No deployments recorded for ${this.network}. Run a deploy script first (e.g. npm run deploy:local).`);
+        }
+        
+        try {
+            const manifest = loadManifest(this.network);
+            const deployments = manifest ? manifest.contracts : {};
+            
+            for (const [key, defaultName] of Object.entries(CONTRACTS)) {
+                const address = contractAddresses[key];
+                if (!address) continue;
+                
+                const deployment = deployments[key] && deployments[key].address.toLowerCase() === address.toLowerCase()
+                    ? deployments[key]
+                    : null;
+                const contractName = deployment ? deployment.contractName : defaultName;
+                
+                this.contracts[key] = new ethers.Contract(address, this.loadAbi(contractName, deployment), this.signer);
+                console.log(`✅ ${contractName} loaded at:`, address);
             }
 
             return this.contracts;
@@ -106,6 +226,23 @@ class ContractSetup {
         }
     }
 
+    // One NonceManager per account, so switching profiles back and forth keeps the local nonce
+    async manageNonces(signer) {
+        const address = await signer.getAddress();
+        if (!this.nonceManagers.has(address)) {
+            this.nonceManagers.set(address, new NonceManager(signer));
+        }
+        return this.nonceManagers.get(address);
+    }
+
+    // Drop the local nonce of an account, e.g. after a transaction was sent from it elsewhere
+    resyncNonce(address) {
+        const nonceManager = this.nonceManagers.get(ethers.getAddress(address));
+        if (nonceManager) {
+            nonceManager.resync();
+        }
+    }
+
     // Verify contract connections
     async verifyContracts() {
         console.log("\n🔍 Verifying contract connections...");
@@ -121,9 +258,11 @@ class ContractSetup {
                     console.log(`   Name: ${tokenName}`);
                     console.log(`   Symbol: ${symbol}`);
                     console.log(`   Total Supply: ${ethers.formatEther(totalSupply)} ${symbol}`);
-                } else if (name === "multiSig") {
+                } else if (name === "multiSig" || name === "optimizedMultiSig") {
                     const owners = await contract.getOwners();
-                    const required = await contract.numConfirmationsRequired();
+                    const required = name === "multiSig"
+                        ? await contract.numConfirmationsRequired()
+                        : await contract.required();
                     
                     console.log(`✅ ${name}:`);
                     console.log(`   Owners: ${owners.length}`);
@@ -132,7 +271,7 @@ class ContractSetup {
                     const delay = await contract.delay();
                     
                     console.log(`✅ ${name}:`);
-                    console.log(`   Delay: ${delay} seconds (${delay / (24 * 60 * 60)} days)`);
+                    console.log(`   Delay: ${delay} seconds (${Number(delay) / (24 * 60 * 60)} days)`);
                 }
             } catch (error) {
                 console.log(`❌ ${name}: ${error.message}`);
@@ -154,15 +293,48 @@ class ContractSetup {
         };
     }
 
-    // Utility function to wait for transaction confirmation
+    // Wait for confirmation; a stuck transaction is sped up or cancelled by the TransactionSender
     async waitForTransaction(tx, confirmations = 1) {
         console.log("⏳ Waiting for transaction:", tx.hash);
-        const receipt = await tx.wait(confirmations);
+        const receipt = await this.txSender.wait(tx, confirmations);
         console.log("✅ Transaction confirmed in block:", receipt.blockNumber);
         console.log("⛽ Gas used:", receipt.gasUsed.toString());
         return receipt;
     }
 
+    // Dry run for this call: options.dryRun, or dryRun for the whole session
+    isDryRun(options = {}) {
+        return Boolean(options.dryRun || this.dryRun);
+    }
+
+    // Simulate contract.method(...args) against the latest block and display the outcome
+    async simulate(contract, method, args = [], overrides = {}) {
+        const report = await simulateCall(this, contract, method, args, overrides);
+        displaySimulation(report);
+        return report;
+    }
+
+    // Simulate a raw transaction request { from, to, data, value }
+    async simulateTransaction(tx) {
+        const report = await simulateTransaction(this, { from: await this.signer.getAddress(), ...tx });
+        displaySimulation(report);
+        return report;
+    }
+
+    // Fire several transactions without waiting for each other, then wait for all of them.
+    // Each send is a function returning a transaction; the NonceManager keeps their nonces in order.
+    // Returns { hash, receipt } or { error } per send, in the same order.
+    async sendConcurrently(sends) {
+        const results = await Promise.allSettled(sends.map(async send => {
+            const tx = await send();
+            return { hash: tx.hash, receipt: await this.waitForTransaction(tx) };
+        }));
+
+        return results.map(result => (result.status === "fulfilled"
+            ? result.value
+            : { error: result.reason.shortMessage || result.reason.message }));
+    }
+
     // Format and display transaction receipt
     displayReceipt(receipt) {
         console.log("\n📋 Transaction Receipt:");
@@ -178,28 +350,22 @@ class ContractSetup {
     }
 }
 
-// Default contract addresses for local development
-const DEFAULT_ADDRESSES = {
-    local: {
-        // These will be updated when contracts are deployed locally
-        stableCoin: "0x5FbDB2315678afecb367f032d93F642f64180aa3",
-        multiSig: "0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512",
-        timeLock: "0x9fE46736679d2D9a65F0992F2272dE9f3c7fa6e0",
-        governedStableCoin: "0xCf7Ed3AccA5a467e9e704C703E8D87F634fB0Fc9"
-    },
+// Environment variables that override manifest addresses per network
+const ADDRESS_ENV_OVERRIDES = {
     sepolia: {
-        // Update these with actual Sepolia deployment addresses
-        stableCoin: process.env.SEPOLIA_STABLECOIN_ADDRESS || "",
-        multiSig: process.env.SEPOLIA_MULTISIG_ADDRESS || "",
-        timeLock: process.env.SEPOLIA_TIMELOCK_ADDRESS || "",
-        governedStableCoin: process.env.SEPOLIA_GOVERNED_COIN_ADDRESS || ""
+        stableCoin: "SEPOLIA_STABLECOIN_ADDRESS",
+        multiSig: "SEPOLIA_MULTISIG_ADDRESS",
+        timeLock: "SEPOLIA_TIMELOCK_ADDRESS",
+        governedStableCoin: "SEPOLIA_GOVERNED_COIN_ADDRESS",
+        optimizedStableCoin: "SEPOLIA_OPTIMIZED_COIN_ADDRESS",
+        optimizedMultiSig: "SEPOLIA_OPTIMIZED_MULTISIG_ADDRESS"
     }
 };
 
 // Export for use in other scripts
 module.exports = {
     ContractSetup,
-    DEFAULT_ADDRESSES
+    CONTRACTS
 };
 
 // Main execution when run directly
@@ -214,9 +380,8 @@ async function main() {
         process.exit(1);
     }
 
-    // Load contracts
-    const addresses = DEFAULT_ADDRESSES[networkType] || DEFAULT_ADDRESSES.local;
-    const contracts = await setup.loadContracts(addresses);
+    // Load contracts from the network's deployment manifest
+    const contracts = await setup.loadContracts();
     
     if (!contracts) {
         console.log("❌ Failed to load contracts");
@@ -1,5 +1,5 @@
 const { ethers } = require("ethers");
-const { ContractSetup, DEFAULT_ADDRESSES } = require("./setup.js");
+const { ContractSetup } = require("./setup.js");
 
 /**
  * StableCoin token operations script
@@ -101,6 +101,10 @@ class TokenOperations {
                 throw new Error(`Insufficient balance. Have: ${ethers.formatEther(balance)}, Need: ${amount}`);
             }
 
+            if (this.setup.isDryRun(options)) {
+                return await this.setup.simulate(this.contract, "transfer", [to, amountWei]);
+            }
+
             const tx = await this.contract.transfer(to, amountWei, {
                 gasLimit: options.gasLimit || 100000,
                 gasPrice: options.gasPrice
@@ -120,21 +124,28 @@ class TokenOperations {
         }
     }
 
-    // Batch transfer (if contract supports it)
+    // Batch transfer: one batchTransfer call if the contract supports it,
+    // otherwise (or with options.concurrent) individual transfers sent concurrently
     async batchTransfer(recipients, amounts, options = {}) {
         console.log(`\n💸 Batch transferring to ${recipients.length} recipients...`);
         
         try {
-            // Check if contract has batchTransfer function
-            if (!this.contract.batchTransfer) {
-                throw new Error("Contract doesn't support batch transfer");
-            }
-
             const amountsWei = amounts.map(amount => ethers.parseEther(amount.toString()));
             
             console.log("Recipients:", recipients);
             console.log("Amounts:", amounts);
             
+            if (!this.contract.batchTransfer || options.concurrent) {
+                if (!this.contract.batchTransfer) {
+                    console.log("⚠️ Contract doesn't support batch transfer, sending individual transfers concurrently");
+                }
+                return await this.concurrentTransfer(recipients, amountsWei, options);
+            }
+
+            if (this.setup.isDryRun(options)) {
+                return await this.setup.simulate(this.contract, "batchTransfer", [recipients, amountsWei]);
+            }
+
             const tx = await this.contract.batchTransfer(recipients, amountsWei, {
                 gasLimit: options.gasLimit || 300000
             });
@@ -152,6 +163,42 @@ class TokenOperations {
         }
     }
 
+    // One transfer per recipient, all in flight at once
+    async concurrentTransfer(recipients, amountsWei, options = {}) {
+        const senderAddress = await this.setup.signer.getAddress();
+        const total = amountsWei.reduce((sum, amountWei) => sum + amountWei, 0n);
+        const balance = await this.contract.balanceOf(senderAddress);
+        if (balance < total) {
+            throw new Error(`Insufficient balance. Have: ${ethers.formatEther(balance)}, Need: ${ethers.formatEther(total)}`);
+        }
+
+        if (this.setup.isDryRun(options)) {
+            // Each transfer is simulated on its own against the same state
+            const reports = [];
+            for (const [i, to] of recipients.entries()) {
+                reports.push(await this.setup.simulate(this.contract, "transfer", [to, amountsWei[i]]));
+            }
+            return reports;
+        }
+
+        const results = await this.setup.sendConcurrently(recipients.map((to, i) => () =>
+            this.contract.transfer(to, amountsWei[i], { gasLimit: options.gasLimit || 100000 })
+        ));
+
+        const confirmed = results.filter(result => result.receipt).length;
+        console.log(`\n📊 ${confirmed}/${recipients.length} transfers confirmed`);
+        results.forEach((result, i) => {
+            if (result.error) console.log(`   ❌ ${recipients[i]}: ${result.error}`);
+        });
+
+        await this.checkMultipleBalances(recipients);
+
+        if (confirmed === 0) {
+            throw new Error("No transfer was confirmed");
+        }
+        return results.map((result, i) => ({ to: recipients[i], ...result }));
+    }
+
     // Approve spending
     async approve(spender, amount, options = {}) {
         console.log(`\n✅ Approving ${spender} to spend ${amount} tokens...`);
@@ -159,6 +206,10 @@ class TokenOperations {
         try {
             const amountWei = ethers.parseEther(amount.toString());
             
+            if (this.setup.isDryRun(options)) {
+                return await this.setup.simulate(this.contract, "approve", [spender, amountWei]);
+            }
+
             const tx = await this.contract.approve(spender, amountWei, {
                 gasLimit: options.gasLimit || 80000
             });
@@ -193,6 +244,10 @@ class TokenOperations {
                 throw new Error(`Insufficient allowance. Have: ${ethers.formatEther(allowance)}, Need: ${amount}`);
             }
             
+            if (this.setup.isDryRun(options)) {
+                return await this.setup.simulate(this.contract, "transferFrom", [from, to, amountWei]);
+            }
+
             const tx = await this.contract.transferFrom(from, to, amountWei, {
                 gasLimit: options.gasLimit || 120000
             });
@@ -221,6 +276,10 @@ class TokenOperations {
         try {
             const amountWei = ethers.parseEther(amount.toString());
             
+            if (this.setup.isDryRun(options)) {
+                return await this.setup.simulate(this.contract, "mint", [to, amountWei]);
+            }
+
             const tx = await this.contract.mint(to, amountWei, {
                 gasLimit: options.gasLimit || 100000
             });
@@ -253,6 +312,10 @@ class TokenOperations {
                 throw new Error(`Insufficient balance to burn. Have: ${ethers.formatEther(balance)}, Need: ${amount}`);
             }
             
+            if (this.setup.isDryRun(options)) {
+                return await this.setup.simulate(this.contract, "burn", [amountWei]);
+            }
+
             const tx = await this.contract.burn(amountWei, {
                 gasLimit: options.gasLimit || 80000
             });
@@ -277,6 +340,10 @@ class TokenOperations {
         console.log("\n⏸️ Pausing contract...");
         
         try {
+            if (this.setup.isDryRun(options)) {
+                return await this.setup.simulate(this.contract, "pause", []);
+            }
+
             const tx = await this.contract.pause({
                 gasLimit: options.gasLimit || 50000
             });
@@ -299,6 +366,10 @@ class TokenOperations {
         console.log("\n▶️ Unpausing contract...");
         
         try {
+            if (this.setup.isDryRun(options)) {
+                return await this.setup.simulate(this.contract, "unpause", []);
+            }
+
             const tx = await this.contract.unpause({
                 gasLimit: options.gasLimit || 50000
             });
@@ -321,6 +392,10 @@ class TokenOperations {
         console.log(`\n🚫 Blacklisting address ${address}...`);
         
         try {
+            if (this.setup.isDryRun(options)) {
+                return await this.setup.simulate(this.contract, "blacklist", [address]);
+            }
+
             const tx = await this.contract.blacklist(address, {
                 gasLimit: options.gasLimit || 80000
             });
@@ -343,6 +418,10 @@ class TokenOperations {
         console.log(`\n✅ Removing ${address} from blacklist...`);
         
         try {
+            if (this.setup.isDryRun(options)) {
+                return await this.setup.simulate(this.contract, "unBlacklist", [address]);
+            }
+
             const tx = await this.contract.unBlacklist(address, {
                 gasLimit: options.gasLimit || 50000
             });
@@ -369,6 +448,10 @@ class TokenOperations {
                 throw new Error("Contract doesn't support batch blacklist");
             }
 
+            if (this.setup.isDryRun(options)) {
+                return await this.setup.simulate(this.contract, "batchBlacklist", [addresses]);
+            }
+
             const tx = await this.contract.batchBlacklist(addresses, {
                 gasLimit: options.gasLimit || (80000 * addresses.length)
             });
@@ -404,13 +487,20 @@ class TokenOperations {
     }
 
     // Get transaction history (events)
-    async getTransferHistory(address, fromBlock = 0) {
+    // fromBlock and toBlock may be block numbers or ISO dates (resolved to the exact blocks)
+    async getTransferHistory(address, fromBlock = 0, toBlock = "latest") {
         console.log(`\n📜 Getting transfer history for ${address}...`);
         
         try {
+            const range = await this.setup.blockTime.resolveRange(fromBlock, toBlock);
+            if (range.fromBlock > range.toBlock) {
+                console.log("No blocks in the requested range");
+                return [];
+            }
+            
             // Get Transfer events
             const filter = this.contract.filters.Transfer();
-            const events = await this.contract.queryFilter(filter, fromBlock);
+            const events = await this.contract.queryFilter(filter, range.fromBlock, range.toBlock);
             
             const relevantEvents = events.filter(event => 
                 event.args[0] === address || event.args[1] === address
@@ -445,9 +535,8 @@ async function runDemo() {
     const connected = await setup.init(networkType);
     if (!connected) return;
     
-    // Load contracts
-    const addresses = DEFAULT_ADDRESSES[networkType] || DEFAULT_ADDRESSES.local;
-    await setup.loadContracts(addresses);
+    // Load contracts from the network's deployment manifest
+    await setup.loadContracts();
     
     // Create token operations instance
     const tokenOps = new TokenOperations(setup);
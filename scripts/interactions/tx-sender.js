@@ -0,0 +1,412 @@
+const fs = require("fs");
+const path = require("path");
+const readline = require("readline");
+const { ethers } = require("ethers");
+
+/**
+ * Central transaction sender for the interaction scripts
+ * - EIP-1559 fees from eth_feeHistory (slow/normal/fast presets) under an optional max-fee cap
+ * - Stuck transaction detection with speed-up or cancel by replacing the same nonce
+ * - Dropped transactions are sent again under their nonce
+ * - A journal of sent, replaced and mined transactions: <journalDir>/<network>.jsonl (default journal/)
+ */
+
+const DEFAULT_JOURNAL_DIR = path.join(__dirname, "..", "..", "journal");
+
+const FEE_HISTORY_BLOCKS = 10;
+const FEE_PERCENTILES = [10, 50, 90];
+
+// reward: index into FEE_PERCENTILES for the priority fee
+// baseFeeMultiplier: headroom over the next base fee, in percent (+12.5% is one full block of increase)
+const FEE_PRESETS = {
+    slow: { reward: 0, baseFeeMultiplier: 113n },
+    normal: { reward: 1, baseFeeMultiplier: 200n },
+    fast: { reward: 2, baseFeeMultiplier: 200n }
+};
+
+const MIN_PRIORITY_FEE = ethers.parseUnits("1", "gwei");
+
+// Nodes only accept a replacement that raises both fees by at least 10%; use 12.5% to be safe
+const REPLACEMENT_BUMP = 1125n;
+
+const STUCK_ACTIONS = ["speed-up", "cancel", "wait"];
+
+const REPLACEMENT_LABELS = { "speed-up": "Speeding up", cancel: "Cancelling", resend: "Resending" };
+
+function bump(value) {
+    return value * REPLACEMENT_BUMP / 1000n + 1n;
+}
+
+function max(a, b) {
+    return a > b ? a : b;
+}
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+    return sorted[Math.floor(sorted.length / 2)];
+}
+
+function gwei(value) {
+    return value === null || value === undefined ? null : `${ethers.formatUnits(value, "gwei")} gwei`;
+}
+
+// Ask what to do with a stuck transaction; without a terminal keep waiting
+async function promptStuckAction(tx) {
+    if (!process.stdin.isTTY) {
+        return "wait";
+    }
+    const rl = readline.createInterface({ input: process.stdin, output: process.stderr });
+    try {
+        const answer = await new Promise(resolve =>
+            rl.question(`❓ Transaction ${tx.hash} (nonce ${tx.nonce}) is not mined yet. [s]peed up, [c]ancel or [w]ait? `, resolve)
+        );
+        const choice = answer.trim().toLowerCase();
+        if (choice.startsWith("s")) return "speed-up";
+        if (choice.startsWith("c")) return "cancel";
+        return "wait";
+    } finally {
+        rl.close();
+    }
+}
+
+class TransactionSender {
+    // options.speed: slow | normal | fast (GAS_SPEED, default normal)
+    // options.maxFeeGwei: cap for maxFeePerGas / gasPrice (MAX_FEE_GWEI)
+    // options.stuckTimeout: seconds before a pending transaction counts as stuck (STUCK_TIMEOUT, default 180)
+    // options.onStuck: prompt | speed-up | cancel | wait (default prompt)
+    // options.journalDir: directory of the journal files (TX_JOURNAL_DIR, default journal/)
+    constructor(setup, options = {}) {
+        this.setup = setup;
+        this.speed = options.speed || process.env.GAS_SPEED || "normal";
+        this.maxFeePerGas = null;
+        this.stuckTimeout = Number(options.stuckTimeout || process.env.STUCK_TIMEOUT || 180) * 1000;
+        this.onStuck = options.onStuck || "prompt";
+        this.pollInterval = options.pollInterval || 2000;
+        this.journalDir = options.journalDir || process.env.TX_JOURNAL_DIR || DEFAULT_JOURNAL_DIR;
+        this.signers = new Map(); // address => signer that sent from it, needed to sign replacements
+
+        if (!FEE_PRESETS[this.speed]) {
+            throw new Error(`Unknown gas speed ${this.speed}. Use one of: ${Object.keys(FEE_PRESETS).join(", ")}`);
+        }
+        if (this.onStuck !== "prompt" && !STUCK_ACTIONS.includes(this.onStuck)) {
+            throw new Error(`Unknown stuck transaction action ${this.onStuck}. Use prompt, ${STUCK_ACTIONS.join(", ")}`);
+        }
+        const maxFeeGwei = options.maxFeeGwei || process.env.MAX_FEE_GWEI;
+        if (maxFeeGwei) {
+            this.maxFeePerGas = ethers.parseUnits(String(maxFeeGwei), "gwei");
+        }
+    }
+
+    get provider() {
+        return this.setup.provider;
+    }
+
+    // Fees
+    async getFees(speed = this.speed) {
+        const preset = FEE_PRESETS[speed];
+        if (!preset) {
+            throw new Error(`Unknown gas speed ${speed}. Use one of: ${Object.keys(FEE_PRESETS).join(", ")}`);
+        }
+
+        let history;
+        try {
+            history = await this.provider.send("eth_feeHistory", [ethers.toQuantity(FEE_HISTORY_BLOCKS), "latest", FEE_PERCENTILES]);
+        } catch (error) {
+            history = null;
+        }
+
+        if (!history || !history.baseFeePerGas || history.baseFeePerGas.length === 0) {
+            // Pre-London chain: legacy gas price
+            const { gasPrice } = await this.provider.getFeeData();
+            return { speed, gasPrice: this.cap(gasPrice) };
+        }
+
+        // The last entry is the base fee of the next block
+        const baseFee = BigInt(history.baseFeePerGas[history.baseFeePerGas.length - 1]);
+        const rewards = (history.reward || []).map(rewards => BigInt(rewards[preset.reward]));
+        let maxPriorityFeePerGas = max(rewards.length > 0 ? median(rewards) : 0n, MIN_PRIORITY_FEE);
+        let maxFeePerGas = baseFee * preset.baseFeeMultiplier / 100n + maxPriorityFeePerGas;
+
+        if (this.maxFeePerGas !== null && maxFeePerGas > this.maxFeePerGas) {
+            maxFeePerGas = this.maxFeePerGas;
+            if (maxPriorityFeePerGas > maxFeePerGas) {
+                maxPriorityFeePerGas = maxFeePerGas;
+            }
+            if (maxFeePerGas < baseFee) {
+                console.log(`⚠️ Max fee cap ${gwei(maxFeePerGas)} is below the base fee ${gwei(baseFee)}; the transaction waits until it drops`);
+            }
+        }
+
+        return { speed, baseFee, maxFeePerGas, maxPriorityFeePerGas };
+    }
+
+    cap(gasPrice) {
+        return this.maxFeePerGas !== null && gasPrice > this.maxFeePerGas ? this.maxFeePerGas : gasPrice;
+    }
+
+    // Fill in fees unless the caller set them explicitly (e.g. options.gasPrice)
+    async applyFees(tx) {
+        if (tx.gasPrice != null || tx.maxFeePerGas != null) {
+            return tx;
+        }
+        const fees = await this.getFees();
+        if (fees.gasPrice !== undefined) {
+            return { ...tx, gasPrice: fees.gasPrice };
+        }
+        return { ...tx, maxFeePerGas: fees.maxFeePerGas, maxPriorityFeePerGas: fees.maxPriorityFeePerGas };
+    }
+
+    // Sending
+    async send(signer, tx) {
+        const response = await signer.sendTransaction(await this.applyFees(tx));
+        this.signers.set(response.from, signer);
+        this.record("sent", response);
+        return response;
+    }
+
+    // Wait for the transaction (or a replacement of it) to be mined, replacing it when stuck
+    // previous: earlier transactions with the same nonce that may still be mined instead
+    async wait(tx, confirmations = 1, previous = []) {
+        const attempts = [...previous, tx];
+        let current = tx;
+
+        for (;;) {
+            const receipt = await this.waitForAny(attempts, confirmations, this.stuckTimeout);
+            if (receipt) {
+                const mined = attempts.find(attempt => attempt.hash === receipt.hash);
+                this.record(receipt.status === 1 ? "mined" : "failed", mined, receipt);
+                if (receipt.status !== 1) {
+                    throw new Error(`Transaction ${receipt.hash} reverted in block ${receipt.blockNumber}`);
+                }
+                return receipt;
+            }
+
+            if (await this.isDropped(attempts)) {
+                current = await this.resend(current);
+                attempts.push(current);
+                continue;
+            }
+
+            this.record("stuck", current);
+            console.log(`🐢 Transaction ${current.hash} not mined after ${this.stuckTimeout / 1000}s`);
+
+            const action = this.onStuck === "prompt" ? await promptStuckAction(current) : this.onStuck;
+            if (action === "wait") {
+                continue;
+            }
+
+            try {
+                current = action === "cancel" ? await this.cancel(current) : await this.speedUp(current);
+                attempts.push(current);
+            } catch (error) {
+                // Mined while we were deciding: the next round picks up its receipt
+                const mined = await this.provider.getTransactionCount(current.from, "latest") > current.nonce;
+                if (!mined) {
+                    console.error("❌ Replacement failed:", error.shortMessage || error.message);
+                }
+            }
+        }
+    }
+
+    // Poll every attempt with the same nonce until one is mined or the timeout passes
+    async waitForAny(attempts, confirmations, timeout) {
+        const { from, nonce } = attempts[0];
+        const deadline = Date.now() + timeout;
+
+        while (Date.now() < deadline) {
+            for (const attempt of attempts) {
+                const receipt = await this.provider.getTransactionReceipt(attempt.hash);
+                if (receipt) {
+                    return confirmations > 1
+                        ? await this.provider.waitForTransaction(attempt.hash, confirmations)
+                        : receipt;
+                }
+            }
+
+            if (await this.provider.getTransactionCount(from, "latest") > nonce) {
+                // One last look, the nonce may have been used between the receipt checks and now
+                for (const attempt of attempts) {
+                    const receipt = await this.provider.getTransactionReceipt(attempt.hash);
+                    if (receipt) return receipt;
+                }
+                throw new Error(`Nonce ${nonce} of ${from} was used by a transaction this session did not send`);
+            }
+
+            await new Promise(resolve => setTimeout(resolve, this.pollInterval));
+        }
+        return null;
+    }
+
+    // The node no longer knows any transaction with this nonce (evicted from its mempool)
+    async isDropped(attempts) {
+        for (const attempt of attempts) {
+            if (await this.provider.getTransaction(attempt.hash)) {
+                return false;
+            }
+        }
+        return await this.provider.getTransactionCount(attempts[0].from, "latest") <= attempts[0].nonce;
+    }
+
+    // Send a dropped transaction again under its nonce, so the ones queued behind it can be mined
+    async resend(tx) {
+        this.record("dropped", tx);
+        console.log(`🕳️ Transaction ${tx.hash} was dropped by the node`);
+        try {
+            return await this.replace(tx, { to: tx.to, data: tx.data, value: tx.value, gasLimit: tx.gasLimit }, "resend");
+        } catch (error) {
+            // Give the nonce up; the next transaction from this account starts from the node's count again
+            this.setup.resyncNonce(tx.from);
+            throw new Error(`Transaction ${tx.hash} was dropped and could not be resent: ${error.shortMessage || error.message}`);
+        }
+    }
+
+    // Replacements
+    async speedUp(tx) {
+        const original = await this.getPending(tx);
+        return this.replace(original, {
+            to: original.to,
+            data: original.data,
+            value: original.value,
+            gasLimit: original.gasLimit
+        }, "speed-up");
+    }
+
+    async cancel(tx) {
+        const original = await this.getPending(tx);
+        // A zero value transfer to ourselves consumes the nonce
+        return this.replace(original, {
+            to: original.from,
+            data: "0x",
+            value: 0n,
+            gasLimit: 21000n
+        }, "cancel");
+    }
+
+    async getPending(txOrHash) {
+        const hash = typeof txOrHash === "string" ? txOrHash : txOrHash.hash;
+        const original = await this.provider.getTransaction(hash);
+        if (!original) {
+            throw new Error(`Transaction ${hash} not found`);
+        }
+        if (original.blockNumber !== null) {
+            throw new Error(`Transaction ${hash} is already mined in block ${original.blockNumber}`);
+        }
+        return original;
+    }
+
+    // Resend with the same nonce and fees above both the original's and the current fast preset
+    async replace(original, fields, action) {
+        const signer = this.signers.get(original.from) || this.setup.signer.active;
+        const signerAddress = await signer.getAddress();
+        if (signerAddress !== original.from) {
+            throw new Error(`Transaction ${original.hash} was sent by ${original.from}, not by the current signer ${signerAddress}`);
+        }
+
+        const fast = await this.getFees("fast");
+        const replacement = { ...fields, nonce: original.nonce, chainId: original.chainId };
+
+        if (original.maxFeePerGas !== null) {
+            replacement.maxFeePerGas = max(bump(original.maxFeePerGas), fast.maxFeePerGas || 0n);
+            replacement.maxPriorityFeePerGas = max(bump(original.maxPriorityFeePerGas), fast.maxPriorityFeePerGas || 0n);
+        } else {
+            replacement.gasPrice = max(bump(original.gasPrice), fast.gasPrice || fast.maxFeePerGas);
+        }
+        this.checkReplacementCap(original, replacement);
+
+        console.log(`⏫ ${REPLACEMENT_LABELS[action]} nonce ${original.nonce} (${gwei(replacement.maxFeePerGas || replacement.gasPrice)})`);
+        const response = await signer.sendTransaction(replacement);
+        this.signers.set(response.from, signer);
+        this.record(action, response, null, { replaces: original.hash });
+        console.log("📤 Replacement sent:", response.hash);
+        return response;
+    }
+
+    // Speed up or cancel a pending transaction, e.g. one left behind by an earlier session
+    async replacePending(hash, action) {
+        const original = await this.getPending(hash);
+        const replacement = action === "cancel" ? await this.cancel(original) : await this.speedUp(original);
+        return this.wait(replacement, 1, [original]);
+    }
+
+    // The cap may not stop a replacement from outbidding the original by the minimum bump
+    checkReplacementCap(original, replacement) {
+        if (this.maxFeePerGas === null) {
+            return;
+        }
+        const field = replacement.maxFeePerGas !== undefined ? "maxFeePerGas" : "gasPrice";
+        if (replacement[field] <= this.maxFeePerGas) {
+            return;
+        }
+        const minimum = bump(original[field]);
+        if (minimum > this.maxFeePerGas) {
+            throw new Error(`Max fee cap ${gwei(this.maxFeePerGas)} is too low to replace ${original.hash} (needs at least ${gwei(minimum)})`);
+        }
+        replacement[field] = this.maxFeePerGas;
+        if (replacement.maxPriorityFeePerGas > replacement.maxFeePerGas) {
+            replacement.maxPriorityFeePerGas = replacement.maxFeePerGas;
+        }
+        if (replacement.maxPriorityFeePerGas !== undefined && replacement.maxPriorityFeePerGas < bump(original.maxPriorityFeePerGas)) {
+            throw new Error(`Max fee cap ${gwei(this.maxFeePerGas)} is too low to raise the priority fee of ${original.hash}`);
+        }
+    }
+
+    // Journal
+    journalPath() {
+        return path.join(this.journalDir, `${this.setup.network}.jsonl`);
+    }
+
+    // Contract and function a transaction calls, when it targets a loaded contract
+    describe(tx) {
+        for (const [name, contract] of Object.entries(this.setup.contracts || {})) {
+            if (tx.to && contract.target.toLowerCase() === tx.to.toLowerCase()) {
+                const parsed = contract.interface.parseTransaction({ data: tx.data, value: tx.value });
+                return parsed ? `${name}.${parsed.name}` : name;
+            }
+        }
+        return null;
+    }
+
+    record(event, tx, receipt = null, extra = {}) {
+        const entry = {
+            time: new Date().toISOString(),
+            event,
+            hash: tx.hash,
+            from: tx.from,
+            to: tx.to,
+            nonce: tx.nonce,
+            call: this.describe(tx),
+            maxFeePerGas: tx.maxFeePerGas != null ? tx.maxFeePerGas.toString() : undefined,
+            maxPriorityFeePerGas: tx.maxPriorityFeePerGas != null ? tx.maxPriorityFeePerGas.toString() : undefined,
+            gasPrice: tx.maxFeePerGas == null && tx.gasPrice != null ? tx.gasPrice.toString() : undefined,
+            ...extra
+        };
+        if (receipt) {
+            entry.blockNumber = receipt.blockNumber;
+            entry.status = receipt.status;
+            entry.gasUsed = receipt.gasUsed.toString();
+            entry.effectiveGasPrice = receipt.gasPrice.toString();
+        }
+
+        try {
+            fs.mkdirSync(this.journalDir, { recursive: true });
+            fs.appendFileSync(this.journalPath(), JSON.stringify(entry) + "\n");
+        } catch (error) {
+            console.log("⚠️ Could not write the transaction journal:", error.message);
+        }
+    }
+
+    readJournal(limit = 20) {
+        const file = this.journalPath();
+        if (!fs.existsSync(file)) {
+            return [];
+        }
+        const lines = fs.readFileSync(file, "utf8").split("\n").filter(Boolean);
+        return lines.slice(-limit).map(line => JSON.parse(line));
+    }
+}
+
+module.exports = {
+    TransactionSender,
+    FEE_PRESETS,
+    DEFAULT_JOURNAL_DIR
+};
@@ -0,0 +1,218 @@
+const fs = require("fs");
+const path = require("path");
+const http = require("http");
+
+/**
+ * Web dashboard for ContractMonitor
+ * A small local HTTP server with a JSON API over the monitor's analyses and an HTML dashboard
+ * (dashboard.html) that stays current through Server-Sent Events:
+ *   event: chain-event  - every newly indexed contract event
+ *   event: reorg        - blocks rolled back by the event store
+ *   event: update       - contract summary after each interval; the page then reloads its panels
+ */
+
+const HTML_FILE = path.join(__dirname, "dashboard.html");
+const DEFAULT_PORT = 8080;
+
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+// Bigints (wei amounts, counters) as decimal strings
+function toJson(value) {
+    return JSON.stringify(value, (key, item) => (typeof item === "bigint" ? item.toString() : item));
+}
+
+function positiveInteger(params, name, fallback) {
+    const value = params.get(name);
+    if (value === null) return fallback;
+    if (!/^\d+$/.test(value) || Number(value) === 0) {
+        throw new HttpError(400, `Invalid ${name}: ${value}`);
+    }
+    return Number(value);
+}
+
+// ?since=&until= (ISO dates) or ?hours=N, as accepted by ContractMonitor.resolveWindow
+function timeWindow(params) {
+    if (params.has("since") || params.has("until")) {
+        for (const name of ["since", "until"]) {
+            if (params.has(name) && Number.isNaN(Date.parse(params.get(name)))) {
+                throw new HttpError(400, `Invalid ${name}: ${params.get(name)}`);
+            }
+        }
+        return { from: params.get("since") || undefined, to: params.get("until") || undefined };
+    }
+    return positiveInteger(params, "hours", 24);
+}
+
+class WebDashboard {
+    // options.port (DASHBOARD_PORT, default 8080; 0 picks a free port), options.host (DASHBOARD_HOST, default 127.0.0.1)
+    // options.interval: milliseconds between event store syncs and update pushes (default 10000)
+    constructor(monitor, options = {}) {
+        this.monitor = monitor;
+        this.setup = monitor.setup;
+        this.port = Number(options.port ?? process.env.DASHBOARD_PORT ?? DEFAULT_PORT);
+        this.host = options.host || process.env.DASHBOARD_HOST || "127.0.0.1";
+        this.interval = options.interval || 10000;
+        this.clients = new Set();
+        this.server = null;
+    }
+
+    // Token contract for ?contract=, defaulting to the first monitored token
+    tokenContract(params) {
+        const tokens = Object.keys(this.monitor.contracts).filter(name => name.includes("StableCoin") || name.includes("Coin"));
+        const name = params.get("contract") || tokens[0];
+        if (!tokens.includes(name)) {
+            throw new HttpError(404, `Unknown token contract: ${name}`);
+        }
+        return name;
+    }
+
+    // MultiSig wallet for ?contract=, defaulting to the first monitored one
+    multiSigContract(params) {
+        const wallets = this.monitor.multiSigContracts();
+        const name = params.get("contract") || wallets[0] || "multiSig";
+        if (params.has("contract") && !wallets.includes(name)) {
+            throw new HttpError(404, `Unknown MultiSig contract: ${name}`);
+        }
+        return name;
+    }
+
+    async summary() {
+        return {
+            network: this.setup.network,
+            head: await this.setup.provider.getBlockNumber(),
+            updated: new Date().toISOString(),
+            tokens: Object.keys(this.monitor.contracts).filter(name => name.includes("StableCoin") || name.includes("Coin")),
+            contracts: await this.monitor.collectContractStats(),
+            indexer: this.monitor.indexer.status()
+        };
+    }
+
+    // API routes: pathname => handler(params)
+    routes() {
+        return {
+            "/api/summary": () => this.summary(),
+            "/api/supply": params => this.monitor.supplyHistory(this.tokenContract(params), timeWindow(params)),
+            "/api/volume": params => this.monitor.mintBurnVolume(this.tokenContract(params), timeWindow(params),
+                positiveInteger(params, "buckets", 24)),
+            "/api/holders": params => this.monitor.topHolders(this.tokenContract(params), positiveInteger(params, "limit", 10)),
+            "/api/multisig": params => this.monitor.multiSigPipeline(this.multiSigContract(params)),
+            "/api/timelock": () => this.monitor.timeLockQueue(),
+            "/api/events": params => this.monitor.recentEvents(positiveInteger(params, "limit", 50))
+        };
+    }
+
+    async handleRequest(request, response) {
+        const url = new URL(request.url, "http://localhost");
+
+        if (request.method !== "GET") {
+            response.writeHead(405, { "content-type": "text/plain" });
+            response.end("Method not allowed\n");
+            return;
+        }
+        if (url.pathname === "/") {
+            response.writeHead(200, { "content-type": "text/html; charset=utf-8" });
+            response.end(fs.readFileSync(HTML_FILE));
+            return;
+        }
+        if (url.pathname === "/api/stream") {
+            this.openStream(request, response);
+            return;
+        }
+
+        const route = this.routes()[url.pathname];
+        try {
+            if (!route) {
+                throw new HttpError(404, `Not found: ${url.pathname}`);
+            }
+            const body = toJson(await route(url.searchParams));
+            response.writeHead(200, { "content-type": "application/json" });
+            response.end(body);
+        } catch (error) {
+            if (!error.status) {
+                console.error(`❌ Dashboard request ${url.pathname} failed:`, error.message);
+            }
+            response.writeHead(error.status || 500, { "content-type": "application/json" });
+            response.end(toJson({ error: error.message }));
+        }
+    }
+
+    // Server-Sent Events
+    openStream(request, response) {
+        response.writeHead(200, {
+            "content-type": "text/event-stream",
+            "cache-control": "no-cache",
+            connection: "keep-alive"
+        });
+        response.write("retry: 5000\n\n");
+        this.clients.add(response);
+        request.on("close", () => this.clients.delete(response));
+    }
+
+    broadcast(type, data) {
+        const message = `event: ${type}\ndata: ${toJson(data)}\n\n`;
+        for (const client of this.clients) {
+            client.write(message);
+        }
+    }
+
+    // Start serving; returns a function that stops the server, the pushes and the event store follower
+    async start() {
+        await this.monitor.syncEvents();
+
+        const onEvent = record => this.broadcast("chain-event", record);
+        const onReorg = info => this.broadcast("reorg", info);
+        this.monitor.indexer.on("event", onEvent);
+        this.monitor.indexer.on("reorg", onReorg);
+        const stopIndexer = this.monitor.followEvents(this.interval);
+
+        const push = async () => {
+            if (this.clients.size === 0) return;
+            try {
+                this.broadcast("update", await this.summary());
+            } catch (error) {
+                console.error("❌ Dashboard update failed:", error.message);
+            }
+        };
+        const pushTimer = setInterval(push, this.interval);
+
+        const stop = () => {
+            clearInterval(pushTimer);
+            for (const client of this.clients) {
+                client.end();
+            }
+            this.clients.clear();
+            if (this.server) this.server.close();
+            this.monitor.indexer.off("event", onEvent);
+            this.monitor.indexer.off("reorg", onReorg);
+            stopIndexer();
+        };
+
+        this.server = http.createServer((request, response) => this.handleRequest(request, response));
+        try {
+            await new Promise((resolve, reject) => {
+                this.server.once("error", reject);
+                this.server.listen(this.port, this.host, resolve);
+            });
+        } catch (error) {
+            this.server = null;
+            stop();
+            throw error;
+        }
+        this.port = this.server.address().port;
+        console.log(`🖥️ Web dashboard at http://${this.host}:${this.port}/`);
+
+        return () => {
+            stop();
+            console.log("🔇 Web dashboard stopped");
+        };
+    }
+}
+
+module.exports = {
+    WebDashboard
+};
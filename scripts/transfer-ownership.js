@@ -1,12 +1,17 @@
 const { ethers } = require("hardhat");
+const { getDeployedAddresses } = require("./deployments");
 
 async function main() {
     console.log("소유권 이전 시작...");
     
     // 컨트랙트 주소와 새 소유자 주소
-    const CONTRACT_ADDRESS = "0x8A791620dd6260079BF849Dc5567aDC3F2FdC318";
+    const CONTRACT_ADDRESS = getDeployedAddresses(hre.network.name).stableCoin;
     const NEW_OWNER = "0x1e97682dE3f030FD7d012bfA24234955299f4F4C";
     
+    if (!CONTRACT_ADDRESS) {
+        throw new Error(`deployments/${hre.network.name}.json에 stableCoin 배포 기록이 없습니다!`);
+    }
+    
     const [currentOwner] = await ethers.getSigners();
     console.log("현재 소유자:", currentOwner.address);
     console.log("새 소유자:", NEW_OWNER);
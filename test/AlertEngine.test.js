@@ -0,0 +1,230 @@
+const os = require("os");
+const fs = require("fs");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { AlertEngine, registerSink } = require("../scripts/interactions/alerts.js");
+
+// Sink that keeps the alerts it receives in the array passed as its "alerts" option
+class MemorySink {
+  constructor({ alerts }) {
+    this.alerts = alerts;
+  }
+
+  async send(alert) {
+    this.alerts.push(alert);
+  }
+}
+registerSink("memory", MemorySink);
+
+describe("AlertEngine", function () {
+  const ZERO = ethers.ZeroAddress;
+  const HOLDER = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+
+  let dir;
+  let sent;
+
+  let logIndex = 0;
+  function transfer(from, to, tokens) {
+    return {
+      contract: "stableCoin",
+      event: "Transfer",
+      args: { from, to, value: ethers.parseEther(tokens).toString() },
+      blockNumber: 10,
+      transactionHash: ethers.id(`tx-${logIndex}`),
+      logIndex: logIndex++
+    };
+  }
+
+  function createEngine(rules, options = {}) {
+    return new AlertEngine({
+      rules,
+      sinks: options.sinks || [{ type: "memory", alerts: sent }]
+    }, options.stateFile || null);
+  }
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "alerts-"));
+    sent = [];
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe("Conditions", function () {
+    const largeMint = {
+      id: "large-mint",
+      contract: ["stableCoin"],
+      event: "Transfer",
+      where: { from: ZERO, value: { gt: "100000", decimals: 18 } },
+      message: "minted {value:tokens} to {to}"
+    };
+
+    it("Should match token thresholds scaled by decimals", async function () {
+      const engine = createEngine([largeMint]);
+
+      await engine.handleEvent(transfer(ZERO, HOLDER, "100000"));
+      await engine.handleEvent(transfer(ZERO, HOLDER, "100000.5"));
+
+      expect(sent).to.have.length(1);
+      expect(sent[0].message).to.equal(`minted 100000.5 to ${HOLDER}`);
+    });
+
+    it("Should compare addresses case-insensitively", async function () {
+      const engine = createEngine([{ id: "to-holder", event: "Transfer", where: { to: HOLDER.toLowerCase() } }]);
+
+      await engine.handleEvent(transfer(ZERO, HOLDER, "1"));
+      expect(sent).to.have.length(1);
+    });
+
+    it("Should apply ne, in and the contract filter", async function () {
+      const engine = createEngine([
+        { id: "not-mint", event: "Transfer", where: { from: { ne: ZERO } } },
+        { id: "listed", event: "Transfer", where: { to: { in: [HOLDER] } } },
+        { id: "other-token", contract: "governedStableCoin", event: "Transfer" }
+      ]);
+
+      await engine.handleEvent(transfer(ZERO, HOLDER, "1"));
+      expect(sent.map(alert => alert.rule)).to.deep.equal(["listed"]);
+    });
+
+    it("Should not match an argument the event does not have", async function () {
+      const engine = createEngine([{ id: "missing", event: "Transfer", where: { account: HOLDER } }]);
+
+      await engine.handleEvent(transfer(ZERO, HOLDER, "1"));
+      expect(sent).to.be.empty;
+    });
+  });
+
+  describe("Severity", function () {
+    it("Should default to warning and reject unknown severities", function () {
+      expect(createEngine([{ id: "plain", event: "Paused" }]).rules[0].severity).to.equal("warning");
+      expect(() => createEngine([{ id: "loud", event: "Paused", severity: "panic" }])).to.throw("severity must be one of");
+    });
+
+    it("Should only send to sinks whose minSeverity the alert reaches", async function () {
+      const critical = [];
+      const engine = createEngine([
+        { id: "info", event: "Transfer", severity: "info" },
+        { id: "critical", event: "Transfer", severity: "critical" }
+      ], {
+        sinks: [
+          { type: "memory", alerts: sent },
+          { type: "memory", alerts: critical, minSeverity: "critical" }
+        ]
+      });
+
+      await engine.handleEvent(transfer(ZERO, HOLDER, "1"));
+      expect(sent.map(alert => alert.rule)).to.deep.equal(["info", "critical"]);
+      expect(critical.map(alert => alert.rule)).to.deep.equal(["critical"]);
+    });
+  });
+
+  describe("Dedupe and cooldown", function () {
+    const pending = { id: "multisig-stale", type: "multisig-pending", olderThanHours: 24, message: "tx {txIndex}" };
+    const monitor = {
+      multiSigContracts: () => ["multiSig"],
+      pendingMultiSigTransactions: async contract => [{ contract, txIndex: 3, ageHours: 30 }, { contract, txIndex: 4, ageHours: 2 }],
+      readyTimeLockOperations: async () => []
+    };
+
+    it("Should send each dedupe key once", async function () {
+      const engine = createEngine([pending]);
+
+      await engine.checkState(monitor);
+      await engine.checkState(monitor);
+      expect(sent.map(alert => alert.message)).to.deep.equal(["tx 3"]);
+    });
+
+    it("Should suppress alerts during the cooldown and report them with the next one", async function () {
+      const engine = createEngine([{ id: "transfers", event: "Transfer", cooldown: 60 }]);
+
+      await engine.handleEvent(transfer(ZERO, HOLDER, "1"));
+      await engine.handleEvent(transfer(ZERO, HOLDER, "2"));
+      await engine.handleEvent(transfer(ZERO, HOLDER, "3"));
+      expect(sent).to.have.length(1);
+
+      // The cooldown ran out
+      engine.lastAlert.set("transfers", Date.now() - 61 * 1000);
+      await engine.handleEvent(transfer(ZERO, HOLDER, "4"));
+      expect(sent).to.have.length(2);
+      expect(sent[1].suppressed).to.equal(2);
+    });
+
+    it("Should keep dedupe and cooldown state across engines sharing a state file", async function () {
+      const stateFile = path.join(dir, "alerts.state.json");
+      const rules = [pending, { id: "transfers", event: "Transfer", cooldown: 60 }];
+
+      const first = createEngine(rules, { stateFile });
+      await first.checkState(monitor);
+      await first.handleEvent(transfer(ZERO, HOLDER, "1"));
+
+      // A second run, e.g. the next cron invocation
+      const second = createEngine(rules, { stateFile });
+      await second.checkState(monitor);
+      await second.handleEvent(transfer(ZERO, HOLDER, "2"));
+
+      expect(sent.map(alert => alert.rule)).to.deep.equal(["multisig-stale", "transfers"]);
+      expect(second.suppressed.get("transfers")).to.equal(1);
+    });
+
+    it("Should forget dedupe keys after the dedupe window", async function () {
+      const engine = createEngine([{ ...pending, dedupeWindow: 3600 }]);
+
+      await engine.checkState(monitor);
+      const [entry] = engine.sent.values();
+      entry.time -= 3600 * 1000;
+
+      await engine.checkState(monitor);
+      expect(sent).to.have.length(2);
+      expect(engine.sent.size).to.equal(1);
+    });
+
+    it("Should drop state of rules that are no longer configured", function () {
+      const stateFile = path.join(dir, "alerts.state.json");
+      fs.writeFileSync(stateFile, JSON.stringify({
+        sent: { "removed:1": { rule: "removed", time: Date.now() } },
+        lastAlert: { removed: Date.now() },
+        suppressed: { removed: 4 }
+      }));
+
+      const engine = createEngine([pending], { stateFile });
+      expect(engine.sent.size).to.equal(0);
+      expect(engine.lastAlert.size).to.equal(0);
+      expect(engine.suppressed.size).to.equal(0);
+    });
+  });
+
+  describe("File sink", function () {
+    it("Should append one JSON alert per line", async function () {
+      const file = path.join(dir, "out", "alerts.jsonl");
+      const engine = createEngine([{ id: "transfers", event: "Transfer", severity: "info", message: "{value:tokens} tokens" }], {
+        sinks: [{ type: "file", path: file }]
+      });
+
+      await engine.handleEvent(transfer(ZERO, HOLDER, "1"));
+      await engine.handleEvent(transfer(ZERO, HOLDER, "2"));
+
+      const lines = fs.readFileSync(file, "utf8").trim().split("\n").map(line => JSON.parse(line));
+      expect(lines.map(alert => alert.message)).to.deep.equal(["1.0 tokens", "2.0 tokens"]);
+      expect(lines[0]).to.include({ rule: "transfers", severity: "info", contract: "stableCoin", event: "Transfer" });
+    });
+
+    it("Should resolve a relative path against the directory of the rules file", async function () {
+      const rulesFile = path.join(dir, "config", "alerts.json");
+      fs.mkdirSync(path.dirname(rulesFile));
+      fs.writeFileSync(rulesFile, JSON.stringify({
+        rules: [{ id: "transfers", event: "Transfer", severity: "info", message: "{value:tokens} tokens" }],
+        sinks: [{ type: "file", path: "out/alerts.jsonl" }]
+      }));
+
+      const engine = AlertEngine.load(rulesFile, path.join(dir, "alerts.state.json"));
+      await engine.handleEvent(transfer(ZERO, HOLDER, "1"));
+
+      expect(engine.sinks[0].sink.file).to.equal(path.join(dir, "config", "out", "alerts.jsonl"));
+      expect(fs.readFileSync(engine.sinks[0].sink.file, "utf8")).to.include("1.0 tokens");
+      expect(fs.existsSync(path.join(process.cwd(), "out"))).to.be.false;
+    });
+  });
+});
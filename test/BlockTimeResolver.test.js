@@ -0,0 +1,83 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time, mine } = require("@nomicfoundation/hardhat-network-helpers");
+const { BlockTimeResolver } = require("../scripts/interactions/block-time.js");
+
+describe("BlockTimeResolver", function () {
+  let resolver;
+  let blocks; // three blocks mined 100 seconds apart: { number, timestamp }
+
+  beforeEach(async function () {
+    resolver = new BlockTimeResolver(ethers.provider);
+
+    blocks = [];
+    const start = await time.latest();
+    for (let i = 1; i <= 3; i++) {
+      await time.setNextBlockTimestamp(start + i * 100);
+      await mine();
+      const block = await ethers.provider.getBlock("latest");
+      blocks.push({ number: block.number, timestamp: block.timestamp });
+    }
+  });
+
+  describe("firstBlockAtOrAfter", function () {
+    it("Should return the block mined exactly at the timestamp", async function () {
+      expect(await resolver.firstBlockAtOrAfter(blocks[1].timestamp)).to.equal(blocks[1].number);
+    });
+
+    it("Should return the next block for a timestamp between two blocks", async function () {
+      expect(await resolver.firstBlockAtOrAfter(blocks[1].timestamp - 1)).to.equal(blocks[1].number);
+    });
+
+    it("Should return block 0 for a timestamp before genesis", async function () {
+      const genesis = await ethers.provider.getBlock(0);
+      expect(await resolver.firstBlockAtOrAfter(genesis.timestamp - 1)).to.equal(0);
+    });
+
+    it("Should return head + 1 for a timestamp after the head", async function () {
+      expect(await resolver.firstBlockAtOrAfter(blocks[2].timestamp + 1)).to.equal(blocks[2].number + 1);
+    });
+  });
+
+  describe("lastBlockAtOrBefore", function () {
+    it("Should return the block mined exactly at the timestamp", async function () {
+      expect(await resolver.lastBlockAtOrBefore(blocks[1].timestamp)).to.equal(blocks[1].number);
+    });
+
+    it("Should return the previous block for a timestamp between two blocks", async function () {
+      expect(await resolver.lastBlockAtOrBefore(blocks[1].timestamp - 1)).to.equal(blocks[0].number);
+    });
+
+    it("Should return -1 for a timestamp before genesis", async function () {
+      const genesis = await ethers.provider.getBlock(0);
+      expect(await resolver.lastBlockAtOrBefore(genesis.timestamp - 1)).to.equal(-1);
+    });
+
+    it("Should return the head for a timestamp after the head", async function () {
+      expect(await resolver.lastBlockAtOrBefore(blocks[2].timestamp + 1000)).to.equal(blocks[2].number);
+    });
+  });
+
+  describe("resolveRange", function () {
+    it("Should resolve ISO dates to the blocks inside them", async function () {
+      const iso = timestamp => new Date(timestamp * 1000).toISOString();
+      const range = await resolver.resolveRange(iso(blocks[0].timestamp + 1), iso(blocks[2].timestamp - 1));
+
+      expect(range).to.deep.equal({ fromBlock: blocks[1].number, toBlock: blocks[1].number });
+    });
+
+    it("Should take numbers and explicit block strings as block numbers", async function () {
+      expect(await resolver.resolveRange(5, "#7")).to.deep.equal({ fromBlock: 5, toBlock: 7 });
+      expect(await resolver.resolveRange("block:3", "latest")).to.deep.equal({ fromBlock: 3, toBlock: blocks[2].number });
+    });
+
+    it("Should read an all-digit string as a year, not a block number", async function () {
+      const range = await resolver.resolveRange("2026");
+      expect(range.fromBlock).to.equal(await resolver.firstBlockAtOrAfter(Date.UTC(2026, 0, 1) / 1000));
+    });
+
+    it("Should reject an epoch-seconds string", async function () {
+      await expect(resolver.resolveRange(String(blocks[0].timestamp))).to.be.rejectedWith("Invalid date");
+    });
+  });
+});
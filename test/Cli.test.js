@@ -0,0 +1,103 @@
+const os = require("os");
+const fs = require("fs");
+const path = require("path");
+const { execFile } = require("child_process");
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { JsonRpcServer } = require("hardhat/internal/hardhat-network/jsonrpc/server");
+const { TransactionSender } = require("../scripts/interactions/tx-sender.js");
+
+const CLI = path.join(__dirname, "..", "scripts", "interactions", "cli.js");
+
+describe("CLI", function () {
+  // Every run starts a fresh node process
+  this.timeout(60000);
+
+  let server;
+  let rpcUrl;
+  let dir;
+
+  before(async function () {
+    // Serve the in-process Hardhat network over HTTP for the spawned CLI
+    server = new JsonRpcServer({ hostname: "127.0.0.1", port: 0, provider: network.provider });
+    const { port } = await server.listen();
+    rpcUrl = `http://127.0.0.1:${port}`;
+  });
+
+  after(async function () {
+    await server.close();
+  });
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "cli-"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  // Asynchronous on purpose: the in-process node has to keep answering while the CLI runs
+  function coin(...args) {
+    const env = { ...process.env, LOCAL_RPC_URL: rpcUrl, KEYSTORE_DIR: dir, TX_JOURNAL_DIR: dir };
+    delete env.SIGNER_PROFILE;
+    delete env.KEYSTORE_PASSWORD;
+
+    return new Promise(resolve => {
+      execFile(process.execPath, [CLI, ...args], { env }, (error, stdout, stderr) => {
+        resolve({ code: error ? error.code : 0, stdout, stderr });
+      });
+    });
+  }
+
+  it("Should print only the JSON result on stdout with --json", async function () {
+    const { code, stdout, stderr } = await coin("tx", "fees", "--network", "localhost", "--json");
+
+    expect(code).to.equal(0);
+    const lines = stdout.trim().split("\n");
+    expect(lines).to.have.length(1);
+    const output = JSON.parse(lines[0]);
+    expect(output).to.include({ command: "tx fees", network: "localhost", ok: true });
+    expect(output.result).to.have.all.keys("slow", "normal", "fast");
+
+    // The progress logs went to stderr instead
+    expect(stderr).to.include("✅ Connection established");
+    expect(stderr).to.include("⛽ Fee presets");
+  });
+
+  it("Should apply the global gas options to the command", async function () {
+    // Cap just under the fast preset, so only fast is capped
+    const fast = await new TransactionSender({ provider: ethers.provider }).getFees("fast");
+    const cap = ethers.formatUnits(fast.maxFeePerGas - 1n, "gwei");
+
+    const { code, stdout } = await coin("tx", "fees", "--max-fee", cap, "--json");
+
+    expect(code).to.equal(0);
+    const { result } = JSON.parse(stdout);
+    const sender = new TransactionSender({ provider: ethers.provider }, { maxFeeGwei: cap });
+    for (const speed of ["slow", "normal", "fast"]) {
+      const fees = await sender.getFees(speed);
+      expect(result[speed]).to.deep.equal(Object.fromEntries(Object.entries(fees).map(([key, value]) => [key, value.toString()])));
+    }
+    expect(BigInt(result.fast.maxFeePerGas)).to.equal(fast.maxFeePerGas - 1n);
+  });
+
+  it("Should exit with 2 and print the help for an unknown command", async function () {
+    const { code, stdout, stderr } = await coin("tx", "nothing", "--json");
+
+    expect(code).to.equal(2);
+    expect(stderr).to.include("❌ Unknown command: tx nothing");
+    expect(stdout).to.include("coin tx fees");
+  });
+
+  it("Should exit with 2 for unknown options and invalid arguments", async function () {
+    const unknownOption = await coin("tx", "fees", "--bogus");
+    expect(unknownOption.code).to.equal(2);
+    expect(unknownOption.stderr).to.include("--bogus");
+
+    const invalidArgument = await coin("tx", "speed-up", "0x1234", "--json");
+    expect(invalidArgument.code).to.equal(2);
+    expect(invalidArgument.stderr).to.include("❌ Invalid transaction hash: 0x1234");
+    expect(invalidArgument.stderr).to.include("Usage: coin tx speed-up <txHash>");
+    expect(invalidArgument.stdout).to.equal("");
+  });
+});
@@ -0,0 +1,176 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { simulateCall, simulateTransaction } = require("../scripts/interactions/dry-run.js");
+
+// Hardhat only has the struct log tracer; answer the richer methods like geth would
+function nodeProvider(methods) {
+  return new Proxy(ethers.provider, {
+    get(target, property) {
+      if (property === "send") {
+        return async (method, params) => {
+          if (method === "debug_traceCall" && params[2].tracer && methods.callTracer) {
+            return methods.callTracer(params);
+          }
+          if (methods[method]) {
+            return methods[method](params);
+          }
+          return target.send(method, params);
+        };
+      }
+      const value = target[property];
+      return typeof value === "function" ? value.bind(target) : value;
+    }
+  });
+}
+
+describe("Dry run", function () {
+  let stableCoin, optimizedStableCoin, multiSig;
+  let owner, addr1, addr2;
+  let setup;
+
+  beforeEach(async function () {
+    [owner, addr1, addr2] = await ethers.getSigners();
+
+    const StableCoin = await ethers.getContractFactory("StableCoin");
+    stableCoin = await StableCoin.deploy("StableCoin", "STABLE", 1000000);
+    await stableCoin.waitForDeployment();
+
+    const OptimizedStableCoin = await ethers.getContractFactory("OptimizedStableCoin");
+    optimizedStableCoin = await OptimizedStableCoin.deploy("Optimized StableCoin", "OSTABLE", 1000000);
+    await optimizedStableCoin.waitForDeployment();
+
+    const MultiSigWallet = await ethers.getContractFactory("MultiSigWallet");
+    multiSig = await MultiSigWallet.deploy([owner.address, addr1.address], 1);
+    await multiSig.waitForDeployment();
+
+    setup = { provider: ethers.provider, signer: owner, contracts: { stableCoin, optimizedStableCoin, multiSig } };
+  });
+
+  // Simulations must leave the chain exactly as it was
+  async function expectUnchanged(simulation) {
+    const blockNumber = await ethers.provider.getBlockNumber();
+    const balances = await Promise.all([owner, addr1, addr2].map(account => stableCoin.balanceOf(account.address)));
+    const supply = await stableCoin.totalSupply();
+
+    const report = await simulation();
+
+    expect(await ethers.provider.getBlockNumber()).to.equal(blockNumber);
+    expect(await Promise.all([owner, addr1, addr2].map(account => stableCoin.balanceOf(account.address)))).to.deep.equal(balances);
+    expect(await stableCoin.totalSupply()).to.equal(supply);
+    return report;
+  }
+
+  it("Should report the gas and events of a successful mint", async function () {
+    const amount = ethers.parseEther("500");
+    const report = await expectUnchanged(() => simulateCall(setup, stableCoin, "mint", [addr1.address, amount]));
+
+    expect(report).to.include({ dryRun: true, success: true, revert: null, from: owner.address, to: stableCoin.target });
+    expect(report.blockNumber).to.equal(await ethers.provider.getBlockNumber());
+    expect(report.gasEstimate).to.be.greaterThan(21000n);
+    expect(report.events).to.deep.equal([{
+      contract: "stableCoin",
+      address: stableCoin.target,
+      event: "Transfer",
+      args: { from: ethers.ZeroAddress, to: addr1.address, value: amount }
+    }]);
+  });
+
+  it("Should decode the return value", async function () {
+    const report = await expectUnchanged(() => simulateCall(setup, stableCoin, "transfer", [addr2.address, 1n]));
+
+    expect(report.success).to.be.true;
+    expect(report.result).to.deep.equal({ 0: true });
+  });
+
+  it("Should report a custom error revert", async function () {
+    await optimizedStableCoin.blacklist(addr1.address);
+
+    const report = await expectUnchanged(() => simulateCall(setup, optimizedStableCoin, "mint", [addr1.address, 1n]));
+
+    expect(report.success).to.be.false;
+    expect(report.revert).to.equal("AccountBlacklistedError()");
+    expect(report.gasEstimate).to.be.null;
+    expect(report.events).to.be.null;
+  });
+
+  it("Should report a require string revert", async function () {
+    await stableCoin.blacklist(addr2.address);
+
+    const report = await expectUnchanged(() => simulateCall(setup, stableCoin, "blacklist", [addr2.address]));
+
+    expect(report.success).to.be.false;
+    expect(report.revert).to.equal("Account is already blacklisted");
+    expect(report.gasEstimate).to.be.null;
+  });
+
+  it("Should attribute events of nested calls to the contract that emitted them", async function () {
+    await stableCoin.transfer(multiSig.target, 1000n);
+    const transferData = stableCoin.interface.encodeFunctionData("transfer", [addr2.address, 400n]);
+    await multiSig.submitTransaction(stableCoin.target, 0, transferData);
+    await multiSig.confirmTransaction(0);
+
+    const report = await expectUnchanged(() => simulateTransaction(setup, {
+      from: owner.address,
+      to: multiSig.target,
+      data: multiSig.interface.encodeFunctionData("executeTransaction", [0])
+    }));
+
+    expect(report.success).to.be.true;
+    expect(report.events.map(event => `${event.contract}.${event.event}`)).to.deep.equal([
+      "stableCoin.Transfer",
+      "multiSig.ExecuteTransaction"
+    ]);
+    expect(report.events[0].args).to.deep.equal({ from: multiSig.target, to: addr2.address, value: 400n });
+    expect((await multiSig.getTransaction(0)).executed).to.be.false;
+  });
+
+  describe("Event sources", function () {
+    function transferLog(from, to, value) {
+      const fragment = stableCoin.interface.getEvent("Transfer");
+      const { data, topics } = stableCoin.interface.encodeEventLog(fragment, [from, to, value]);
+      return { address: stableCoin.target, topics, data };
+    }
+
+    it("Should take the events from eth_simulateV1 when the node has it", async function () {
+      setup.provider = nodeProvider({
+        eth_simulateV1: async () => [{ calls: [{ logs: [transferLog(ethers.ZeroAddress, addr2.address, 7n)] }] }]
+      });
+
+      const report = await simulateCall(setup, stableCoin, "mint", [addr1.address, 1n]);
+      expect(report.events.map(event => event.args)).to.deep.equal([{ from: ethers.ZeroAddress, to: addr2.address, value: 7n }]);
+    });
+
+    it("Should drop the logs of reverted frames from the callTracer", async function () {
+      setup.provider = nodeProvider({
+        eth_simulateV1: async () => {
+          throw new Error("the method eth_simulateV1 does not exist");
+        },
+        callTracer: async () => ({
+          logs: [transferLog(owner.address, addr1.address, 1n)],
+          calls: [
+            { logs: [transferLog(owner.address, addr2.address, 2n)] },
+            { error: "execution reverted", logs: [transferLog(owner.address, addr2.address, 3n)] }
+          ]
+        })
+      });
+
+      const report = await simulateCall(setup, stableCoin, "mint", [addr1.address, 1n]);
+      expect(report.events.map(event => event.args.value)).to.deep.equal([1n, 2n]);
+    });
+
+    it("Should report events as unavailable without any source", async function () {
+      setup.provider = nodeProvider({
+        eth_simulateV1: async () => {
+          throw new Error("not supported");
+        },
+        debug_traceCall: async () => {
+          throw new Error("not supported");
+        }
+      });
+
+      const report = await simulateCall(setup, stableCoin, "mint", [addr1.address, 1n]);
+      expect(report.success).to.be.true;
+      expect(report.events).to.be.null;
+    });
+  });
+});
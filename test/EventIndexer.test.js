@@ -0,0 +1,142 @@
+const os = require("os");
+const fs = require("fs");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { mine } = require("@nomicfoundation/hardhat-network-helpers");
+const { EventIndexer } = require("../scripts/interactions/event-indexer.js");
+
+// Provider that rejects eth_getLogs over more than maxRange blocks, like many hosted RPCs
+function rangeLimitedProvider(maxRange) {
+  return new Proxy(ethers.provider, {
+    get(target, property) {
+      if (property === "getLogs") {
+        return async filter => {
+          if (filter.toBlock - filter.fromBlock + 1 > maxRange) {
+            throw new Error(`query exceeds max block range ${maxRange}`);
+          }
+          return target.getLogs(filter);
+        };
+      }
+      const value = target[property];
+      return typeof value === "function" ? value.bind(target) : value;
+    }
+  });
+}
+
+describe("EventIndexer", function () {
+  let stableCoin;
+  let owner, addr1, addr2;
+  let dir;
+  let indexer;
+
+  function createIndexer(options = {}, provider = ethers.provider) {
+    const setup = { network: "hardhat", provider, contracts: {} };
+    return new EventIndexer(setup, {
+      contracts: { stableCoin },
+      file: path.join(dir, "hardhat.db"),
+      confirmations: 12,
+      ...options
+    });
+  }
+
+  function transfers() {
+    return indexer.query({ contract: "stableCoin", event: "Transfer" });
+  }
+
+  beforeEach(async function () {
+    [owner, addr1, addr2] = await ethers.getSigners();
+
+    const StableCoin = await ethers.getContractFactory("StableCoin");
+    stableCoin = await StableCoin.deploy("StableCoin", "STABLE", 1000000);
+    await stableCoin.waitForDeployment();
+
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "indexer-"));
+  });
+
+  afterEach(function () {
+    if (indexer) indexer.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("Should backfill every event and resume from the last indexed block", async function () {
+    await stableCoin.transfer(addr1.address, 100n);
+    await stableCoin.transfer(addr2.address, 200n);
+
+    indexer = createIndexer({ chunkSize: 20 });
+    const first = await indexer.sync();
+    expect(first.head).to.equal(await ethers.provider.getBlockNumber());
+    // Mint in the constructor and the two transfers
+    expect(transfers()).to.have.length(3);
+
+    await stableCoin.transfer(addr1.address, 300n);
+    const second = await indexer.sync();
+    expect(second.indexed).to.equal(1);
+
+    const [status] = indexer.status();
+    expect(status.lastBlock).to.equal(second.head);
+    expect(status.events.Transfer).to.equal(4);
+    expect(transfers().map(event => event.args.value)).to.deep.equal(["1000000000000000000000000", "100", "200", "300"]);
+  });
+
+  it("Should halve the chunk size when the node rejects the block range", async function () {
+    await mine(100);
+    await stableCoin.transfer(addr1.address, 100n);
+
+    indexer = createIndexer({ chunkSize: 80 }, rangeLimitedProvider(10));
+    await indexer.sync();
+
+    expect(indexer.chunkSize).to.equal(10);
+    expect(transfers()).to.have.length(2);
+  });
+
+  it("Should give up on range errors below the minimum chunk size", async function () {
+    await mine(100);
+    indexer = createIndexer({ chunkSize: 80 }, rangeLimitedProvider(5));
+
+    await expect(indexer.sync()).to.be.rejectedWith("max block range");
+  });
+
+  it("Should roll back events of reorganized blocks inside the confirmations window", async function () {
+    indexer = createIndexer();
+    await indexer.sync();
+
+    const snapshot = await ethers.provider.send("evm_snapshot", []);
+    await stableCoin.transfer(addr1.address, 100n);
+    await indexer.sync();
+    expect(transfers().map(event => event.args.to)).to.include(addr1.address);
+
+    // The same block height is mined again with a different transaction
+    await ethers.provider.send("evm_revert", [snapshot]);
+    const tx = await stableCoin.transfer(addr2.address, 200n);
+    const receipt = await tx.wait();
+
+    const reorgs = [];
+    indexer.on("reorg", info => reorgs.push(info));
+    await indexer.sync();
+
+    expect(reorgs).to.deep.equal([{ fromBlock: receipt.blockNumber, removed: 1 }]);
+    const recipients = transfers().map(event => event.args.to);
+    expect(recipients).to.not.include(addr1.address);
+    expect(recipients).to.include(addr2.address);
+    expect(transfers().at(-1).blockHash).to.equal(receipt.blockHash);
+  });
+
+  it("Should rebuild the store when the genesis block changes", async function () {
+    indexer = createIndexer();
+    await indexer.sync();
+
+    // Data left behind by another chain, e.g. a restarted local node
+    const db = indexer.open();
+    db.prepare("UPDATE meta SET value = ? WHERE key = 'genesis'").run(ethers.ZeroHash);
+    db.prepare("UPDATE events SET tx_hash = ?").run(ethers.ZeroHash);
+
+    await indexer.sync();
+
+    const events = transfers();
+    expect(events).to.have.length(1);
+    expect(events[0].transactionHash).to.equal(stableCoin.deploymentTransaction().hash);
+    expect(db.prepare("SELECT value FROM meta WHERE key = 'genesis'").get().value)
+      .to.equal((await ethers.provider.getBlock(0)).hash);
+  });
+});
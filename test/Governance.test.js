@@ -1,6 +1,8 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
 const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const GovernanceWorkflow = require("../scripts/interactions/governance-workflow.js");
+const { ContractSetup } = require("../scripts/interactions/setup.js");
 
 describe("Governance System", function () {
   let multiSig;
@@ -267,6 +269,38 @@ describe("Governance System", function () {
       expect(finalBalance - initialBalance).to.equal(mintAmount);
     });
 
+    it("Should queue and execute a call encoded by the governance workflow", async function () {
+      const target = await governedCoin.getAddress();
+      const signature = "grantMinterRole(address)";
+      const workflow = new GovernanceWorkflow({ contracts: {} });
+      const data = workflow.encodeTimeLockData(signature, [user2.address]);
+      const executeTime = (await time.latest()) + TIMELOCK_DELAY + 100;
+
+      // TimeLock prepends the selector itself, so the data holds only the arguments
+      expect(data).to.equal(ethers.AbiCoder.defaultAbiCoder().encode(["address"], [user2.address]));
+
+      const queueCalldata = timeLock.interface.encodeFunctionData("queueTransaction", [
+        target, 0, signature, data, executeTime
+      ]);
+      await multiSig.connect(proposer1).submitTransaction(await timeLock.getAddress(), 0, queueCalldata);
+      await multiSig.connect(proposer1).confirmTransaction(0);
+      await multiSig.connect(proposer2).confirmTransaction(0);
+      await multiSig.connect(executor1).executeTransaction(0);
+
+      await time.increaseTo(executeTime);
+
+      const executeCalldata = timeLock.interface.encodeFunctionData("executeTransaction", [
+        target, 0, signature, data, executeTime
+      ]);
+      await multiSig.connect(proposer1).submitTransaction(await timeLock.getAddress(), 0, executeCalldata);
+      await multiSig.connect(proposer1).confirmTransaction(1);
+      await multiSig.connect(proposer2).confirmTransaction(1);
+
+      await expect(multiSig.connect(executor1).executeTransaction(1))
+        .to.emit(timeLock, "ExecuteTransaction");
+      expect(await governedCoin.hasRole(await governedCoin.MINTER_ROLE(), user2.address)).to.be.true;
+    });
+
     it("Should allow cancellation of queued transactions", async function () {
       const target = await governedCoin.getAddress();
       const value = 0;
@@ -289,6 +323,22 @@ describe("Governance System", function () {
       await expect(timeLock.connect(admin).cancelTransaction(target, value, signature, data, executeTime))
         .to.emit(timeLock, "CancelTransaction");
     });
+
+    it("Should only simulate a workflow proposal made with options.dryRun", async function () {
+      const setup = new ContractSetup();
+      setup.provider = ethers.provider;
+      setup.network = "hardhat";
+      setup.signer = proposer1;
+      setup.contracts = { multiSig, timeLock, governedStableCoin: governedCoin };
+      const workflow = new GovernanceWorkflow(setup);
+      await workflow.init();
+
+      const result = await workflow.proposeMintTokens(user1.address, 1000, { dryRun: true });
+
+      expect(result.dryRun).to.be.true;
+      expect(result.queue.submit.success).to.be.true;
+      expect(await multiSig.getTransactionCount()).to.equal(0);
+    });
   });
 
   describe("Role Management", function () {
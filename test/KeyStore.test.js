@@ -0,0 +1,137 @@
+const os = require("os");
+const fs = require("fs");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { KeyStore } = require("../scripts/interactions/keystore.js");
+
+describe("KeyStore", function () {
+  // scrypt makes every encrypt and decrypt take a while
+  this.timeout(120000);
+
+  const PASSWORD = "correct horse battery staple";
+
+  let dir;
+  let prompts;
+  let savedEnv;
+
+  function createKeyStore(provider = null, password = PASSWORD) {
+    return new KeyStore(provider, {
+      dir,
+      prompt: async question => {
+        prompts.push(question);
+        return password;
+      }
+    });
+  }
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "keystore-"));
+    prompts = [];
+    savedEnv = { KEYSTORE_PASSWORD: process.env.KEYSTORE_PASSWORD, SIGNER_PROFILE: process.env.SIGNER_PROFILE };
+    delete process.env.KEYSTORE_PASSWORD;
+    delete process.env.SIGNER_PROFILE;
+  });
+
+  afterEach(function () {
+    for (const [name, value] of Object.entries(savedEnv)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe("Keystores", function () {
+    let wallet;
+
+    beforeEach(async function () {
+      wallet = ethers.Wallet.createRandom();
+      await createKeyStore().saveKeystore("deployer.json", wallet, PASSWORD);
+    });
+
+    it("Should encrypt a key and decrypt it with the password once per session", async function () {
+      const file = path.join(dir, "deployer.json");
+      expect(fs.statSync(file).mode & 0o777).to.equal(0o600);
+      expect(fs.readFileSync(file, "utf8")).to.not.include(wallet.privateKey.slice(2));
+
+      const keyStore = createKeyStore();
+      expect(keyStore.listKeystores()).to.deep.equal([{ file: "deployer.json", address: wallet.address }]);
+
+      const unlocked = await keyStore.unlock("deployer.json");
+      expect(unlocked.privateKey).to.equal(wallet.privateKey);
+      await keyStore.unlock("deployer.json");
+      expect(prompts).to.deep.equal(["🔑 Password for deployer.json: "]);
+    });
+
+    it("Should reject a wrong password", async function () {
+      await expect(createKeyStore(null, "wrong").unlock("deployer.json")).to.be.rejectedWith(/password/i);
+    });
+
+    it("Should not overwrite an existing keystore", async function () {
+      await expect(createKeyStore().saveKeystore("deployer.json", ethers.Wallet.createRandom(), PASSWORD))
+        .to.be.rejectedWith("Keystore deployer.json already exists");
+    });
+  });
+
+  describe("Mnemonic accounts", function () {
+    it("Should derive each profile's account index from the stored mnemonic", async function () {
+      const root = ethers.HDNodeWallet.createRandom();
+      const keyStore = createKeyStore();
+      await keyStore.saveKeystore("team.json", root, PASSWORD);
+      keyStore.setProfile("team0", { keystore: "team.json", index: 0 });
+      keyStore.setProfile("team2", { keystore: "team.json", index: 2 });
+
+      const derived = index => ethers.HDNodeWallet.fromPhrase(root.mnemonic.phrase, undefined, `m/44'/60'/0'/0/${index}`).address;
+      expect(await (await keyStore.getSigner("team0")).getAddress()).to.equal(derived(0));
+      expect(await (await keyStore.getSigner("team2")).getAddress()).to.equal(derived(2));
+      // Both accounts come from one keystore, unlocked once
+      expect(prompts).to.have.length(1);
+    });
+
+    it("Should refuse an index on a keystore without a mnemonic", async function () {
+      const keyStore = createKeyStore();
+      await keyStore.saveKeystore("single.json", new ethers.Wallet(ethers.Wallet.createRandom().privateKey), PASSWORD);
+      keyStore.setProfile("single1", { keystore: "single.json", index: 1 });
+
+      await expect(keyStore.getSigner("single1")).to.be.rejectedWith("has no mnemonic");
+    });
+  });
+
+  describe("Profiles", function () {
+    let accounts;
+
+    beforeEach(async function () {
+      accounts = await ethers.getSigners();
+      const keyStore = createKeyStore();
+      keyStore.setProfile("local1", { node: 1 });
+      keyStore.setProfile("local2", { node: 2, address: accounts[2].address });
+      keyStore.setProfile("mislabelled", { node: 3, address: accounts[4].address });
+    });
+
+    it("Should resolve the profile chosen with --as, or else the default", async function () {
+      const keyStore = createKeyStore(ethers.provider);
+
+      expect(await (await keyStore.getSigner("local2")).getAddress()).to.equal(accounts[2].address);
+      // The first profile saved became the default
+      expect(await (await keyStore.getSigner()).getAddress()).to.equal(accounts[1].address);
+
+      process.env.SIGNER_PROFILE = "local2";
+      expect(keyStore.getDefaultProfile()).to.equal("local2");
+      expect(keyStore.listProfiles().find(profile => profile.default).name).to.equal("local1");
+    });
+
+    it("Should reject unknown profiles and addresses that do not match", async function () {
+      const keyStore = createKeyStore(ethers.provider);
+
+      await expect(keyStore.getSigner("nobody")).to.be.rejectedWith("Unknown signer profile: nobody");
+      await expect(keyStore.getSigner("mislabelled")).to.be.rejectedWith(`expected ${accounts[4].address}`);
+      expect(() => keyStore.setDefaultProfile("nobody")).to.throw("Unknown signer profile: nobody");
+    });
+
+    it("Should reject node profiles for offline signing", async function () {
+      // multisig sign opens the key store without a provider
+      await expect(createKeyStore().getSigner("local1"))
+        .to.be.rejectedWith("Signer profile local1 is a node account and cannot sign offline; use a keystore profile");
+    });
+  });
+});
@@ -0,0 +1,44 @@
+const { expect } = require("chai");
+const { MetricsRegistry } = require("../scripts/interactions/metrics.js");
+
+describe("MetricsRegistry", function () {
+  let registry;
+
+  beforeEach(function () {
+    registry = new MetricsRegistry("test");
+  });
+
+  it("Should render HELP and TYPE once per family followed by its samples", function () {
+    registry.gauge("supply", "Total supply", 100, { contract: "stableCoin" });
+    registry.gauge("supply", "Total supply", 2.5, { contract: "governedStableCoin" });
+    registry.add("events", "counter", "Indexed events", 7n);
+
+    expect(registry.render()).to.equal([
+      "# HELP test_supply Total supply",
+      "# TYPE test_supply gauge",
+      "test_supply{contract=\"stableCoin\"} 100",
+      "test_supply{contract=\"governedStableCoin\"} 2.5",
+      "# HELP test_events Indexed events",
+      "# TYPE test_events counter",
+      "test_events 7",
+      ""
+    ].join("\n"));
+  });
+
+  it("Should escape backslashes, newlines and quotes in label values", function () {
+    registry.gauge("up", "Up", 1, { name: "a\\b\n\"c\"" });
+
+    expect(registry.render()).to.include("test_up{name=\"a\\\\b\\n\\\"c\\\"\"} 1\n");
+  });
+
+  it("Should render infinities as +Inf and -Inf and anything not a number as NaN", function () {
+    registry.gauge("lag", "Lag", Infinity);
+    registry.gauge("lag", "Lag", -Infinity);
+    registry.gauge("lag", "Lag", NaN);
+    registry.gauge("lag", "Lag", undefined);
+    registry.gauge("lag", "Lag", "not a number");
+
+    const samples = registry.render().split("\n").filter(line => line.startsWith("test_lag"));
+    expect(samples).to.deep.equal(["test_lag +Inf", "test_lag -Inf", "test_lag NaN", "test_lag NaN", "test_lag NaN"]);
+  });
+});
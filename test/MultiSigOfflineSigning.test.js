@@ -0,0 +1,114 @@
+const os = require("os");
+const fs = require("fs");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { ContractSetup } = require("../scripts/interactions/setup.js");
+const { TransactionSender } = require("../scripts/interactions/tx-sender.js");
+const MultiSigOperations = require("../scripts/interactions/multisig-operations.js");
+
+describe("MultiSig offline signing", function () {
+  let multiSig;
+  let funder, recipient;
+  let owner1, owner2; // keys that never touch the provider
+  let dir;
+  let operations;
+
+  beforeEach(async function () {
+    [funder, recipient] = await ethers.getSigners();
+    owner1 = ethers.Wallet.createRandom();
+    owner2 = ethers.Wallet.createRandom();
+
+    const MultiSigWallet = await ethers.getContractFactory("MultiSigWallet");
+    multiSig = await MultiSigWallet.deploy([owner1.address, owner2.address], 2);
+    await multiSig.waitForDeployment();
+
+    for (const owner of [owner1, owner2]) {
+      await funder.sendTransaction({ to: owner.address, value: ethers.parseEther("1") });
+    }
+    await funder.sendTransaction({ to: await multiSig.getAddress(), value: ethers.parseEther("2") });
+
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "multisig-offline-"));
+
+    const setup = new ContractSetup();
+    setup.provider = ethers.provider;
+    setup.network = "hardhat";
+    setup.signer = funder;
+    setup.contracts = { multiSig };
+    setup.txSender = new TransactionSender(setup, { onStuck: "wait", journalDir: dir });
+
+    operations = new MultiSigOperations(setup);
+    operations.setContract("multiSig");
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  // export → sign offline → broadcast, checking the exported file against the chain on the way
+  async function runOffline(action, args, owner) {
+    const unsignedFile = path.join(dir, `${action}-${owner.address}.json`);
+    const signedFile = path.join(dir, `${action}-${owner.address}.signed.json`);
+    const expectedNonce = await ethers.provider.getTransactionCount(owner.address, "pending");
+
+    expect(await operations.exportUnsignedTransaction(action, args, unsignedFile, { from: owner.address })).to.not.be.null;
+    const unsigned = JSON.parse(fs.readFileSync(unsignedFile, "utf8"));
+    expect(unsigned).to.include({ kind: "multisig-unsigned", action, from: owner.address, multiSig: await multiSig.getAddress() });
+    expect(unsigned.transaction.nonce).to.equal(expectedNonce);
+    expect(BigInt(unsigned.transaction.chainId)).to.equal((await ethers.provider.getNetwork()).chainId);
+    const estimate = await ethers.provider.estimateGas({ from: owner.address, to: unsigned.transaction.to, data: unsigned.transaction.data });
+    expect(BigInt(unsigned.transaction.gasLimit)).to.be.at.least(estimate);
+    expect(BigInt(unsigned.transaction.maxFeePerGas)).to.be.greaterThan(0n);
+
+    const signed = await MultiSigOperations.signOfflineTransaction(unsignedFile, owner, signedFile);
+    expect(signed).to.not.be.null;
+    expect(ethers.Transaction.from(signed.signedTransaction).from).to.equal(owner.address);
+
+    const result = await operations.broadcastSignedTransaction(signedFile);
+    expect(result).to.not.be.null;
+    expect(result.receipt.hash).to.equal(signed.hash);
+    expect(result.receipt.status).to.equal(1);
+    return result;
+  }
+
+  it("Should submit, confirm and execute with transactions signed offline", async function () {
+    const value = ethers.parseEther("0.5");
+    const balanceBefore = await ethers.provider.getBalance(recipient.address);
+
+    const submitted = await runOffline("submit", [recipient.address, value.toString(), "0x"], owner1);
+    expect(submitted.txIndex).to.equal(0);
+    expect(await multiSig.getTransactionCount()).to.equal(1n);
+
+    await runOffline("confirm", [0], owner1);
+    await runOffline("confirm", [0], owner2);
+    expect(await multiSig.isConfirmed(0, owner1.address)).to.be.true;
+    expect(await multiSig.isConfirmed(0, owner2.address)).to.be.true;
+
+    await runOffline("execute", [0], owner2);
+    const transaction = await multiSig.getTransaction(0);
+    expect(transaction.executed).to.be.true;
+    expect(await ethers.provider.getBalance(recipient.address)).to.equal(balanceBefore + value);
+  });
+
+  it("Should refuse to sign for a different owner than the file was prepared for", async function () {
+    const unsignedFile = path.join(dir, "confirm.json");
+    await runOffline("submit", [recipient.address, "0", "0x"], owner1);
+    await operations.exportUnsignedTransaction("confirm", [0], unsignedFile, { from: owner1.address });
+
+    expect(await MultiSigOperations.signOfflineTransaction(unsignedFile, owner2, path.join(dir, "confirm.signed.json"))).to.be.null;
+    expect(fs.existsSync(path.join(dir, "confirm.signed.json"))).to.be.false;
+  });
+
+  it("Should refuse to broadcast a signed transaction whose nonce was already used", async function () {
+    const unsignedFile = path.join(dir, "submit.json");
+    const signedFile = path.join(dir, "submit.signed.json");
+    await operations.exportUnsignedTransaction("submit", [recipient.address, "0", "0x"], unsignedFile, { from: owner1.address });
+    await MultiSigOperations.signOfflineTransaction(unsignedFile, owner1, signedFile);
+
+    // The owner used the nonce for something else in the meantime
+    await owner1.connect(ethers.provider).sendTransaction({ to: recipient.address, value: 1n });
+
+    expect(await operations.broadcastSignedTransaction(signedFile)).to.be.null;
+    expect(await multiSig.getTransactionCount()).to.equal(0n);
+  });
+});
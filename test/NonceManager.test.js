@@ -0,0 +1,58 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { NonceManager } = require("../scripts/interactions/nonce-manager.js");
+
+describe("NonceManager", function () {
+  let sender, recipient;
+  let manager;
+
+  beforeEach(async function () {
+    [, , , , , , , , sender, recipient] = await ethers.getSigners();
+    manager = new NonceManager(sender);
+  });
+
+  it("Should assign sequential nonces to concurrent sends", async function () {
+    const start = await ethers.provider.getTransactionCount(sender.address, "pending");
+
+    // Hardhat's automine rejects a nonce gap, so the sends only succeed if they reach it in order
+    const responses = await Promise.all(
+      Array.from({ length: 5 }, () => manager.sendTransaction({ to: recipient.address, value: 1n }))
+    );
+
+    expect(responses.map(response => response.nonce)).to.deep.equal([0, 1, 2, 3, 4].map(i => start + i));
+    const receipts = await Promise.all(responses.map(response => response.wait()));
+    expect(receipts.every(receipt => receipt.status === 1)).to.be.true;
+    expect(await ethers.provider.getTransactionCount(sender.address, "latest")).to.equal(start + 5);
+  });
+
+  it("Should resync with the node after a failed send", async function () {
+    const start = await ethers.provider.getTransactionCount(sender.address, "pending");
+    const balance = await ethers.provider.getBalance(sender.address);
+
+    const failed = manager.sendTransaction({ to: recipient.address, value: balance * 2n });
+    const next = manager.sendTransaction({ to: recipient.address, value: 1n });
+
+    await expect(failed).to.be.rejected;
+    // The nonce of the failed send is reused instead of leaving a gap
+    const response = await next;
+    expect(response.nonce).to.equal(start);
+    expect((await response.wait()).status).to.equal(1);
+  });
+
+  it("Should pick up transactions sent around it after resync", async function () {
+    await (await manager.sendTransaction({ to: recipient.address, value: 1n })).wait();
+    await (await sender.sendTransaction({ to: recipient.address, value: 1n })).wait();
+
+    manager.resync();
+    const response = await manager.sendTransaction({ to: recipient.address, value: 1n });
+    expect(response.nonce).to.equal(await ethers.provider.getTransactionCount(sender.address, "latest") - 1);
+  });
+
+  it("Should send a transaction with an explicit nonce as given", async function () {
+    const nonce = await ethers.provider.getTransactionCount(sender.address, "pending");
+    const response = await manager.sendTransaction({ to: recipient.address, value: 1n, nonce });
+
+    expect(response.nonce).to.equal(nonce);
+    await response.wait();
+  });
+});
@@ -0,0 +1,132 @@
+const os = require("os");
+const fs = require("fs");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { TransactionSender, FEE_PRESETS } = require("../scripts/interactions/tx-sender.js");
+
+const gwei = value => ethers.parseUnits(String(value), "gwei");
+
+// Provider answering eth_feeHistory with fixed data; baseFees ends with the next block's base fee
+function feeHistoryProvider(baseFees, rewards, gasPrice = gwei(5)) {
+  return {
+    send: async () => (baseFees === null ? null : {
+      baseFeePerGas: baseFees.map(ethers.toQuantity),
+      reward: rewards.map(row => row.map(ethers.toQuantity))
+    }),
+    getFeeData: async () => ({ gasPrice })
+  };
+}
+
+describe("TransactionSender", function () {
+  describe("Fees", function () {
+    const rewards = [
+      [gwei(1), gwei(2), gwei(5)],
+      [gwei(1), gwei(3), gwei(6)],
+      [gwei(2), gwei(4), gwei(8)]
+    ];
+
+    it("Should price each preset from the next base fee and the median reward", async function () {
+      const sender = new TransactionSender({ provider: feeHistoryProvider([gwei(8), gwei(9), gwei(10)], rewards) });
+
+      const slow = await sender.getFees("slow");
+      expect(slow.baseFee).to.equal(gwei(10));
+      expect(slow.maxPriorityFeePerGas).to.equal(gwei(1));
+      expect(slow.maxFeePerGas).to.equal(gwei(10) * FEE_PRESETS.slow.baseFeeMultiplier / 100n + gwei(1));
+
+      const normal = await sender.getFees("normal");
+      expect(normal.maxPriorityFeePerGas).to.equal(gwei(3));
+      expect(normal.maxFeePerGas).to.equal(gwei(20) + gwei(3));
+
+      const fast = await sender.getFees("fast");
+      expect(fast.maxPriorityFeePerGas).to.equal(gwei(6));
+      expect(fast.maxFeePerGas).to.equal(gwei(20) + gwei(6));
+    });
+
+    it("Should not go below the minimum priority fee", async function () {
+      const sender = new TransactionSender({ provider: feeHistoryProvider([gwei(10)], [[0n, 0n, 0n]]) });
+
+      const fees = await sender.getFees("slow");
+      expect(fees.maxPriorityFeePerGas).to.equal(gwei(1));
+    });
+
+    it("Should cap the max fee and the priority fee", async function () {
+      const provider = feeHistoryProvider([gwei(10)], [[gwei(30), gwei(30), gwei(30)]]);
+      const sender = new TransactionSender({ provider }, { maxFeeGwei: "15" });
+
+      const fees = await sender.getFees("fast");
+      expect(fees.maxFeePerGas).to.equal(gwei(15));
+      expect(fees.maxPriorityFeePerGas).to.equal(gwei(15));
+    });
+
+    it("Should fall back to a capped legacy gas price without fee history", async function () {
+      const sender = new TransactionSender({ provider: feeHistoryProvider(null, [], gwei(50)) }, { maxFeeGwei: "40" });
+
+      const fees = await sender.getFees();
+      expect(fees).to.deep.equal({ speed: "normal", gasPrice: gwei(40) });
+    });
+
+    it("Should reject an unknown speed", async function () {
+      expect(() => new TransactionSender({ provider: null }, { speed: "warp" })).to.throw("Unknown gas speed warp");
+    });
+  });
+
+  describe("Replacements", function () {
+    let account, recipient;
+    let journalDir;
+
+    beforeEach(async function () {
+      [, , , , , , , , , , account, recipient] = await ethers.getSigners();
+      journalDir = fs.mkdtempSync(path.join(os.tmpdir(), "tx-journal-"));
+      // Keep sent transactions pending so they can be replaced
+      await ethers.provider.send("evm_setAutomine", [false]);
+    });
+
+    afterEach(async function () {
+      await ethers.provider.send("evm_setAutomine", [true]);
+      await ethers.provider.send("evm_mine", []);
+      fs.rmSync(journalDir, { recursive: true, force: true });
+    });
+
+    function createSender(options = {}) {
+      return new TransactionSender({ provider: ethers.provider, network: "hardhat", contracts: {} }, { onStuck: "wait", journalDir, ...options });
+    }
+
+    it("Should speed up a pending transaction by at least 12.5% on the same nonce", async function () {
+      const sender = createSender();
+      const original = await sender.send(account, { to: recipient.address, value: 1n });
+
+      const replacement = await sender.speedUp(original);
+      expect(replacement.nonce).to.equal(original.nonce);
+      expect(replacement.maxFeePerGas).to.be.at.least(original.maxFeePerGas * 1125n / 1000n + 1n);
+      expect(replacement.maxPriorityFeePerGas).to.be.at.least(original.maxPriorityFeePerGas * 1125n / 1000n + 1n);
+
+      await ethers.provider.send("evm_mine", []);
+      expect(await ethers.provider.getTransactionReceipt(replacement.hash)).to.not.be.null;
+      expect(await ethers.provider.getTransactionReceipt(original.hash)).to.be.null;
+
+      const journal = sender.readJournal();
+      expect(sender.journalPath()).to.equal(path.join(journalDir, "hardhat.jsonl"));
+      expect(journal.map(entry => entry.event)).to.deep.equal(["sent", "speed-up"]);
+      expect(journal[1].replaces).to.equal(original.hash);
+    });
+
+    it("Should cancel a pending transaction with a transfer to the sender", async function () {
+      const sender = createSender();
+      const original = await sender.send(account, { to: recipient.address, value: ethers.parseEther("1") });
+
+      const replacement = await sender.cancel(original);
+      expect(replacement.to).to.equal(account.address);
+      expect(replacement.value).to.equal(0n);
+      expect(replacement.nonce).to.equal(original.nonce);
+    });
+
+    it("Should refuse a replacement the max fee cap cannot pay for", async function () {
+      const original = await createSender().send(account, { to: recipient.address, value: 1n });
+      const capped = createSender({ maxFeeGwei: ethers.formatUnits(original.maxFeePerGas, "gwei") });
+      capped.signers.set(original.from, account);
+
+      await expect(capped.speedUp(original)).to.be.rejectedWith("is too low to replace");
+    });
+  });
+});
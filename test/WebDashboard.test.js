@@ -0,0 +1,180 @@
+const os = require("os");
+const fs = require("fs");
+const path = require("path");
+const http = require("http");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const ContractMonitor = require("../scripts/interactions/monitoring.js");
+const { WebDashboard } = require("../scripts/interactions/web-dashboard.js");
+const { BlockTimeResolver } = require("../scripts/interactions/block-time.js");
+
+// GET without keep-alive, so stopping the server does not wait on idle sockets
+function get(port, urlPath, method = "GET") {
+  return new Promise((resolve, reject) => {
+    const request = http.request({ host: "127.0.0.1", port, path: urlPath, method, agent: false }, response => {
+      let body = "";
+      response.setEncoding("utf8");
+      response.on("data", chunk => (body += chunk));
+      response.on("end", () => resolve({ status: response.statusCode, headers: response.headers, body }));
+    });
+    request.on("error", reject);
+    request.end();
+  });
+}
+
+async function getJson(port, urlPath) {
+  const response = await get(port, urlPath);
+  return { status: response.status, body: JSON.parse(response.body) };
+}
+
+describe("WebDashboard", function () {
+  let stableCoin, multiSig;
+  let owner, addr1, addr2;
+  let dir;
+  let monitor;
+  let dashboard;
+  let stop;
+
+  beforeEach(async function () {
+    [owner, addr1, addr2] = await ethers.getSigners();
+
+    const StableCoin = await ethers.getContractFactory("StableCoin");
+    stableCoin = await StableCoin.deploy("StableCoin", "STABLE", 1000000);
+    await stableCoin.waitForDeployment();
+
+    const MultiSigWallet = await ethers.getContractFactory("MultiSigWallet");
+    multiSig = await MultiSigWallet.deploy([owner.address, addr1.address], 2);
+    await multiSig.waitForDeployment();
+
+    // Known history: 1,000,000 minted on deployment, then +500 minted, 200 transferred, 100 burned
+    await stableCoin.mint(addr1.address, ethers.parseEther("500"));
+    await stableCoin.transfer(addr2.address, ethers.parseEther("200"));
+    await stableCoin.burn(ethers.parseEther("100"));
+    await multiSig.submitTransaction(addr2.address, 0, "0x");
+
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "dashboard-"));
+    const setup = {
+      network: "hardhat",
+      provider: ethers.provider,
+      contracts: { stableCoin, multiSig },
+      blockTime: new BlockTimeResolver(ethers.provider)
+    };
+    monitor = new ContractMonitor(setup);
+    await monitor.init(["stableCoin", "multiSig"], { file: path.join(dir, "hardhat.db") });
+
+    dashboard = new WebDashboard(monitor, { port: 0, interval: 100 });
+    stop = await dashboard.start();
+  });
+
+  afterEach(async function () {
+    stop();
+    await monitor.indexer.syncing;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe("Aggregations", function () {
+    it("Should replay the supply history from mints and burns", async function () {
+      const points = await monitor.supplyHistory("stableCoin", 24);
+
+      expect(points.map(point => point.supply)).to.deep.equal(["0.0", "1000000.0", "1000500.0", "1000400.0", "1000400.0"]);
+      expect(points.at(-1).blockNumber).to.equal(await ethers.provider.getBlockNumber());
+    });
+
+    it("Should total the minted and burned volume across the buckets", async function () {
+      const volume = await monitor.mintBurnVolume("stableCoin", 24, 4);
+
+      expect(volume).to.include({ minted: "1000500.0", burned: "100.0" });
+      expect(volume.buckets).to.have.length(4);
+      const sum = field => volume.buckets.reduce((total, bucket) => total + ethers.parseEther(bucket[field]), 0n);
+      expect(sum("minted")).to.equal(ethers.parseEther("1000500"));
+      expect(sum("burned")).to.equal(ethers.parseEther("100"));
+    });
+
+    it("Should rank holders by their replayed balances", async function () {
+      const holders = await monitor.topHolders("stableCoin", 2);
+
+      expect(holders).to.deep.equal([
+        { address: owner.address, balance: "999700.0", share: 99.93 },
+        { address: addr1.address, balance: "500.0", share: 0.04 }
+      ]);
+      expect(ethers.parseEther(holders[0].balance)).to.equal(await stableCoin.balanceOf(owner.address));
+    });
+  });
+
+  describe("JSON API", function () {
+    it("Should serve the summary", async function () {
+      const { status, body } = await getJson(dashboard.port, "/api/summary");
+
+      expect(status).to.equal(200);
+      expect(body).to.include({ network: "hardhat", head: await ethers.provider.getBlockNumber() });
+      expect(body.tokens).to.deep.equal(["stableCoin"]);
+      expect(body.contracts.stableCoin.totalSupply).to.equal(ethers.parseEther("1000400").toString());
+      expect(body.contracts.multiSig.txCount).to.equal("1");
+    });
+
+    it("Should serve the supply, volume and holder aggregates", async function () {
+      const supply = await getJson(dashboard.port, "/api/supply?hours=24");
+      expect(supply.body.at(-1).supply).to.equal("1000400.0");
+
+      const volume = await getJson(dashboard.port, "/api/volume?contract=stableCoin&buckets=3");
+      expect(volume.body).to.include({ minted: "1000500.0", burned: "100.0" });
+      expect(volume.body.buckets).to.have.length(3);
+
+      const holders = await getJson(dashboard.port, "/api/holders?limit=3");
+      expect(holders.body.map(holder => holder.address)).to.deep.equal([owner.address, addr1.address, addr2.address]);
+    });
+
+    it("Should serve the MultiSig pipeline and the latest events", async function () {
+      const pipeline = await getJson(dashboard.port, "/api/multisig");
+      expect(pipeline.status).to.equal(200);
+      expect(pipeline.body).to.have.length(1);
+      expect(pipeline.body[0]).to.include({ contract: "multiSig", txIndex: "0", submitter: owner.address });
+
+      const events = await getJson(dashboard.port, "/api/events?limit=2");
+      expect(events.body.map(event => event.event)).to.deep.equal(["SubmitTransaction", "Transfer"]);
+    });
+
+    it("Should reject unknown routes, contracts and parameters and non-GET methods", async function () {
+      expect((await getJson(dashboard.port, "/api/nothing")).status).to.equal(404);
+      expect((await getJson(dashboard.port, "/api/holders?contract=multiSig")).status).to.equal(404);
+      expect((await getJson(dashboard.port, "/api/multisig?contract=stableCoin")).status).to.equal(404);
+
+      const invalid = await getJson(dashboard.port, "/api/volume?buckets=0");
+      expect(invalid).to.deep.equal({ status: 400, body: { error: "Invalid buckets: 0" } });
+      expect((await getJson(dashboard.port, "/api/supply?since=yesterday")).status).to.equal(400);
+
+      expect((await get(dashboard.port, "/api/summary", "POST")).status).to.equal(405);
+    });
+  });
+
+  describe("Server-Sent Events", function () {
+    it("Should stream newly indexed events to connected clients", async function () {
+      const received = await new Promise((resolve, reject) => {
+        const request = http.get({ host: "127.0.0.1", port: dashboard.port, path: "/api/stream", agent: false }, response => {
+          expect(response.statusCode).to.equal(200);
+          expect(response.headers["content-type"]).to.equal("text/event-stream");
+          expect(response.headers["cache-control"]).to.equal("no-cache");
+
+          let buffer = "";
+          response.setEncoding("utf8");
+          response.on("data", chunk => {
+            buffer += chunk;
+            const message = buffer.split("\n\n").find(block => block.startsWith("event: chain-event"));
+            if (message) {
+              request.destroy();
+              resolve({ buffer, message });
+            }
+          });
+
+          stableCoin.transfer(addr1.address, 7n).catch(reject);
+        });
+        request.on("error", error => (error.code === "ECONNRESET" ? null : reject(error)));
+      });
+
+      expect(received.buffer.startsWith("retry: 5000\n\n")).to.be.true;
+      const record = JSON.parse(received.message.split("\ndata: ")[1]);
+      expect(record).to.include({ contract: "stableCoin", event: "Transfer" });
+      expect(record.args).to.deep.equal({ from: owner.address, to: addr1.address, value: "7" });
+    });
+  });
+});